@@ -2,6 +2,9 @@ import { SlashCommandBuilder } from 'discord.js';
 import { Challenge } from '../../models/Challenge.js';
 import retroAPI from '../../services/retroAPI.js';
 import { config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
+import gameCatalogService from '../../services/gameCatalogService.js';
+import challengeValidationService from '../../services/challengeValidationService.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -9,8 +12,9 @@ export default {
         .setDescription('Add a shadow challenge to the current month')
         .addStringOption(option =>
             option.setName('gameid')
-            .setDescription('The RetroAchievements Game ID for the shadow game')
-            .setRequired(true))
+            .setDescription('Game title or RetroAchievements Game ID of the shadow game')
+            .setRequired(true)
+            .setAutocomplete(true))
         .addStringOption(option =>
             option.setName('progression_achievements')
             .setDescription('Comma-separated list of progression achievement IDs')
@@ -20,6 +24,10 @@ export default {
             .setDescription('Comma-separated list of win achievement IDs')
             .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return gameCatalogService.respondWithGames(interaction);
+    },
+
     async execute(interaction) {
         // Check if user has admin role
         if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
@@ -32,22 +40,19 @@ export default {
         await interaction.deferReply();
 
         try {
-            const gameId = interaction.options.getString('gameid');
+            const gameId = await gameCatalogService.resolveGameId(interaction.options.getString('gameid'));
+            if (!gameId) {
+                return interaction.editReply('Game not found. Please check the game ID.');
+            }
             const progressionAchievementsInput = interaction.options.getString('progression_achievements');
             const winAchievementsInput = interaction.options.getString('win_achievements');
             
             // Parse progression and win achievements
-            const progressionAchievements = progressionAchievementsInput.split(',').map(id => id.trim()).filter(id => id);
-            const winAchievements = winAchievementsInput ? winAchievementsInput.split(',').map(id => id.trim()).filter(id => id) : [];
-            
-            if (progressionAchievements.length === 0) {
-                return interaction.editReply('Please provide at least one progression achievement ID.');
-            }
+            const progressionAchievements = challengeValidationService.parseIds(progressionAchievementsInput);
+            const winAchievements = challengeValidationService.parseIds(winAchievementsInput);
 
-            // Get current date and find current month's challenge
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            // Current month in the community timezone
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
             const currentChallenge = await Challenge.findOne({
                 date: {
@@ -84,6 +89,12 @@ export default {
                 return interaction.editReply('Could not retrieve achievements for this game. Please try again.');
             }
             
+            const { errors, warnings } = challengeValidationService.validate(gameInfo, progressionAchievements, winAchievements);
+            if (errors.length > 0) {
+                return interaction.editReply(`The shadow challenge was not added:\n${errors.map(error => `• ${error}`).join('\n')}`);
+            }
+            const warningLines = warnings.map(warning => `\n⚠️ ${warning}`).join('');
+
             const totalAchievements = Object.keys(achievements).length;
 
             // Update the current challenge with shadow game information
@@ -105,7 +116,8 @@ export default {
                         `Required progression achievements: ${progressionAchievements.length}\n` +
                         `Required win achievements: ${winAchievements.length}\n` +
                         `Mastery: ${totalAchievements} total achievements.\n` +
-                        `Visibility: ${currentChallenge.shadow_challange_revealed ? 'Revealed' : 'Hidden'}`
+                        `Visibility: ${currentChallenge.shadow_challange_revealed ? 'Revealed' : 'Hidden'}` +
+                        warningLines
                 });
             } else {
                 return interaction.editReply({
@@ -114,7 +126,8 @@ export default {
                         `Required progression achievements: ${progressionAchievements.length}\n` +
                         `Required win achievements: ${winAchievements.length}\n` +
                         `Mastery: ${totalAchievements} total achievements.\n` +
-                        `The shadow challenge will remain hidden until revealed.`
+                        `The shadow challenge will remain hidden until revealed.` +
+                        warningLines
                 });
             }
 
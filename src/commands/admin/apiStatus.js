@@ -0,0 +1,48 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import retroAPI from '../../services/retroAPI.js';
+import { config } from '../../config/config.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('apistatus')
+        .setDescription('Show the RetroAchievements request queues'),
+
+    async execute(interaction) {
+        // Check if user has admin role
+        if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            const metrics = retroAPI.rateLimiter.getMetrics();
+            const weights = config.retroAchievements.priorityWeights;
+
+            const embed = new EmbedBuilder()
+                .setTitle('RetroAchievements Request Queues')
+                .setColor('#0099ff')
+                .setDescription(`Requests are sent at most once every ${retroAPI.rateLimiter.rateLimitSeconds}s. ` +
+                    'Counters are since the last bot restart.')
+                .setTimestamp();
+
+            for (const lane of metrics) {
+                embed.addFields({
+                    name: `${lane.priority} (weight ${weights[lane.priority] ?? '-'})`,
+                    value: `Queued: ${lane.depth} | Peak: ${lane.maxDepth}\n` +
+                           `Processed: ${lane.processed} | Avg wait: ${(lane.averageWaitMs / 1000).toFixed(1)}s`,
+                    inline: true
+                });
+            }
+
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        } catch (error) {
+            console.error('Error showing API status:', error);
+            return interaction.reply({
+                content: 'An error occurred while fetching the API status.',
+                ephemeral: true
+            });
+        }
+    }
+};
@@ -2,6 +2,7 @@ import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, But
 import { ArcadeBoard } from '../../models/ArcadeBoard.js';
 import retroAPI from '../../services/retroAPI.js';
 import { config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -223,9 +224,9 @@ export default {
         const description = interaction.options.getString('description');
         
         // Get year and month (defaults to current)
-        const now = new Date();
-        const year = interaction.options.getInteger('year') || now.getFullYear();
-        const month = interaction.options.getInteger('month') || (now.getMonth() + 1);
+        const now = calendarService.getParts();
+        const year = interaction.options.getInteger('year') || now.year;
+        const month = interaction.options.getInteger('month') || (now.month + 1);
 
         // Validate game exists
         try {
@@ -235,8 +236,8 @@ export default {
             }
 
             // Calculate start and end dates
-            const startDate = new Date(year, month - 1, 1);
-            const endDate = new Date(year, month, 0, 23, 59, 59); // Last day of month at 23:59:59
+            const startDate = calendarService.fromParts(year, month - 1, 1);
+            const endDate = calendarService.fromParts(year, month, 0, 23, 59, 59); // Last day of month at 23:59:59
             
             // Check if a racing challenge already exists for this month
             const monthKey = `${year}-${month.toString().padStart(2, '0')}`;
@@ -272,7 +273,7 @@ export default {
             await newBoard.save();
 
             // Get month name for response
-            const monthName = startDate.toLocaleString('default', { month: 'long' });
+            const monthName = calendarService.formatDate(startDate, { month: 'long' });
 
             // Create an embed for the response
             const embed = new EmbedBuilder()
@@ -281,7 +282,7 @@ export default {
                 .setDescription(
                     `**Game:** ${gameFull}\n` +
                     `**Description:** ${description}\n\n` +
-                    `**Challenge Period:** ${startDate.toLocaleDateString()} to ${endDate.toLocaleDateString()}\n\n` +
+                    `**Challenge Period:** ${calendarService.formatDateKey(startDate)} to ${calendarService.formatDateKey(endDate)}\n\n` +
                     `The top 3 players at the end of the month will receive award points!`
                 );
 
@@ -326,14 +327,13 @@ export default {
                 return interaction.editReply('Please provide at least one tied user.');
             }
 
-            // Parse end date
-            const endDate = new Date(endDateStr);
-            if (isNaN(endDate.getTime())) {
+            // Parse end date, ending at 23:59:59 in the community timezone
+            const endDateMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(endDateStr.trim());
+            if (!endDateMatch) {
                 return interaction.editReply('Invalid end date format. Please use YYYY-MM-DD.');
             }
-
-            // Set end time to 23:59:59
-            endDate.setHours(23, 59, 59);
+            const [, endYear, endMonth, endDay] = endDateMatch.map(Number);
+            const endDate = calendarService.fromParts(endYear, endMonth - 1, endDay, 23, 59, 59);
 
             // Validate game exists
             const gameInfo = await retroAPI.getGameInfo(gameId);
@@ -354,7 +354,7 @@ export default {
             }
 
             // Generate a unique board ID
-            const boardId = `tiebreaker-${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate()}`;
+            const boardId = `tiebreaker-${calendarService.formatDateKey(now)}`;
 
             // Create new tiebreaker board
             const newBoard = new ArcadeBoard({
@@ -375,7 +375,7 @@ export default {
             return interaction.editReply(
                 `Successfully created tiebreaker challenge!\n` +
                 `Game: ${gameInfo.title}\n` +
-                `Tiebreaker ends: ${endDate.toLocaleDateString()}\n` +
+                `Tiebreaker ends: ${calendarService.formatDateKey(endDate)}\n` +
                 `Participants: ${tiedUsers.join(', ')}`
             );
         } catch (error) {
@@ -406,7 +406,7 @@ export default {
             // Check if the racing challenge has ended
             const now = new Date();
             if (racingBoard.endDate > now) {
-                return interaction.editReply(`This racing challenge hasn't ended yet. It ends on ${racingBoard.endDate.toLocaleDateString()}.`);
+                return interaction.editReply(`This racing challenge hasn't ended yet. It ends on ${calendarService.formatDateKey(racingBoard.endDate)}.`);
             }
 
             // Fetch leaderboard entries
@@ -447,8 +447,8 @@ export default {
                 
                 if (userObj) {
                     // Add community award
-                    const monthName = racingBoard.startDate.toLocaleString('default', { month: 'long' });
-                    const year = racingBoard.startDate.getFullYear();
+                    const monthName = calendarService.formatDate(racingBoard.startDate, { month: 'long' });
+                    const year = calendarService.getYear(racingBoard.startDate);
                     const placement = i === 0 ? '1st' : (i === 1 ? '2nd' : '3rd');
                     
                     const awardTitle = `${placement} Place in ${monthName} ${year} Racing: ${racingBoard.gameTitle}`;
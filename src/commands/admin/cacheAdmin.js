@@ -0,0 +1,88 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import apiCacheService from '../../services/apiCacheService.js';
+import { config } from '../../config/config.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('cacheadmin')
+        .setDescription('Manage the RetroAchievements response cache')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('stats')
+                .setDescription('Show cache hit/miss counters and stored entries'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('purge')
+                .setDescription('Remove cached responses')
+                .addStringOption(option =>
+                    option.setName('method')
+                        .setDescription('Only purge responses of this type (defaults to everything)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Game Info', value: 'getGameInfo' },
+                            { name: 'Game Info Extended', value: 'getGameInfoExtended' },
+                            { name: 'Achievement Count', value: 'getGameAchievementCount' },
+                            { name: 'Consoles', value: 'getConsoles' }
+                        ))),
+
+    async execute(interaction) {
+        // Check if user has admin role
+        if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'stats':
+                    await this.showStats(interaction);
+                    break;
+                case 'purge':
+                    await this.purgeCache(interaction);
+                    break;
+                default:
+                    await interaction.editReply('Invalid subcommand');
+            }
+        } catch (error) {
+            console.error('Error executing cache admin command:', error);
+            await interaction.editReply('An error occurred while processing your request.');
+        }
+    },
+
+    async showStats(interaction) {
+        const stats = await apiCacheService.getStats();
+
+        const embed = new EmbedBuilder()
+            .setTitle('RetroAchievements Cache')
+            .setColor('#0099ff')
+            .setDescription('Hit/miss counters are since the last bot restart.')
+            .setTimestamp();
+
+        for (const { method, hits, misses, entries } of stats) {
+            const total = hits + misses;
+            const hitRate = total > 0 ? `${Math.round(hits / total * 100)}%` : 'n/a';
+            embed.addFields({
+                name: method,
+                value: `Hits: ${hits} | Misses: ${misses} | Hit rate: ${hitRate}\n` +
+                       `Stored entries: ${entries}`
+            });
+        }
+
+        return interaction.editReply({ embeds: [embed] });
+    },
+
+    async purgeCache(interaction) {
+        const method = interaction.options.getString('method');
+        const removed = await apiCacheService.purge(method);
+
+        return interaction.editReply(
+            `Removed ${removed} cached ${method ? `${method} ` : ''}response${removed !== 1 ? 's' : ''}.`
+        );
+    }
+};
@@ -1,7 +1,53 @@
-import { SlashCommandBuilder } from 'discord.js';
+import { randomBytes } from 'node:crypto';
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder
+} from 'discord.js';
 import { Challenge } from '../../models/Challenge.js';
 import retroAPI from '../../services/retroAPI.js';
 import { config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
+import gameCatalogService from '../../services/gameCatalogService.js';
+import challengeValidationService from '../../services/challengeValidationService.js';
+import challengeService from '../../services/challengeService.js';
+
+// Discord select menus hold at most 25 options
+const PAGE_SIZE = 25;
+
+// Interaction tokens expire after 15 minutes, the setup can't be edited after that
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+const STEPS = {
+    progression: {
+        title: 'Step 1/3: Progression Achievements',
+        description: 'Pick the achievements members need to beat the game. ' +
+            'Achievements RetroAchievements marks as progression are already picked.'
+    },
+    win: {
+        title: 'Step 2/3: Win Achievements',
+        description: 'Pick the achievements that count as winning the game, members need at least one of them. ' +
+            'Achievements marked as win conditions are already picked.'
+    }
+};
+
+// Challenge setups in progress by session ID. Kept in memory, a restart drops them.
+const sessions = new Map();
+
+// Join lines into an embed field value, leaving out the lines past the 1024 character limit
+const joinLines = (lines) => {
+    let value = '';
+    for (const line of lines) {
+        if (value.length + line.length + 1 > 1021) {
+            return `${value}\n…`;
+        }
+        value += (value ? '\n' : '') + line;
+    }
+    return value;
+};
 
 export default {
     data: new SlashCommandBuilder()
@@ -9,8 +55,9 @@ export default {
         .setDescription('Create a new monthly challenge')
         .addStringOption(option =>
             option.setName('gameid')
-            .setDescription('The RetroAchievements Game ID')
-            .setRequired(true))
+            .setDescription('Game title or RetroAchievements Game ID')
+            .setRequired(true)
+            .setAutocomplete(true))
         .addIntegerOption(option =>
             option.setName('month')
             .setDescription('Month (1-12)')
@@ -25,13 +72,17 @@ export default {
             .setRequired(true))
         .addStringOption(option =>
             option.setName('progression_achievements')
-            .setDescription('Comma-separated list of progression achievement IDs')
-            .setRequired(true))
+            .setDescription('Comma-separated list of progression achievement IDs (leave out to pick them from a list)')
+            .setRequired(false))
         .addStringOption(option =>
             option.setName('win_achievements')
             .setDescription('Comma-separated list of win achievement IDs')
             .setRequired(false)),
 
+    async autocomplete(interaction) {
+        return gameCatalogService.respondWithGames(interaction);
+    },
+
     async execute(interaction) {
         // Check if user has admin role
         if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
@@ -41,80 +92,419 @@ export default {
             });
         }
 
-        await interaction.deferReply();
+        const progressionAchievementsInput = interaction.options.getString('progression_achievements');
+        const month = interaction.options.getInteger('month');
+        const year = interaction.options.getInteger('year');
+
+        // Without achievement IDs the admin picks them step by step, and replacing a month's
+        // challenge is confirmed from a preview, only they see the setup
+        const existingChallenge = progressionAchievementsInput
+            ? await challengeService.getChallengeForMonth(calendarService.fromParts(year, month - 1, 1))
+            : null;
+        await interaction.deferReply({ ephemeral: !progressionAchievementsInput || Boolean(existingChallenge) });
 
         try {
-            const gameId = interaction.options.getString('gameid');
-            const month = interaction.options.getInteger('month');
-            const year = interaction.options.getInteger('year');
-            const progressionAchievementsInput = interaction.options.getString('progression_achievements');
-            const winAchievementsInput = interaction.options.getString('win_achievements');
-            
-            // Parse progression and win achievements
-            const progressionAchievements = progressionAchievementsInput.split(',').map(id => id.trim()).filter(id => id);
-            const winAchievements = winAchievementsInput ? winAchievementsInput.split(',').map(id => id.trim()).filter(id => id) : [];
-            
-            if (progressionAchievements.length === 0) {
-                return interaction.editReply('Please provide at least one progression achievement ID.');
+            const gameId = await gameCatalogService.resolveGameId(interaction.options.getString('gameid'));
+            if (!gameId) {
+                return interaction.editReply('Game not found. Please check the game ID.');
             }
+            const winAchievementsInput = interaction.options.getString('win_achievements');
 
             // Get game info to validate game exists
             const gameInfo = await retroAPI.getGameInfoExtended(gameId);
             if (!gameInfo) {
                 return interaction.editReply('Game not found. Please check the game ID.');
             }
-            
+
             // Get game achievements to get the total count
             const achievements = gameInfo.achievements;
             if (!achievements) {
                 return interaction.editReply('Could not retrieve achievements for this game. Please try again.');
             }
-            
-            const totalAchievements = Object.keys(achievements).length;
-
-            // Create date for the first of the specified month
-            const challengeDate = new Date(year, month - 1, 1);
 
-            // Check if a challenge already exists for this month
-            const existingChallenge = await Challenge.findOneAndDelete({
-                date: {
-                    $gte: challengeDate,
-                    $lt: new Date(year, month, 1)
-                }
-            });
+            // Win achievements given on their own are picked in the win step
+            if (!progressionAchievementsInput) {
+                const winPicks = challengeValidationService.parseIds(winAchievementsInput);
+                return this.startWizard(interaction, { gameId, gameInfo, month, year },
+                    winPicks.length > 0 ? { win: winPicks } : null);
+            }
 
-            // Create new challenge
-            const challenge = new Challenge({
-                date: challengeDate,
-                monthly_challange_gameid: gameId,
-                monthly_challange_progression_achievements: progressionAchievements,
-                monthly_challange_win_achievements: winAchievements,
-                monthly_challange_game_total: totalAchievements,
-                shadow_challange_revealed: false
-            });
+            // Parse progression and win achievements
+            const progressionAchievements = challengeValidationService.parseIds(progressionAchievementsInput);
+            const winAchievements = challengeValidationService.parseIds(winAchievementsInput);
 
-            await challenge.save();
+            const { errors, warnings } = challengeValidationService.validate(gameInfo, progressionAchievements, winAchievements);
+            if (errors.length > 0) {
+                return interaction.editReply(`The challenge was not created:\n${errors.map(error => `• ${error}`).join('\n')}`);
+            }
 
+            // Replacing a month's challenge has to be confirmed from the preview
             if (existingChallenge) {
-                return interaction.editReply({
-                    content: `Monthly challenge replaced for ${gameInfo.title} (${month}/${year})\n` +
-                        `(No longer ${existingChallenge.monthly_challange_gameid})\n` +
-                        `Required progression achievements: ${progressionAchievements.length}\n` +
-                        `Required win achievements: ${winAchievements.length}\n` +
-                        `Mastery: ${totalAchievements} total achievements.\n`
-                });
-            } else {
-                return interaction.editReply({
-                    content: `Monthly challenge created for ${gameInfo.title} (${month}/${year})\n` +
-                        `Required progression achievements: ${progressionAchievements.length}\n` +
-                        `Required win achievements: ${winAchievements.length}\n` +
-                        `Mastery: ${totalAchievements} total achievements.\n`
+                return this.startWizard(interaction, { gameId, gameInfo, month, year }, {
+                    progression: progressionAchievements,
+                    win: winAchievements
                 });
             }
 
+            const challenge = {
+                gameId,
+                title: gameInfo.title,
+                month,
+                year,
+                progressionAchievements,
+                winAchievements,
+                totalAchievements: Object.keys(achievements).length
+            };
+            const replacedGameId = await this.saveChallenge(challenge);
+
+            return interaction.editReply({
+                content: this.describeResult(challenge, replacedGameId) +
+                    warnings.map(warning => `⚠️ ${warning}\n`).join('')
+            });
+
         } catch (error) {
             console.error('Error creating challenge:', error);
             return interaction.editReply('An error occurred while creating the challenge. Please try again.');
         }
+    },
+
+    /**
+     * Create the challenge of a month, or replace the monthly game of the existing one.
+     * Its shadow game and announcement are kept.
+     * @param {Object} challenge - gameId, month, year, progressionAchievements, winAchievements and totalAchievements
+     * @returns {Promise<string|null>} Game ID of the monthly game that was replaced
+     */
+    async saveChallenge({ gameId, month, year, progressionAchievements, winAchievements, totalAchievements }) {
+        // Create date for the first of the specified month (midnight in the community timezone)
+        const challengeDate = calendarService.fromParts(year, month - 1, 1);
+
+        const existingChallenge = await challengeService.getChallengeForMonth(challengeDate);
+        const replacedGameId = existingChallenge?.monthly_challange_gameid ?? null;
+
+        const challenge = existingChallenge || new Challenge({
+            date: challengeDate,
+            shadow_challange_revealed: false
+        });
+        challenge.set({
+            monthly_challange_gameid: gameId,
+            monthly_challange_progression_achievements: progressionAchievements,
+            monthly_challange_win_achievements: winAchievements,
+            monthly_challange_game_total: totalAchievements
+        });
+
+        await challenge.save();
+        return replacedGameId;
+    },
+
+    describeResult({ title, month, year, progressionAchievements, winAchievements, totalAchievements }, replacedGameId) {
+        return `Monthly challenge ${replacedGameId ? 'replaced' : 'created'} for ${title} (${month}/${year})\n` +
+            (replacedGameId ? `(No longer ${replacedGameId})\n` : '') +
+            `Required progression achievements: ${progressionAchievements.length}\n` +
+            `Required win achievements: ${winAchievements.length}\n` +
+            `Mastery: ${totalAchievements} total achievements.\n`;
+    },
+
+    /**
+     * Start the achievement picker, suggesting the achievements by the type
+     * RetroAchievements gives them. With progression picks given it starts at the preview.
+     */
+    async startWizard(interaction, { gameId, gameInfo, month, year }, picks = null) {
+        const achievements = Object.values(gameInfo.achievements)
+            .sort((a, b) => (a.displayOrder ?? 0) - (b.displayOrder ?? 0) || a.id - b.id)
+            .map(achievement => ({
+                id: String(achievement.id),
+                title: achievement.title,
+                description: achievement.description || '',
+                points: achievement.points || 0,
+                type: achievement.type || null,
+                flags: achievement.flags ?? null
+            }));
+
+        if (achievements.length === 0) {
+            return interaction.editReply(`${gameInfo.title} has no achievements, it can't be a monthly challenge.`);
+        }
+
+        // Drop setups that can no longer be edited
+        for (const [id, session] of sessions) {
+            if (Date.now() - session.createdAt > SESSION_TTL_MS) sessions.delete(id);
+        }
+
+        const session = {
+            id: randomBytes(4).toString('hex'),
+            userId: interaction.user.id,
+            gameId,
+            title: gameInfo.title,
+            consoleName: gameInfo.consoleName || '',
+            imageIcon: gameInfo.imageIcon || '',
+            month,
+            year,
+            achievements,
+            progression: new Set(picks?.progression ?? achievements.filter(a => a.type === 'progression').map(a => a.id)),
+            win: new Set(picks?.win ?? achievements.filter(a => a.type === 'win_condition').map(a => a.id)),
+            step: picks?.progression ? 'preview' : 'progression',
+            page: 0,
+            createdAt: Date.now()
+        };
+        sessions.set(session.id, session);
+
+        const message = await this.buildStep(session);
+        if (session.step === 'preview') {
+            message.content = 'This month already has a challenge. Check the preview and confirm to replace it.';
+        }
+        return interaction.editReply(message);
+    },
+
+    /**
+     * Handle the select menus and buttons of the achievement picker
+     * @param {Object} interaction - Component interaction
+     */
+    async handleComponent(interaction) {
+        const [, sessionId, action, ...args] = interaction.customId.split(':');
+        const session = sessions.get(sessionId);
+
+        if (!session || Date.now() - session.createdAt > SESSION_TTL_MS) {
+            sessions.delete(sessionId);
+            return interaction.update({
+                content: 'This challenge setup has expired. Run /createchallenge again.',
+                embeds: [],
+                components: []
+            });
+        }
+
+        if (interaction.user.id !== session.userId) {
+            return interaction.reply({
+                content: 'Only the admin who started this challenge setup can use it.',
+                ephemeral: true
+            });
+        }
+
+        switch (action) {
+            case 'select': {
+                // The menu only shows one page, picks on other pages are kept
+                const [step, page] = args;
+                const pageIds = this.getStepAchievements(session, step)
+                    .slice(page * PAGE_SIZE, (Number(page) + 1) * PAGE_SIZE)
+                    .map(achievement => achievement.id);
+                pageIds.forEach(id => session[step].delete(id));
+                interaction.values.forEach(id => session[step].add(id));
+                break;
+            }
+            case 'page':
+                session.page = parseInt(args[0]) || 0;
+                break;
+            case 'step':
+                session.step = args[0];
+                session.page = 0;
+                break;
+            case 'confirm':
+                return this.confirmWizard(interaction, session);
+            case 'cancel':
+                sessions.delete(session.id);
+                return interaction.update({ content: 'Challenge setup cancelled.', embeds: [], components: [] });
+        }
+
+        return interaction.update(await this.buildStep(session));
+    },
+
+    // An achievement is either progression or win, the win step leaves out the progression picks
+    getStepAchievements(session, step) {
+        return step === 'win'
+            ? session.achievements.filter(achievement => !session.progression.has(achievement.id))
+            : session.achievements;
+    },
+
+    getPicked(session, step) {
+        return this.getStepAchievements(session, step).filter(achievement => session[step].has(achievement.id));
+    },
+
+    buildCustomId(session, ...parts) {
+        return ['createchallenge', session.id, ...parts].join(':');
+    },
+
+    /**
+     * Build the message of the current step
+     * @param {Object} session - Challenge setup
+     * @returns {Promise<Object>} Message payload
+     */
+    async buildStep(session) {
+        if (session.step === 'preview') {
+            return this.buildPreview(session);
+        }
+
+        const { step } = session;
+        const achievements = this.getStepAchievements(session, step);
+        const pageCount = Math.max(Math.ceil(achievements.length / PAGE_SIZE), 1);
+        const page = Math.min(session.page, pageCount - 1);
+        const pageAchievements = achievements.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+        const picked = this.getPicked(session, step);
+
+        const embed = new EmbedBuilder()
+            .setTitle(STEPS[step].title)
+            .setDescription(`**${session.title}** for ${this.formatMonth(session)}\n${STEPS[step].description}`)
+            .setColor('#3498DB')
+            .addFields({
+                name: `Picked (${picked.length})`,
+                value: picked.length > 0 ? joinLines(picked.map(a => `• ${a.title}`)) : 'None yet'
+            })
+            .setFooter({ text: `Page ${page + 1}/${pageCount} | ${achievements.length} achievements` });
+
+        const components = [];
+        if (pageAchievements.length > 0) {
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(this.buildCustomId(session, 'select', step, page))
+                    .setPlaceholder(`Pick ${step} achievements`)
+                    .setMinValues(0)
+                    .setMaxValues(pageAchievements.length)
+                    .addOptions(pageAchievements.map(achievement => ({
+                        label: achievement.title.slice(0, 100) || achievement.id,
+                        description: `${achievement.points} pts - ${achievement.description}`.slice(0, 100),
+                        value: achievement.id,
+                        default: session[step].has(achievement.id)
+                    })))
+            ));
+        }
+
+        const buttons = [];
+        if (pageCount > 1) {
+            buttons.push(
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId(session, 'page', page - 1))
+                    .setLabel('◀ Previous Page')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page === 0),
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId(session, 'page', page + 1))
+                    .setLabel('Next Page ▶')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page === pageCount - 1)
+            );
+        }
+        if (step === 'win') {
+            buttons.push(new ButtonBuilder()
+                .setCustomId(this.buildCustomId(session, 'step', 'progression'))
+                .setLabel('Back')
+                .setStyle(ButtonStyle.Secondary));
+        }
+        buttons.push(
+            new ButtonBuilder()
+                .setCustomId(this.buildCustomId(session, 'step', step === 'progression' ? 'win' : 'preview'))
+                .setLabel(step === 'progression' ? 'Next: Win Achievements' : 'Next: Preview')
+                .setStyle(ButtonStyle.Primary),
+            new ButtonBuilder()
+                .setCustomId(this.buildCustomId(session, 'cancel'))
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Danger)
+        );
+        components.push(new ActionRowBuilder().addComponents(buttons));
+
+        return { content: '', embeds: [embed], components };
+    },
+
+    /**
+     * Build the last step: the challenge rules as members will see them, with the picks
+     * @param {Object} session - Challenge setup
+     * @returns {Promise<Object>} Message payload
+     */
+    async buildPreview(session) {
+        const progression = this.getPicked(session, 'progression');
+        const win = this.getPicked(session, 'win');
+
+        const challengeDate = calendarService.fromParts(session.year, session.month - 1, 1);
+        const existingChallenge = await challengeService.getChallengeForMonth(challengeDate);
+
+        const challenge = new Challenge({
+            date: challengeDate,
+            monthly_challange_gameid: session.gameId,
+            monthly_challange_progression_achievements: progression.map(a => a.id),
+            monthly_challange_win_achievements: win.map(a => a.id),
+            monthly_challange_game_total: session.achievements.length
+        });
+        const embed = challengeService
+            .buildRulesEmbed(challenge, {
+                title: session.title + (session.consoleName ? ` (${session.consoleName})` : ''),
+                imageIcon: session.imageIcon
+            })
+            .setTitle(`Step 3/3: ${this.formatMonth(session)} Challenge Preview`)
+            .addFields(
+                {
+                    name: `Progression Achievements (${progression.length})`,
+                    value: progression.length > 0
+                        ? joinLines(progression.map(a => `• ${a.title} (${a.id})`))
+                        : '⚠️ Pick at least one progression achievement to create the challenge.'
+                },
+                {
+                    name: `Win Achievements (${win.length})`,
+                    value: win.length > 0 ? joinLines(win.map(a => `• ${a.title} (${a.id})`)) : 'None'
+                }
+            );
+
+        const { warnings } = challengeValidationService.validate(
+            { title: session.title, achievements: Object.fromEntries(session.achievements.map(a => [a.id, a])) },
+            progression.map(a => a.id),
+            win.map(a => a.id)
+        );
+        if (warnings.length > 0) {
+            embed.addFields({ name: '⚠️ Warnings', value: joinLines(warnings) });
+        }
+
+        if (existingChallenge) {
+            const { monthly_challange_gameid: replacedGameId, shadow_challange_gameid: shadowGameId } = existingChallenge;
+            embed.addFields({
+                name: '⚠️ Replaces Existing Challenge',
+                value: `The challenge for this month (${await challengeService.getGameTitle(replacedGameId)}) will be replaced.` +
+                    (shadowGameId ? ` Its shadow game (${await challengeService.getGameTitle(shadowGameId)}) is kept.` : '')
+            });
+        }
+
+        return {
+            content: '',
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId(session, 'step', 'win'))
+                    .setLabel('Back')
+                    .setStyle(ButtonStyle.Secondary),
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId(session, 'confirm'))
+                    .setLabel(existingChallenge ? 'Replace Challenge' : 'Create Challenge')
+                    .setStyle(ButtonStyle.Success)
+                    .setDisabled(progression.length === 0),
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId(session, 'cancel'))
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Danger)
+            )]
+        };
+    },
+
+    async confirmWizard(interaction, session) {
+        const progression = this.getPicked(session, 'progression');
+        if (progression.length === 0) {
+            return interaction.update(await this.buildStep(session));
+        }
+
+        // Remove the setup first so a double click can't create the challenge twice
+        sessions.delete(session.id);
+
+        const challenge = {
+            gameId: session.gameId,
+            title: session.title,
+            month: session.month,
+            year: session.year,
+            progressionAchievements: progression.map(a => a.id),
+            winAchievements: this.getPicked(session, 'win').map(a => a.id),
+            totalAchievements: session.achievements.length
+        };
+        const replacedGameId = await this.saveChallenge(challenge);
+
+        return interaction.update({ content: this.describeResult(challenge, replacedGameId), embeds: [], components: [] });
+    },
+
+    formatMonth(session) {
+        return calendarService.formatDate(calendarService.fromParts(session.year, session.month - 1, 1), {
+            month: 'long',
+            year: 'numeric'
+        });
     }
-};
\ No newline at end of file
+};
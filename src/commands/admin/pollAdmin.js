@@ -0,0 +1,190 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { Poll } from '../../models/Poll.js';
+import votingService, { TIE_RULES } from '../../services/votingService.js';
+import calendarService from '../../services/calendarService.js';
+import { config } from '../../config/config.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('polladmin')
+        .setDescription('Manage the open voting poll')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the open poll and its current votes'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('extend')
+                .setDescription('Give members more time to vote')
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription('Number of days to add')
+                        .setMinValue(1)
+                        .setMaxValue(14)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('close')
+                .setDescription('Close the poll now and announce the winner'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cancel')
+                .setDescription('Cancel the poll without picking a winner'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('tierule')
+                .setDescription('Choose how a runoff that ties again is decided')
+                .addStringOption(option =>
+                    option.setName('rule')
+                        .setDescription('Tie rule')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Earliest nomination', value: 'earliest_nomination' },
+                            { name: 'Most nominations', value: 'most_nominations' },
+                            { name: 'Random draw (seed is published)', value: 'random' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('repost')
+                .setDescription('Post the ballot again, keeping the votes')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post in (defaults to this channel)')
+                        .setRequired(false))),
+
+    async execute(interaction) {
+        // Check if user has admin role
+        if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const poll = await votingService.getCurrentPoll();
+            if (!poll) {
+                return interaction.editReply('There is no open voting poll.');
+            }
+
+            const subcommand = interaction.options.getSubcommand();
+
+            switch (subcommand) {
+                case 'status':
+                    await this.showStatus(interaction, poll);
+                    break;
+                case 'extend':
+                    await this.extendPoll(interaction, poll);
+                    break;
+                case 'close':
+                    await this.closePoll(interaction, poll);
+                    break;
+                case 'cancel':
+                    await this.cancelPoll(interaction, poll);
+                    break;
+                case 'repost':
+                    await this.repostPoll(interaction, poll);
+                    break;
+                case 'tierule':
+                    await this.setTieRule(interaction, poll);
+                    break;
+                default:
+                    await interaction.editReply('Invalid subcommand');
+            }
+        } catch (error) {
+            console.error('Error executing poll admin command:', error);
+            await interaction.editReply('An error occurred while processing your request.');
+        }
+    },
+
+    async showStatus(interaction, poll) {
+        const voterCount = poll.getVoterCount();
+        const currentVotes = poll.mode === 'ranked'
+            ? poll.countRankedChoice()[0]?.counts || []
+            : poll.tally();
+
+        const embed = new EmbedBuilder()
+            .setTitle(poll.runoffOf ? 'Open Runoff Poll' : 'Open Voting Poll')
+            .setColor('#0099ff')
+            .addFields(
+                { name: 'Opened', value: calendarService.formatDate(poll.opensAt), inline: true },
+                { name: 'Closes', value: `<t:${Math.floor(poll.closesAt.getTime() / 1000)}:R>`, inline: true },
+                { name: 'Voters', value: String(voterCount), inline: true },
+                { name: poll.mode === 'ranked' ? 'Current First Choices' : 'Current Votes', value: votingService.formatResults(currentVotes) },
+                { name: 'Tie Rule', value: `A tied runoff is decided by ${TIE_RULES[poll.tieRule]}` }
+            )
+            .setFooter({ text: `Poll ID: ${poll._id}` })
+            .setTimestamp();
+
+        // Everything needed to repeat the draw with ballotService.drawBallot
+        if (poll.draw) {
+            const { strategy, seed, guaranteedTop, candidates, excludedGameIds } = poll.draw;
+            embed.addFields({
+                name: 'Ballot Draw',
+                value: `Strategy: ${strategy} | Seed: ${seed} | Guaranteed top: ${guaranteedTop}\n` +
+                       `Drawn from ${candidates.length} nominated game${candidates.length !== 1 ? 's' : ''}` +
+                       (excludedGameIds.length > 0 ? `, left out as recent challenges: ${excludedGameIds.join(', ')}` : '')
+            });
+        }
+
+        if (poll.channelId) {
+            embed.setDescription(`Ballot posted in <#${poll.channelId}>`);
+        }
+
+        return interaction.editReply({ embeds: [embed] });
+    },
+
+    async extendPoll(interaction, poll) {
+        const days = interaction.options.getInteger('days');
+        await votingService.extendPoll(poll, days);
+
+        return interaction.editReply(
+            `Voting extended by ${days} day${days !== 1 ? 's' : ''}. ` +
+            `It now closes <t:${Math.floor(poll.closesAt.getTime() / 1000)}:f>.`
+        );
+    },
+
+    async closePoll(interaction, poll) {
+        if (!await votingService.closePoll(poll)) {
+            return interaction.editReply('This poll is already being closed.');
+        }
+
+        // A tie opens a runoff instead of picking a winner
+        if (poll.runoffPollId) {
+            const runoff = await Poll.findById(poll.runoffPollId);
+            return interaction.editReply(
+                `Voting closed with a tie. A runoff between ${runoff.games.map(game => `**${game.title}**`).join(', ')} ` +
+                `has been opened, it ends <t:${Math.floor(runoff.closesAt.getTime() / 1000)}:f>.`
+            );
+        }
+
+        // In ranked mode the winner's votes are those of the last round, like the announcement
+        const finalCounts = poll.mode === 'ranked' ? poll.rounds[poll.rounds.length - 1]?.counts || [] : poll.results;
+        const winner = finalCounts.find(result => result.gameId === poll.winnerGameId);
+        return interaction.editReply(winner
+            ? `Voting closed. **${winner.title}** won with ${winner.votes} vote${winner.votes !== 1 ? 's' : ''}` +
+              (poll.rounds.length > 1 ? ` after ${poll.rounds.length} rounds.` : '.')
+            : 'Voting closed. No votes were cast, so there is no winner.');
+    },
+
+    async cancelPoll(interaction, poll) {
+        await votingService.cancelPoll(poll);
+        return interaction.editReply('The voting poll has been cancelled. You can start a new one with /startvoting.');
+    },
+
+    async setTieRule(interaction, poll) {
+        poll.tieRule = interaction.options.getString('rule');
+        await poll.save();
+
+        // Runoffs opened later from this poll inherit the rule
+        return interaction.editReply(`A tied runoff will now be decided by ${TIE_RULES[poll.tieRule]}.`);
+    },
+
+    async repostPoll(interaction, poll) {
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        await votingService.repostPoll(poll, channel);
+        return interaction.editReply(`The ballot has been posted again in ${channel}. Existing votes were kept.`);
+    }
+};
@@ -2,6 +2,7 @@ import { SlashCommandBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import retroAPI from '../../services/retroAPI.js';
 import { config } from '../../config/config.js';
+import { getUserErrorMessage } from '../../services/retroAPIErrors.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -54,20 +55,30 @@ export default {
             await user.save();
 
             // Get user info for a more detailed response
-            const raUserInfo = await retroAPI.getUserInfo(raUsername);
+            let statsText = '';
+            try {
+                const raUserInfo = await retroAPI.getUserInfo(raUsername);
+                statsText = `\nTotal Points: ${raUserInfo.points}\n` +
+                    `Total Games: ${raUserInfo.totalGames}`;
+            } catch (error) {
+                // The user is registered already, only the extra details are missing
+                console.error('Error fetching RA user info after registration:', error);
+            }
 
             return interaction.editReply({
                 content: `Successfully registered user!\n` +
                     `Discord: ${discordUser.tag}\n` +
                     `RA Username: ${raUsername}\n` +
-                    `RA Profile: https://retroachievements.org/user/${raUsername}\n` +
-                    `Total Points: ${raUserInfo.points}\n` +
-                    `Total Games: ${raUserInfo.totalGames}`
+                    `RA Profile: https://retroachievements.org/user/${raUsername}` +
+                    statsText
             });
 
         } catch (error) {
             console.error('Error registering user:', error);
-            return interaction.editReply('An error occurred while registering the user. Please try again.');
+            return interaction.editReply(
+                getUserErrorMessage(error, 'Invalid RetroAchievements username. Please check the username and try again.') ||
+                'An error occurred while registering the user. Please try again.'
+            );
         }
     }
 };
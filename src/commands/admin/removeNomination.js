@@ -0,0 +1,86 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { User } from '../../models/User.js';
+import nominationCycleService from '../../services/nominationCycleService.js';
+import nominationThreadService from '../../services/nominationThreadService.js';
+import { config } from '../../config/config.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('removenomination')
+        .setDescription('Remove a member\'s nomination and tell them why')
+        .addStringOption(option =>
+            option.setName('username')
+            .setDescription('The RetroAchievements username of the nominator')
+            .setRequired(true))
+        .addStringOption(option =>
+            option.setName('gameid')
+            .setDescription('The nominated Game ID')
+            .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+            .setDescription('Reason sent to the nominator')
+            .setRequired(true)),
+
+    async execute(interaction) {
+        // Check if user has admin role
+        if (!interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const raUsername = interaction.options.getString('username');
+            const gameId = interaction.options.getString('gameid');
+            const reason = interaction.options.getString('reason');
+
+            // Find the user
+            const user = await User.findOne({
+                raUsername: { $regex: new RegExp(`^${raUsername}$`, 'i') }
+            });
+
+            if (!user) {
+                return interaction.editReply('User not found. Please check the username.');
+            }
+
+            const cycle = await nominationCycleService.getCurrentCycle();
+            const nomination = user.getCycleNominations(cycle).find(nom => nom.gameId === gameId);
+            if (!nomination) {
+                return interaction.editReply(`${user.raUsername} has not nominated game ${gameId} this month.`);
+            }
+
+            user.nominations.pull(nomination._id);
+            await user.save();
+
+            // The reason only goes to the nominator
+            await nominationThreadService.removeNomination(gameId, cycle,
+                `↩️ **${user.raUsername}**'s nomination was removed by an admin.`);
+
+            // Let the nominator know, their nomination slot is free again
+            let notified = true;
+            try {
+                const member = await interaction.client.users.fetch(user.discordId);
+                await member.send(
+                    `Your nomination of game ${gameId} (https://retroachievements.org/game/${gameId}) was removed by an admin.\n` +
+                    `Reason: ${reason}\n` +
+                    'You can nominate another game with /nominate add.'
+                );
+            } catch (error) {
+                console.error(`Error sending nomination removal notice to ${user.raUsername}:`, error);
+                notified = false;
+            }
+
+            return interaction.editReply(
+                `Removed ${user.raUsername}'s nomination of game ${gameId}. ` +
+                (notified ? 'They have been sent the reason.' : 'They could not be sent a direct message.')
+            );
+
+        } catch (error) {
+            console.error('Error removing nomination:', error);
+            return interaction.editReply('An error occurred while removing the nomination. Please try again.');
+        }
+    }
+};
@@ -1,6 +1,8 @@
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
-import { User } from '../../models/User.js';
-import retroAPI from '../../services/retroAPI.js';
+import { SlashCommandBuilder } from 'discord.js';
+import votingService from '../../services/votingService.js';
+import ballotService from '../../services/ballotService.js';
+import nominationCycleService from '../../services/nominationCycleService.js';
+import monthlyTasksService from '../../services/monthlyTasksService.js';
 import { config } from '../../config/config.js';
 
 export default {
@@ -10,7 +12,15 @@ export default {
         .addChannelOption(option =>
             option.setName('channel')
             .setDescription('The channel to create the poll in')
-            .setRequired(true)),
+            .setRequired(true))
+        .addStringOption(option =>
+            option.setName('mode')
+            .setDescription('How members vote (defaults to the configured mode)')
+            .setRequired(false)
+            .addChoices(
+                { name: `Approval (vote for up to ${config.voting.maxVotesPerUser} game${config.voting.maxVotesPerUser !== 1 ? 's' : ''})`, value: 'approval' },
+                { name: 'Ranked choice (instant runoff)', value: 'ranked' }
+            )),
 
     async execute(interaction) {
         // Check if user has admin role
@@ -24,65 +34,30 @@ export default {
         await interaction.deferReply();
 
         try {
-            // Get all users
-            const users = await User.find({});
-
-            // Get all current nominations
-            let allNominations = [];
-            for (const user of users) {
-                const nominations = user.getCurrentNominations();
-                allNominations.push(...nominations.map(nom => nom.gameId));
-            }
-
-            // Remove duplicates
-            allNominations = [...new Set(allNominations)];
-
-            if (allNominations.length === 0) {
-                return interaction.editReply('No games have been nominated for next month.');
+            // Only one poll can be open at a time
+            if (await votingService.getCurrentPoll()) {
+                return interaction.editReply('A voting poll is already open. Close or cancel it with /polladmin first.');
             }
 
-            // Randomly select 10 games (or less if there aren't enough nominations)
-            const selectedCount = Math.min(10, allNominations.length);
-            const selectedGames = [];
-            while (selectedGames.length < selectedCount) {
-                const randomIndex = Math.floor(Math.random() * allNominations.length);
-                const gameId = allNominations[randomIndex];
-                if (!selectedGames.includes(gameId)) {
-                    selectedGames.push(gameId);
-                }
+            // Draw the ballot from the current cycle's nominations
+            const cycle = await nominationCycleService.getCurrentCycle();
+            const draw = await ballotService.buildBallot({ cycle });
+            if (draw.gameIds.length === 0) {
+                return interaction.editReply(draw.excludedGameIds.length > 0
+                    ? 'All nominated games were challenges in recent months, there is nothing to vote on.'
+                    : 'No games have been nominated for next month.');
             }
 
-            // Get game info for all selected games
-            const gameInfoPromises = selectedGames.map(gameId => retroAPI.getGameInfoExtended(gameId));
-            const games = await Promise.all(gameInfoPromises);
-
-            // Create embed for the poll
-            const embed = new EmbedBuilder()
-                .setTitle('🎮 Vote for Next Month\'s Challenge!')
-                .setDescription('React with the corresponding number to vote for a game. You can vote for up to two games!\n\n' +
-                    games.map((game, index) => 
-                        `${index + 1} **[${game.title}](https://retroachievements.org/game/${game.id})**`
-                    ).join('\n\n'))
-                .setColor('#FF69B4')
-                .setFooter({ text: 'Voting ends in 7 days' });
-
-            // Get the specified channel
+            // Post the poll in the specified channel
             const channel = interaction.options.getChannel('channel');
-            const pollMessage = await channel.send({ embeds: [embed] });
-
-            // Add number reactions
-            const numberEmojis = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
-            for (let i = 0; i < selectedGames.length; i++) {
-                await pollMessage.react(numberEmojis[i]);
-            }
+            const mode = interaction.options.getString('mode') || config.voting.mode;
+            const poll = await votingService.createPoll(channel, draw.gameIds, { draw, mode });
 
-            // Clear all nominations for the current month
-            // for (const user of users) {
-            //     user.clearCurrentNominations();
-            //     await user.save();
-            // }
+            // Nominations close once the vote has started
+            await monthlyTasksService.markVoting(cycle, poll);
 
-            return interaction.editReply('Voting poll has been created! The poll will be active for 7 days.');
+            return interaction.editReply(`Voting poll has been created! The poll will be active for ${config.voting.durationDays} days. ` +
+                `${draw.gameIds.length} of ${draw.candidates.length} nominated games were drawn (${draw.strategy}, seed ${draw.seed}).`);
 
         } catch (error) {
             console.error('Error starting voting:', error);
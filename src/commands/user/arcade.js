@@ -2,6 +2,7 @@ import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import retroAPI from '../../services/retroAPI.js';
 import { ArcadeBoard } from '../../models/ArcadeBoard.js';
+import calendarService from '../../services/calendarService.js';
 
 // Helper function to format ordinal numbers (1st, 2nd, 3rd, etc.)
 function ordinal(n) {
@@ -188,8 +189,7 @@ export default {
         try {
             // Get the current month's racing board
             const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
             
             const racingBoard = await ArcadeBoard.findOne({
                 boardType: 'racing',
@@ -205,7 +205,7 @@ export default {
             await interaction.editReply('Fetching racing leaderboard data...');
             
             // Get the month name
-            const monthName = now.toLocaleString('default', { month: 'long' });
+            const monthName = calendarService.formatDate(now, { month: 'long' });
             
             // Fetch the leaderboard entries
             const leaderboardEntries = await this.fetchLeaderboardEntries(racingBoard.leaderboardId);
@@ -1,21 +1,90 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { Challenge } from '../../models/Challenge.js';
+import { ChallengeArchive } from '../../models/ChallengeArchive.js';
+import { AwardType, config } from '../../config/config.js';
 import retroAPI from '../../services/retroAPI.js';
+import calendarService from '../../services/calendarService.js';
+import challengeService from '../../services/challengeService.js';
+import scoringService from '../../services/scoringService.js';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+const AWARD_EMOJIS = {
+    [AwardType.MASTERY]: '✨',
+    [AwardType.BEATEN]: '⭐',
+    [AwardType.PARTICIPATION]: '🏁'
+};
+
+const RANK_EMOJIS = {
+    1: '🥇',
+    2: '🥈',
+    3: '🥉'
+};
+
+// Challenges /challenge schedule lists, and months ahead it looks for missing challenges
+const SCHEDULE_MONTHS = 12;
 
 export default {
     data: new SlashCommandBuilder()
         .setName('challenge')
-        .setDescription('Shows current monthly challenge and shadow game status'),
+        .setDescription('Monthly challenge information')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('current')
+                .setDescription('Shows current monthly challenge and shadow game status'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('Shows the final results of a past challenge')
+                .addIntegerOption(option =>
+                    option.setName('month')
+                        .setDescription('Challenge month')
+                        .setRequired(true)
+                        .addChoices(...MONTH_NAMES.map((name, index) => ({ name, value: index + 1 }))))
+                .addIntegerOption(option =>
+                    option.setName('year')
+                        .setDescription('Challenge year (defaults to the most recent finished month)')
+                        .setMinValue(2000)
+                        .setMaxValue(2100)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('schedule')
+                .setDescription('Shows the challenges queued for the coming months (admin only)')),
 
     async execute(interaction) {
-        await interaction.deferReply();
+        const subcommand = interaction.options.getSubcommand();
+
+        // The schedule shows hidden shadow games, only admins can see it
+        if (subcommand === 'schedule' && !interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        await interaction.deferReply({ ephemeral: subcommand === 'schedule' });
+
+        switch (subcommand) {
+            case 'current':
+                await this.showCurrent(interaction);
+                break;
+            case 'history':
+                await this.showHistory(interaction);
+                break;
+            case 'schedule':
+                await this.showSchedule(interaction);
+                break;
+            default:
+                await interaction.editReply('Invalid subcommand');
+        }
+    },
 
+    async showCurrent(interaction) {
         try {
-            // Get current date for finding current challenge
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-            const lastDayOfMonth = new Date(nextMonthStart - 86400000).toISOString().split('T')[0];
+            // Current month in the community timezone
+            const challengeWindow = calendarService.getMonthWindow();
+            const { start: currentMonthStart, end: nextMonthStart } = challengeWindow;
 
             // Get current challenge
             const currentChallenge = await Challenge.findOne({
@@ -36,9 +105,6 @@ export default {
                 // Get game info from RetroAchievements API
                 const gameInfo = await retroAPI.getGameInfo(currentChallenge.monthly_challange_gameid);
                 
-                // Format dates
-                const startDate = currentMonthStart.toISOString().split('T')[0];
-                
                 // Get progression and win achievement counts
                 const progressionCount = currentChallenge.monthly_challange_progression_achievements.length;
                 const winCount = currentChallenge.monthly_challange_win_achievements.length;
@@ -46,11 +112,11 @@ export default {
                 // Build challenge text
                 let challengeText = 
                     `**GAME:** "${gameInfo.title}"\n` +
-                    `**DATES:** ${startDate} to ${lastDayOfMonth}\n\n` +
+                    `**DATES:** ${calendarService.formatWindow(challengeWindow)}\n\n` +
                     `**POINTS AVAILABLE:**\n` +
-                    `- Participation: 1 point\n` +
-                    `- Beaten: 3 points\n` +
-                    `- Mastery: 3 points\n\n` +
+                    `- Participation: ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)}\n` +
+                    `- Beaten: ${scoringService.formatAwardPoints(AwardType.BEATEN)}\n` +
+                    `- Mastery: ${scoringService.formatAwardPoints(AwardType.MASTERY)}\n\n` +
                     `**RULES:**\n` +
                     `- To earn "beaten" status, all ${progressionCount} progression achievements must be completed` +
                     (winCount > 0 ? ` and at least one of the ${winCount} win achievements must be earned` : '') + `\n` +
@@ -81,10 +147,10 @@ export default {
                     let shadowText = 
                         `**GAME:** ${shadowGameInfo.title}\n\n` +
                         `**POINTS AVAILABLE:**\n` +
-                        `- Participation: 1 point\n` +
-                        `- Completion: 3 points (requires all ${progressionCount} progression achievements` +
+                        `- Participation: ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)}\n` +
+                        `- Completion: ${scoringService.formatAwardPoints(AwardType.BEATEN)} (requires all ${progressionCount} progression achievements` +
                         (winCount > 0 ? ` and at least one win achievement` : '') + `)\n` +
-                        `- Mastery: 3 points (${currentChallenge.shadow_challange_game_total} achievements)\n\n` +
+                        `- Mastery: ${scoringService.formatAwardPoints(AwardType.MASTERY)} (${currentChallenge.shadow_challange_game_total} achievements)\n\n` +
                         `This challenge runs parallel to the monthly challenge.`;
                     
                     embed.addFields({ name: 'SHADOW CHALLENGE UNLOCKED', value: shadowText });
@@ -111,9 +177,176 @@ export default {
             console.error('Challenge Command Error:', error);
             await interaction.editReply('**[ERROR]** Failed to retrieve challenge data. Please try again.');
         }
+    },
+
+    async showHistory(interaction) {
+        try {
+            const month = interaction.options.getInteger('month') - 1;
+
+            // Default to the most recent year in which this month has already ended
+            const now = calendarService.getParts();
+            const year = interaction.options.getInteger('year') ||
+                (month >= now.month ? now.year - 1 : now.year);
+            const monthLabel = `${MONTH_NAMES[month]} ${year}`;
+
+            const archive = await ChallengeArchive.findByMonth(year, month);
+            if (!archive) {
+                const recent = await ChallengeArchive.find({}, { date: 1 }).sort({ date: -1 }).limit(6);
+                const available = recent.map(entry => calendarService.formatDate(entry.date, { month: 'long', year: 'numeric' }));
+                return interaction.editReply(
+                    `**[ERROR]** No archived results found for ${monthLabel}.` +
+                    (available.length > 0 ? `\nArchived months: ${available.join(', ')}` : '')
+                );
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor('#32CD32')
+                .setTitle(`CHALLENGE ARCHIVE: ${monthLabel.toUpperCase()}`)
+                .setDescription('**[ARCHIVE RECORD RETRIEVED]**');
+
+            const { monthlyGame, shadowGame, awardCounts } = archive;
+            embed.addFields({
+                name: 'MONTHLY CHALLENGE',
+                value: formatArchivedGame(monthlyGame, archive.participants, awardCounts.monthly)
+            });
+
+            if (monthlyGame.imageIcon) {
+                embed.setThumbnail(`https://retroachievements.org${monthlyGame.imageIcon}`);
+            }
+            embed.setURL(`https://retroachievements.org/game/${monthlyGame.gameId}`);
+
+            embed.addFields({
+                name: 'SHADOW CHALLENGE',
+                value: shadowGame?.gameId
+                    ? formatArchivedGame(shadowGame, archive.shadowParticipants, awardCounts.shadow)
+                    : 'The shadow challenge was not revealed this month.'
+            });
+
+            // Final standings, split over several fields to stay under the field length limit
+            if (archive.standings.length === 0) {
+                embed.addFields({ name: 'FINAL STANDINGS', value: 'No one took part in this challenge.' });
+            } else {
+                const lines = archive.standings.map(standing => {
+                    const rank = RANK_EMOJIS[standing.rank] || `#${standing.rank}`;
+                    const shadow = standing.shadowAward > AwardType.NONE
+                        ? ` + ${AWARD_EMOJIS[standing.shadowAward]} shadow`
+                        : '';
+                    return `${rank} **${standing.raUsername}** ${AWARD_EMOJIS[standing.award] || ''}${shadow} ` +
+                        `- ${standing.totalPoints} point${standing.totalPoints !== 1 ? 's' : ''}`;
+                });
+
+                let chunk = '';
+                let fieldCount = 0;
+                for (const line of lines) {
+                    if (chunk.length + line.length + 1 > 1024) {
+                        embed.addFields({ name: fieldCount === 0 ? 'FINAL STANDINGS' : 'FINAL STANDINGS (CONT.)', value: chunk });
+                        fieldCount++;
+                        chunk = '';
+                    }
+                    chunk += `${line}\n`;
+                }
+                embed.addFields({ name: fieldCount === 0 ? 'FINAL STANDINGS' : 'FINAL STANDINGS (CONT.)', value: chunk });
+            }
+
+            embed.setFooter({ text: `TERMINAL_ID: ${generateTerminalId()} | Results finalized` });
+            embed.setTimestamp(archive.finalizedAt);
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Challenge History Error:', error);
+            await interaction.editReply('**[ERROR]** Failed to retrieve archived challenge data. Please try again.');
+        }
+    },
+
+    async showSchedule(interaction) {
+        try {
+            const now = new Date();
+            const [currentChallenge, upcoming] = await Promise.all([
+                challengeService.getChallengeForMonth(now),
+                challengeService.getUpcomingChallenges(now)
+            ]);
+
+            const embed = new EmbedBuilder()
+                .setColor('#32CD32')
+                .setTitle('CHALLENGE SCHEDULE')
+                .setDescription('**[SCHEDULE RETRIEVED]**');
+
+            // Embeds hold at most 25 fields
+            const scheduled = [currentChallenge, ...upcoming].filter(Boolean);
+            for (const challenge of scheduled.slice(0, SCHEDULE_MONTHS)) {
+                const monthLabel = calendarService.formatDate(challenge.date, { month: 'long', year: 'numeric' }).toUpperCase();
+                embed.addFields({
+                    name: challenge === currentChallenge ? `${monthLabel} (NOW RUNNING)` : monthLabel,
+                    value: await formatScheduledChallenge(challenge)
+                });
+            }
+
+            const notShown = scheduled.length - SCHEDULE_MONTHS;
+            if (notShown > 0) {
+                const lastLabel = calendarService.formatDate(scheduled[scheduled.length - 1].date, { month: 'long', year: 'numeric' });
+                embed.addFields({
+                    name: 'LATER',
+                    value: `…and ${notShown} more challenge${notShown !== 1 ? 's' : ''} scheduled until ${lastLabel}.`
+                });
+            }
+
+            // Months between next month and the last queued challenge that still need one,
+            // at most SCHEDULE_MONTHS ahead so the list fits in the field
+            const nextMonth = calendarService.getMonthStart(now, 1);
+            const horizon = calendarService.getMonthStart(now, SCHEDULE_MONTHS);
+            const lastQueued = upcoming.length > 0 ? upcoming[upcoming.length - 1].date : nextMonth;
+            const lastMonth = lastQueued < horizon ? lastQueued : horizon;
+            const missing = [];
+            for (let month = nextMonth; month <= lastMonth; month = calendarService.getMonthStart(month, 1)) {
+                if (!upcoming.some(challenge => calendarService.isSameMonth(challenge.date, month))) {
+                    missing.push(calendarService.formatDate(month, { month: 'long', year: 'numeric' }));
+                }
+            }
+            if (missing.length > 0) {
+                embed.addFields({
+                    name: 'NOT SCHEDULED',
+                    value: `No challenge for ${missing.join(', ')} yet. Use /createchallenge to add one.`
+                });
+            }
+
+            embed.setFooter({ text: `TERMINAL_ID: ${generateTerminalId()}` });
+            embed.setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Challenge Schedule Error:', error);
+            await interaction.editReply('**[ERROR]** Failed to retrieve the challenge schedule. Please try again.');
+        }
     }
 };
 
+// Helper function to describe a scheduled challenge, including its shadow game
+async function formatScheduledChallenge(challenge) {
+    const progressionCount = challenge.monthly_challange_progression_achievements.length;
+    const winCount = challenge.monthly_challange_win_achievements.length;
+
+    let text = `**GAME:** "${await challengeService.getGameTitle(challenge.monthly_challange_gameid)}"\n` +
+        `**RULES:** ${progressionCount} progression, ${winCount} win, ${challenge.monthly_challange_game_total} total achievements`;
+
+    if (challenge.shadow_challange_gameid) {
+        text += `\n**SHADOW:** "${await challengeService.getGameTitle(challenge.shadow_challange_gameid)}" ` +
+            `(${challenge.shadow_challange_revealed ? 'revealed' : 'hidden'})`;
+    }
+    return text;
+}
+
+// Helper function to describe an archived challenge game
+function formatArchivedGame(game, participants, counts) {
+    return `**GAME:** "${game.title}"${game.consoleName ? ` (${game.consoleName})` : ''}\n` +
+        `**ACHIEVEMENTS:** ${game.totalAchievements}\n` +
+        `**PARTICIPANTS:** ${participants}\n` +
+        `${AWARD_EMOJIS[AwardType.MASTERY]} Mastery: ${counts.mastery} | ` +
+        `${AWARD_EMOJIS[AwardType.BEATEN]} Beaten: ${counts.beaten} | ` +
+        `${AWARD_EMOJIS[AwardType.PARTICIPATION]} Participation: ${counts.participation}`;
+}
+
 // Helper function to generate a random terminal ID (preserved from original command)
 function generateTerminalId() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -1,7 +1,11 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import { Challenge } from '../../models/Challenge.js';
-import retroAPI from '../../services/retroAPI.js';
+import retroAPI, { RequestPriority } from '../../services/retroAPI.js';
+import scoringService from '../../services/scoringService.js';
+import statsUpdateService from '../../services/statsUpdateService.js';
+import { AwardType, config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
 
 const AWARD_EMOJIS = {
     MASTERY: '✨',
@@ -15,45 +19,32 @@ const RANK_EMOJIS = {
     3: '🥉'
 };
 
-function isDateInCurrentMonth(dateString) {
-    // Parse the input date string
-    const inputDate = new Date(dateString.replace(' ', 'T'));
-    
-    // Get the current date
-    const currentDate = new Date();
-    
-    // Get the first day of the current month
-    const firstDayOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    
-    // Get the last day of the previous month
-    const lastDayOfPrevMonth = new Date(firstDayOfMonth);
-    lastDayOfPrevMonth.setDate(lastDayOfPrevMonth.getDate() - 1);
-    
-    // Check if the input date is in the current month
-    const isCurrentMonth = inputDate.getMonth() === currentDate.getMonth() && 
-                           inputDate.getFullYear() === currentDate.getFullYear();
-                           
-    // Check if the input date is the last day of the previous month
-    const isLastDayOfPrevMonth = inputDate.getDate() === lastDayOfPrevMonth.getDate() &&
-                                inputDate.getMonth() === lastDayOfPrevMonth.getMonth() &&
-                                inputDate.getFullYear() === lastDayOfPrevMonth.getFullYear();
-    
-    return isCurrentMonth || isLastDayOfPrevMonth;
-  }
-
 export default {
     data: new SlashCommandBuilder()
         .setName('leaderboard')
-        .setDescription('Display the current challenge leaderboard'),
+        .setDescription('Display the current challenge leaderboard')
+        .addBooleanOption(option =>
+            option.setName('live')
+            .setDescription('Refresh everyone\'s progress from RetroAchievements first (admin only)')
+            .setRequired(false)),
 
     async execute(interaction) {
+        const live = interaction.options.getBoolean('live') || false;
+
+        // Live refreshes hit the RetroAchievements API for every user, so only admins may request them
+        if (live && !interaction.member.roles.cache.has(config.bot.roles.admin)) {
+            return interaction.reply({
+                content: 'Only admins can request a live leaderboard refresh.',
+                ephemeral: true
+            });
+        }
+
         await interaction.deferReply();
 
         try {
             // Get current date for finding current challenge
             const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
             // Get current challenge
             const currentChallenge = await Challenge.findOne({
@@ -73,103 +64,46 @@ export default {
             // Get all registered users
             const users = await User.find({});
 
-            // Get progress for all users
-            const userProgress = await Promise.all(users.map(async (user) => {
-                const progress = await retroAPI.getUserGameProgress(
-                    user.raUsername,
-                    currentChallenge.monthly_challange_gameid
-                );
-
-                // Only include users who have at least started the game
-                if (progress.numAwardedToUser > 0) {
-                    // Check for achievements earned during the challenge month
-                    const userAchievements = progress.achievements || {};
-                    
-                    // Filter achievements earned during the current month
-                    let achievementsEarnedThisMonth = Object.entries(userAchievements)
-                        .filter(([id, data]) => {
-                            if (!data.dateEarned) return false;
-                            const earnedDate = new Date(data.dateEarned);
-                            return earnedDate >= currentMonthStart;
-                        })
-                        .map(([id]) => id);
-                    
-                    // If no achievements were earned this month, skip this user
-                    if (achievementsEarnedThisMonth.length === 0) {
-                        return null;
+            // Refresh the stored progress snapshots if requested
+            if (live) {
+                await interaction.editReply(`Refreshing progress for ${users.length} users. This may take a few minutes...`);
+
+                // A sweep over every user, queue it behind other members' commands and the feed
+                await retroAPI.withPriority(RequestPriority.BULK, async () => {
+                    for (const user of users) {
+                        try {
+                            await statsUpdateService.updateUserStats(user, currentChallenge);
+                        } catch (error) {
+                            console.error(`Error refreshing stats for user ${user.raUsername}:`, error);
+                        }
                     }
+                });
+            }
 
-                    // For mastery, ALL achievements must have been earned this month
-                    const allAchievementsEarnedThisMonth = Object.entries(userAchievements)
-                        .filter(([id, data]) => data.dateEarned)
-                        .every(([id, data]) => {
-                            const earnedDate = new Date(data.dateEarned);
-                            return earnedDate >= currentMonthStart;
-                        });
-
-                    // Get the user's earned achievements from the progress data
-                    const allEarnedAchievements = Object.entries(progress.achievements)
-                        .filter(([id, data]) => data.hasOwnProperty('dateEarned') && isDateInCurrentMonth(data.dateEarned))
-                        .map(([id, data]) => id);
-
-                    // Check for progression achievements earned this month
-                    const progressionAchievements = currentChallenge.monthly_challange_progression_achievements || [];
-                    const earnedProgressionInMonth = progressionAchievements.filter(id => 
-                        achievementsEarnedThisMonth.includes(id)
-                    );
-                    
-                    // Check for win achievements earned this month
-                    const winAchievements = currentChallenge.monthly_challange_win_achievements || [];
-                    const earnedWinInMonth = winAchievements.filter(id => 
-                        achievementsEarnedThisMonth.includes(id)
-                    );
-                    
-                    // Count total valid progression achievements (either earned this month or previously)
-                    const totalValidProgressionAchievements = progressionAchievements.filter(id => 
-                        allEarnedAchievements.includes(id)
-                    );
-                    
-                    // Count total valid win achievements (either earned this month or previously)
-                    const totalValidWinAchievements = winAchievements.filter(id => 
-                        allEarnedAchievements.includes(id)
-                    );
-
-                    let award = '';
-                    let points = 0;
-
-                    // Check if user has all achievements in the game
-                    const hasAllAchievements = progress.numAwardedToUser === currentChallenge.monthly_challange_game_total;
-
-                    // For mastery, ALL achievements must be earned THIS MONTH
-                    if (hasAllAchievements && allAchievementsEarnedThisMonth) {
-                        award = AWARD_EMOJIS.MASTERY;
-                        points = 7;
-                    } 
-                    // For beaten status, the user must have all progression achievements AND at least one win achievement (if any required)
-                    // AND at least one of those achievements must have been earned this month
-                    else if (totalValidProgressionAchievements.length === progressionAchievements.length && 
-                             (winAchievements.length === 0 || totalValidWinAchievements.length > 0) &&
-                             (earnedProgressionInMonth.length > 0 || earnedWinInMonth.length > 0)) {
-                        award = AWARD_EMOJIS.BEATEN;
-                        points = 4;
-                    }
-                    // For participation, at least one achievement must be earned this month
-                    else if (achievementsEarnedThisMonth.length > 0) {
-                        award = AWARD_EMOJIS.PARTICIPATION;
-                        points = 1;
-                    }
+            // Read progress from the snapshots stored by the stats update service
+            const monthKey = User.formatDateKey(currentChallenge.date);
+            let lastUpdated = null;
+            const userProgress = users.map(user => {
+                const snapshot = user.monthlyChallenges.get(monthKey);
+
+                // Only include users who have earned achievements during the challenge month
+                if (!snapshot || !snapshot.earnedThisMonth) {
+                    return null;
+                }
 
-                    return {
-                        username: user.raUsername,
-                        achieved: allEarnedAchievements.length,
-                        percentage: (allEarnedAchievements.length / currentChallenge.monthly_challange_game_total * 100).toFixed(2),
-                        award,
-                        points,
-                        earnedThisMonth: achievementsEarnedThisMonth.length
-                    };
+                if (snapshot.updatedAt && (!lastUpdated || snapshot.updatedAt > lastUpdated)) {
+                    lastUpdated = snapshot.updatedAt;
                 }
-                return null;
-            }));
+
+                return {
+                    username: user.raUsername,
+                    achieved: snapshot.earnedThisMonth,
+                    percentage: (snapshot.earnedThisMonth / currentChallenge.monthly_challange_game_total * 100).toFixed(2),
+                    award: AWARD_EMOJIS[scoringService.getAwardKey(snapshot.progress)] || '',
+                    points: scoringService.getPointsForAward(snapshot.progress),
+                    earnedThisMonth: snapshot.earnedThisMonth
+                };
+            });
 
             // Filter out null entries and sort by achievements and points
             const sortedProgress = userProgress
@@ -182,15 +116,14 @@ export default {
                 });
 
             // Get month name for the title
-            const monthName = now.toLocaleString('default', { month: 'long' });
+            const monthName = calendarService.formatDate(currentMonthStart, { month: 'long' });
             
             // Calculate challenge end date and time remaining
-            const challengeEndDate = new Date(nextMonthStart);
-            challengeEndDate.setDate(challengeEndDate.getDate() - 1); // Last day of current month
-            challengeEndDate.setHours(23, 59, 59);  // Set to 11:59 PM
+            const challengeEndDate = new Date(nextMonthStart.getTime() - 1000); // 11:59:59 PM on the last day of the month
+            const { year: endYear, day: endDay } = calendarService.getParts(challengeEndDate);
             
             // Format the end date
-            const endDateFormatted = `${monthName} ${challengeEndDate.getDate()}${getDaySuffix(challengeEndDate.getDate())}, ${challengeEndDate.getFullYear()} at 11:59 PM`;
+            const endDateFormatted = `${monthName} ${endDay}${getDaySuffix(endDay)}, ${endYear} at 11:59 PM (${calendarService.timezone})`;
             
             // Calculate time remaining
             const timeRemaining = formatTimeRemaining(challengeEndDate, now);
@@ -262,13 +195,19 @@ export default {
             // Add legend
             embed.addFields({
                 name: 'Legend',
-                value: `${AWARD_EMOJIS.MASTERY} Mastery (3 points) - All achievements must be earned this month\n` +
-                       `${AWARD_EMOJIS.BEATEN} Beaten (3 points) - Must complete all progression requirements this month\n` +
-                       `${AWARD_EMOJIS.PARTICIPATION} Participation (1 point) - At least one achievement earned this month`,
+                value: `${AWARD_EMOJIS.MASTERY} Mastery (${scoringService.formatAwardPoints(AwardType.MASTERY)}) - All achievements must be earned this month\n` +
+                       `${AWARD_EMOJIS.BEATEN} Beaten (${scoringService.formatAwardPoints(AwardType.BEATEN)}) - Must complete all progression requirements this month\n` +
+                       `${AWARD_EMOJIS.PARTICIPATION} Participation (${scoringService.formatAwardPoints(AwardType.PARTICIPATION)}) - At least one achievement earned this month`,
                 inline: true
             });
 
-            return interaction.editReply({ embeds: [embed] });
+            // Show when the stored progress was last refreshed
+            embed.setFooter({ text: lastUpdated ? 'Progress last updated' : 'Progress has not been updated yet this month' });
+            if (lastUpdated) {
+                embed.setTimestamp(lastUpdated);
+            }
+
+            return interaction.editReply({ content: '', embeds: [embed] });
 
         } catch (error) {
             console.error('Error displaying leaderboard:', error);
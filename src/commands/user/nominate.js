@@ -1,61 +1,223 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import retroAPI from '../../services/retroAPI.js';
+import nominationRulesService from '../../services/nominationRulesService.js';
+import calendarService from '../../services/calendarService.js';
+import nominationCycleService from '../../services/nominationCycleService.js';
+import gameCatalogService from '../../services/gameCatalogService.js';
+import nominationThreadService from '../../services/nominationThreadService.js';
+import { getUserErrorMessage } from '../../services/retroAPIErrors.js';
 
 export default {
     data: new SlashCommandBuilder()
         .setName('nominate')
         .setDescription('Nominate a game for the next monthly challenge')
-        .addStringOption(option =>
-            option.setName('gameid')
-            .setDescription('The RetroAchievements Game ID')
-            .setRequired(true)),
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Nominate a game for the next monthly challenge')
+                .addStringOption(option =>
+                    option.setName('gameid')
+                    .setDescription('Game title or RetroAchievements Game ID')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('pitch')
+                    .setDescription('Why should we play it? Shown with the nominations')
+                    .setRequired(false)
+                    .setMaxLength(300)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('withdraw')
+                .setDescription('Take back one of your nominations')
+                .addStringOption(option =>
+                    option.setName('gameid')
+                    .setDescription('The Game ID you nominated')
+                    .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('replace')
+                .setDescription('Swap one of your nominations for another game')
+                .addStringOption(option =>
+                    option.setName('old')
+                    .setDescription('The Game ID you nominated')
+                    .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('new')
+                    .setDescription('Game title or RetroAchievements Game ID to nominate instead')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('pitch')
+                    .setDescription('Why should we play it? Shown with the nominations')
+                    .setRequired(false)
+                    .setMaxLength(300))),
+
+    async autocomplete(interaction) {
+        return gameCatalogService.respondWithGames(interaction);
+    },
 
     async execute(interaction) {
         await interaction.deferReply();
 
         try {
-            const gameId = interaction.options.getString('gameid');
-
             // Find the user
             const user = await User.findOne({ discordId: interaction.user.id });
             if (!user) {
                 return interaction.editReply('You are not registered. Please ask an admin to register you first.');
             }
 
-            // Check if the game exists
-            const gameInfo = await retroAPI.getGameInfo(gameId);
-            if (!gameInfo) {
-                return interaction.editReply('Game not found. Please check the game ID.');
+            // Nominations can't be changed once the cycle's window has closed
+            const cycle = await nominationCycleService.getCurrentCycle();
+            if (!cycle.isOpen()) {
+                return interaction.editReply(
+                    `Nominations closed on ${calendarService.formatDate(cycle.closesAt)} and can no longer be changed this month.`
+                );
             }
 
-            // Get current nominations
-            const currentNominations = user.getCurrentNominations();
-            if (currentNominations.length >= 2) {
-                return interaction.editReply('You have already nominated 2 games this month. Please wait for next month to nominate again.');
-            }
+            const subcommand = interaction.options.getSubcommand();
 
-            // Check if this game was already nominated by this user
-            if (currentNominations.some(nom => nom.gameId === gameId)) {
-                return interaction.editReply('You have already nominated this game this month.');
+            switch (subcommand) {
+                case 'add':
+                    await this.addNomination(interaction, user, cycle);
+                    break;
+                case 'withdraw':
+                    await this.withdrawNomination(interaction, user, cycle);
+                    break;
+                case 'replace':
+                    await this.replaceNomination(interaction, user, cycle);
+                    break;
+                default:
+                    await interaction.editReply('Invalid subcommand');
             }
+        } catch (error) {
+            console.error('Error nominating game:', error);
+            return interaction.editReply(
+                getUserErrorMessage(error, 'Game not found. Please check the game ID.') ||
+                'An error occurred while nominating the game. Please try again.'
+            );
+        }
+    },
 
-            // Add the nomination
-            user.nominations.push({
-                gameId,
-                nominatedAt: new Date()
-            });
+    async addNomination(interaction, user, cycle) {
+        const gameId = await gameCatalogService.resolveGameId(interaction.options.getString('gameid'));
+        if (!gameId) {
+            return interaction.editReply('Game not found. Please check the game ID.');
+        }
 
-            await user.save();
+        // Check if the game exists
+        const gameInfo = await retroAPI.getGameInfo(gameId);
+        if (!gameInfo) {
+            return interaction.editReply('Game not found. Please check the game ID.');
+        }
 
-            return interaction.editReply({
-                content: `Successfully nominated ${gameInfo.title} for next month's challenge!\n` +
-                    `You have ${2 - (currentNominations.length + 1)} nominations remaining this month.`
-            });
+        // Get the nominations of this cycle
+        const currentNominations = user.getCycleNominations(cycle);
+        if (currentNominations.length >= 2) {
+            return interaction.editReply('You have already nominated 2 games this month. ' +
+                'Use /nominate replace or /nominate withdraw to change them.');
+        }
 
-        } catch (error) {
-            console.error('Error nominating game:', error);
-            return interaction.editReply('An error occurred while nominating the game. Please try again.');
+        // Check if this game was already nominated by this user
+        if (currentNominations.some(nom => nom.gameId === gameId)) {
+            return interaction.editReply('You have already nominated this game this month.');
+        }
+
+        const rejection = await this.checkRules(gameId, gameInfo);
+        if (rejection) {
+            return interaction.editReply(rejection);
+        }
+
+        // Add the nomination
+        const pitch = interaction.options.getString('pitch')?.trim() || undefined;
+        user.nominations.push({
+            gameId,
+            nominatedAt: new Date(),
+            pitch
+        });
+
+        await user.save();
+
+        const thread = await nominationThreadService.postNomination(gameId, gameInfo, user.raUsername, pitch);
+
+        return interaction.editReply({
+            content: `Successfully nominated ${gameInfo.title} for next month's challenge!\n` +
+                `You have ${2 - (currentNominations.length + 1)} nominations remaining this month.` +
+                (thread ? `\nDiscuss it in ${thread}.` : '')
+        });
+    },
+
+    async withdrawNomination(interaction, user, cycle) {
+        const gameId = interaction.options.getString('gameid');
+
+        const nomination = user.getCycleNominations(cycle).find(nom => nom.gameId === gameId);
+        if (!nomination) {
+            return interaction.editReply('You have not nominated this game this month.');
+        }
+
+        user.nominations.pull(nomination._id);
+        await user.save();
+
+        await nominationThreadService.removeNomination(gameId, cycle,
+            `↩️ **${user.raUsername}** withdrew their nomination.`);
+
+        const remaining = 2 - user.getCycleNominations(cycle).length;
+        return interaction.editReply(`Your nomination of game ${gameId} has been withdrawn. ` +
+            `You have ${remaining} nomination${remaining !== 1 ? 's' : ''} remaining this month.`);
+    },
+
+    async replaceNomination(interaction, user, cycle) {
+        const oldGameId = interaction.options.getString('old');
+        const newGameId = await gameCatalogService.resolveGameId(interaction.options.getString('new'));
+        if (!newGameId) {
+            return interaction.editReply('Game not found. Please check the game ID.');
+        }
+
+        const currentNominations = user.getCycleNominations(cycle);
+        const nomination = currentNominations.find(nom => nom.gameId === oldGameId);
+        if (!nomination) {
+            return interaction.editReply('You have not nominated this game this month.');
+        }
+
+        if (currentNominations.some(nom => nom.gameId === newGameId)) {
+            return interaction.editReply('You have already nominated this game this month.');
         }
+
+        // Check if the new game exists
+        const gameInfo = await retroAPI.getGameInfo(newGameId);
+        if (!gameInfo) {
+            return interaction.editReply('Game not found. Please check the game ID.');
+        }
+
+        const rejection = await this.checkRules(newGameId, gameInfo);
+        if (rejection) {
+            return interaction.editReply(rejection);
+        }
+
+        // The replacement counts as a new nomination, the old pitch was about the other game
+        const pitch = interaction.options.getString('pitch')?.trim() || undefined;
+        nomination.gameId = newGameId;
+        nomination.nominatedAt = new Date();
+        nomination.pitch = pitch;
+        await user.save();
+
+        await nominationThreadService.removeNomination(oldGameId, cycle,
+            `↩️ **${user.raUsername}** replaced their nomination with ${gameInfo.title}.`);
+        const thread = await nominationThreadService.postNomination(newGameId, gameInfo, user.raUsername, pitch);
+
+        return interaction.editReply(`Your nomination of game ${oldGameId} has been replaced with ${gameInfo.title}.` +
+            (thread ? `\nDiscuss it in ${thread}.` : ''));
+    },
+
+    /**
+     * Check a game against the nomination rules
+     * @returns {Promise<string|null>} Rejection message, null if the game can be nominated
+     */
+    async checkRules(gameId, gameInfo) {
+        const failures = await nominationRulesService.checkGame(gameId, gameInfo);
+        if (failures.length === 0) return null;
+
+        return `${gameInfo.title} can't be nominated:\n` +
+            failures.map(failure => `• ${failure.reason}`).join('\n');
     }
-};
\ No newline at end of file
+};
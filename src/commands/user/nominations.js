@@ -1,91 +1,366 @@
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
 import { User } from '../../models/User.js';
+import { Game } from '../../models/Game.js';
 import retroAPI from '../../services/retroAPI.js';
+import nominationThreadService from '../../services/nominationThreadService.js';
+import nominationHistoryService from '../../services/nominationHistoryService.js';
+import nominationCycleService from '../../services/nominationCycleService.js';
+import calendarService from '../../services/calendarService.js';
+
+// Games per page, each game takes one embed field
+const PAGE_SIZE = 5;
+
+// Orders the list can be sorted in, the first one is the default
+const SORTS = {
+    count: (a, b) => b.count - a.count || a.title.localeCompare(b.title),
+    title: (a, b) => a.title.localeCompare(b.title),
+    console: (a, b) => a.consoleName.localeCompare(b.consoleName) || a.title.localeCompare(b.title),
+    newest: (a, b) => b.lastNominatedAt - a.lastNominatedAt
+};
+
+// Join lines into an embed field value, leaving out the lines past the 1024 character limit
+const joinLines = (lines) => {
+    let value = '';
+    for (const line of lines) {
+        if (value.length + line.length + 1 > 1024) break;
+        value += (value ? '\n' : '') + line;
+    }
+    return value;
+};
 
 export default {
     data: new SlashCommandBuilder()
         .setName('nominations')
-        .setDescription('Show all current nominations for the next monthly challenge'),
+        .setDescription('Show nominations for the next monthly challenge')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show all current nominations for the next monthly challenge')
+                .addStringOption(option =>
+                    option.setName('sort')
+                    .setDescription('Order of the games (default: most nominated first)')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Most nominated', value: 'count' },
+                        { name: 'Title', value: 'title' },
+                        { name: 'Console', value: 'console' },
+                        { name: 'Newest nomination', value: 'newest' }
+                    ))
+                .addStringOption(option =>
+                    option.setName('console')
+                    .setDescription('Only show games for this console (name or ID)')
+                    .setRequired(false)
+                    .setMaxLength(30))
+                .addStringOption(option =>
+                    option.setName('nominator')
+                    .setDescription('Only show games nominated by this RetroAchievements user')
+                    .setRequired(false)
+                    .setMaxLength(20))
+                .addIntegerOption(option =>
+                    option.setName('min_nominations')
+                    .setDescription('Only show games with at least this many nominations')
+                    .setRequired(false)
+                    .setMinValue(1)
+                    .setMaxValue(99)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('stats')
+                .setDescription('Show nomination statistics of past months')
+                .addStringOption(option =>
+                    option.setName('username')
+                    .setDescription('Show the nomination history of this RetroAchievements user')
+                    .setRequired(false))),
 
     async execute(interaction) {
         await interaction.deferReply();
 
         try {
-            // Get all users
-            const users = await User.find({});
-
-            // Get all current nominations
-            let allNominations = [];
-            for (const user of users) {
-                const nominations = user.getCurrentNominations();
-                allNominations.push(...nominations.map(nom => ({
-                    gameId: nom.gameId,
-                    nominatedBy: user.raUsername,
-                    nominatedAt: nom.nominatedAt
-                })));
-            }
+            const subcommand = interaction.options.getSubcommand();
 
-            if (allNominations.length === 0) {
-                return interaction.editReply('No games have been nominated for next month yet.');
+            switch (subcommand) {
+                case 'list':
+                    await this.showList(interaction);
+                    break;
+                case 'stats':
+                    await this.showStats(interaction);
+                    break;
+                default:
+                    await interaction.editReply('Invalid subcommand');
             }
+        } catch (error) {
+            console.error('Error displaying nominations:', error);
+            return interaction.editReply('An error occurred while fetching nominations. Please try again.');
+        }
+    },
+
+    async showList(interaction) {
+        const view = {
+            page: 0,
+            sort: interaction.options.getString('sort') || 'count',
+            minCount: interaction.options.getInteger('min_nominations') || 1,
+            nominator: interaction.options.getString('nominator') || '',
+            console: interaction.options.getString('console') || ''
+        };
+
+        return interaction.editReply(await this.buildPage(view));
+    },
+
+    async showStats(interaction) {
+        const raUsername = interaction.options.getString('username');
+        if (raUsername) {
+            return interaction.editReply(await this.buildMemberHistory(raUsername));
+        }
+
+        const [neverChosen, nominators] = await Promise.all([
+            nominationHistoryService.getNeverChosenGames(),
+            nominationHistoryService.getNominatorStats()
+        ]);
+
+        if (nominators.length === 0) {
+            return interaction.editReply('No nominations have been archived yet. Statistics start after the first month ends.');
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle('📊 Nomination Statistics')
+            .setDescription('Nominations of past months. Use `/nominations stats username:<name>` for a member\'s history.')
+            .setColor('#00BFFF')
+            .setTimestamp();
+
+        embed.addFields({
+            name: 'Most Nominated, Never Chosen',
+            value: neverChosen.length > 0
+                ? joinLines(neverChosen.map((game, index) =>
+                    `${index + 1}. [${game.title}](https://retroachievements.org/game/${game.gameId}) - ` +
+                    `${game.nominations} nomination${game.nominations !== 1 ? 's' : ''} in ${game.months} month${game.months !== 1 ? 's' : ''}, ` +
+                    `on ${game.ballots} ballot${game.ballots !== 1 ? 's' : ''}`
+                ))
+                : 'Every nominated game has been chosen!'
+        });
+
+        embed.addFields({
+            name: 'Nominators',
+            value: joinLines(nominators.map(member =>
+                `**${member.raUsername}** - ${member.nominations} nomination${member.nominations !== 1 ? 's' : ''}, ` +
+                `${member.ballots} on the ballot, ${member.wins} won`
+            ))
+        });
+
+        return interaction.editReply({ embeds: [embed] });
+    },
+
+    async buildMemberHistory(raUsername) {
+        const history = await nominationHistoryService.getMemberHistory(raUsername);
+        if (history.length === 0) {
+            return `No archived nominations found for ${raUsername}.`;
+        }
+
+        const ballots = history.filter(nomination => nomination.madeBallot).length;
+        const wins = history.filter(nomination => nomination.won).length;
+
+        // Newest first, as many as fit in one field
+        const lines = history.map(nomination =>
+            `${calendarService.formatDate(nomination.month, { month: 'short', year: 'numeric' })} - ` +
+            `${nomination.title}${nomination.won ? ' 🏆' : nomination.madeBallot ? ' 🗳️' : ''}`
+        );
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📊 Nomination History: ${history[0].raUsername}`)
+            .setDescription(
+                `${history.length} nomination${history.length !== 1 ? 's' : ''}, ` +
+                `${ballots} made the ballot (${Math.round(ballots / history.length * 100)}%), ${wins} won`
+            )
+            .setColor('#00BFFF')
+            .addFields({ name: 'Nominations', value: joinLines(lines) })
+            .setFooter({ text: '🗳️ made the ballot | 🏆 won the vote' })
+            .setTimestamp();
+
+        return { embeds: [embed] };
+    },
+
+    /**
+     * Show another page of the list, the view is kept in the button custom IDs
+     * @param {Object} interaction - Page button interaction
+     */
+    async handleComponent(interaction) {
+        await interaction.update(await this.buildPage(this.parseView(interaction.customId)));
+    },
+
+    /**
+     * Build the reply showing one page of the nominations
+     * @param {Object} view - page, sort, minCount, nominator and console filters
+     * @returns {Promise<Object>} Message payload
+     */
+    async buildPage(view) {
+        const allGames = await this.getNominatedGames();
+        if (allGames.length === 0) {
+            return { content: 'No games have been nominated for next month yet.', embeds: [], components: [] };
+        }
 
-            // Count nominations per game
-            const nominationCounts = {};
-            allNominations.forEach(nom => {
-                if (!nominationCounts[nom.gameId]) {
-                    nominationCounts[nom.gameId] = {
+        const games = this.filterGames(allGames, view).sort(SORTS[view.sort] || SORTS.count);
+        if (games.length === 0) {
+            return { content: 'No nominated games match these filters.', embeds: [], components: [] };
+        }
+
+        const pageCount = Math.ceil(games.length / PAGE_SIZE);
+        const page = Math.min(Math.max(view.page, 0), pageCount - 1);
+
+        // Create embed
+        const embed = new EmbedBuilder()
+            .setTitle('🎮 Current Nominations')
+            .setDescription('Games nominated for next month\'s challenge:' + this.describeFilters(view))
+            .setColor('#00BFFF')
+            .setTimestamp();
+
+        // Discussion threads opened in the voting channel
+        const threadIds = await nominationThreadService.getThreadIds();
+
+        for (const game of games.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE)) {
+            embed.addFields(this.buildGameField(game, threadIds.get(game.gameId)));
+        }
+
+        // Add footer with total count
+        const totalNominations = allGames.reduce((sum, game) => sum + game.count, 0);
+        embed.setFooter({
+            text: `Page ${page + 1}/${pageCount} | Total nominations: ${totalNominations} | Unique games: ${allGames.length}`
+        });
+
+        const components = [];
+        if (pageCount > 1) {
+            components.push(new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId({ ...view, page: page - 1 }))
+                    .setLabel('◀ Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page === 0),
+                new ButtonBuilder()
+                    .setCustomId(this.buildCustomId({ ...view, page: page + 1 }))
+                    .setLabel('Next ▶')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page === pageCount - 1)
+            ));
+        }
+
+        return { content: '', embeds: [embed], components };
+    },
+
+    /**
+     * Collect the current cycle's nominations per game, with game metadata from the
+     * game catalogue. Games missing from it are looked up in RetroAchievements.
+     * @returns {Promise<Array<Object>>} Nominated games
+     */
+    async getNominatedGames() {
+        const users = await User.find({});
+        const cycle = await nominationCycleService.getCurrentCycle();
+
+        const gamesById = new Map();
+        for (const user of users) {
+            for (const nom of user.getCycleNominations(cycle)) {
+                if (!gamesById.has(nom.gameId)) {
+                    gamesById.set(nom.gameId, {
+                        gameId: nom.gameId,
                         count: 0,
-                        nominatedBy: []
-                    };
-                }
-                nominationCounts[nom.gameId].count++;
-                nominationCounts[nom.gameId].nominatedBy.push(nom.nominatedBy);
-            });
-
-            // Get unique game IDs
-            const uniqueGameIds = [...new Set(allNominations.map(nom => nom.gameId))];
-
-            // Get game info for all nominated games
-            //const gameInfoPromises = uniqueGameIds.map(gameId => retroAPI.getGameInfo(gameId));
-            //const gamesInfo = await Promise.all(gameInfoPromises);
-
-            // Create embed
-            const embed = new EmbedBuilder()
-                .setTitle('🎮 Current Nominations')
-                .setDescription(`Games nominated for next month's challenge:`)
-                .setColor('#00BFFF')
-                .setTimestamp();
-
-            // Sort games by nomination count (descending)
-            const sortedGames = uniqueGameIds.sort((a, b) => 
-                nominationCounts[b].count - nominationCounts[a].count
-            );
-
-            // Add fields for each game
-            for (const gameId of sortedGames) {
-                const gameInfo = await retroAPI.getGameInfo(gameId);
-                const gameAchievementCount = await retroAPI.getGameAchievementCount(gameId);
-                const nominations = nominationCounts[gameId];
-                if (nominations && nominations.count > 0) {
-                    embed.addFields({
-                        name: `${gameInfo.title} (${nominations.count} nomination${nominations.count > 1 ? 's' : ''})`,
-                        value: `Achievements: ${gameAchievementCount}\n` +
-                               `Nominated by: ${nominations.nominatedBy.join(', ')}\n` +
-                               `[View Game](https://retroachievements.org/game/${gameId})`
+                        nominatedBy: [],
+                        pitches: [],
+                        lastNominatedAt: nom.nominatedAt
                     });
                 }
+
+                const game = gamesById.get(nom.gameId);
+                game.count++;
+                game.nominatedBy.push(user.raUsername);
+                if (nom.pitch) {
+                    game.pitches.push(`> ${nom.pitch.replace(/\n/g, ' ')} — ${user.raUsername}`);
+                }
+                if (nom.nominatedAt > game.lastNominatedAt) {
+                    game.lastNominatedAt = nom.nominatedAt;
+                }
             }
+        }
 
-            // Add footer with total count
-            embed.setFooter({ 
-                text: `Total nominations: ${allNominations.length} | Unique games: ${uniqueGameIds.length}`
-            });
+        if (gamesById.size === 0) return [];
 
-            return interaction.editReply({ embeds: [embed] });
+        const catalogue = await Game.find({ gameId: { $in: [...gamesById.keys()] } });
+        const catalogued = new Map(catalogue.map(entry => [entry.gameId, entry]));
 
-        } catch (error) {
-            console.error('Error displaying nominations:', error);
-            return interaction.editReply('An error occurred while fetching nominations. Please try again.');
+        return Promise.all([...gamesById.values()].map(async game => {
+            const entry = catalogued.get(game.gameId);
+            if (entry) {
+                return {
+                    ...game,
+                    title: entry.title,
+                    consoleId: entry.consoleId,
+                    consoleName: entry.consoleName || '',
+                    achievementCount: entry.numAchievements
+                };
+            }
+
+            const [gameInfo, achievementCount] = await Promise.all([
+                retroAPI.getGameInfo(game.gameId),
+                retroAPI.getGameAchievementCount(game.gameId)
+            ]);
+            return {
+                ...game,
+                title: gameInfo.title,
+                consoleId: gameInfo.consoleId,
+                consoleName: gameInfo.consoleName || '',
+                achievementCount
+            };
+        }));
+    },
+
+    filterGames(games, view) {
+        const consoleFilter = view.console.toLowerCase();
+        const nominatorFilter = view.nominator.toLowerCase();
+
+        return games.filter(game =>
+            game.count >= view.minCount &&
+            (!consoleFilter ||
+                String(game.consoleId) === consoleFilter ||
+                game.consoleName.toLowerCase().includes(consoleFilter)) &&
+            (!nominatorFilter || game.nominatedBy.some(name => name.toLowerCase() === nominatorFilter))
+        );
+    },
+
+    describeFilters(view) {
+        const filters = [];
+        if (view.console) filters.push(`console: ${view.console}`);
+        if (view.nominator) filters.push(`nominated by: ${view.nominator}`);
+        if (view.minCount > 1) filters.push(`at least ${view.minCount} nominations`);
+        return filters.length > 0 ? `\n*Filtered by ${filters.join(', ')}*` : '';
+    },
+
+    buildGameField(game, threadId) {
+        const links = `[View Game](https://retroachievements.org/game/${game.gameId})` +
+            (threadId ? ` | Discussion: <#${threadId}>` : '');
+        const details = `Achievements: ${game.achievementCount}\n` +
+            `Nominated by: ${game.nominatedBy.join(', ')}\n`;
+
+        // Pitches are cut short to fit the 1024 character field limit
+        let pitches = game.pitches.join('\n');
+        const room = 1024 - details.length - links.length - 2;
+        if (pitches.length > room) {
+            pitches = `${pitches.slice(0, Math.max(room - 1, 0))}…`;
         }
+
+        return {
+            name: `${game.title} (${game.count} nomination${game.count > 1 ? 's' : ''})`,
+            value: details + (pitches ? `${pitches}\n` : '') + links
+        };
+    },
+
+    // The console filter goes last, it is the only part that can contain colons
+    buildCustomId(view) {
+        return ['nominations', view.page, view.sort, view.minCount, view.nominator, view.console].join(':');
+    },
+
+    parseView(customId) {
+        const [, page, sort, minCount, nominator, ...consoleParts] = customId.split(':');
+        return {
+            page: parseInt(page) || 0,
+            sort,
+            minCount: parseInt(minCount) || 1,
+            nominator,
+            console: consoleParts.join(':')
+        };
     }
 };
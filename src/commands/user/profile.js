@@ -2,6 +2,8 @@ import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import { Challenge } from '../../models/Challenge.js';
 import retroAPI from '../../services/retroAPI.js';
+import scoringService from '../../services/scoringService.js';
+import calendarService from '../../services/calendarService.js';
 
 const AWARD_EMOJIS = {
     MASTERY: '✨',
@@ -15,39 +17,6 @@ const RANK_EMOJIS = {
     3: '🥉'
 };
 
-// Award points constants - with hierarchical values
-const POINTS = {
-    MASTERY: 7,
-    BEATEN: 4,
-    PARTICIPATION: 1
-};
-
-function isDateInCurrentMonth(dateString) {
-    // Parse the input date string
-    const inputDate = new Date(dateString.replace(' ', 'T'));
-    
-    // Get the current date
-    const currentDate = new Date();
-    
-    // Get the first day of the current month
-    const firstDayOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-    
-    // Get the last day of the previous month
-    const lastDayOfPrevMonth = new Date(firstDayOfMonth);
-    lastDayOfPrevMonth.setDate(lastDayOfPrevMonth.getDate() - 1);
-    
-    // Check if the input date is in the current month
-    const isCurrentMonth = inputDate.getMonth() === currentDate.getMonth() && 
-                           inputDate.getFullYear() === currentDate.getFullYear();
-                           
-    // Check if the input date is the last day of the previous month
-    const isLastDayOfPrevMonth = inputDate.getDate() === lastDayOfPrevMonth.getDate() &&
-                                inputDate.getMonth() === lastDayOfPrevMonth.getMonth() &&
-                                inputDate.getFullYear() === lastDayOfPrevMonth.getFullYear();
-    
-    return isCurrentMonth || isLastDayOfPrevMonth;
-  }
-
 export default {
     data: new SlashCommandBuilder()
         .setName('profile')
@@ -81,10 +50,8 @@ export default {
                 }
             }
 
-            // Get current date for finding current challenges
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            // Current month in the community timezone
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
             // Get current challenges
             const currentChallenge = await Challenge.findOne({
@@ -105,74 +72,22 @@ export default {
                     raUsername,
                     currentChallenge.monthly_challange_gameid
                 );
-                
-                // Get the user's earned achievements (all-time)
-                const achievementsEarnedThisMonth = Object.entries(mainGameProgress.achievements)
-                    .filter(([id, data]) => data.hasOwnProperty('dateEarned') && isDateInCurrentMonth(data.dateEarned))
-                    .map(([id, data]) => id);
+                const mainScore = scoringService.scoreProgress(currentChallenge, mainGameProgress);
 
-                // Check for progression achievements earned this month
-                const progressionAchievements = currentChallenge.monthly_challange_progression_achievements || [];
-                const earnedProgressionInMonth = progressionAchievements.filter(id => 
-                    achievementsEarnedThisMonth.includes(id)
-                );
-                
-                // Check for win achievements earned this month
-                const winAchievements = currentChallenge.monthly_challange_win_achievements || [];
-                const earnedWinInMonth = winAchievements.filter(id => 
-                    achievementsEarnedThisMonth.includes(id)
-                );
-                
-                // Count total valid progression achievements (either earned this month or previously)
-                const totalValidProgressionAchievements = progressionAchievements.filter(id => 
-                    achievementsEarnedThisMonth.includes(id)
-                );
-                
-                // Count total valid win achievements (either earned this month or previously)
-                const totalValidWinAchievements = winAchievements.filter(id => 
-                    achievementsEarnedThisMonth.includes(id)
-                );
-
-                // Calculate award level for monthly challenge based on specific achievements
-                let monthlyPoints = 0;
-                let award = 'None';
-                
-                // Check if user has all achievements in the game
-                const hasAllAchievements = achievementsEarnedThisMonth.length === currentChallenge.monthly_challange_game_total;
-
-                // To get mastery points this month, user must have earned at least one achievement this month
-                // AND have the game 100% completed now
-                if (achievementsEarnedThisMonth.length > 0 && hasAllAchievements) {
-                    monthlyPoints = 7; // Mastery
-                    award = 'Mastery';
-                } 
-                // For beaten status, the user must have all progression achievements AND at least one win achievement (if any required)
-                // AND at least one of those achievements must have been earned this month
-                else if (totalValidProgressionAchievements.length === progressionAchievements.length && 
-                         (winAchievements.length === 0 || totalValidWinAchievements.length > 0) &&
-                         (earnedProgressionInMonth.length > 0 || earnedWinInMonth.length > 0)) {
-                    monthlyPoints = 4; // Beaten - using this same value for database consistency
-                    award = 'Beaten';
-                } 
-                // For participation, at least one achievement must be earned this month
-                else if (achievementsEarnedThisMonth.length > 0) {
-                    monthlyPoints = 1; // Participation
-                    award = 'Participation';
-                }
-                
                 // Update user's monthly challenge progress in the database
                 const monthKey = User.formatDateKey(currentChallenge.date);
-                user.monthlyChallenges.set(monthKey, { progress: monthlyPoints });
+                user.monthlyChallenges.set(monthKey, scoringService.toSnapshot(mainScore));
                 
                 // Add progress to the display array
-                if (achievementsEarnedThisMonth.length > 0) {
+                if (mainScore.earnedThisMonth > 0) {
                     currentGamesProgress.push({
                         title: mainGameProgress.title,
-                        earned: achievementsEarnedThisMonth.length,
+                        earned: mainScore.earned,
                         total: currentChallenge.monthly_challange_game_total,
-                        percentage: (achievementsEarnedThisMonth.length / currentChallenge.monthly_challange_game_total * 100).toFixed(1),
-                        award: award,
-                        earnedThisMonth: achievementsEarnedThisMonth.length
+                        percentage: (mainScore.earned / currentChallenge.monthly_challange_game_total * 100).toFixed(1),
+                        award: mainScore.awardKey,
+                        points: mainScore.points,
+                        earnedThisMonth: mainScore.earnedThisMonth
                     });
                 }
 
@@ -182,84 +97,20 @@ export default {
                         raUsername,
                         currentChallenge.shadow_challange_gameid
                     );
-
-                    // Check for shadow achievements earned during the challenge month
-                    const userShadowAchievements = shadowGameProgress.achievements || {};
-                    
-                    // Filter shadow achievements earned during the current month
-                    let shadowAchievementsEarnedThisMonth = Object.entries(userShadowAchievements)
-                        .filter(([id, data]) => {
-                            if (!data.dateEarned) return false;
-                            const earnedDate = new Date(data.dateEarned);
-                            return earnedDate >= currentMonthStart;
-                        })
-                        .map(([id]) => id);
-
-                    // Get all shadow achievements earned (all-time)
-                    const allEarnedShadowAchievements = Object.entries(shadowGameProgress.achievements)
-                        .filter(([id, data]) => data.hasOwnProperty('dateEarned') && isDateInCurrentMonth(data.dateEarned))
-                        .map(([id, data]) => id);
-
-                    // Check for progression shadow achievements earned this month
-                    const progressionShadowAchievements = currentChallenge.shadow_challange_progression_achievements || [];
-                    const earnedShadowProgressionInMonth = progressionShadowAchievements.filter(id => 
-                        shadowAchievementsEarnedThisMonth.includes(id)
-                    );
-                    
-                    // Check for win shadow achievements earned this month
-                    const winShadowAchievements = currentChallenge.shadow_challange_win_achievements || [];
-                    const earnedShadowWinInMonth = winShadowAchievements.filter(id => 
-                        shadowAchievementsEarnedThisMonth.includes(id)
-                    );
-                    
-                    // Count total valid progression shadow achievements (either earned this month or previously)
-                    const totalValidShadowProgressionAchievements = progressionShadowAchievements.filter(id => 
-                        allEarnedShadowAchievements.includes(id)
-                    );
-                    
-                    // Count total valid win shadow achievements (either earned this month or previously)
-                    const totalValidShadowWinAchievements = winShadowAchievements.filter(id => 
-                        allEarnedShadowAchievements.includes(id)
-                    );
-
-                    // Calculate award level for shadow challenge based on specific achievements
-                    let shadowPoints = 0;
-                    let shadowAward = 'None';
-                    
-                    // Check if user has all achievements in the shadow game
-                    const hasAllShadowAchievements = shadowAchievementsEarnedThisMonth.length === currentChallenge.shadow_challange_game_total;
-
-                    // To get mastery points this month, user must have earned at least one achievement this month
-                    // AND have the game 100% completed now
-                    if (shadowAchievementsEarnedThisMonth.length > 0 && hasAllShadowAchievements) {
-                        shadowPoints = 7; // Mastery
-                        shadowAward = 'Mastery';
-                    } 
-                    // For beaten status, the user must have all progression achievements AND at least one win achievement (if any required)
-                    // AND at least one of those achievements must have been earned this month
-                    else if (totalValidShadowProgressionAchievements.length === progressionShadowAchievements.length && 
-                             (winShadowAchievements.length === 0 || totalValidShadowWinAchievements.length > 0) &&
-                             (earnedShadowProgressionInMonth.length > 0 || earnedShadowWinInMonth.length > 0)) {
-                        shadowPoints = 4; // Beaten - using this same value for database consistency
-                        shadowAward = 'Beaten';
-                    } 
-                    // For participation, at least one achievement must be earned this month
-                    else if (shadowAchievementsEarnedThisMonth.length > 0) {
-                        shadowPoints = 1; // Participation
-                        shadowAward = 'Participation';
-                    }
+                    const shadowScore = scoringService.scoreProgress(currentChallenge, shadowGameProgress, true);
                     
                     // Update user's shadow challenge progress in the database
-                    user.shadowChallenges.set(monthKey, { progress: shadowPoints });
+                    user.shadowChallenges.set(monthKey, scoringService.toSnapshot(shadowScore));
                     
-                    if (shadowAchievementsEarnedThisMonth.length > 0) {
+                    if (shadowScore.earnedThisMonth > 0) {
                         currentGamesProgress.push({
                             title: shadowGameProgress.title + " (Shadow)",
-                            earned: shadowGameProgress.numAwardedToUser,
+                            earned: shadowScore.earned,
                             total: currentChallenge.shadow_challange_game_total,
-                            percentage: (shadowAchievementsEarnedThisMonth.length / currentChallenge.shadow_challange_game_total * 100).toFixed(1),
-                            award: shadowAward,
-                            earnedThisMonth: shadowAchievementsEarnedThisMonth.length
+                            percentage: (shadowScore.earned / currentChallenge.shadow_challange_game_total * 100).toFixed(1),
+                            award: shadowScore.awardKey,
+                            points: shadowScore.points,
+                            earnedThisMonth: shadowScore.earnedThisMonth
                         });
                     }
                 }
@@ -284,48 +135,32 @@ export default {
                 challengeMap.set(dateKey, challenge);
             }
 
+            // Lists to add past games to, keyed by stored award
+            const awardLists = {
+                MASTERY: masteredGames,
+                BEATEN: beatenGames,
+                PARTICIPATION: participationGames
+            };
+
             // Process monthly challenges data from user document
             for (const [dateStr, data] of user.monthlyChallenges) {
                 const challenge = challengeMap.get(dateStr);
+                const list = awardLists[scoringService.getAwardKey(data.progress || 0)];
                 
-                if (challenge) {
+                if (challenge && list) {
                     try {
                         const progress = await retroAPI.getUserGameProgress(raUsername, challenge.monthly_challange_gameid);
                             
                         // Calculate completion percentage
                         const percentage = (progress.numAwardedToUser / challenge.monthly_challange_game_total * 100).toFixed(1);
                         
-                        // Determine which array to add to based on completion state and stored progress value
-                        const progressValue = data.progress || 0;
-                        
-                        if (progressValue > 2) {
-                            // This would be either Mastery or Beaten status
-                            if (progress.numAwardedToUser === challenge.monthly_challange_game_total) {
-                                masteredGames.push({
-                                    title: progress.title,
-                                    date: new Date(dateStr),
-                                    earned: progress.numAwardedToUser,
-                                    total: challenge.monthly_challange_game_total,
-                                    percentage
-                                });
-                            } else {
-                                beatenGames.push({
-                                    title: progress.title,
-                                    date: new Date(dateStr),
-                                    earned: progress.numAwardedToUser,
-                                    total: challenge.monthly_challange_game_total,
-                                    percentage
-                                });
-                            }
-                        } else if (progressValue === 1) {
-                            participationGames.push({
-                                title: progress.title,
-                                date: new Date(dateStr),
-                                earned: progress.numAwardedToUser,
-                                total: challenge.monthly_challange_game_total,
-                                percentage
-                            });
-                        }
+                        list.push({
+                            title: progress.title,
+                            date: challenge.date,
+                            earned: progress.numAwardedToUser,
+                            total: challenge.monthly_challange_game_total,
+                            percentage
+                        });
                     } catch (error) {
                         console.error(`Error getting game progress for ${dateStr}:`, error);
                     }
@@ -335,51 +170,23 @@ export default {
             // Process shadow challenges data from user document
             for (const [dateStr, data] of user.shadowChallenges) {
                 const challenge = challengeMap.get(dateStr);
+                const list = awardLists[scoringService.getAwardKey(data.progress || 0)];
                 
                 // Only process if the challenge exists and has a shadow game
-                if (challenge && challenge.shadow_challange_gameid) {
+                if (challenge && challenge.shadow_challange_gameid && list) {
                     try {
                         const progress = await retroAPI.getUserGameProgress(raUsername, challenge.shadow_challange_gameid);
                             
                         // Calculate completion percentage
                         const percentage = (progress.numAwardedToUser / challenge.shadow_challange_game_total * 100).toFixed(1);
                         
-                        // Only add to completed lists if the game has at least some progress
-                        if (progress.numAwardedToUser > 0) {
-                            const shadowTitle = `${progress.title} (Shadow)`;
-                            
-                            // Determine which array to add to based on completion state and stored progress value
-                            const progressValue = data.progress || 0;
-                            
-                            if (progressValue > 2) {
-                                // This would be either Mastery or Beaten status
-                                if (progress.numAwardedToUser === challenge.shadow_challange_game_total) {
-                                    masteredGames.push({
-                                        title: shadowTitle,
-                                        date: new Date(dateStr),
-                                        earned: progress.numAwardedToUser,
-                                        total: challenge.shadow_challange_game_total,
-                                        percentage
-                                    });
-                                } else {
-                                    beatenGames.push({
-                                        title: shadowTitle,
-                                        date: new Date(dateStr),
-                                        earned: progress.numAwardedToUser,
-                                        total: challenge.shadow_challange_game_total,
-                                        percentage
-                                    });
-                                }
-                            } else if (progressValue === 1) {
-                                participationGames.push({
-                                    title: shadowTitle,
-                                    date: new Date(dateStr),
-                                    earned: progress.numAwardedToUser,
-                                    total: challenge.shadow_challange_game_total,
-                                    percentage
-                                });
-                            }
-                        }
+                        list.push({
+                            title: `${progress.title} (Shadow)`,
+                            date: challenge.date,
+                            earned: progress.numAwardedToUser,
+                            total: challenge.shadow_challange_game_total,
+                            percentage
+                        });
                     } catch (error) {
                         console.error(`Error getting shadow game progress for ${dateStr}:`, error);
                     }
@@ -387,7 +194,7 @@ export default {
             }
 
             // Get community awards for the current year
-            const currentYear = new Date().getFullYear();
+            const currentYear = calendarService.getYear();
             const communityAwards = user.getCommunityAwardsForYear(currentYear);
             communityPoints = user.getCommunityPointsForYear(currentYear);
 
@@ -406,20 +213,17 @@ export default {
                 for (const game of currentGamesProgress) {
                     let award = '';
                     let awardText = '';
-                    let pointsEarned = 0;
+                    const pointsEarned = game.points;
                 
-                    if (game.award === 'Mastery') {
+                    if (game.award === 'MASTERY') {
                         award = AWARD_EMOJIS.MASTERY;
                         awardText = 'Mastery - All achievements completed';
-                        pointsEarned = POINTS.MASTERY;
-                    } else if (game.award === 'Beaten') {
+                    } else if (game.award === 'BEATEN') {
                         award = AWARD_EMOJIS.BEATEN;
                         awardText = 'Beaten - All progression + at least 1 win condition';
-                        pointsEarned = POINTS.BEATEN;
-                    } else if (game.earned > 0) {
+                    } else if (game.award === 'PARTICIPATION') {
                         award = AWARD_EMOJIS.PARTICIPATION;
                         awardText = 'Participation';
-                        pointsEarned = POINTS.PARTICIPATION;
                     }
                     
                     challengePoints += pointsEarned;
@@ -459,7 +263,7 @@ export default {
             if (masteredGames.length > 0) {
                 gameAwardsField += `**Mastered Games ${AWARD_EMOJIS.MASTERY}**\n`;
                 masteredGames.forEach(game => {
-                    const monthYear = game.date.toLocaleString('default', { month: 'short', year: 'numeric' });
+                    const monthYear = calendarService.formatDate(game.date, { month: 'short', year: 'numeric' });
                     gameAwardsField += `${game.title} (${monthYear}): ${game.earned}/${game.total} (${game.percentage}%)\n`;
                 });
                 gameAwardsField += '\n';
@@ -468,7 +272,7 @@ export default {
             if (beatenGames.length > 0) {
                 gameAwardsField += `**Beaten Games ${AWARD_EMOJIS.BEATEN}**\n`;
                 beatenGames.forEach(game => {
-                    const monthYear = game.date.toLocaleString('default', { month: 'short', year: 'numeric' });
+                    const monthYear = calendarService.formatDate(game.date, { month: 'short', year: 'numeric' });
                     gameAwardsField += `${game.title} (${monthYear}): ${game.earned}/${game.total} (${game.percentage}%)\n`;
                 });
                 gameAwardsField += '\n';
@@ -477,7 +281,7 @@ export default {
             if (participationGames.length > 0) {
                 gameAwardsField += `**Participation ${AWARD_EMOJIS.PARTICIPATION}**\n`;
                 participationGames.forEach(game => {
-                    const monthYear = game.date.toLocaleString('default', { month: 'short', year: 'numeric' });
+                    const monthYear = calendarService.formatDate(game.date, { month: 'short', year: 'numeric' });
                     gameAwardsField += `${game.title} (${monthYear}): ${game.earned}/${game.total} (${game.percentage}%)\n`;
                 });
             }
@@ -495,7 +299,8 @@ export default {
                     const awardDate = new Date(award.awardedAt).toLocaleDateString('en-US', {
                         year: 'numeric',
                         month: 'short',
-                        day: 'numeric'
+                        day: 'numeric',
+                        timeZone: calendarService.timezone
                     });
                     communityAwardsField += `🌟 **${award.title}** (${award.points} points) - ${awardDate}\n`;
                 });
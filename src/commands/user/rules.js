@@ -1,6 +1,10 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { Challenge } from '../../models/Challenge.js';
 import retroAPI from '../../services/retroAPI.js';
+import calendarService from '../../services/calendarService.js';
+import challengeService from '../../services/challengeService.js';
+import scoringService from '../../services/scoringService.js';
+import { AwardType } from '../../config/config.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -69,19 +73,8 @@ export default {
 
     async displayMonthlyChallenge(interaction) {
         try {
-            // Get current date for finding current challenge
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-            const lastDayOfMonth = new Date(nextMonthStart - 86400000).toISOString().split('T')[0];
-
             // Get current challenge
-            const currentChallenge = await Challenge.findOne({
-                date: {
-                    $gte: currentMonthStart,
-                    $lt: nextMonthStart
-                }
-            });
+            const currentChallenge = await challengeService.getChallengeForMonth();
 
             if (!currentChallenge || !currentChallenge.monthly_challange_gameid) {
                 await interaction.editReply('No active monthly challenge found');
@@ -90,46 +83,8 @@ export default {
 
             // Get game info from RetroAchievements API
             const gameInfo = await retroAPI.getGameInfo(currentChallenge.monthly_challange_gameid);
-            
-            // Get progression and win achievement counts
-            const progressionCount = currentChallenge.monthly_challange_progression_achievements.length;
-            const winCount = currentChallenge.monthly_challange_win_achievements.length;
-            
-            // Get month name
-            const monthName = now.toLocaleString('default', { month: 'long' });
-
-            const embed = new EmbedBuilder()
-                .setTitle(`${monthName} Challenge Rules`)
-                .setURL(`https://retroachievements.org/game/${currentChallenge.monthly_challange_gameid}`)
-                .setColor('#2ECC71')
-                .addFields(
-                    {
-                        name: 'Active Challenge',
-                        value: `**Game:** ${gameInfo.title}\n` +
-                               `**Period:** ${currentMonthStart.toISOString().split('T')[0]} to ${lastDayOfMonth}`
-                    },
-                    {
-                        name: 'Challenge Rules',
-                        value: `• **To participate:** Earn any achievement\n` +
-                               `• **To beat the game:** Complete all ${progressionCount} progression achievements` +
-                               (winCount > 0 ? ` and at least one of the ${winCount} win achievements` : '') + '\n' +
-                               `• **For mastery:** Complete all ${currentChallenge.monthly_challange_game_total} achievements`
-                    },
-                    {
-                        name: 'Point System',
-                        value: `• **Participation:** 1 point (earning any achievement)\n` +
-                               `• **Game Beaten:** 3 points (completing the progression/win requirements)\n` +
-                               `• **Mastery:** 3 points (100% completion)\n\n` +
-                               `*Note: Points must be earned during the active month.*`
-                    }
-                )
-                .setTimestamp();
-
-            if (gameInfo.imageIcon) {
-                embed.setThumbnail(`https://retroachievements.org${gameInfo.imageIcon}`);
-            }
 
-            await interaction.editReply({ embeds: [embed] });
+            await interaction.editReply({ embeds: [challengeService.buildRulesEmbed(currentChallenge, gameInfo)] });
         } catch (error) {
             console.error('Monthly Rules Error:', error);
             await interaction.editReply('Failed to retrieve monthly challenge rules');
@@ -138,10 +93,8 @@ export default {
 
     async displayShadowChallenge(interaction) {
         try {
-            // Get current date for finding current challenge
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            // Current month in the community timezone
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
             // Get current challenge to check shadow game status
             const currentChallenge = await Challenge.findOne({
@@ -185,10 +138,10 @@ export default {
                     name: 'Current Challenge',
                     value: `**Game:** ${shadowGameInfo.title} (${shadowGameInfo.consoleName})\n\n` +
                            '**Available Points:**\n' +
-                           `• **Participation:** 1 point\n` +
-                           `• **Beaten:** 3 points (requires all ${progressionCount} progression achievements` +
+                           `• **Participation:** ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)}\n` +
+                           `• **Beaten:** ${scoringService.formatAwardPoints(AwardType.BEATEN)} (requires all ${progressionCount} progression achievements` +
                            (winCount > 0 ? ` and at least one win achievement` : '') + `)\n` +
-                           `• **Mastery:** 3 points (all ${currentChallenge.shadow_challange_game_total} achievements)\n\n` +
+                           `• **Mastery:** ${scoringService.formatAwardPoints(AwardType.MASTERY)} (all ${currentChallenge.shadow_challange_game_total} achievements)\n\n` +
                            'This challenge can be completed alongside the monthly challenge.'
                 });
                 
@@ -221,12 +174,12 @@ export default {
                 {
                     name: 'Monthly Challenge Points',
                     value: '**Monthly Game Points:**\n' +
-                           '• **Participation:** 1 point (earn any achievement)\n' +
-                           '• **Game Beaten:** 3 points (complete the game)\n' +
-                           '• **Mastery:** 3 points (100% achievement completion)\n\n' +
+                           `• **Participation:** ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)} (earn any achievement)\n` +
+                           `• **Game Beaten:** ${scoringService.formatAwardPoints(AwardType.BEATEN)} (complete the game)\n` +
+                           `• **Mastery:** ${scoringService.formatAwardPoints(AwardType.MASTERY)} (100% achievement completion)\n\n` +
                            '**Shadow Game Points:**\n' +
-                           '• **Participation:** 1 point (earn any achievement)\n' +
-                           '• **Game Beaten:** 3 points (complete the game)'
+                           `• **Participation:** ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)} (earn any achievement)\n` +
+                           `• **Game Beaten:** ${scoringService.formatAwardPoints(AwardType.BEATEN)} (complete the game)`
                 },
                 {
                     name: 'Community Points',
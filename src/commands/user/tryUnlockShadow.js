@@ -2,6 +2,7 @@ import { SlashCommandBuilder } from 'discord.js';
 import { Challenge } from '../../models/Challenge.js';
 import retroAPI from '../../services/retroAPI.js';
 import { config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -17,10 +18,8 @@ export default {
 
         try {
             const shadowGuess = interaction.options.getString('shadow_guess');
-            // Get current date and find current month's challenge
-            const now = new Date();
-            const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-            const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+            // Current month in the community timezone
+            const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
             const currentChallenge = await Challenge.findOne({
                 date: {
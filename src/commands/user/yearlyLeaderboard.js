@@ -1,6 +1,9 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { User } from '../../models/User.js';
 import { Challenge } from '../../models/Challenge.js';
+import { AwardType } from '../../config/config.js';
+import scoringService from '../../services/scoringService.js';
+import calendarService from '../../services/calendarService.js';
 
 const RANK_EMOJIS = {
     1: '🥇',
@@ -8,13 +11,6 @@ const RANK_EMOJIS = {
     3: '🥉'
 };
 
-// Award points constants
-const POINTS = {
-    MASTERY: 3,
-    BEATEN: 3,
-    PARTICIPATION: 1
-};
-
 export default {
     data: new SlashCommandBuilder()
         .setName('yearlyboard')
@@ -30,11 +26,11 @@ export default {
 
         try {
             // Get the year from the option, default to current year
-            const selectedYear = interaction.options.getInteger('year') || new Date().getFullYear();
+            const selectedYear = interaction.options.getInteger('year') || calendarService.getYear();
             
             // Get start and end dates for the selected year
-            const yearStart = new Date(selectedYear, 0, 1);
-            const yearEnd = new Date(selectedYear + 1, 0, 1);
+            const yearStart = calendarService.fromParts(selectedYear, 0, 1);
+            const yearEnd = calendarService.fromParts(selectedYear + 1, 0, 1);
 
             // Get all challenges for the year
             const challenges = await Challenge.find({
@@ -59,44 +55,35 @@ export default {
                 let masteryCount = 0;
 
                 // Calculate points from monthly challenges
+                // Date keys are community calendar dates ("2025-01-01"), so the year is the first part
                 for (const [dateStr, data] of user.monthlyChallenges) {
-                    const challengeDate = new Date(dateStr);
-                    if (challengeDate.getFullYear() === selectedYear) {
-                        // Calculate points based on the highest achievement level
-                        if (data.progress === 3) {
-                            // Mastery: award full points (mastery + beaten + participation)
+                    if (parseInt(dateStr, 10) === selectedYear) {
+                        // Points include the lower award levels (mastery = mastery + beaten + participation)
+                        const award = scoringService.normalizeAward(data.progress);
+                        if (award === AwardType.MASTERY) {
                             masteryCount++;
-                            challengePoints += POINTS.MASTERY + POINTS.BEATEN + POINTS.PARTICIPATION;
-                        } else if (data.progress === 2) {
-                            // Beaten: award beaten points + participation
+                        } else if (award === AwardType.BEATEN) {
                             beatenCount++;
-                            challengePoints += POINTS.BEATEN + POINTS.PARTICIPATION;
-                        } else if (data.progress === 1) {
-                            // Participation only
+                        } else if (award === AwardType.PARTICIPATION) {
                             participationCount++;
-                            challengePoints += POINTS.PARTICIPATION;
                         }
+                        challengePoints += scoringService.getPointsForAward(award);
                     }
                 }
 
                 // Calculate points from shadow challenges
                 for (const [dateStr, data] of user.shadowChallenges) {
-                    const challengeDate = new Date(dateStr);
-                    if (challengeDate.getFullYear() === selectedYear) {
-                        // Calculate points based on the highest achievement level
-                        if (data.progress === 3) {
-                            // Mastery: award full points (mastery + beaten + participation)
+                    if (parseInt(dateStr, 10) === selectedYear) {
+                        // Points include the lower award levels (mastery = mastery + beaten + participation)
+                        const award = scoringService.normalizeAward(data.progress);
+                        if (award === AwardType.MASTERY) {
                             masteryCount++;
-                            challengePoints += POINTS.MASTERY + POINTS.BEATEN + POINTS.PARTICIPATION;
-                        } else if (data.progress === 2) {
-                            // Beaten: award beaten points + participation
+                        } else if (award === AwardType.BEATEN) {
                             beatenCount++;
-                            challengePoints += POINTS.BEATEN + POINTS.PARTICIPATION;
-                        } else if (data.progress === 1) {
-                            // Participation only
+                        } else if (award === AwardType.PARTICIPATION) {
                             participationCount++;
-                            challengePoints += POINTS.PARTICIPATION;
                         }
+                        challengePoints += scoringService.getPointsForAward(award);
                     }
                 }
 
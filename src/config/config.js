@@ -26,7 +26,143 @@ export const config = {
     
     // RetroAchievements API Configuration
     retroAchievements: {
-        apiKey: process.env.RA_API_KEY
+        apiKey: process.env.RA_API_KEY,
+        
+        // Milliseconds before a request is abandoned
+        requestTimeout: 15000,
+        
+        // Retries for timeouts, server errors and rate limiting (429)
+        maxRetries: 3,
+        
+        // Delay before the first retry in milliseconds, doubled on every attempt
+        retryBaseDelay: 2000,
+        
+        // Share of the request rate each priority lane gets when all of them are busy
+        priorityWeights: {
+            interactive: 6,
+            feed: 3,
+            bulk: 1
+        },
+        
+        // Serve fixture data instead of calling retroachievements.org (development and tests)
+        offline: {
+            enabled: process.env.RA_OFFLINE === 'true',
+            // Scenario name in src/services/offline/scenarios or a path to a scenario file
+            scenario: process.env.RA_SCENARIO || 'default'
+        }
+    },
+    
+    // RetroAchievements response cache (time to live in minutes per retroAPI method)
+    cache: {
+        ttl: {
+            getGameInfo: 24 * 60,
+            getGameInfoExtended: 6 * 60,
+            getGameAchievementCount: 6 * 60,
+            getConsoles: 7 * 24 * 60
+        }
+    },
+    
+    // Local game catalogue used for game title autocomplete
+    catalog: {
+        // Days before the catalogue is loaded again from RetroAchievements
+        refreshDays: 7
+    },
+    
+    // Monthly challenge schedule
+    challenges: {
+        // IANA timezone the community's months start and end in (defaults to the host's timezone)
+        timezone: process.env.COMMUNITY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        
+        // Minutes to wait after midnight on the 1st before the month that ended is recalculated and closed,
+        // so achievements earned just before midnight have reached RetroAchievements
+        finalizationGraceMinutes: process.env.FINALIZATION_GRACE_MINUTES
+            ? parseInt(process.env.FINALIZATION_GRACE_MINUTES)
+            : 30
+    },
+    
+    // Rules a game has to pass to be nominated (see nominationRulesService)
+    nominations: {
+        // Nominations made in a month are for the next month's challenge (see nominationCycleService).
+        // Day of the month the voting poll opens at midnight (community timezone), built from
+        // the month's nominations. Nominations close when it opens.
+        pollDay: process.env.NOMINATION_POLL_DAY
+            ? parseInt(process.env.NOMINATION_POLL_DAY)
+            : 20,
+
+        // Day of the month nominations close at midnight, after which they can't be added,
+        // withdrawn or replaced. 0 keeps them open until the poll opens.
+        closeDay: process.env.NOMINATION_CLOSE_DAY
+            ? parseInt(process.env.NOMINATION_CLOSE_DAY)
+            : 0,
+        
+        rules: {
+            // Required number of achievements, 0 for no limit
+            minAchievements: process.env.NOMINATION_MIN_ACHIEVEMENTS
+                ? parseInt(process.env.NOMINATION_MIN_ACHIEVEMENTS)
+                : 0,
+            maxAchievements: process.env.NOMINATION_MAX_ACHIEVEMENTS
+                ? parseInt(process.env.NOMINATION_MAX_ACHIEVEMENTS)
+                : 0,
+            
+            // Console names or IDs, comma separated. Empty allows every console.
+            allowedConsoles: (process.env.NOMINATION_ALLOWED_CONSOLES || '')
+                .split(',').map(value => value.trim()).filter(Boolean),
+            blockedConsoles: (process.env.NOMINATION_BLOCKED_CONSOLES || '')
+                .split(',').map(value => value.trim()).filter(Boolean),
+            
+            // Reject games that were the monthly or shadow challenge in this many previous months, 0 to allow all
+            excludeRecentMonths: process.env.NOMINATION_EXCLUDE_RECENT_MONTHS
+                ? parseInt(process.env.NOMINATION_EXCLUDE_RECENT_MONTHS)
+                : 0,
+            
+            // Reject games without progression achievements, they can't be a challenge.
+            // Off by default, many sets don't tag their achievements by type.
+            requireProgression: process.env.NOMINATION_REQUIRE_PROGRESSION === 'true'
+        }
+    },
+    
+    // Next month's challenge vote
+    voting: {
+        // Days a poll stays open
+        durationDays: 7,
+        
+        // Games each member can vote for
+        maxVotesPerUser: 2,
+        
+        // Mode of the automatic poll: 'approval' (vote for up to maxVotesPerUser games)
+        // or 'ranked' (rank the games, counted by instant runoff). /startvoting can pick either.
+        mode: process.env.VOTING_MODE || 'approval',
+        
+        // Create next month's challenge from the winning game when a poll closes
+        draftChallenge: process.env.VOTING_DRAFT_CHALLENGE === 'true',
+        
+        // Days a runoff between tied games stays open
+        runoffDurationDays: process.env.VOTING_RUNOFF_DAYS
+            ? parseInt(process.env.VOTING_RUNOFF_DAYS)
+            : 2,
+        
+        // How a tied runoff is decided: 'earliest_nomination', 'most_nominations' or 'random'.
+        // Admins can change it for the open poll with /polladmin tierule.
+        tieRule: process.env.VOTING_TIE_RULE || 'earliest_nomination',
+        
+        // How the games on the ballot are drawn from the nominations
+        ballot: {
+            // Games on the ballot
+            size: 10,
+            
+            // 'weighted' (more nominations, better odds) or 'uniform' (every nominated game has the same odds)
+            strategy: process.env.BALLOT_STRATEGY || 'weighted',
+            
+            // Most nominated games that are always on the ballot
+            guaranteedTop: process.env.BALLOT_GUARANTEED_TOP
+                ? parseInt(process.env.BALLOT_GUARANTEED_TOP)
+                : 0,
+            
+            // Leave out games that were the monthly or shadow challenge in this many previous months (0 to allow all)
+            excludeRecentMonths: process.env.BALLOT_EXCLUDE_RECENT_MONTHS
+                ? parseInt(process.env.BALLOT_EXCLUDE_RECENT_MONTHS)
+                : 0
+        }
     },
     
     // MongoDB Configuration
@@ -68,7 +204,9 @@ export function validateConfig() {
         'SHADOW_GAME_CHANNEL'
     ];
 
-    const missing = required.filter(key => !process.env[key]);
+    // No API key is needed when running against the offline fixtures
+    const missing = required.filter(key => !process.env[key])
+        .filter(key => !(key === 'RA_API_KEY' && config.retroAchievements.offline.enabled));
     const missingOptional = optional.filter(key => !process.env[key]);
 
     if (missing.length > 0) {
@@ -76,6 +214,33 @@ export function validateConfig() {
             'Please check your .env file and ensure all required variables are set.');
     }
 
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: config.challenges.timezone });
+    } catch (error) {
+        throw new Error(`Invalid COMMUNITY_TIMEZONE "${config.challenges.timezone}", expected an IANA timezone such as America/New_York`);
+    }
+
+    if (!['weighted', 'uniform'].includes(config.voting.ballot.strategy)) {
+        throw new Error(`Invalid BALLOT_STRATEGY "${config.voting.ballot.strategy}", expected weighted or uniform`);
+    }
+
+    if (!['approval', 'ranked'].includes(config.voting.mode)) {
+        throw new Error(`Invalid VOTING_MODE "${config.voting.mode}", expected approval or ranked`);
+    }
+
+    if (!['earliest_nomination', 'most_nominations', 'random'].includes(config.voting.tieRule)) {
+        throw new Error(`Invalid VOTING_TIE_RULE "${config.voting.tieRule}", expected earliest_nomination, most_nominations or random`);
+    }
+
+    if (!(config.nominations.pollDay >= 1 && config.nominations.pollDay <= 28)) {
+        throw new Error(`Invalid NOMINATION_POLL_DAY "${config.nominations.pollDay}", expected a day from 1 to 28`);
+    }
+
+    const { closeDay, pollDay } = config.nominations;
+    if (!(closeDay === 0 || (closeDay >= 1 && closeDay < pollDay))) {
+        throw new Error(`Invalid NOMINATION_CLOSE_DAY "${closeDay}", expected 0 or a day before NOMINATION_POLL_DAY (${pollDay})`);
+    }
+
     if (missingOptional.length > 0) {
         console.warn(`Warning: Missing optional environment variables: ${missingOptional.join(', ')}\n` +
             'Some features may be disabled until these are configured.');
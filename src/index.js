@@ -9,6 +9,10 @@ import statsUpdateService from './services/statsUpdateService.js';
 import achievementFeedService from './services/achievementFeedService.js';
 import monthlyTasksService from './services/monthlyTasksService.js';
 import arcadeService from './services/arcadeService.js';
+import votingService from './services/votingService.js';
+import gameCatalogService from './services/gameCatalogService.js';
+import nominationThreadService from './services/nominationThreadService.js';
+import retroAPI, { RequestPriority } from './services/retroAPI.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -56,27 +60,84 @@ const loadCommands = async () => {
     }
 };
 
+/**
+ * Tell the user their interaction failed, following up if it was already
+ * deferred or answered (reply() throws once the interaction is acknowledged)
+ * @param {Object} interaction - Command or component interaction
+ * @param {string} content - Error message
+ */
+const replyWithError = async (interaction, content) => {
+    const errorMessage = { content, ephemeral: true };
+
+    try {
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp(errorMessage);
+        } else {
+            await interaction.reply(errorMessage);
+        }
+    } catch (error) {
+        console.error('Error sending error message:', error);
+    }
+};
+
 // Handle interactions
 client.on(Events.InteractionCreate, async interaction => {
+    if (interaction.isButton() || interaction.isStringSelectMenu()) {
+        // Components of a command's reply have custom IDs starting with "<command name>:"
+        const owner = client.commands.get(interaction.customId.split(':')[0]);
+        if (owner?.handleComponent) {
+            try {
+                await retroAPI.withPriority(RequestPriority.INTERACTIVE, () => owner.handleComponent(interaction));
+            } catch (error) {
+                console.error('Error handling component:', error);
+                await replyWithError(interaction, 'There was an error updating this message.');
+            }
+            return;
+        }
+
+        const isVote = interaction.isButton() && votingService.isVoteButton(interaction.customId);
+        if (!isVote && !votingService.isRankComponent(interaction.customId)) return;
+
+        try {
+            if (isVote) {
+                await votingService.handleVoteButton(interaction);
+            } else {
+                await votingService.handleRankComponent(interaction);
+            }
+        } catch (error) {
+            console.error('Error handling vote:', error);
+            await replyWithError(interaction, 'There was an error recording your vote.');
+        }
+        return;
+    }
+
+    if (interaction.isAutocomplete()) {
+        const command = client.commands.get(interaction.commandName);
+        if (!command?.autocomplete) return;
+
+        try {
+            await retroAPI.withPriority(RequestPriority.INTERACTIVE, () => command.autocomplete(interaction));
+        } catch (error) {
+            console.error('Error handling autocomplete:', error);
+            // Offer no choices rather than leaving the field loading
+            if (!interaction.responded) {
+                await interaction.respond([]).catch(() => {});
+            }
+        }
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     const command = client.commands.get(interaction.commandName);
     if (!command) return;
 
     try {
-        await command.execute(interaction);
+        // Someone is waiting on the reply, so API calls skip ahead of background jobs
+        await retroAPI.withPriority(RequestPriority.INTERACTIVE, () => command.execute(interaction));
     } catch (error) {
         console.error('Error executing command:', error);
-        const errorMessage = {
-            content: 'There was an error executing this command.',
-            ephemeral: true
-        };
-        
-        if (interaction.replied || interaction.deferred) {
-            await interaction.followUp(errorMessage);
-        } else {
-            await interaction.reply(errorMessage);
-        }
+        await replyWithError(interaction, 'There was an error executing this command.');
     }
 });
 
@@ -97,6 +158,16 @@ client.once(Events.ClientReady, async () => {
         achievementFeedService.setClient(client);
         monthlyTasksService.setClient(client);
         arcadeService.setClient(client);
+        votingService.setClient(client);
+        nominationThreadService.setClient(client);
+
+        // Replay the offline scenario's events so the services can react to them
+        if (config.retroAchievements.offline.enabled) {
+            retroAPI.adapter.playScenario();
+        }
+
+        // Calendar-based jobs follow the community timezone, not the host's
+        const cronOptions = { timezone: config.challenges.timezone };
 
         // Schedule stats updates every 30 minutes
         cron.schedule('*/30 * * * *', () => {
@@ -114,21 +185,38 @@ client.once(Events.ClientReady, async () => {
             });
         });
 
-        // Schedule monthly tasks on the 1st of each month at 00:01
-        cron.schedule('1 0 1 * *', () => {
-            console.log('Running monthly tasks...');
-            monthlyTasksService.clearAllNominations().catch(error => {
-                console.error('Error clearing nominations:', error);
+        // Advance the nomination cycle every 10 minutes: post the poll on the poll day
+        // and clear the nominations once the challenge month has started
+        cron.schedule('*/10 * * * *', () => {
+            monthlyTasksService.runNominationCycle().catch(error => {
+                console.error('Error running nomination cycle:', error);
             });
-            
-            // Create voting poll after a short delay to ensure nominations are cleared
-            setTimeout(() => {
-                monthlyTasksService.createVotingPoll().catch(error => {
-                    console.error('Error creating voting poll:', error);
+        }, cronOptions);
+
+        // Close the month that just ended once its grace window has passed and announce the
+        // challenge that starts (checked every 5 minutes on the 1st)
+        cron.schedule('*/5 * 1 * *', () => {
+            monthlyTasksService.closeMonth()
+                .then(() => monthlyTasksService.announceNewChallenge())
+                .catch(error => {
+                    console.error('Error closing month:', error);
                 });
-            }, 5000); // 5 second delay
+        }, cronOptions);
+
+        // Close polls whose voting period has ended, checked every 10 minutes
+        cron.schedule('*/10 * * * *', () => {
+            votingService.closeExpiredPolls().catch(error => {
+                console.error('Error closing polls:', error);
+            });
         });
 
+        // Reload the game catalogue used for title autocomplete every Sunday at 04:00
+        cron.schedule('0 4 * * 0', () => {
+            gameCatalogService.refresh().catch(error => {
+                console.error('Error refreshing game catalogue:', error);
+            });
+        }, cronOptions);
+
         // Schedule arcade service to run daily at 00:15 (just after midnight)
         // This will check for completed racing challenges and award points
         cron.schedule('15 0 * * *', () => {
@@ -136,7 +224,7 @@ client.once(Events.ClientReady, async () => {
             arcadeService.start().catch(error => {
                 console.error('Error in scheduled arcade service:', error);
             });
-        });
+        }, cronOptions);
 
         // Run initial stats update
         await statsUpdateService.start();
@@ -147,6 +235,22 @@ client.once(Events.ClientReady, async () => {
         // Run initial arcade service check
         await arcadeService.start();
 
+        // Build the game catalogue on first start, without holding up the bot
+        gameCatalogService.refreshIfStale().catch(error => {
+            console.error('Error refreshing game catalogue:', error);
+        });
+
+        // Close polls that ended while the bot was offline
+        await votingService.closeExpiredPolls();
+
+        // Catch up on nomination cycle steps missed while the bot was offline
+        await monthlyTasksService.runNominationCycle();
+
+        // Close or archive any finished challenges missed while the bot was offline,
+        // and announce today's new challenge if that was missed too
+        await monthlyTasksService.closeMonth();
+        await monthlyTasksService.announceNewChallenge();
+
         console.log('Bot is ready!');
     } catch (error) {
         console.error('Error during initialization:', error);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cached responses from the RetroAchievements API.
+ * Entries are removed by MongoDB once expiresAt has passed.
+ */
+const apiCacheSchema = new mongoose.Schema({
+    // Unique cache key (e.g. "getGameInfo:1234")
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // retroAPI method the response belongs to
+    method: {
+        type: String,
+        required: true
+    },
+
+    // The cached response
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+
+    // When this entry stops being valid
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB remove expired entries
+apiCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+apiCacheSchema.index({ method: 1 });
+
+export const ApiCache = mongoose.model('ApiCache', apiCacheSchema);
+export default ApiCache;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import calendarService from '../services/calendarService.js';
 
 const challengeSchema = new mongoose.Schema({
     date: {
@@ -56,6 +57,11 @@ const challengeSchema = new mongoose.Schema({
         type: Boolean,
         required: true
     },
+    // When the "new challenge starts" announcement was posted
+    announcedAt: {
+        type: Date,
+        required: false
+    },
 });
 
 // Add method to check if shadow game is revealed
@@ -65,10 +71,7 @@ challengeSchema.methods.isShadowGameRevealed = function() {
 
 // Add methods for game status checks
 challengeSchema.methods.isCurrentGame = function() {
-    const now = new Date();
-    const challengeMonth = this.date.getMonth();
-    const challengeYear = this.date.getFullYear();
-    return challengeMonth === now.getMonth() && challengeYear === now.getFullYear();
+    return calendarService.isSameMonth(this.date);
 };
 
 // The date field is already indexed due to unique: true
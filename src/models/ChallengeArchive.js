@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import calendarService from '../services/calendarService.js';
+
+// Game played in an archived month, copied so later RA changes don't alter the record
+const archivedGameSchema = new mongoose.Schema({
+    gameId: String,
+    title: String,
+    consoleName: String,
+    imageIcon: String,
+    totalAchievements: Number,
+    progressionCount: Number,
+    winCount: Number
+}, { _id: false });
+
+// Final result of a single user
+const standingSchema = new mongoose.Schema({
+    raUsername: String,
+    discordId: String,
+    // Rank by total points, tied users share a rank
+    rank: Number,
+    // Award level (see AwardType) and points in the monthly challenge
+    award: Number,
+    points: Number,
+    earnedThisMonth: Number,
+    achieved: Number,
+    // Same for the shadow challenge
+    shadowAward: Number,
+    shadowPoints: Number,
+    shadowEarnedThisMonth: Number,
+    totalPoints: Number
+}, { _id: false });
+
+// Number of users with each award
+const awardCountsSchema = new mongoose.Schema({
+    mastery: { type: Number, default: 0 },
+    beaten: { type: Number, default: 0 },
+    participation: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Frozen results of a finished challenge month, written when the month closes.
+ * /challenge history reads these instead of recalculating from RetroAchievements.
+ */
+const challengeArchiveSchema = new mongoose.Schema({
+    // First day of the challenge month (same as Challenge.date)
+    date: {
+        type: Date,
+        required: true,
+        unique: true
+    },
+    challengeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Challenge'
+    },
+    monthlyGame: archivedGameSchema,
+    // Only stored if the shadow game was revealed during the month
+    shadowGame: archivedGameSchema,
+    standings: {
+        type: [standingSchema],
+        default: []
+    },
+    awardCounts: {
+        monthly: { type: awardCountsSchema, default: () => ({}) },
+        shadow: { type: awardCountsSchema, default: () => ({}) }
+    },
+    // Users who earned at least one achievement during the month
+    participants: {
+        type: Number,
+        default: 0
+    },
+    shadowParticipants: {
+        type: Number,
+        default: 0
+    },
+    finalizedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set by the month-close task once the final recalculation ran and the recap was posted.
+    // Closed months are never recalculated again.
+    closedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Static method to find the archive of a month (0-based) of the community calendar
+challengeArchiveSchema.statics.findByMonth = function(year, month) {
+    return this.findOne({
+        date: {
+            $gte: calendarService.fromParts(year, month, 1),
+            $lt: calendarService.fromParts(year, month + 1, 1)
+        }
+    });
+};
+
+export const ChallengeArchive = mongoose.model('ChallengeArchive', challengeArchiveSchema);
+export default ChallengeArchive;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * Game catalogue entry, copied from the RetroAchievements console game lists
+ * by gameCatalogService so game IDs can be looked up by title.
+ */
+const gameSchema = new mongoose.Schema({
+    gameId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    // Lowercase title the search matches against
+    searchTitle: {
+        type: String,
+        required: true
+    },
+    consoleId: Number,
+    consoleName: String,
+    imageIcon: String,
+    numAchievements: {
+        type: Number,
+        default: 0
+    },
+    points: {
+        type: Number,
+        default: 0
+    },
+    // Catalogue refresh that last saw the game
+    refreshedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+gameSchema.index({ searchTitle: 1 });
+
+// Static method to normalize a title for searching
+gameSchema.statics.normalizeTitle = function(title) {
+    return String(title).toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+export const Game = mongoose.model('Game', gameSchema);
+export default Game;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * A nomination of a finished nomination month. monthlyTasksService moves
+ * nominations here when it clears them, so they count towards /nominations stats.
+ */
+const nominationArchiveSchema = new mongoose.Schema({
+    // Start of the month the game was nominated in
+    month: {
+        type: Date,
+        required: true
+    },
+    gameId: {
+        type: String,
+        required: true
+    },
+    // Copied from the game catalogue when known
+    title: String,
+    consoleName: String,
+    discordId: {
+        type: String,
+        required: true
+    },
+    raUsername: String,
+    nominatedAt: Date,
+    pitch: String,
+    archivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Archiving the same month twice doesn't duplicate nominations
+nominationArchiveSchema.index({ month: 1, discordId: 1, gameId: 1 }, { unique: true });
+nominationArchiveSchema.index({ gameId: 1 });
+
+export const NominationArchive = mongoose.model('NominationArchive', nominationArchiveSchema);
+export default NominationArchive;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * Nomination cycle picking the game of one challenge month. Nominations are
+ * made in the month before it until closesAt, the voting poll is drawn from
+ * them at pollAt and they are archived and cleared once the challenge month
+ * starts (see monthlyTasksService.runNominationCycle).
+ */
+const nominationCycleSchema = new mongoose.Schema({
+    // Start of the challenge month the cycle picks the game for
+    targetMonth: {
+        type: Date,
+        required: true,
+        unique: true
+    },
+    // Window nominations can be added, withdrawn or replaced in
+    opensAt: {
+        type: Date,
+        required: true
+    },
+    closesAt: {
+        type: Date,
+        required: true
+    },
+    // When the voting poll is posted
+    pollAt: {
+        type: Date,
+        required: true
+    },
+    // nominating: until the poll is posted, voting: until the challenge month starts,
+    // done: nominations archived and cleared
+    status: {
+        type: String,
+        enum: ['nominating', 'voting', 'done'],
+        default: 'nominating'
+    },
+    pollId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Poll',
+        default: null
+    },
+    clearedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Method to check whether nominations can be changed
+nominationCycleSchema.methods.isOpen = function(now = new Date()) {
+    return this.status === 'nominating' && now >= this.opensAt && now < this.closesAt;
+};
+
+export const NominationCycle = mongoose.model('NominationCycle', nominationCycleSchema);
+export default NominationCycle;
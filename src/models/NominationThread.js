@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Discussion thread of a nominated game, created in the voting channel by
+ * nominationThreadService for the first nomination of the game in a month.
+ */
+const nominationThreadSchema = new mongoose.Schema({
+    gameId: {
+        type: String,
+        required: true
+    },
+    // Start of the month the game was nominated in
+    month: {
+        type: Date,
+        required: true
+    },
+    channelId: String,
+    threadId: {
+        type: String,
+        required: true
+    },
+    // Set once the thread is archived after its month
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+nominationThreadSchema.index({ gameId: 1, month: 1 }, { unique: true });
+
+// Static method to find the threads of a nomination month
+nominationThreadSchema.statics.findForMonth = function(month) {
+    return this.find({ month });
+};
+
+export const NominationThread = mongoose.model('NominationThread', nominationThreadSchema);
+export default NominationThread;
@@ -0,0 +1,268 @@
+import mongoose from 'mongoose';
+import { createRandom } from '../services/ballotService.js';
+
+// Game on the ballot, copied when the poll is created
+const ballotGameSchema = new mongoose.Schema({
+    gameId: String,
+    title: String,
+    consoleName: String,
+    imageIcon: String,
+    achievementCount: Number
+}, { _id: false });
+
+// One vote of one member for one game (members have several)
+const voteSchema = new mongoose.Schema({
+    discordId: String,
+    raUsername: String,
+    gameId: String,
+    votedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Ranked ballot of one member in a ranked-choice poll, favourite first
+const rankingSchema = new mongoose.Schema({
+    discordId: String,
+    raUsername: String,
+    gameIds: [String],
+    rankedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Instant-runoff counting round: votes of the games still in the count
+const roundSchema = new mongoose.Schema({
+    counts: [{
+        _id: false,
+        gameId: String,
+        title: String,
+        votes: Number
+    }],
+    eliminatedGameIds: [String]
+}, { _id: false });
+
+// Final number of votes for a ballot game
+const resultSchema = new mongoose.Schema({
+    gameId: String,
+    title: String,
+    votes: Number
+}, { _id: false });
+
+// How the ballot was drawn, enough to repeat the draw (see ballotService.drawBallot)
+const drawSchema = new mongoose.Schema({
+    strategy: String,
+    seed: Number,
+    size: Number,
+    guaranteedTop: Number,
+    excludeRecentMonths: Number,
+    // Nominated games the ballot was drawn from, with their nomination counts
+    candidates: [{
+        _id: false,
+        gameId: String,
+        nominations: Number,
+        firstNominatedAt: Date
+    }],
+    // Nominated games left out because they were a recent challenge
+    excludedGameIds: [String]
+}, { _id: false });
+
+// How a tied runoff was decided
+const tieBreakSchema = new mongoose.Schema({
+    rule: String,
+    // Seed of the random draw, published with the result
+    seed: Number,
+    // Tied games in ballot order
+    gameIds: [String],
+    gameId: String
+}, { _id: false });
+
+/**
+ * Vote for next month's challenge, counted when the poll closes. In approval
+ * mode members vote for up to config.voting.maxVotesPerUser games with the
+ * buttons on the poll message; in ranked mode they rank the games and the
+ * winner is found by instant runoff.
+ *
+ * Lifecycle: open -> closing -> closed (voting period ended or closed early by an admin)
+ *            open -> cancelled (no winner is picked)
+ * A poll is closing while its votes are counted, so only one caller closes it.
+ *
+ * When the top games tie, the poll closes without a winner and a runoff poll
+ * between the tied games is opened. A runoff that ties again is decided by its tie rule.
+ */
+const pollSchema = new mongoose.Schema({
+    games: {
+        type: [ballotGameSchema],
+        default: []
+    },
+    draw: {
+        type: drawSchema,
+        default: null
+    },
+    mode: {
+        type: String,
+        enum: ['approval', 'ranked'],
+        default: 'approval'
+    },
+    channelId: String,
+    messageId: String,
+    opensAt: {
+        type: Date,
+        default: Date.now
+    },
+    closesAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closing', 'closed', 'cancelled'],
+        default: 'open'
+    },
+    votes: {
+        type: [voteSchema],
+        default: []
+    },
+    // Ranked mode only
+    rankings: {
+        type: [rankingSchema],
+        default: []
+    },
+    // Set when the poll closes. In ranked mode results are the first choices.
+    results: {
+        type: [resultSchema],
+        default: []
+    },
+    rounds: {
+        type: [roundSchema],
+        default: []
+    },
+    winnerGameId: {
+        type: String,
+        default: null
+    },
+    // Rule used if this poll is a runoff and ties again
+    tieRule: {
+        type: String,
+        enum: ['earliest_nomination', 'most_nominations', 'random'],
+        default: 'earliest_nomination'
+    },
+    // Poll this runoff was opened for
+    runoffOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Poll',
+        default: null
+    },
+    // Runoff opened because this poll tied
+    runoffPollId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Poll',
+        default: null
+    },
+    tieBreak: {
+        type: tieBreakSchema,
+        default: null
+    },
+    // Set when the poll is closed or cancelled
+    closedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+pollSchema.index({ status: 1, closesAt: 1 });
+
+// Static method to find the most recent open poll
+pollSchema.statics.findCurrent = function() {
+    return this.findOne({ status: 'open' }).sort({ opensAt: -1 });
+};
+
+// Static method to find open polls whose voting period has ended
+pollSchema.statics.findExpired = function(now = new Date()) {
+    return this.find({ status: 'open', closesAt: { $lte: now } });
+};
+
+// Method to get the game IDs a member voted for
+pollSchema.methods.getVotesOf = function(discordId) {
+    return this.votes.filter(vote => vote.discordId === discordId).map(vote => vote.gameId);
+};
+
+// Method to get the ranking of a member, favourite first
+pollSchema.methods.getRankingOf = function(discordId) {
+    return [...(this.rankings.find(ranking => ranking.discordId === discordId)?.gameIds || [])];
+};
+
+// Method to count the votes of each ballot game, most votes first.
+// Games with the same number of votes keep their ballot order.
+pollSchema.methods.tally = function() {
+    return this.games
+        .map(game => ({
+            gameId: game.gameId,
+            title: game.title,
+            votes: this.votes.filter(vote => vote.gameId === game.gameId).length
+        }))
+        .sort((a, b) => b.votes - a.votes);
+};
+
+// Pick the game to eliminate from the games tied for the fewest votes: the one with
+// the fewest first choices, then the fewest votes in each following round. Games
+// still tied are drawn with the ballot's seed, or the last of them on the ballot goes.
+const pickElimination = (tiedGameIds, earlierRounds, random) => {
+    let candidates = tiedGameIds;
+    for (const round of earlierRounds) {
+        const votesOf = (gameId) => round.counts.find(entry => entry.gameId === gameId)?.votes ?? 0;
+        const fewest = Math.min(...candidates.map(votesOf));
+        candidates = candidates.filter(gameId => votesOf(gameId) === fewest);
+        if (candidates.length === 1) return candidates[0];
+    }
+
+    return random
+        ? candidates[Math.floor(random() * candidates.length)]
+        : candidates[candidates.length - 1];
+};
+
+// Method to count ranked ballots by instant runoff. Each round counts every ballot
+// for its highest ranked game still in the count; if no game has a majority, the
+// game with the fewest votes is eliminated (see pickElimination for ties). Counting
+// stops when a game has a majority or when all remaining games are tied.
+pollSchema.methods.countRankedChoice = function() {
+    let remaining = this.games.map(game => game.gameId);
+    const rounds = [];
+    const random = this.draw?.seed != null ? createRandom(this.draw.seed) : null;
+
+    while (remaining.length > 0) {
+        const counts = this.games
+            .filter(game => remaining.includes(game.gameId))
+            .map(game => ({ gameId: game.gameId, title: game.title, votes: 0 }));
+
+        for (const ranking of this.rankings) {
+            const choice = ranking.gameIds.find(gameId => remaining.includes(gameId));
+            const count = counts.find(entry => entry.gameId === choice);
+            if (count) count.votes++;
+        }
+        counts.sort((a, b) => b.votes - a.votes);
+
+        const total = counts.reduce((sum, entry) => sum + entry.votes, 0);
+        const fewest = counts[counts.length - 1].votes;
+        const round = { counts, eliminatedGameIds: [] };
+        rounds.push(round);
+
+        if (counts[0].votes * 2 > total || counts[0].votes === fewest) break;
+
+        const tiedGameIds = counts.filter(entry => entry.votes === fewest).map(entry => entry.gameId);
+        const eliminated = pickElimination(tiedGameIds, rounds.slice(0, -1), random);
+        round.eliminatedGameIds = [eliminated];
+        remaining = remaining.filter(gameId => gameId !== eliminated);
+    }
+
+    return rounds;
+};
+
+// Method to count the members who voted
+pollSchema.methods.getVoterCount = function() {
+    return new Set([...this.votes, ...this.rankings].map(ballot => ballot.discordId)).size;
+};
+
+export const Poll = mongoose.model('Poll', pollSchema);
+export default Poll;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import calendarService from '../services/calendarService.js';
 
 const communityAwardSchema = new mongoose.Schema({
     title: {
@@ -28,9 +29,28 @@ const nominationSchema = new mongoose.Schema({
     nominatedAt: {
         type: Date,
         default: Date.now
+    },
+    // Why the member nominated the game, shown in /nominations
+    pitch: {
+        type: String,
+        maxlength: 300
     }
 });
 
+// Progress snapshot for a single challenge month, written by the stats update service
+const challengeProgressSchema = new mongoose.Schema({
+    // Award level (see AwardType)
+    progress: Number,
+    // Total achievements the user has earned in the game
+    achieved: Number,
+    // Achievements earned during the challenge month
+    earnedThisMonth: Number,
+    // Most recent achievement earned during the challenge month
+    lastEarnedAt: Date,
+    // When this snapshot was last refreshed from RetroAchievements
+    updatedAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     raUsername: {
         type: String,
@@ -44,16 +64,12 @@ const userSchema = new mongoose.Schema({
     },
     monthlyChallenges: {
         type: Map,
-        of: {
-            progress: Number
-        },
+        of: challengeProgressSchema,
         default: () => new Map()
     },
     shadowChallenges: {
         type: Map,
-        of: {
-            progress: Number
-        },
+        of: challengeProgressSchema,
         default: () => new Map()
     },
     announcedAchievements: {
@@ -82,9 +98,9 @@ userSchema.statics.findByDiscordId = function(discordId) {
     return this.findOne({ discordId });
 };
 
-// Helper method for consistent date key formatting
+// Helper method for consistent date key formatting (calendar date in the community timezone)
 userSchema.statics.formatDateKey = function(date) {
-    return date.toISOString().split('T')[0];
+    return calendarService.formatDateKey(date);
 };
 
 // raUsername is already indexed due to unique: true
@@ -118,7 +134,7 @@ userSchema.methods.getShadowPoints = function(date) {
 // Method to get user's community awards for a specific year
 userSchema.methods.getCommunityAwardsForYear = function(year) {
     return this.communityAwards.filter(award => 
-        award.awardedAt.getFullYear() === year
+        calendarService.getYear(award.awardedAt) === year
     );
 };
 
@@ -130,28 +146,22 @@ userSchema.methods.getCommunityPointsForYear = function(year) {
 
 // Method to get current month's nominations
 userSchema.methods.getCurrentNominations = function() {
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    
-    return this.nominations.filter(nom => {
-        const nomMonth = nom.nominatedAt.getMonth();
-        const nomYear = nom.nominatedAt.getFullYear();
-        return nomMonth === currentMonth && nomYear === currentYear;
-    });
+    return this.nominations.filter(nom => calendarService.isSameMonth(nom.nominatedAt));
 };
 
 // Method to clear nominations for the current month
 userSchema.methods.clearCurrentNominations = function() {
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    
-    this.nominations = this.nominations.filter(nom => {
-        const nomMonth = nom.nominatedAt.getMonth();
-        const nomYear = nom.nominatedAt.getFullYear();
-        return !(nomMonth === currentMonth && nomYear === currentYear);
-    });
+    this.nominations = this.nominations.filter(nom => !calendarService.isSameMonth(nom.nominatedAt));
+};
+
+// Method to get the nominations made for a nomination cycle
+userSchema.methods.getCycleNominations = function(cycle) {
+    return this.nominations.filter(nom => nom.nominatedAt >= cycle.opensAt && nom.nominatedAt < cycle.targetMonth);
+};
+
+// Method to clear the nominations made for a nomination cycle
+userSchema.methods.clearCycleNominations = function(cycle) {
+    this.nominations = this.nominations.filter(nom => nom.nominatedAt < cycle.opensAt || nom.nominatedAt >= cycle.targetMonth);
 };
 
 export const User = mongoose.model('User', userSchema);
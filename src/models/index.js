@@ -1,9 +1,23 @@
 import Challenge from './Challenge.js';
 import User from './User.js';
+import ApiCache from './ApiCache.js';
+import ChallengeArchive from './ChallengeArchive.js';
+import Poll from './Poll.js';
+import Game from './Game.js';
+import NominationThread from './NominationThread.js';
+import NominationArchive from './NominationArchive.js';
+import NominationCycle from './NominationCycle.js';
 
 export {
     Challenge,
-    User
+    User,
+    ApiCache,
+    ChallengeArchive,
+    Poll,
+    Game,
+    NominationThread,
+    NominationArchive,
+    NominationCycle
 };
 
 // Initialize MongoDB connection
@@ -21,7 +35,14 @@ export const connectDB = async () => {
         // Create indexes for all models
         await Promise.all([
             Challenge.init(),
-            User.init()
+            User.init(),
+            ApiCache.init(),
+            ChallengeArchive.init(),
+            Poll.init(),
+            Game.init(),
+            NominationThread.init(),
+            NominationArchive.init(),
+            NominationCycle.init()
         ]);
         
         console.log('Database indexes ensured');
@@ -36,5 +57,12 @@ export const connectDB = async () => {
 export default {
     Challenge,
     User,
+    ApiCache,
+    ChallengeArchive,
+    Poll,
+    Game,
+    NominationThread,
+    NominationArchive,
+    NominationCycle,
     connectDB
 };
@@ -3,6 +3,9 @@ import mongoose from 'mongoose';
 import { config } from '../config/config.js';
 import { User } from '../models/User.js';
 import { Challenge } from '../models/Challenge.js';
+import { ChallengeArchive } from '../models/ChallengeArchive.js';
+import calendarService from '../services/calendarService.js';
+import nominationHistoryService from '../services/nominationHistoryService.js';
 import { withTransaction } from './dbUtils.js';
 
 // Connect to MongoDB
@@ -17,6 +20,71 @@ const connectDB = async () => {
     }
 };
 
+// Normalize a stored date key. Keys are community calendar dates, so a key that
+// already starts with one is kept as is instead of being shifted by a timezone.
+const normalizeDateKey = (key) => {
+    const calendarDate = /^\d{4}-\d{2}-\d{2}/.exec(key);
+    if (calendarDate) return calendarDate[0];
+
+    const date = new Date(key);
+    if (isNaN(date.getTime())) throw new Error(`Invalid date key: ${key}`);
+    return User.formatDateKey(date);
+};
+
+// Move challenges to midnight on the 1st in the community timezone and re-key the
+// progress stored under their old UTC date keys. Run this on the host that created
+// the challenges, older challenges were stored at midnight in the host's timezone.
+const fixChallengeTimezone = async () => {
+    console.log(`\n=== Moving Challenges to the Community Timezone (${calendarService.timezone}) ===`);
+    
+    const challenges = await Challenge.find({});
+    const users = await User.find({});
+    const renamedKeys = new Map();
+    let movedCount = 0;
+    let fixedCount = 0;
+    
+    await withTransaction(async (session) => {
+        for (const challenge of challenges) {
+            const oldKey = challenge.date.toISOString().split('T')[0];
+            
+            // Challenges already at a community month start have been created or moved since the setting existed
+            let date = challenge.date;
+            if (calendarService.getMonthStart(date).getTime() !== date.getTime()) {
+                date = calendarService.fromParts(date.getFullYear(), date.getMonth(), 1);
+                await ChallengeArchive.updateOne({ date: challenge.date }, { date }, { session });
+                challenge.date = date;
+                await challenge.save({ session });
+                movedCount++;
+            }
+            
+            const newKey = User.formatDateKey(date);
+            if (oldKey !== newKey) {
+                renamedKeys.set(oldKey, newKey);
+            }
+        }
+        
+        for (const user of users) {
+            let modified = false;
+            
+            for (const progressMap of [user.monthlyChallenges, user.shadowChallenges]) {
+                for (const [oldKey, newKey] of renamedKeys) {
+                    if (!progressMap.has(oldKey) || progressMap.has(newKey)) continue;
+                    progressMap.set(newKey, progressMap.get(oldKey));
+                    progressMap.delete(oldKey);
+                    modified = true;
+                }
+            }
+            
+            if (modified) {
+                await user.save({ session });
+                fixedCount++;
+            }
+        }
+    });
+    
+    console.log(`Moved ${movedCount} challenges and re-keyed progress for ${fixedCount} users`);
+};
+
 // Fix inconsistent date keys
 const fixDateKeys = async () => {
     console.log('\n=== Fixing Inconsistent Date Keys ===');
@@ -32,8 +100,7 @@ const fixDateKeys = async () => {
             const monthlyChallenges = new Map();
             for (const [key, value] of user.monthlyChallenges.entries()) {
                 try {
-                    const date = new Date(key);
-                    const formattedKey = User.formatDateKey(date);
+                    const formattedKey = normalizeDateKey(key);
                     
                     if (key !== formattedKey) {
                         monthlyChallenges.set(formattedKey, value);
@@ -51,8 +118,7 @@ const fixDateKeys = async () => {
             const shadowChallenges = new Map();
             for (const [key, value] of user.shadowChallenges.entries()) {
                 try {
-                    const date = new Date(key);
-                    const formattedKey = User.formatDateKey(date);
+                    const formattedKey = normalizeDateKey(key);
                     
                     if (key !== formattedKey) {
                         shadowChallenges.set(formattedKey, value);
@@ -114,6 +180,40 @@ const checkOrphanedEntries = async () => {
     console.log(`Found ${orphanedEntries} orphaned challenge entries`);
 };
 
+// Archive nominations of earlier months that are still stored on users, then remove them
+const archiveNominations = async () => {
+    console.log('\n=== Archiving Nominations of Earlier Months ===');
+
+    const users = await User.find({});
+    const currentMonth = calendarService.getMonthStart(new Date());
+
+    // Every earlier month that still has nominations
+    const months = new Map();
+    for (const user of users) {
+        for (const nom of user.nominations) {
+            const month = calendarService.getMonthStart(nom.nominatedAt);
+            if (month < currentMonth) months.set(month.getTime(), month);
+        }
+    }
+
+    let archivedCount = 0;
+    for (const month of months.values()) {
+        const count = await nominationHistoryService.archiveNominations(users, month);
+        console.log(`Archived ${count} nominations of ${calendarService.formatDateKey(month).slice(0, 7)}`);
+        archivedCount += count;
+    }
+
+    for (const user of users) {
+        const before = user.nominations.length;
+        user.nominations = user.nominations.filter(nom => nom.nominatedAt >= currentMonth);
+        if (user.nominations.length !== before) {
+            await user.save();
+        }
+    }
+
+    console.log(`Archived ${archivedCount} nominations`);
+};
+
 // Main function
 const main = async () => {
     await connectDB();
@@ -128,7 +228,14 @@ const main = async () => {
         case 'check-orphaned':
             await checkOrphanedEntries();
             break;
+        case 'fix-timezone':
+            await fixChallengeTimezone();
+            break;
+        case 'archive-nominations':
+            await archiveNominations();
+            break;
         case 'all':
+            await fixChallengeTimezone();
             await fixDateKeys();
             await checkOrphanedEntries();
             break;
@@ -137,6 +244,8 @@ const main = async () => {
             console.log('  stats         - Show database statistics');
             console.log('  fix-date-keys - Fix inconsistent date keys');
             console.log('  check-orphaned - Check for orphaned challenge entries');
+            console.log('  fix-timezone  - Move challenges and date keys to the community timezone');
+            console.log('  archive-nominations - Archive nominations of earlier months for /nominations stats');
             console.log('  all           - Run all maintenance tasks');
     }
     
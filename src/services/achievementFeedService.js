@@ -1,9 +1,11 @@
 // services/achievementFeed.js
 import { User } from '../models/User.js';
 import { Challenge } from '../models/Challenge.js';
-import retroAPI from './retroAPI.js';
+import retroAPI, { RequestPriority } from './retroAPI.js';
+import scoringService from './scoringService.js';
 import { EmbedBuilder } from 'discord.js';
 import { config } from '../config/config.js';
+import calendarService from './calendarService.js';
 
 const AWARD_EMOJIS = {
     MASTERY: '✨',
@@ -27,7 +29,7 @@ class AchievementFeedService {
         }
 
         try {
-            await this.checkForNewAchievements();
+            await retroAPI.withPriority(RequestPriority.FEED, () => this.checkForNewAchievements());
         } catch (error) {
             console.error('Error in achievement feed service:', error);
         }
@@ -35,9 +37,7 @@ class AchievementFeedService {
 
     async checkForNewAchievements() {
         // Get current challenge
-        const now = new Date();
-        const currentMonthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const nextMonthStart = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        const { start: currentMonthStart, end: nextMonthStart } = calendarService.getMonthWindow();
 
         const currentChallenge = await Challenge.findOne({
             date: {
@@ -112,21 +112,26 @@ class AchievementFeedService {
             gameId
         );
 
+        if (!progress?.achievements) {
+            console.warn(`No progress returned for ${user.raUsername} in game ${gameId}, skipping`);
+            return;
+        }
+
         // Get game info
         const gameInfo = await retroAPI.getGameInfo(gameId);
 
-        // Get the user's earned achievements
-        const userEarnedAchievements = Object.entries(progress.achievements)
-            .filter(([id, data]) => data.hasOwnProperty('dateEarned'))
-            .map(([id, data]) => id);
-
         // Announce individual achievements for progression and win conditions
-        const achievementsToCheck = [...progressionAchievements, ...winAchievements];
+        const achievementsToCheck = [...(progressionAchievements || []), ...(winAchievements || [])];
         
         for (const achievementId of achievementsToCheck) {
-            const achievement = Object.entries(progress.achievements).find(([id, data]) => id === achievementId)[1];
+            // Challenges saved before IDs were validated can name achievements the game doesn't have
+            const achievement = progress.achievements[achievementId];
+            if (!achievement) {
+                console.warn(`Achievement ${achievementId} is not part of game ${gameId}, check the challenge`);
+                continue;
+            }
             
-            if (achievement && achievement.dateEarned) {
+            if (achievement.dateEarned) {
                 // Generate unique achievement identifier
                 const achievementIdentifier = `${gameId}:${achievementId}`;
                 
@@ -151,28 +156,8 @@ class AchievementFeedService {
         }
 
         // Determine current award level
-        let currentAward = null;
-        
-        // Check if user has all achievements (Mastery)
-        const hasAllAchievements = progress.numAwardedToUser === totalAchievements;
-        
-        // Check if user has completed all progression achievements
-        const hasAllProgressionAchievements = progressionAchievements.every(id => 
-            userEarnedAchievements.includes(id)
-        );
-        
-        // Check if user has at least one win condition (if any exist)
-        const hasWinCondition = winAchievements.length === 0 || 
-            winAchievements.some(id => userEarnedAchievements.includes(id));
-        
-        // Determine the award
-        if (hasAllAchievements) {
-            currentAward = 'MASTERY';
-        } else if (hasAllProgressionAchievements && hasWinCondition) {
-            currentAward = 'BEATEN';
-        } else if (progress.numAwardedToUser > 0) {
-            currentAward = 'PARTICIPATION';
-        }
+        const score = scoringService.scoreProgress(challenge, progress, isShadow);
+        const currentAward = score.awardKey;
 
         // Generate award identifier
         const awardIdentifier = `award:${gameId}:${currentAward}`;
@@ -188,8 +173,8 @@ class AchievementFeedService {
                 progress.numAwardedToUser,
                 totalAchievements,
                 isShadow,
-                hasAllProgressionAchievements,
-                hasWinCondition
+                score.hasAllProgression,
+                score.hasWinCondition
             );
             
             // Add to announced achievements
@@ -247,7 +232,7 @@ class AchievementFeedService {
              
         embed.addFields({
             name: 'Links',
-            value: `[Game Page](https://retroachievements.org/game/${gameId}) | [User Profile](https://retroachievements.org/user/${user.raUsername})`
+            value: `[Game Page](https://retroachievements.org/game/${gameInfo.id}) | [User Profile](https://retroachievements.org/user/${user.raUsername})`
         });
 
             // Send the announcement
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import { ApiCache } from '../models/ApiCache.js';
+import { config } from '../config/config.js';
+
+/**
+ * Persistent cache for RetroAchievements API responses.
+ * Responses are stored in MongoDB so they survive restarts; when the database
+ * is not connected the cache is bypassed and every call goes to the API.
+ */
+class ApiCacheService {
+    constructor() {
+        // Hit/miss counters per retroAPI method since startup
+        this.stats = new Map();
+    }
+
+    /**
+     * Whether the cache can currently be used
+     * @returns {boolean} True if MongoDB is connected
+     */
+    isAvailable() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Build the cache key for a method call
+     * @param {string} method - retroAPI method name
+     * @param {string|number} [id] - Argument identifying the response (e.g. game ID)
+     * @returns {string} Cache key
+     */
+    buildKey(method, id) {
+        return id === undefined ? method : `${method}:${id}`;
+    }
+
+    /**
+     * Return a cached response or fetch and store it
+     * @param {string} method - retroAPI method name (used for the TTL and the stats)
+     * @param {string|number} id - Argument identifying the response, undefined for none
+     * @param {Function} fetcher - Function fetching the response from the API
+     * @returns {Promise<any>} Cached or freshly fetched response
+     */
+    async wrap(method, id, fetcher) {
+        if (!this.isAvailable()) {
+            return fetcher();
+        }
+
+        const key = this.buildKey(method, id);
+
+        try {
+            const entry = await ApiCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+            if (entry) {
+                this.record(method, 'hits');
+                return entry.value;
+            }
+        } catch (error) {
+            console.error(`Error reading cache entry ${key}:`, error);
+        }
+
+        this.record(method, 'misses');
+        const value = await fetcher();
+
+        // Don't cache empty responses so a later call can retry
+        if (value !== null && value !== undefined) {
+            await this.set(method, key, value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Store a response in the cache
+     * @param {string} method - retroAPI method name
+     * @param {string} key - Cache key
+     * @param {any} value - Response to store
+     */
+    async set(method, key, value) {
+        const ttlMinutes = config.cache.ttl[method] || 60;
+
+        try {
+            await ApiCache.updateOne(
+                { key },
+                {
+                    method,
+                    value,
+                    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.error(`Error writing cache entry ${key}:`, error);
+        }
+    }
+
+    /**
+     * Increment a hit or miss counter
+     * @param {string} method - retroAPI method name
+     * @param {string} type - 'hits' or 'misses'
+     */
+    record(method, type) {
+        if (!this.stats.has(method)) {
+            this.stats.set(method, { hits: 0, misses: 0 });
+        }
+        this.stats.get(method)[type]++;
+    }
+
+    /**
+     * Get the hit/miss counters and the number of stored entries per method
+     * @returns {Promise<Array>} One entry per method
+     */
+    async getStats() {
+        const methods = new Set([...Object.keys(config.cache.ttl), ...this.stats.keys()]);
+
+        const counts = new Map();
+        if (this.isAvailable()) {
+            const results = await ApiCache.aggregate([
+                { $match: { expiresAt: { $gt: new Date() } } },
+                { $group: { _id: '$method', count: { $sum: 1 } } }
+            ]);
+            for (const result of results) {
+                counts.set(result._id, result.count);
+            }
+        }
+
+        return [...methods].map(method => ({
+            method,
+            hits: this.stats.get(method)?.hits || 0,
+            misses: this.stats.get(method)?.misses || 0,
+            entries: counts.get(method) || 0
+        }));
+    }
+
+    /**
+     * Remove cached responses
+     * @param {string} [method] - Only remove responses of this method
+     * @returns {Promise<number>} Number of removed entries
+     */
+    async purge(method) {
+        const result = await ApiCache.deleteMany(method ? { method } : {});
+        return result.deletedCount;
+    }
+}
+
+// Create singleton instance
+const apiCacheService = new ApiCacheService();
+export default apiCacheService;
@@ -1,8 +1,13 @@
 import { ArcadeBoard } from '../models/ArcadeBoard.js';
 import { User } from '../models/User.js';
-import retroAPI from './retroAPI.js';
+import retroAPI, { RequestPriority } from './retroAPI.js';
 import { EmbedBuilder } from 'discord.js';
 import { config } from '../config/config.js';
+import calendarService from './calendarService.js';
+
+// Community award points for 1st, 2nd and 3rd place on racing and arcade boards
+const PODIUM_POINTS = [3, 2, 1];
+const PLACEMENTS = ['1st', '2nd', '3rd'];
 
 class ArcadeService {
     constructor() {
@@ -20,17 +25,20 @@ class ArcadeService {
         }
 
         try {
-            // Check if there are completed racing challenges that need points awarded
-            await this.checkCompletedRacingChallenges();
-            
-            // Check if any tiebreakers have ended
-            await this.checkCompletedTiebreakers();
-            
-            // Check if it's December 1st to award arcade points
-            const now = new Date();
-            if (now.getMonth() === 11 && now.getDate() === 1) { // December is month 11 (0-indexed)
-                await this.awardArcadePoints();
-            }
+            // Daily background job: queue behind slash commands and the achievement feed
+            await retroAPI.withPriority(RequestPriority.BULK, async () => {
+                // Check if there are completed racing challenges that need points awarded
+                await this.checkCompletedRacingChallenges();
+                
+                // Check if any tiebreakers have ended
+                await this.checkCompletedTiebreakers();
+                
+                // Check if it's December 1st to award arcade points
+                const now = calendarService.getParts();
+                if (now.month === 11 && now.day === 1) { // December is month 11 (0-indexed)
+                    await this.awardArcadePoints();
+                }
+            });
         } catch (error) {
             console.error('Error in arcade service:', error);
         }
@@ -75,20 +83,16 @@ class ArcadeService {
             // Get all registered users
             const users = await User.find({});
             
-            // Create mapping of RA usernames (lowercase) to canonical usernames
+            // Create mapping of RA usernames (lowercase) to user objects
             const registeredUsers = new Map();
             for (const user of users) {
                 registeredUsers.set(user.raUsername.toLowerCase(), user);
             }
             
-            // Filter entries to only show registered users
-            const filteredEntries = allEntries.filter(entry => {
-                if (!entry.User) return false;
-                const username = entry.User.toLowerCase().trim();
-                return username && registeredUsers.has(username);
-            });
+            // Award points to the top 3 registered finishers
+            const finishers = this.getTopFinishers(allEntries, registeredUsers);
 
-            if (filteredEntries.length === 0) {
+            if (finishers.length === 0) {
                 console.log('No registered users found in the leaderboard');
                 racingBoard.pointsAwarded = true;
                 await racingBoard.save();
@@ -97,40 +101,29 @@ class ArcadeService {
 
             // Track awarded points and results
             const results = [];
+            const monthName = calendarService.formatDate(racingBoard.startDate, { month: 'long' });
+            const year = calendarService.getYear(racingBoard.startDate);
             
-            // Award points to the top 3 finishers
-            const pointsDistribution = [3, 2, 1]; // 1st, 2nd, 3rd place
-            
-            for (let i = 0; i < Math.min(3, filteredEntries.length); i++) {
-                const entry = filteredEntries[i];
-                const pointsToAward = pointsDistribution[i];
-                const userObj = registeredUsers.get(entry.User.toLowerCase());
+            for (const { entry, user, rank, points } of finishers) {
+                // Add community award
+                const awardTitle = `${PLACEMENTS[rank - 1]} Place in ${monthName} ${year} Racing: ${racingBoard.gameTitle}`;
                 
-                if (userObj) {
-                    // Add community award
-                    const monthName = racingBoard.startDate.toLocaleString('default', { month: 'long' });
-                    const year = racingBoard.startDate.getFullYear();
-                    const placement = i === 0 ? '1st' : (i === 1 ? '2nd' : '3rd');
-                    
-                    const awardTitle = `${placement} Place in ${monthName} ${year} Racing: ${racingBoard.gameTitle}`;
-                    
-                    userObj.communityAwards.push({
-                        title: awardTitle,
-                        points: pointsToAward,
-                        awardedAt: new Date(),
-                        awardedBy: 'Arcade System'
-                    });
-                    
-                    await userObj.save();
-                    
-                    // Record result
-                    results.push({
-                        username: entry.User,
-                        rank: i + 1,
-                        time: entry.TrackTime,
-                        points: pointsToAward
-                    });
-                }
+                user.communityAwards.push({
+                    title: awardTitle,
+                    points,
+                    awardedAt: new Date(),
+                    awardedBy: 'Arcade System'
+                });
+                
+                await user.save();
+                
+                // Record result
+                results.push({
+                    username: entry.User,
+                    rank,
+                    time: entry.TrackTime,
+                    points
+                });
             }
             
             // Update the racing board to mark points as awarded and store results
@@ -147,6 +140,40 @@ class ArcadeService {
         }
     }
 
+    /**
+     * Pick the top 3 registered users on a leaderboard and the points they earn
+     * @param {Array} entries - Entries from retroAPI.getLeaderboardEntries, best first
+     * @param {Map} registeredUsers - User documents by lowercase RA username
+     * @returns {Array} Finishers with their leaderboard entry, user, rank and points
+     */
+    getTopFinishers(entries, registeredUsers) {
+        return entries
+            .filter(entry => entry.User && registeredUsers.has(entry.User.toLowerCase().trim()))
+            .slice(0, PODIUM_POINTS.length)
+            .map((entry, index) => ({
+                entry,
+                user: registeredUsers.get(entry.User.toLowerCase().trim()),
+                rank: index + 1,
+                points: PODIUM_POINTS[index]
+            }));
+    }
+
+    /**
+     * Rank the users of a tiebreaker by their leaderboard entries
+     * @param {Array} entries - Entries from retroAPI.getLeaderboardEntries
+     * @param {Array<string>} tiedUsers - RA usernames taking part in the tiebreaker
+     * @returns {Array} Entries of the tied users, best first
+     */
+    rankTiebreakerEntries(entries, tiedUsers) {
+        const tiedUsernames = tiedUsers.map(username => username.toLowerCase());
+
+        // RetroAchievements already ranks entries in the leaderboard's own format and
+        // direction, comparing the formatted times as text put "10:02.00" before "9:58.00"
+        return entries
+            .filter(entry => entry.User && tiedUsernames.includes(entry.User.toLowerCase()))
+            .sort((a, b) => a.ApiRank - b.ApiRank);
+    }
+
     async checkCompletedTiebreakers() {
         try {
             const now = new Date();
@@ -183,13 +210,8 @@ class ArcadeService {
                 return;
             }
             
-            // Get usernames of tied users
-            const tiedUsernames = tiebreaker.tiedUsers.map(username => username.toLowerCase());
-            
-            // Filter entries to only show tied users
-            const filteredEntries = allEntries.filter(entry => 
-                entry.User && tiedUsernames.includes(entry.User.toLowerCase())
-            );
+            // Rank the tied users against each other
+            const filteredEntries = this.rankTiebreakerEntries(allEntries, tiebreaker.tiedUsers);
 
             if (filteredEntries.length === 0) {
                 console.log('No tied users found in the leaderboard');
@@ -198,16 +220,6 @@ class ArcadeService {
                 return;
             }
 
-            // Sort entries by score
-            filteredEntries.sort((a, b) => {
-                // For racing games, lower times are better
-                // This is a simplified comparison, may need adjustment based on actual time format
-                return a.TrackTime.localeCompare(b.TrackTime);
-            });
-            
-            // Get the winner (first place)
-            const winner = filteredEntries[0];
-            
             // Mark tiebreaker as completed
             tiebreaker.pointsAwarded = true;
             tiebreaker.results = filteredEntries.map((entry, index) => ({
@@ -256,8 +268,8 @@ class ArcadeService {
             }
             
             // Create embed
-            const monthName = racingBoard.startDate.toLocaleString('default', { month: 'long' });
-            const year = racingBoard.startDate.getFullYear();
+            const monthName = calendarService.formatDate(racingBoard.startDate, { month: 'long' });
+            const year = calendarService.getYear(racingBoard.startDate);
             
             const embed = new EmbedBuilder()
                 .setTitle(`🏎️ ${monthName} ${year} Racing Challenge Results`)
@@ -389,8 +401,8 @@ class ArcadeService {
             }
             
             // Create embed
-            const monthName = racingBoard.startDate.toLocaleString('default', { month: 'long' });
-            const year = racingBoard.startDate.getFullYear();
+            const monthName = calendarService.formatDate(racingBoard.startDate, { month: 'long' });
+            const year = calendarService.getYear(racingBoard.startDate);
             
             const embed = new EmbedBuilder()
                 .setTitle(`🏎️ New Racing Challenge for ${monthName} ${year}`)
@@ -466,53 +478,37 @@ class ArcadeService {
                     continue;
                 }
                 
-                // Filter entries to only show registered users
-                const filteredEntries = allEntries.filter(entry => 
-                    entry.User && registeredUsers.has(entry.User.toLowerCase())
-                );
+                // Award points (3/2/1) to the top 3 registered users
+                const finishers = this.getTopFinishers(allEntries, registeredUsers);
                 
-                if (filteredEntries.length === 0) {
+                if (finishers.length === 0) {
                     console.log(`No registered users found in the leaderboard for ${board.boardId}`);
                     continue;
                 }
                 
-                // Get the top 3 entries
-                const topEntries = filteredEntries.slice(0, 3);
-                
-                // Award points (3/2/1) to the top 3
                 const boardResults = [];
-                const pointsDistribution = [3, 2, 1]; // 1st, 2nd, 3rd place
+                const currentYear = calendarService.getYear();
                 
-                for (let i = 0; i < Math.min(3, topEntries.length); i++) {
-                    const entry = topEntries[i];
-                    const pointsToAward = pointsDistribution[i];
-                    const userObj = registeredUsers.get(entry.User.toLowerCase());
+                for (const { entry, user, rank, points } of finishers) {
+                    // Add community award
+                    const awardTitle = `${PLACEMENTS[rank - 1]} Place in ${currentYear} Arcade: ${board.gameTitle}`;
                     
-                    if (userObj) {
-                        // Get the current year
-                        const currentYear = new Date().getFullYear();
-                        
-                        // Add community award
-                        const placement = i === 0 ? '1st' : (i === 1 ? '2nd' : '3rd');
-                        const awardTitle = `${placement} Place in ${currentYear} Arcade: ${board.gameTitle}`;
-                        
-                        userObj.communityAwards.push({
-                            title: awardTitle,
-                            points: pointsToAward,
-                            awardedAt: new Date(),
-                            awardedBy: 'Arcade System'
-                        });
-                        
-                        await userObj.save();
-                        
-                        // Record result
-                        boardResults.push({
-                            username: entry.User,
-                            rank: i + 1,
-                            score: entry.TrackTime,
-                            points: pointsToAward
-                        });
-                    }
+                    user.communityAwards.push({
+                        title: awardTitle,
+                        points,
+                        awardedAt: new Date(),
+                        awardedBy: 'Arcade System'
+                    });
+                    
+                    await user.save();
+                    
+                    // Record result
+                    boardResults.push({
+                        username: entry.User,
+                        rank,
+                        score: entry.TrackTime,
+                        points
+                    });
                 }
                 
                 // Add to overall results if any points were awarded
@@ -548,7 +544,7 @@ class ArcadeService {
             }
             
             // Get the current year
-            const currentYear = new Date().getFullYear();
+            const currentYear = calendarService.getYear();
             
             // Create main embed
             const mainEmbed = new EmbedBuilder()
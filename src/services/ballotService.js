@@ -0,0 +1,144 @@
+import { randomInt } from 'node:crypto';
+import { User } from '../models/User.js';
+import { Challenge } from '../models/Challenge.js';
+import calendarService from './calendarService.js';
+import nominationCycleService from './nominationCycleService.js';
+import { config } from '../config/config.js';
+
+/**
+ * Small seeded random number generator (mulberry32), so a draw can be
+ * repeated from the seed stored on the poll.
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Picks the games for a voting poll from the current nominations.
+ */
+class BallotService {
+    /**
+     * Build the ballot for next month's vote with the configured strategy
+     * @param {Object} options - Overrides of config.voting.ballot, plus seed to repeat a draw and
+     *                           cycle to draw from (defaults to the current nomination cycle)
+     * @returns {Promise<Object>} Draw: gameIds on the ballot, seed, settings, candidates and the nominated games left out
+     */
+    async buildBallot({ cycle = null, ...options } = {}) {
+        const settings = { ...config.voting.ballot, ...options };
+
+        const nominationCycle = cycle || await nominationCycleService.getCurrentCycle();
+        const users = await User.find({});
+        const nominations = users.flatMap(user => user.getCycleNominations(nominationCycle));
+
+        // Only nominated games that were recent challenges count as excluded
+        const recentGameIds = await this.getRecentChallengeGameIds(settings.excludeRecentMonths);
+        const nominated = this.countNominations(nominations);
+        const candidates = nominated.filter(candidate => !recentGameIds.includes(candidate.gameId));
+        const excludedGameIds = nominated
+            .filter(candidate => recentGameIds.includes(candidate.gameId))
+            .map(candidate => candidate.gameId);
+
+        const seed = settings.seed ?? randomInt(2 ** 32);
+        const gameIds = this.drawBallot(candidates, { ...settings, seed });
+
+        console.log(`Ballot drawn from ${candidates.length} nominated games ` +
+            `(${settings.strategy}, seed ${seed}): ${gameIds.join(', ')}`);
+
+        return {
+            gameIds,
+            seed,
+            strategy: settings.strategy,
+            size: settings.size,
+            guaranteedTop: settings.guaranteedTop,
+            excludeRecentMonths: settings.excludeRecentMonths,
+            candidates,
+            excludedGameIds
+        };
+    }
+
+    /**
+     * Count how many members nominated each game
+     * @param {Array} nominations - Nomination subdocuments
+     * @returns {Array<{gameId: string, nominations: number, firstNominatedAt: Date}>} Most nominated first, then by game ID
+     */
+    countNominations(nominations) {
+        const counts = new Map();
+        for (const nomination of nominations) {
+            const gameId = String(nomination.gameId);
+            const nominatedAt = nomination.nominatedAt || new Date();
+            const candidate = counts.get(gameId);
+
+            if (!candidate) {
+                counts.set(gameId, { gameId, nominations: 1, firstNominatedAt: nominatedAt });
+            } else {
+                candidate.nominations++;
+                if (nominatedAt < candidate.firstNominatedAt) candidate.firstNominatedAt = nominatedAt;
+            }
+        }
+
+        // A fixed order keeps the draw repeatable from the seed
+        return [...counts.values()]
+            .sort((a, b) => b.nominations - a.nominations || Number(a.gameId) - Number(b.gameId));
+    }
+
+    /**
+     * Get the games used as monthly or shadow challenge in the current and previous months
+     * @param {number} months - Number of previous months to look back, 0 for none
+     * @returns {Promise<Array<string>>} Game IDs
+     */
+    async getRecentChallengeGameIds(months) {
+        if (!months) return [];
+
+        const challenges = await Challenge.find({
+            date: { $gte: calendarService.getMonthStart(new Date(), -months) }
+        });
+
+        const gameIds = challenges.flatMap(challenge => [
+            challenge.monthly_challange_gameid,
+            challenge.shadow_challange_gameid
+        ]).filter(Boolean).map(String);
+
+        return [...new Set(gameIds)];
+    }
+
+    /**
+     * Draw the ballot games. The same candidates, settings and seed always give the same ballot.
+     * @param {Array} candidates - Result of countNominations
+     * @param {Object} settings - size, strategy, guaranteedTop and seed
+     * @returns {Array<string>} Game IDs, guaranteed games first
+     */
+    drawBallot(candidates, { size, strategy, guaranteedTop = 0, seed }) {
+        const random = createRandom(seed);
+        const selected = candidates.slice(0, Math.min(guaranteedTop, size)).map(candidate => candidate.gameId);
+        const remaining = candidates.slice(selected.length);
+
+        while (selected.length < size && remaining.length > 0) {
+            const weights = remaining.map(candidate => strategy === 'uniform' ? 1 : candidate.nominations);
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+            let roll = random() * total;
+            let index = 0;
+            while (roll >= weights[index] && index < remaining.length - 1) {
+                roll -= weights[index];
+                index++;
+            }
+
+            selected.push(remaining.splice(index, 1)[0].gameId);
+        }
+
+        return selected;
+    }
+}
+
+// Create singleton instance
+const ballotService = new BallotService();
+export default ballotService;
@@ -0,0 +1,164 @@
+import { config } from '../config/config.js';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Month boundaries, date keys and displayed dates in the community timezone
+ * (config.challenges.timezone). Challenge months start and end at midnight in
+ * that timezone, wherever the bot happens to be hosted.
+ */
+class CalendarService {
+    constructor() {
+        this.formatters = new Map();
+    }
+
+    get timezone() {
+        return config.challenges.timezone;
+    }
+
+    getFormatter(timezone) {
+        if (!this.formatters.has(timezone)) {
+            this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return this.formatters.get(timezone);
+    }
+
+    /**
+     * Get the wall clock time of a moment in the community timezone
+     * @param {Date} date - Moment to convert
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Month is 0-based
+     */
+    getParts(date = new Date()) {
+        const parts = {};
+        for (const { type, value } of this.getFormatter(this.timezone).formatToParts(date)) {
+            if (type !== 'literal') parts[type] = parseInt(value, 10);
+        }
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    /**
+     * Get the moment a wall clock time occurs in the community timezone.
+     * Out of range values roll over like they do with the Date constructor.
+     * @param {number} year - Year
+     * @param {number} month - 0-based month
+     * @param {number} day - Day of the month
+     * @param {number} hour - Hour (0-23)
+     * @param {number} minute - Minute
+     * @param {number} second - Second
+     * @returns {Date} Moment of that wall clock time
+     */
+    fromParts(year, month, day = 1, hour = 0, minute = 0, second = 0) {
+        const wallClock = Date.UTC(year, month, day, hour, minute, second);
+        // The offset at the guessed moment can differ across a DST change, so correct once
+        const guess = wallClock - this.getOffset(new Date(wallClock));
+        return new Date(wallClock - this.getOffset(new Date(guess)));
+    }
+
+    /**
+     * Get the offset of the community timezone from UTC at a moment
+     * @param {Date} date - Moment
+     * @returns {number} Offset in milliseconds (positive east of UTC)
+     */
+    getOffset(date) {
+        const { year, month, day, hour, minute, second } = this.getParts(date);
+        const wholeSeconds = date.getTime() - date.getUTCMilliseconds();
+        return Date.UTC(year, month, day, hour, minute, second) - wholeSeconds;
+    }
+
+    /**
+     * Get the start of the community month containing a moment
+     * @param {Date} date - Moment within the month
+     * @param {number} offset - Number of months to move (-1 for the previous month)
+     * @returns {Date} Midnight on the 1st in the community timezone
+     */
+    getMonthStart(date = new Date(), offset = 0) {
+        const { year, month } = this.getParts(date);
+        return this.fromParts(year, month + offset, 1);
+    }
+
+    /**
+     * Get the window of the community month containing a moment
+     * @param {Date} date - Moment within the month
+     * @returns {{start: Date, end: Date}} Inclusive start and exclusive end of the month
+     */
+    getMonthWindow(date = new Date()) {
+        return {
+            start: this.getMonthStart(date),
+            end: this.getMonthStart(date, 1)
+        };
+    }
+
+    /**
+     * Check whether two moments fall in the same community month
+     * @param {Date} date - First moment
+     * @param {Date} other - Second moment, defaults to now
+     * @returns {boolean} True if year and month match
+     */
+    isSameMonth(date, other = new Date()) {
+        const a = this.getParts(date);
+        const b = this.getParts(other);
+        return a.year === b.year && a.month === b.month;
+    }
+
+    /**
+     * Get the community year of a moment
+     * @param {Date} date - Moment
+     * @returns {number} Year
+     */
+    getYear(date = new Date()) {
+        return this.getParts(date).year;
+    }
+
+    /**
+     * Format the community calendar date of a moment ("2025-01-31")
+     * @param {Date} date - Moment
+     * @returns {string} Date key
+     */
+    formatDateKey(date) {
+        const { year, month, day } = this.getParts(date);
+        return `${year}-${pad(month + 1)}-${pad(day)}`;
+    }
+
+    /**
+     * Format a moment for display in the community timezone
+     * @param {Date} date - Moment
+     * @param {Object} options - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return date.toLocaleString('en-US', { ...options, timeZone: this.timezone });
+    }
+
+    /**
+     * Describe a challenge window, e.g. "2025-01-01 00:00 to 2025-01-31 23:59 (Europe/London)"
+     * @param {{start: Date, end: Date}} window - Result of getMonthWindow
+     * @returns {string} Window description
+     */
+    formatWindow({ start, end }) {
+        const format = (date) => {
+            const { hour, minute } = this.getParts(date);
+            return `${this.formatDateKey(date)} ${pad(hour)}:${pad(minute)}`;
+        };
+        return `${format(start)} to ${format(new Date(end.getTime() - 60 * 1000))} (${this.timezone})`;
+    }
+}
+
+// Create singleton instance
+const calendarService = new CalendarService();
+export default calendarService;
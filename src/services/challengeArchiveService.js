@@ -0,0 +1,190 @@
+import { User } from '../models/User.js';
+import { Challenge } from '../models/Challenge.js';
+import { ChallengeArchive } from '../models/ChallengeArchive.js';
+import { AwardType } from '../config/config.js';
+import retroAPI, { RequestPriority } from './retroAPI.js';
+import scoringService from './scoringService.js';
+import statsUpdateService from './statsUpdateService.js';
+import calendarService from './calendarService.js';
+
+/**
+ * Freezes the results of finished challenge months into ChallengeArchive
+ * documents so they can be shown later even if RetroAchievements data changes
+ * or users leave.
+ */
+class ChallengeArchiveService {
+    /**
+     * Archive older challenges that have no archive yet, from the stored progress snapshots.
+     * The month that just ended is left to the month-close task (monthlyTasksService.closeMonth),
+     * which recalculates it from RetroAchievements first.
+     * @returns {Promise<Array>} Created archives
+     */
+    async archivePendingChallenges() {
+        const previousMonthStart = calendarService.getMonthStart(new Date(), -1);
+
+        const challenges = await Challenge.find({ date: { $lt: previousMonthStart } }).sort({ date: 1 });
+        const archives = await ChallengeArchive.find({}, { date: 1 });
+        const archivedDates = new Set(archives.map(archive => archive.date.getTime()));
+
+        const created = [];
+        for (const challenge of challenges) {
+            if (archivedDates.has(challenge.date.getTime())) continue;
+            created.push(await this.archiveChallenge(challenge));
+        }
+
+        if (created.length > 0) {
+            console.log(`Archived ${created.length} finished challenge${created.length !== 1 ? 's' : ''}`);
+        }
+        return created;
+    }
+
+    /**
+     * Store the final results of a challenge, replacing an existing archive
+     * @param {Object} challenge - Challenge document
+     * @param {Object} options - refresh: recalculate every user's progress first
+     * @returns {Promise<Object>} ChallengeArchive document
+     */
+    async archiveChallenge(challenge, { refresh = false } = {}) {
+        return retroAPI.withPriority(RequestPriority.BULK, async () => {
+            const users = await User.find({});
+
+            if (refresh) {
+                for (const user of users) {
+                    try {
+                        await statsUpdateService.updateUserStats(user, challenge);
+                    } catch (error) {
+                        // Keep the last stored snapshot for this user
+                        console.error(`Error refreshing final stats for user ${user.raUsername}:`, error);
+                    }
+                }
+            }
+
+            const shadowRevealed = Boolean(challenge.shadow_challange_gameid && challenge.shadow_challange_revealed);
+            const standings = this.buildStandings(users, User.formatDateKey(challenge.date), shadowRevealed);
+
+            const archive = await ChallengeArchive.findOneAndUpdate(
+                { date: challenge.date },
+                {
+                    date: challenge.date,
+                    challengeId: challenge._id,
+                    monthlyGame: await this.buildGameRecord(challenge, false),
+                    shadowGame: shadowRevealed ? await this.buildGameRecord(challenge, true) : null,
+                    standings,
+                    awardCounts: {
+                        monthly: this.countAwards(standings, 'award'),
+                        shadow: this.countAwards(standings, 'shadowAward')
+                    },
+                    participants: standings.filter(standing => standing.award > AwardType.NONE).length,
+                    shadowParticipants: standings.filter(standing => standing.shadowAward > AwardType.NONE).length,
+                    finalizedAt: new Date()
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            console.log(`Archived challenge results for ${User.formatDateKey(challenge.date)}`);
+            return archive;
+        });
+    }
+
+    /**
+     * Copy the details of a challenge game
+     * @param {Object} challenge - Challenge document
+     * @param {boolean} isShadow - Whether to copy the shadow game
+     * @returns {Promise<Object>} Archived game record
+     */
+    async buildGameRecord(challenge, isShadow) {
+        const { gameId, progression, win, total } = scoringService.getGameDefinition(challenge, isShadow);
+
+        const record = {
+            gameId,
+            title: `Game ${gameId}`,
+            consoleName: '',
+            imageIcon: '',
+            totalAchievements: total,
+            progressionCount: progression.length,
+            winCount: win.length
+        };
+
+        try {
+            const gameInfo = await retroAPI.getGameInfo(gameId);
+            record.title = gameInfo.title;
+            record.consoleName = gameInfo.consoleName || '';
+            record.imageIcon = gameInfo.imageIcon || '';
+        } catch (error) {
+            // Archive the results anyway, the title can be looked up from the game ID
+            console.error(`Error fetching game info for archived game ${gameId}:`, error);
+        }
+
+        return record;
+    }
+
+    /**
+     * Rank the users who took part in a challenge month
+     * @param {Array} users - User documents
+     * @param {string} monthKey - Date key of the challenge month (User.formatDateKey)
+     * @param {boolean} includeShadow - Whether the shadow challenge counts
+     * @returns {Array} Standings, best first, tied users share a rank
+     */
+    buildStandings(users, monthKey, includeShadow) {
+        const standings = [];
+
+        for (const user of users) {
+            const monthly = user.monthlyChallenges.get(monthKey);
+            const shadow = includeShadow ? user.shadowChallenges.get(monthKey) : null;
+
+            const award = scoringService.normalizeAward(monthly?.progress || 0);
+            const shadowAward = scoringService.normalizeAward(shadow?.progress || 0);
+            if (award === AwardType.NONE && shadowAward === AwardType.NONE) continue;
+
+            const points = scoringService.getPointsForAward(award);
+            const shadowPoints = scoringService.getPointsForAward(shadowAward);
+
+            standings.push({
+                raUsername: user.raUsername,
+                discordId: user.discordId,
+                award,
+                points,
+                earnedThisMonth: monthly?.earnedThisMonth || 0,
+                achieved: monthly?.achieved || 0,
+                shadowAward,
+                shadowPoints,
+                shadowEarnedThisMonth: shadow?.earnedThisMonth || 0,
+                totalPoints: points + shadowPoints
+            });
+        }
+
+        standings.sort((a, b) =>
+            b.totalPoints - a.totalPoints ||
+            b.earnedThisMonth - a.earnedThisMonth ||
+            a.raUsername.localeCompare(b.raUsername)
+        );
+
+        standings.forEach((standing, index) => {
+            const previous = standings[index - 1];
+            const isTied = previous &&
+                previous.totalPoints === standing.totalPoints &&
+                previous.earnedThisMonth === standing.earnedThisMonth;
+            standing.rank = isTied ? previous.rank : index + 1;
+        });
+
+        return standings;
+    }
+
+    /**
+     * Count the users with each award
+     * @param {Array} standings - Result of buildStandings
+     * @param {string} field - 'award' or 'shadowAward'
+     * @returns {Object} Mastery, beaten and participation counts
+     */
+    countAwards(standings, field) {
+        return {
+            mastery: standings.filter(standing => standing[field] === AwardType.MASTERY).length,
+            beaten: standings.filter(standing => standing[field] === AwardType.BEATEN).length,
+            participation: standings.filter(standing => standing[field] === AwardType.PARTICIPATION).length
+        };
+    }
+}
+
+// Create singleton instance
+const challengeArchiveService = new ChallengeArchiveService();
+export default challengeArchiveService;
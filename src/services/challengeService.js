@@ -0,0 +1,105 @@
+import { EmbedBuilder } from 'discord.js';
+import { Challenge } from '../models/Challenge.js';
+import retroAPI from './retroAPI.js';
+import calendarService from './calendarService.js';
+import scoringService from './scoringService.js';
+import { AwardType } from '../config/config.js';
+
+/**
+ * Looks up monthly challenges by month and builds the rules embed shown by
+ * /rules and the new challenge announcement.
+ */
+class ChallengeService {
+    /**
+     * Get the challenge of a month
+     * @param {Date} date - Moment within the month
+     * @returns {Promise<Object|null>} Challenge document
+     */
+    async getChallengeForMonth(date = new Date()) {
+        const { start, end } = calendarService.getMonthWindow(date);
+        return Challenge.findOne({
+            date: {
+                $gte: start,
+                $lt: end
+            }
+        });
+    }
+
+    /**
+     * Get the challenges created for the months after the current one
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} Challenge documents, soonest first
+     */
+    async getUpcomingChallenges(now = new Date()) {
+        return Challenge.find({ date: { $gte: calendarService.getMonthStart(now, 1) } }).sort({ date: 1 });
+    }
+
+    /**
+     * Get the title of a challenge game, falling back to the game ID if RetroAchievements can't be reached
+     * @param {string} gameId - Game ID
+     * @returns {Promise<string>} Game title
+     */
+    async getGameTitle(gameId) {
+        try {
+            const gameInfo = await retroAPI.getGameInfo(gameId);
+            return gameInfo.title || `Game ${gameId}`;
+        } catch (error) {
+            console.error(`Error fetching game info for ${gameId}:`, error);
+            return `Game ${gameId}`;
+        }
+    }
+
+    /**
+     * Build the rules embed of a monthly challenge
+     * @param {Object} challenge - Challenge document
+     * @param {Object} gameInfo - Result of retroAPI.getGameInfo for the monthly game
+     * @returns {EmbedBuilder} Rules embed
+     */
+    buildRulesEmbed(challenge, gameInfo) {
+        const challengeWindow = calendarService.getMonthWindow(challenge.date);
+
+        // Get progression and win achievement counts
+        const progressionCount = challenge.monthly_challange_progression_achievements.length;
+        const winCount = challenge.monthly_challange_win_achievements.length;
+
+        // Get month name
+        const monthName = calendarService.formatDate(challengeWindow.start, { month: 'long' });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`${monthName} Challenge Rules`)
+            .setURL(`https://retroachievements.org/game/${challenge.monthly_challange_gameid}`)
+            .setColor('#2ECC71')
+            .addFields(
+                {
+                    name: 'Active Challenge',
+                    value: `**Game:** ${gameInfo.title}\n` +
+                           `**Period:** ${calendarService.formatWindow(challengeWindow)}`
+                },
+                {
+                    name: 'Challenge Rules',
+                    value: `• **To participate:** Earn any achievement\n` +
+                           `• **To beat the game:** Complete all ${progressionCount} progression achievements` +
+                           (winCount > 0 ? ` and at least one of the ${winCount} win achievements` : '') + '\n' +
+                           `• **For mastery:** Complete all ${challenge.monthly_challange_game_total} achievements`
+                },
+                {
+                    name: 'Point System',
+                    value: `• **Participation:** ${scoringService.formatAwardPoints(AwardType.PARTICIPATION)} (earning any achievement)\n` +
+                           `• **Game Beaten:** ${scoringService.formatAwardPoints(AwardType.BEATEN)} (completing the progression/win requirements)\n` +
+                           `• **Mastery:** ${scoringService.formatAwardPoints(AwardType.MASTERY)} (100% completion)\n\n` +
+                           `*Note: Only the highest award counts. Points must be earned during the active month.*`
+                }
+            )
+            .setTimestamp();
+
+        if (gameInfo.imageIcon) {
+            embed.setThumbnail(`https://retroachievements.org${gameInfo.imageIcon}`);
+        }
+
+        return embed;
+    }
+}
+
+// Create singleton instance
+const challengeService = new ChallengeService();
+export default challengeService;
@@ -0,0 +1,66 @@
+// RetroAchievements flags achievements in the unofficial set with 5 (core achievements have 3)
+const UNOFFICIAL_FLAG = 5;
+
+/**
+ * Checks the achievements picked for a monthly or shadow challenge against
+ * the game's achievement list before the challenge is saved.
+ */
+class ChallengeValidationService {
+    /**
+     * Parse a comma-separated list of achievement IDs
+     * @param {string|null} input - Option value
+     * @returns {Array<string>} Achievement IDs without blanks or repeats
+     */
+    parseIds(input) {
+        return [...new Set((input || '').split(',').map(id => id.trim()).filter(id => id))];
+    }
+
+    /**
+     * Validate the progression and win achievements of a challenge
+     * @param {Object} gameInfo - Result of retroAPI.getGameInfoExtended
+     * @param {Array<string>} progressionAchievements - Progression achievement IDs
+     * @param {Array<string>} winAchievements - Win achievement IDs
+     * @returns {{errors: Array<string>, warnings: Array<string>}} Errors stop the challenge from being saved
+     */
+    validate(gameInfo, progressionAchievements, winAchievements) {
+        const achievements = gameInfo.achievements || {};
+        const errors = [];
+        const warnings = [];
+
+        if (progressionAchievements.length === 0) {
+            errors.push('Please provide at least one progression achievement ID.');
+        }
+
+        const picked = [...progressionAchievements, ...winAchievements];
+        const unknown = picked.filter(id => !achievements[id]);
+        if (unknown.length > 0) {
+            errors.push(`${gameInfo.title} has no achievement${unknown.length !== 1 ? 's' : ''} with ID ${unknown.join(', ')}.`);
+        }
+
+        const inBoth = progressionAchievements.filter(id => winAchievements.includes(id));
+        if (inBoth.length > 0) {
+            errors.push(`Achievement${inBoth.length !== 1 ? 's' : ''} ${inBoth.join(', ')} can't be both progression and win achievements.`);
+        }
+
+        const known = [...new Set(picked)].map(id => achievements[id]).filter(Boolean);
+        const missable = known.filter(achievement => achievement.type === 'missable');
+        if (missable.length > 0) {
+            warnings.push(`Missable: ${this.formatList(missable)}. Members who miss ${missable.length !== 1 ? 'them' : 'it'} may have to restart the game.`);
+        }
+
+        const unofficial = known.filter(achievement => achievement.flags === UNOFFICIAL_FLAG);
+        if (unofficial.length > 0) {
+            warnings.push(`Unofficial: ${this.formatList(unofficial)}. Unofficial achievements can change or be removed.`);
+        }
+
+        return { errors, warnings };
+    }
+
+    formatList(achievements) {
+        return achievements.map(achievement => `${achievement.title} (${achievement.id})`).join(', ');
+    }
+}
+
+// Create singleton instance
+const challengeValidationService = new ChallengeValidationService();
+export default challengeValidationService;
@@ -0,0 +1,187 @@
+import { Game } from '../models/Game.js';
+import retroAPI, { RequestPriority } from './retroAPI.js';
+import { config } from '../config/config.js';
+
+// Discord shows at most 25 autocomplete choices
+const MAX_CHOICES = 25;
+
+// Matches fetched per query before ranking them by title
+const MAX_MATCHES = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Shorter titles first, they are closer to what was typed
+const byTitle = (a, b) => a.title.length - b.title.length || a.title.localeCompare(b.title);
+
+/**
+ * Keeps a local catalogue of every game with achievements, built from the
+ * RetroAchievements console game lists, so commands can offer game titles
+ * as autocomplete choices instead of asking for raw game IDs.
+ */
+class GameCatalogService {
+    constructor() {
+        this.isRefreshing = false;
+    }
+
+    /**
+     * Refresh the catalogue if it is empty or older than config.catalog.refreshDays
+     * @returns {Promise<boolean>} True if a refresh ran
+     */
+    async refreshIfStale() {
+        const newest = await Game.findOne({}, { refreshedAt: 1 }).sort({ refreshedAt: -1 });
+        const maxAge = config.catalog.refreshDays * 24 * 60 * 60 * 1000;
+
+        if (newest && Date.now() - newest.refreshedAt.getTime() < maxAge) {
+            return false;
+        }
+
+        await this.refresh();
+        return true;
+    }
+
+    /**
+     * Load the games of every console into the catalogue. Games that are no
+     * longer listed are removed, unless a console could not be loaded.
+     * @returns {Promise<number>} Number of games in the catalogue
+     */
+    async refresh() {
+        if (this.isRefreshing) {
+            console.log('Game catalogue refresh already in progress');
+            return 0;
+        }
+
+        try {
+            this.isRefreshing = true;
+
+            // Background job: queue behind slash commands and the achievement feed
+            return await retroAPI.withPriority(RequestPriority.BULK, () => this.loadCatalog());
+        } finally {
+            this.isRefreshing = false;
+        }
+    }
+
+    async loadCatalog() {
+        const startedAt = new Date();
+        const consoles = (await retroAPI.getConsoles())
+            .filter(platform => platform.isGameSystem !== false);
+
+        let total = 0;
+        let failedConsoles = 0;
+
+        for (const platform of consoles) {
+            try {
+                const games = (await retroAPI.getConsoleGames(platform.id, true))
+                    .filter(game => game.numAchievements > 0);
+                if (games.length === 0) continue;
+
+                await Game.bulkWrite(games.map(game => ({
+                    updateOne: {
+                        filter: { gameId: String(game.id) },
+                        update: {
+                            $set: {
+                                title: game.title,
+                                searchTitle: Game.normalizeTitle(game.title),
+                                consoleId: game.consoleId,
+                                consoleName: game.consoleName || platform.name,
+                                imageIcon: game.imageIcon || '',
+                                numAchievements: game.numAchievements,
+                                points: game.points || 0,
+                                refreshedAt: startedAt
+                            }
+                        },
+                        upsert: true
+                    }
+                })));
+                total += games.length;
+            } catch (error) {
+                // Keep the stored games of this console until the next refresh
+                console.error(`Error loading games of console ${platform.name}:`, error);
+                failedConsoles++;
+            }
+        }
+
+        if (failedConsoles === 0) {
+            await Game.deleteMany({ refreshedAt: { $lt: startedAt } });
+        }
+
+        console.log(`Game catalogue refreshed: ${total} games from ${consoles.length} consoles` +
+            (failedConsoles > 0 ? ` (${failedConsoles} failed)` : ''));
+        return total;
+    }
+
+    /**
+     * Find catalogue games by title, or by ID if the query is a number
+     * @param {string} query - Text typed by the user
+     * @param {number} limit - Maximum number of games
+     * @returns {Promise<Array>} Games, titles starting with the query first
+     */
+    async search(query, limit = MAX_CHOICES) {
+        const text = Game.normalizeTitle(query || '');
+        if (!text) return [];
+
+        if (/^\d+$/.test(text)) {
+            const game = await Game.findOne({ gameId: text });
+            if (game) return [game];
+        }
+
+        // Titles starting with the query first, the anchored regex can use the searchTitle index
+        const prefix = new RegExp(`^${escapeRegex(text)}`);
+        const prefixMatches = await Game.find({ searchTitle: { $regex: prefix } }).limit(MAX_MATCHES);
+        if (prefixMatches.length >= limit) {
+            return prefixMatches.sort(byTitle).slice(0, limit);
+        }
+
+        // Fill the rest with titles containing the query further in
+        const otherMatches = await Game.find({
+            searchTitle: { $regex: escapeRegex(text), $not: prefix }
+        }).limit(MAX_MATCHES);
+
+        return [...prefixMatches.sort(byTitle), ...otherMatches.sort(byTitle)].slice(0, limit);
+    }
+
+    /**
+     * Get the game ID for the value of a game option. Autocomplete fills in the
+     * ID, but a title typed without picking a choice is looked up as well.
+     * @param {string} value - Option value
+     * @returns {Promise<string|null>} Game ID, null if no game matches
+     */
+    async resolveGameId(value) {
+        const text = String(value || '').trim();
+        if (/^\d+$/.test(text)) return text;
+
+        const [game] = await this.search(text, 1);
+        return game ? game.gameId : null;
+    }
+
+    /**
+     * Build the autocomplete choices for a game ID option
+     * @param {string} query - Text typed by the user
+     * @returns {Promise<Array<{name: string, value: string}>>} Choices with the game ID as value
+     */
+    async getAutocompleteChoices(query) {
+        const games = await this.search(query);
+        return games.map(game => ({
+            name: `${game.title} (${game.consoleName})`.slice(0, 100),
+            value: game.gameId
+        }));
+    }
+
+    /**
+     * Answer an autocomplete interaction for a game ID option. Errors are
+     * logged and answered with no choices, autocomplete can't show errors.
+     * @param {Object} interaction - Autocomplete interaction
+     */
+    async respondWithGames(interaction) {
+        let choices = [];
+        try {
+            choices = await this.getAutocompleteChoices(interaction.options.getFocused());
+        } catch (error) {
+            console.error('Error searching the game catalogue:', error);
+        }
+        await interaction.respond(choices);
+    }
+}
+
+// Create singleton instance
+const gameCatalogService = new GameCatalogService();
+export default gameCatalogService;
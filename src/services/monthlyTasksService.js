@@ -1,37 +1,99 @@
 import { User } from '../models/User.js';
 import { Challenge } from '../models/Challenge.js';
+import { ChallengeArchive } from '../models/ChallengeArchive.js';
+import challengeArchiveService from './challengeArchiveService.js';
+import votingService from './votingService.js';
+import ballotService from './ballotService.js';
+import nominationThreadService from './nominationThreadService.js';
+import nominationHistoryService from './nominationHistoryService.js';
+import nominationCycleService from './nominationCycleService.js';
+import calendarService from './calendarService.js';
+import challengeService from './challengeService.js';
 import retroAPI from './retroAPI.js';
 import { EmbedBuilder } from 'discord.js';
 import { config } from '../config/config.js';
 
+const RANK_EMOJIS = ['🥇', '🥈', '🥉'];
+
 class MonthlyTasksService {
     constructor() {
         this.client = null;
+        this.isClosingMonth = false;
+        this.isAnnouncingChallenge = false;
+        this.isRunningCycle = false;
     }
 
     setClient(client) {
         this.client = client;
     }
 
-    async clearAllNominations() {
+    /**
+     * Advance the nomination cycles: archive and clear the nominations of cycles
+     * whose challenge month has started, and post the current cycle's poll once
+     * its poll date has passed. Safe to call repeatedly, runs missed while the
+     * bot was offline are caught up.
+     * @param {Date} now - Current time
+     */
+    async runNominationCycle(now = new Date()) {
+        // The cron and the startup catch-up can overlap while a poll is being posted
+        if (this.isRunningCycle) {
+            console.log('Nomination cycle run already in progress');
+            return;
+        }
+
+        try {
+            this.isRunningCycle = true;
+
+            for (const cycle of await nominationCycleService.getFinishedCycles(now)) {
+                await this.clearAllNominations(cycle);
+            }
+
+            const cycle = await nominationCycleService.getCurrentCycle(now);
+            if (cycle.status === 'nominating' && now >= cycle.pollAt) {
+                await this.createVotingPoll(cycle);
+            }
+        } finally {
+            this.isRunningCycle = false;
+        }
+    }
+
+    /**
+     * Archive and clear the nominations of a finished cycle
+     * @param {Object} cycle - NominationCycle whose challenge month has started
+     */
+    async clearAllNominations(cycle) {
         if (!this.client) {
             console.error('Discord client not set for monthly tasks service');
             return;
         }
 
         try {
-            console.log('Clearing all nominations for the current month...');
+            console.log(`Clearing the nominations for ${calendarService.formatDateKey(cycle.targetMonth)}...`);
             
             // Get all users
             const users = await User.find({});
+
+            // Keep the nominations for /nominations stats before they are cleared
+            const archived = await nominationHistoryService.archiveNominations(users, cycle.opensAt);
+            console.log(`Archived ${archived} nominations`);
             
-            // Clear nominations for each user
+            // Clear the cycle's nominations for each user
             for (const user of users) {
-                user.clearCurrentNominations();
-                await user.save();
+                const count = user.nominations.length;
+                user.clearCycleNominations(cycle);
+                if (user.nominations.length !== count) {
+                    await user.save();
+                }
             }
             
             console.log(`Cleared nominations for ${users.length} users`);
+
+            // Close the discussion threads of last month's nominations
+            await nominationThreadService.archiveOldThreads();
+
+            cycle.status = 'done';
+            cycle.clearedAt = new Date();
+            await cycle.save();
             
             // Announce in the designated channel
             await this.announceNominationsClear();
@@ -41,80 +103,247 @@ class MonthlyTasksService {
         }
     }
 
-    async createVotingPoll() {
+    /**
+     * Post the voting poll of a cycle, drawn from its nominations
+     * @param {Object} nominatingCycle - NominationCycle whose poll date has passed
+     */
+    async createVotingPoll(nominatingCycle) {
         if (!this.client) {
             console.error('Discord client not set for monthly tasks service');
             return;
         }
 
+        // Claim the cycle before the slow ballot draw, a second run skips it
+        const cycle = await nominationCycleService.claimPoll(nominatingCycle);
+        if (!cycle) {
+            console.log('The poll of this nomination cycle is already being posted.');
+            return;
+        }
+
         try {
             console.log('Creating voting poll for next month\'s challenge...');
             
-            // Get all users
-            const users = await User.find({});
-
-            // Get all current nominations
-            let allNominations = [];
-            for (const user of users) {
-                const nominations = user.getCurrentNominations();
-                allNominations.push(...nominations.map(nom => nom.gameId));
+            // Only one poll can be open at a time, an admin may have started it already
+            const openPoll = await votingService.getCurrentPoll();
+            if (openPoll) {
+                console.log('A voting poll is already open, not creating another one.');
+                await this.markVoting(cycle, openPoll);
+                return;
             }
 
-            // Remove duplicates
-            allNominations = [...new Set(allNominations)];
+            // Draw the ballot from the cycle's nominations
+            const draw = await ballotService.buildBallot({ cycle });
+            if (draw.gameIds.length === 0) {
+                // Nothing to vote on, admins can still start a poll with /startvoting
+                console.log('No eligible games have been nominated for next month.');
+                await this.markVoting(cycle, null);
+                return;
+            }
 
-            if (allNominations.length === 0) {
-                console.log('No games have been nominated for next month.');
+            // Get the voting channel
+            const votingChannel = await this.getVotingChannel();
+            if (!votingChannel) {
+                console.error('Voting channel not found');
+                await this.releasePoll(cycle);
                 return;
             }
 
-            // Randomly select 10 games (or less if there aren't enough nominations)
-            const selectedCount = Math.min(10, allNominations.length);
-            const selectedGames = [];
-            while (selectedGames.length < selectedCount) {
-                const randomIndex = Math.floor(Math.random() * allNominations.length);
-                const gameId = allNominations[randomIndex];
-                if (!selectedGames.includes(gameId)) {
-                    selectedGames.push(gameId);
+            // Post the poll, votes are counted by the voting service
+            const poll = await votingService.createPoll(votingChannel, draw.gameIds, { draw });
+            await this.markVoting(cycle, poll);
+
+            console.log('Voting poll created successfully');
+            
+        } catch (error) {
+            console.error('Error creating voting poll:', error);
+            await this.releasePoll(cycle);
+        }
+    }
+
+    /**
+     * Reopen a claimed cycle whose poll could not be posted, the next run tries again
+     * @param {Object} cycle - NominationCycle
+     */
+    async releasePoll(cycle) {
+        try {
+            cycle.status = 'nominating';
+            await cycle.save();
+        } catch (error) {
+            console.error('Error reopening nomination cycle:', error);
+        }
+    }
+
+    /**
+     * Close a cycle's nominations and link its poll
+     * @param {Object} cycle - NominationCycle
+     * @param {Object|null} poll - Poll of the cycle
+     */
+    async markVoting(cycle, poll) {
+        cycle.status = 'voting';
+        cycle.pollId = poll ? poll._id : null;
+        await cycle.save();
+    }
+
+    /**
+     * Month-close task: once the grace window after midnight on the 1st has passed,
+     * recalculate every user's progress for the challenge that just ended, freeze the
+     * results in its archive and post a recap. Safe to call repeatedly, a month is only
+     * closed once.
+     * @returns {Promise<Object|null>} Archive of the closed month, null if nothing was closed
+     */
+    async closeMonth() {
+        if (this.isClosingMonth) {
+            console.log('Month close already in progress');
+            return null;
+        }
+
+        try {
+            this.isClosingMonth = true;
+
+            // Older months missed while the bot was offline only need their stored results archived
+            await challengeArchiveService.archivePendingChallenges();
+
+            const now = new Date();
+            const currentMonthStart = calendarService.getMonthStart(now);
+            const previousMonthStart = calendarService.getMonthStart(now, -1);
+            const closesAt = new Date(currentMonthStart.getTime() + config.challenges.finalizationGraceMinutes * 60 * 1000);
+
+            if (now < closesAt) {
+                console.log(`Last month's challenge closes at ${calendarService.formatDate(closesAt)}`);
+                return null;
+            }
+
+            const challenge = await Challenge.findOne({
+                date: {
+                    $gte: previousMonthStart,
+                    $lt: currentMonthStart
                 }
+            });
+            if (!challenge) return null;
+
+            const existing = await ChallengeArchive.findOne({ date: challenge.date });
+            if (existing?.closedAt) return null;
+
+            console.log('Closing last month\'s challenge...');
+
+            // Final recalculation, so achievements earned after the last stats update still count
+            const archive = await challengeArchiveService.archiveChallenge(challenge, { refresh: true });
+
+            await this.announceMonthlyRecap(archive);
+
+            archive.closedAt = new Date();
+            await archive.save();
+
+            console.log('Last month\'s challenge closed');
+            return archive;
+
+        } catch (error) {
+            console.error('Error closing month:', error);
+            return null;
+        } finally {
+            this.isClosingMonth = false;
+        }
+    }
+
+    /**
+     * Post the rules of the challenge starting this month. Only runs on the 1st and
+     * a challenge is announced once, so it is safe to call repeatedly.
+     * @param {Date} now - Current time
+     * @returns {Promise<boolean>} Whether the challenge was announced
+     */
+    async announceNewChallenge(now = new Date()) {
+        // A bot started later in the month doesn't announce a challenge that has been running for days
+        const monthStart = calendarService.getMonthStart(now);
+        if (now - monthStart >= 24 * 60 * 60 * 1000) return false;
+
+        // A second call while the first is still sending would announce the challenge twice
+        if (this.isAnnouncingChallenge) {
+            console.log('New challenge announcement already in progress');
+            return false;
+        }
+
+        try {
+            this.isAnnouncingChallenge = true;
+
+            const challenge = await challengeService.getChallengeForMonth(now);
+            if (!challenge || challenge.announcedAt) return false;
+
+            const announcementChannel = await this.getAnnouncementChannel();
+            if (!announcementChannel) {
+                console.error('Announcement channel not found');
+                return false;
             }
 
-            // Get game info for all selected games
-            const gameInfoPromises = selectedGames.map(gameId => retroAPI.getGameInfo(gameId));
-            const games = await Promise.all(gameInfoPromises);
+            const gameInfo = await retroAPI.getGameInfo(challenge.monthly_challange_gameid);
+            const monthName = calendarService.formatDate(monthStart, { month: 'long', year: 'numeric' });
 
-            // Create embed for the poll
-            const embed = new EmbedBuilder()
-                .setTitle('🎮 Vote for Next Month\'s Challenge!')
-                .setDescription('React with the corresponding number to vote for a game. You can vote for up to two games!\n\n' +
-                    games.map((game, index) => 
-                        `${index + 1}️⃣ **${game.title}**\n` +
-                        `└ Achievements: ${game.achievements.length}\n` +
-                        `└ [View Game](https://retroachievements.org/game/${game.id})`
-                    ).join('\n\n'))
-                .setColor('#FF69B4')
-                .setFooter({ text: 'Voting ends in 7 days' });
+            await announcementChannel.send({
+                content: `🎮 **A new challenge starts!** The ${monthName} challenge is **${gameInfo.title}**. Good luck everyone!`,
+                embeds: [challengeService.buildRulesEmbed(challenge, gameInfo)]
+            });
 
-            // Get the voting channel
-            const votingChannel = await this.getVotingChannel();
-            if (!votingChannel) {
-                console.error('Voting channel not found');
+            challenge.announcedAt = new Date();
+            await challenge.save();
+            return true;
+
+        } catch (error) {
+            console.error('Error announcing new challenge:', error);
+            return false;
+        } finally {
+            this.isAnnouncingChallenge = false;
+        }
+    }
+
+    async announceMonthlyRecap(archive) {
+        try {
+            // Get the announcement channel
+            const announcementChannel = await this.getAnnouncementChannel();
+            if (!announcementChannel) {
+                console.error('Announcement channel not found');
                 return;
             }
 
-            // Send the poll
-            const pollMessage = await votingChannel.send({ embeds: [embed] });
+            const monthName = calendarService.formatDate(archive.date, { month: 'long', year: 'numeric' });
+            const { monthlyGame, shadowGame, awardCounts } = archive;
 
-            // Add number reactions
-            const numberEmojis = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
-            for (let i = 0; i < selectedGames.length; i++) {
-                await pollMessage.react(numberEmojis[i]);
+            const embed = new EmbedBuilder()
+                .setTitle(`🏁 ${monthName} Challenge Results`)
+                .setDescription(`The ${monthName} challenge is over and the results are final!\n\n` +
+                    `**${monthlyGame.title}**${monthlyGame.consoleName ? ` (${monthlyGame.consoleName})` : ''}\n` +
+                    `└ Participants: ${archive.participants}\n` +
+                    `└ ${formatAwardCounts(awardCounts.monthly)}`)
+                .setColor('#FFD700')
+                .setURL(`https://retroachievements.org/game/${monthlyGame.gameId}`)
+                .setFooter({ text: 'Use /challenge history to see the full standings' })
+                .setTimestamp();
+
+            if (monthlyGame.imageIcon) {
+                embed.setThumbnail(`https://retroachievements.org${monthlyGame.imageIcon}`);
             }
 
-            console.log('Voting poll created successfully');
-            
+            const topStandings = archive.standings.filter(standing => standing.rank <= RANK_EMOJIS.length);
+            embed.addFields({
+                name: 'Top Finishers',
+                value: topStandings.length > 0
+                    ? topStandings.map(standing =>
+                        `${RANK_EMOJIS[standing.rank - 1]} **${standing.raUsername}** - ${standing.totalPoints} point${standing.totalPoints !== 1 ? 's' : ''}`
+                    ).join('\n')
+                    : 'No one took part in this challenge.'
+            });
+
+            if (shadowGame?.gameId) {
+                embed.addFields({
+                    name: 'Shadow Challenge',
+                    value: `**${shadowGame.title}**\n` +
+                        `└ Participants: ${archive.shadowParticipants}\n` +
+                        `└ ${formatAwardCounts(awardCounts.shadow)}`
+                });
+            }
+
+            await announcementChannel.send({ embeds: [embed] });
+
         } catch (error) {
-            console.error('Error creating voting poll:', error);
+            console.error('Error announcing monthly recap:', error);
         }
     }
 
@@ -183,6 +412,11 @@ class MonthlyTasksService {
     }
 }
 
+// Helper function to summarize the awards of an archived challenge
+function formatAwardCounts(counts) {
+    return `✨ Mastery: ${counts.mastery} | ⭐ Beaten: ${counts.beaten} | 🏁 Participation: ${counts.participation}`;
+}
+
 // Create singleton instance
 const monthlyTasksService = new MonthlyTasksService();
 export default monthlyTasksService;
@@ -0,0 +1,84 @@
+import { NominationCycle } from '../models/NominationCycle.js';
+import calendarService from './calendarService.js';
+import { config } from '../config/config.js';
+
+/**
+ * Creates the nomination cycles from the configured schedule. The cycle of a
+ * challenge month runs in the month before it: nominations open on the 1st,
+ * close on config.nominations.closeDay (or when the poll opens) and the poll
+ * opens on config.nominations.pollDay.
+ */
+class NominationCycleService {
+    /**
+     * Build the cycle of a challenge month from the configured schedule
+     * @param {Date} targetMonth - Start of the challenge month
+     * @returns {Object} Unsaved NominationCycle document
+     */
+    buildCycle(targetMonth) {
+        const opensAt = calendarService.getMonthStart(targetMonth, -1);
+        const { year, month } = calendarService.getParts(opensAt);
+
+        // Days past the end of a short month fall on its last day
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const atDay = (day) => calendarService.fromParts(year, month, Math.min(day, lastDay));
+
+        const { pollDay, closeDay } = config.nominations;
+        const pollAt = atDay(pollDay);
+        const closesAt = closeDay && atDay(closeDay) < pollAt ? atDay(closeDay) : pollAt;
+
+        return new NominationCycle({ targetMonth, opensAt, closesAt, pollAt });
+    }
+
+    /**
+     * Get the cycle of a challenge month, creating it from the schedule the first time
+     * @param {Date} targetMonth - Start of the challenge month
+     * @returns {Promise<Object>} NominationCycle document
+     */
+    async getCycle(targetMonth) {
+        const { opensAt, closesAt, pollAt } = this.buildCycle(targetMonth);
+
+        // Upsert, two callers creating the same cycle end up with one
+        return NominationCycle.findOneAndUpdate(
+            { targetMonth },
+            { $setOnInsert: { targetMonth, opensAt, closesAt, pollAt } },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Get the cycle nominations made now count towards, the one for next month's challenge
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} NominationCycle document
+     */
+    async getCurrentCycle(now = new Date()) {
+        return this.getCycle(calendarService.getMonthStart(now, 1));
+    }
+
+    /**
+     * Claim a cycle for posting its poll by closing its nominations. Only one
+     * caller gets the claim, so the poll is posted once.
+     * @param {Object} cycle - NominationCycle
+     * @returns {Promise<Object|null>} The claimed cycle, null if another caller claimed it first
+     */
+    async claimPoll(cycle) {
+        return NominationCycle.findOneAndUpdate(
+            { _id: cycle._id, status: 'nominating' },
+            { $set: { status: 'voting' } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Get the cycles whose challenge month has started but whose nominations
+     * have not been cleared yet
+     * @param {Date} now - Current time
+     * @returns {Promise<Array<Object>>} NominationCycle documents, oldest first
+     */
+    async getFinishedCycles(now = new Date()) {
+        return NominationCycle.find({ status: { $ne: 'done' }, targetMonth: { $lte: now } }).sort({ targetMonth: 1 });
+    }
+}
+
+// Create singleton instance
+const nominationCycleService = new NominationCycleService();
+export default nominationCycleService;
@@ -0,0 +1,180 @@
+import { NominationArchive } from '../models/NominationArchive.js';
+import { Game } from '../models/Game.js';
+import { Poll } from '../models/Poll.js';
+import { Challenge } from '../models/Challenge.js';
+import calendarService from './calendarService.js';
+
+/**
+ * Keeps the nominations of finished months and works out how nominated games
+ * fared: whether they made the ballot of the poll opened in their nomination
+ * month and whether they won it or became a monthly challenge.
+ */
+class NominationHistoryService {
+    /**
+     * Archive the nominations users made in a month
+     * @param {Array<Object>} users - User documents
+     * @param {Date} month - Moment within the nomination month
+     * @returns {Promise<number>} Number of nominations archived
+     */
+    async archiveNominations(users, month) {
+        const monthStart = calendarService.getMonthStart(month);
+        const nominations = users.flatMap(user => user.nominations
+            .filter(nom => calendarService.isSameMonth(nom.nominatedAt, monthStart))
+            .map(nom => ({ user, nom })));
+        if (nominations.length === 0) return 0;
+
+        // Titles come from the catalogue, the monthly job shouldn't wait on RetroAchievements
+        const gameIds = [...new Set(nominations.map(({ nom }) => nom.gameId))];
+        const games = new Map((await Game.find({ gameId: { $in: gameIds } })).map(game => [game.gameId, game]));
+
+        await NominationArchive.bulkWrite(nominations.map(({ user, nom }) => ({
+            updateOne: {
+                filter: { month: monthStart, discordId: user.discordId, gameId: nom.gameId },
+                update: {
+                    $set: {
+                        title: games.get(nom.gameId)?.title,
+                        consoleName: games.get(nom.gameId)?.consoleName,
+                        raUsername: user.raUsername,
+                        nominatedAt: nom.nominatedAt,
+                        pitch: nom.pitch
+                    }
+                },
+                upsert: true
+            }
+        })));
+
+        return nominations.length;
+    }
+
+    /**
+     * Get the ballot and winner of each nomination month's poll. A poll belongs
+     * to the month it opened in, a runoff counts towards the poll it settled.
+     * @returns {Promise<Map<string, {ballot: Set<string>, winnerGameId: string|null}>>} Outcome by month key
+     */
+    async getPollOutcomes() {
+        const polls = await Poll.find({ status: 'closed' });
+        const runoffWinners = new Map(polls
+            .filter(poll => poll.runoffOf)
+            .map(poll => [String(poll.runoffOf), poll.winnerGameId]));
+
+        const outcomes = new Map();
+        for (const poll of polls.filter(poll => !poll.runoffOf).sort((a, b) => a.opensAt - b.opensAt)) {
+            const key = calendarService.formatDateKey(calendarService.getMonthStart(poll.opensAt));
+            const outcome = outcomes.get(key) || { ballot: new Set(), winnerGameId: null };
+
+            poll.games.forEach(game => outcome.ballot.add(game.gameId));
+            outcome.winnerGameId = poll.winnerGameId || runoffWinners.get(String(poll._id)) || outcome.winnerGameId;
+            outcomes.set(key, outcome);
+        }
+        return outcomes;
+    }
+
+    /**
+     * Get every archived nomination with how it fared
+     * @param {Object} filter - NominationArchive query
+     * @returns {Promise<Array<Object>>} Nominations with madeBallot and won flags, newest month first
+     */
+    async getNominationOutcomes(filter = {}) {
+        const [nominations, outcomes] = await Promise.all([
+            NominationArchive.find(filter),
+            this.getPollOutcomes()
+        ]);
+
+        return nominations
+            .map(nomination => {
+                const outcome = outcomes.get(calendarService.formatDateKey(nomination.month));
+                return {
+                    month: nomination.month,
+                    gameId: nomination.gameId,
+                    title: nomination.title || `Game ${nomination.gameId}`,
+                    discordId: nomination.discordId,
+                    raUsername: nomination.raUsername,
+                    madeBallot: Boolean(outcome?.ballot.has(nomination.gameId)),
+                    won: outcome?.winnerGameId === nomination.gameId
+                };
+            })
+            .sort((a, b) => b.month - a.month || a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Get the most nominated games that never won a poll or became a monthly challenge
+     * @param {number} limit - Maximum number of games
+     * @returns {Promise<Array<Object>>} Games with nomination, month and ballot counts
+     */
+    async getNeverChosenGames(limit = 10) {
+        const [nominations, challenges] = await Promise.all([
+            this.getNominationOutcomes(),
+            Challenge.find({})
+        ]);
+        const challengeGameIds = new Set(challenges.map(challenge => challenge.monthly_challange_gameid));
+
+        const games = new Map();
+        for (const nomination of nominations) {
+            const game = games.get(nomination.gameId) || {
+                gameId: nomination.gameId,
+                title: nomination.title,
+                nominations: 0,
+                months: new Set(),
+                ballotMonths: new Set(),
+                won: false
+            };
+            game.nominations++;
+            game.months.add(nomination.month.getTime());
+            if (nomination.madeBallot) game.ballotMonths.add(nomination.month.getTime());
+            game.won ||= nomination.won;
+            games.set(nomination.gameId, game);
+        }
+
+        return [...games.values()]
+            .filter(game => !game.won && !challengeGameIds.has(game.gameId))
+            .map(game => ({
+                gameId: game.gameId,
+                title: game.title,
+                nominations: game.nominations,
+                months: game.months.size,
+                ballots: game.ballotMonths.size
+            }))
+            .sort((a, b) => b.nominations - a.nominations || b.months - a.months || a.title.localeCompare(b.title))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get how often each member's nominations made the ballot or won
+     * @param {number} limit - Maximum number of members
+     * @returns {Promise<Array<Object>>} Members, most nominations first
+     */
+    async getNominatorStats(limit = 10) {
+        const members = new Map();
+        for (const nomination of await this.getNominationOutcomes()) {
+            const member = members.get(nomination.discordId) || {
+                discordId: nomination.discordId,
+                raUsername: nomination.raUsername,
+                nominations: 0,
+                ballots: 0,
+                wins: 0
+            };
+            member.nominations++;
+            if (nomination.madeBallot) member.ballots++;
+            if (nomination.won) member.wins++;
+            members.set(nomination.discordId, member);
+        }
+
+        return [...members.values()]
+            .sort((a, b) => b.nominations - a.nominations || b.wins - a.wins || a.raUsername.localeCompare(b.raUsername))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get a member's archived nominations
+     * @param {string} raUsername - RetroAchievements username, matched case-insensitively
+     * @returns {Promise<Array<Object>>} Nominations with madeBallot and won flags, newest month first
+     */
+    async getMemberHistory(raUsername) {
+        const escaped = raUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return this.getNominationOutcomes({ raUsername: { $regex: new RegExp(`^${escaped}$`, 'i') } });
+    }
+}
+
+// Create singleton instance
+const nominationHistoryService = new NominationHistoryService();
+export default nominationHistoryService;
@@ -0,0 +1,129 @@
+import retroAPI from './retroAPI.js';
+import ballotService from './ballotService.js';
+import { config } from '../config/config.js';
+
+/**
+ * Eligibility rules for nominations. Each rule is enabled by its setting in
+ * config.nominations.rules and returns a reason when a game fails it.
+ */
+const RULES = [
+    {
+        name: 'minAchievements',
+        isEnabled: (rules) => rules.minAchievements > 0,
+        async check(game, rules) {
+            const count = await game.getAchievementCount();
+            return count < rules.minAchievements
+                ? `It has ${count} achievement${count !== 1 ? 's' : ''}, nominated games need at least ${rules.minAchievements}.`
+                : null;
+        }
+    },
+    {
+        name: 'maxAchievements',
+        isEnabled: (rules) => rules.maxAchievements > 0,
+        async check(game, rules) {
+            const count = await game.getAchievementCount();
+            return count > rules.maxAchievements
+                ? `It has ${count} achievements, nominated games can have at most ${rules.maxAchievements}.`
+                : null;
+        }
+    },
+    {
+        name: 'allowedConsoles',
+        isEnabled: (rules) => rules.allowedConsoles.length > 0,
+        async check(game, rules) {
+            return matchesConsole(game.info, rules.allowedConsoles)
+                ? null
+                : `${game.info.consoleName || 'Its console'} games can't be nominated. ` +
+                  `Allowed consoles: ${rules.allowedConsoles.join(', ')}.`;
+        }
+    },
+    {
+        name: 'blockedConsoles',
+        isEnabled: (rules) => rules.blockedConsoles.length > 0,
+        async check(game, rules) {
+            return matchesConsole(game.info, rules.blockedConsoles)
+                ? `${game.info.consoleName || 'Its console'} games can't be nominated.`
+                : null;
+        }
+    },
+    {
+        name: 'excludeRecentMonths',
+        isEnabled: (rules) => rules.excludeRecentMonths > 0,
+        async check(game, rules) {
+            const recentGameIds = await ballotService.getRecentChallengeGameIds(rules.excludeRecentMonths);
+            return recentGameIds.includes(game.gameId)
+                ? `It was a challenge game in the last ${rules.excludeRecentMonths} month${rules.excludeRecentMonths !== 1 ? 's' : ''}.`
+                : null;
+        }
+    },
+    {
+        name: 'requireProgression',
+        isEnabled: (rules) => rules.requireProgression,
+        async check(game) {
+            const extended = await game.getExtended();
+            const hasProgression = Object.values(extended.achievements || {})
+                .some(achievement => achievement.type === 'progression');
+            return hasProgression
+                ? null
+                : 'It has no progression achievements, so it can\'t be run as a challenge.';
+        }
+    }
+];
+
+/**
+ * Check whether a game's console is in a list of console names or IDs
+ * @param {Object} gameInfo - Result of retroAPI.getGameInfo
+ * @param {Array<string>} consoles - Console names or IDs
+ * @returns {boolean} True if the console is listed
+ */
+const matchesConsole = (gameInfo, consoles) => consoles.some(entry =>
+    entry === String(gameInfo.consoleId) ||
+    entry.toLowerCase() === String(gameInfo.consoleName || '').toLowerCase()
+);
+
+/**
+ * Checks nominated games against the eligibility rules, collecting the reason
+ * of every rule a game fails so members see all of them at once.
+ */
+class NominationRulesService {
+    /**
+     * Check a game against every enabled nomination rule
+     * @param {string} gameId - RetroAchievements game ID
+     * @param {Object} gameInfo - Result of retroAPI.getGameInfo for the game
+     * @param {Object} rules - Rule settings, defaults to config.nominations.rules
+     * @returns {Promise<Array<{rule: string, reason: string}>>} Failed rules, empty if the game can be nominated
+     */
+    async checkGame(gameId, gameInfo, rules = config.nominations.rules) {
+        // Lookups are shared between rules and only made if a rule needs them
+        let achievementCount = null;
+        let extended = null;
+        const game = {
+            gameId: String(gameId),
+            info: gameInfo,
+            getAchievementCount: async () => {
+                achievementCount ??= await retroAPI.getGameAchievementCount(gameId);
+                return achievementCount;
+            },
+            getExtended: async () => {
+                extended ??= await retroAPI.getGameInfoExtended(gameId);
+                return extended;
+            }
+        };
+
+        const failures = [];
+        for (const rule of RULES) {
+            if (!rule.isEnabled(rules)) continue;
+
+            const reason = await rule.check(game, rules);
+            if (reason) {
+                failures.push({ rule: rule.name, reason });
+            }
+        }
+
+        return failures;
+    }
+}
+
+// Create singleton instance
+const nominationRulesService = new NominationRulesService();
+export default nominationRulesService;
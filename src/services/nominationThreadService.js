@@ -0,0 +1,219 @@
+import { EmbedBuilder, ThreadAutoArchiveDuration } from 'discord.js';
+import { NominationThread } from '../models/NominationThread.js';
+import { User } from '../models/User.js';
+import calendarService from './calendarService.js';
+import { config } from '../config/config.js';
+
+/**
+ * Opens a discussion thread in the voting channel for every game nominated
+ * in a month, so members can talk about the candidates before the poll
+ * opens. Each nomination of the game is posted in its thread with the pitch,
+ * and the thread is closed once no nominations of the game are left.
+ */
+class NominationThreadService {
+    constructor() {
+        this.client = null;
+    }
+
+    setClient(client) {
+        this.client = client;
+    }
+
+    /**
+     * Post a nomination in its game's thread, opening the thread for the
+     * game's first nomination of the month
+     * @param {string} gameId - Nominated game ID
+     * @param {Object} gameInfo - Result of retroAPI.getGameInfo for the game
+     * @param {string} raUsername - Nominator
+     * @param {string|null} pitch - Nominator's pitch
+     * @returns {Promise<Object|null>} Thread, null if it could not be opened
+     */
+    async postNomination(gameId, gameInfo, raUsername, pitch = null) {
+        if (!this.client) return null;
+
+        try {
+            const month = calendarService.getMonthStart(new Date());
+            let thread = await this.getThread(gameId, month);
+            if (!thread) {
+                thread = await this.createThread(gameId, gameInfo, month);
+                if (!thread) return null;
+            } else if (thread.archived) {
+                // Closed when the game's earlier nominations were withdrawn
+                await thread.setArchived(false, 'Game nominated again');
+                await thread.setLocked(false, 'Game nominated again');
+            }
+
+            await thread.send(
+                `📝 **${raUsername}** nominated ${gameInfo.title}` +
+                (pitch ? `:\n> ${pitch.replace(/\n/g, '\n> ')}` : '.')
+            );
+            return thread;
+        } catch (error) {
+            console.error(`Error posting nomination of game ${gameId} to its thread:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Note a withdrawn or removed nomination in its game's thread, and lock and
+     * archive the thread if the game has no nominations left in the cycle
+     * @param {string} gameId - Game ID of the nomination
+     * @param {Object} cycle - Nomination cycle the nomination was made in
+     * @param {string} note - Message posted in the thread
+     * @returns {Promise<Object|null>} Thread, null if the game has none
+     */
+    async removeNomination(gameId, cycle, note) {
+        if (!this.client) return null;
+
+        try {
+            const thread = await this.getThread(gameId, calendarService.getMonthStart(new Date()));
+            if (!thread) return null;
+
+            const remaining = await User.countDocuments({
+                nominations: {
+                    $elemMatch: {
+                        gameId: String(gameId),
+                        nominatedAt: { $gte: cycle.opensAt, $lt: cycle.targetMonth }
+                    }
+                }
+            });
+            if (remaining > 0) {
+                await thread.send(note);
+                return thread;
+            }
+
+            await thread.send(`${note}\nNo nominations of this game are left, so this thread is closed.`);
+            await thread.setLocked(true, 'No nominations of the game left');
+            await thread.setArchived(true, 'No nominations of the game left');
+            return thread;
+        } catch (error) {
+            console.error(`Error noting the removed nomination of game ${gameId} in its thread:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the open thread of a game nominated in a month
+     * @param {string} gameId - Game ID
+     * @param {Date} month - Start of the nomination month
+     * @returns {Promise<Object|null>} Thread, null if the game has none or it was deleted
+     */
+    async getThread(gameId, month) {
+        const record = await NominationThread.findOne({ gameId: String(gameId), month });
+        if (!record) return null;
+
+        const channel = await this.getVotingChannel();
+        if (!channel) return null;
+
+        const thread = await channel.threads.fetch(record.threadId).catch(() => null);
+        if (!thread) {
+            // Deleted by a moderator, a new one is opened in its place
+            await NominationThread.deleteOne({ _id: record._id });
+        }
+        return thread;
+    }
+
+    async createThread(gameId, gameInfo, month) {
+        const channel = await this.getVotingChannel();
+        if (!channel) {
+            console.error('Voting channel not found, cannot open a nomination thread');
+            return null;
+        }
+
+        const name = `${gameInfo.title}${gameInfo.consoleName ? ` (${gameInfo.consoleName})` : ''}`;
+        const thread = await channel.threads.create({
+            name: name.slice(0, 100),
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+            reason: `Discussion of the nomination of ${gameInfo.title}`
+        });
+
+        await NominationThread.create({
+            gameId: String(gameId),
+            month,
+            channelId: channel.id,
+            threadId: thread.id
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(gameInfo.title)
+            .setURL(`https://retroachievements.org/game/${gameId}`)
+            .setDescription(`${gameInfo.title} has been nominated for next month's challenge. ` +
+                'Share your thoughts about it here before the vote opens!')
+            .setColor('#00BFFF');
+        if (gameInfo.consoleName) {
+            embed.addFields({ name: 'Console', value: gameInfo.consoleName, inline: true });
+        }
+        if (gameInfo.imageIcon) {
+            embed.setThumbnail(`https://retroachievements.org${gameInfo.imageIcon}`);
+        }
+        await thread.send({ embeds: [embed] });
+
+        console.log(`Opened nomination thread ${thread.id} for game ${gameId}`);
+        return thread;
+    }
+
+    /**
+     * Get the thread IDs of the games nominated in a month
+     * @param {Date} month - Start of the nomination month, defaults to the current one
+     * @returns {Promise<Map<string, string>>} Thread ID by game ID
+     */
+    async getThreadIds(month = calendarService.getMonthStart(new Date())) {
+        const records = await NominationThread.findForMonth(month);
+        return new Map(records.map(record => [record.gameId, record.threadId]));
+    }
+
+    /**
+     * Archive the threads of earlier nomination months
+     * @returns {Promise<number>} Number of threads archived
+     */
+    async archiveOldThreads() {
+        const records = await NominationThread.find({
+            archived: false,
+            month: { $lt: calendarService.getMonthStart(new Date()) }
+        });
+        if (records.length === 0) return 0;
+
+        const channel = await this.getVotingChannel();
+        let archived = 0;
+        for (const record of records) {
+            try {
+                const thread = channel ? await channel.threads.fetch(record.threadId).catch(() => null) : null;
+                if (thread && !thread.archived) {
+                    await thread.setArchived(true, 'Nomination month is over');
+                }
+                record.archived = true;
+                await record.save();
+                archived++;
+            } catch (error) {
+                console.error(`Error archiving nomination thread ${record.threadId}:`, error);
+            }
+        }
+
+        console.log(`Archived ${archived} nomination threads`);
+        return archived;
+    }
+
+    async getVotingChannel() {
+        if (!this.client) return null;
+
+        try {
+            // Get the guild
+            const guild = await this.client.guilds.fetch(config.discord.guildId);
+            if (!guild) {
+                console.error('Guild not found');
+                return null;
+            }
+
+            // Get the channel
+            const channel = await guild.channels.fetch(config.discord.votingChannelId);
+            return channel;
+        } catch (error) {
+            console.error('Error getting voting channel:', error);
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const nominationThreadService = new NominationThreadService();
+export default nominationThreadService;
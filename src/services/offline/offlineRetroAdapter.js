@@ -0,0 +1,551 @@
+import { formatDate } from './scenarioLoader.js';
+
+/**
+ * Create the error @retroachievements/api throws for a missing resource
+ * @returns {Error} 404 error
+ */
+const notFound = () => {
+    const error = new Error('HTTP Error: Status 404 Not Found');
+    error.status = 404;
+    return error;
+};
+
+/**
+ * Stand-in for LiveRetroAdapter serving scenario fixture data.
+ * Responses have the shape returned by @retroachievements/api, and the data
+ * can be changed while the bot runs (earnAchievement, submitLeaderboardEntry
+ * or the scenario's timed events) to watch the services react.
+ */
+export class OfflineRetroAdapter {
+    /**
+     * @param {Object} scenario - Scenario returned by loadScenario
+     */
+    constructor(scenario) {
+        // Nothing to protect, so don't slow down requests
+        this.rateLimitSeconds = 0;
+
+        // Fixture responses must never end up in the API cache
+        this.cacheable = false;
+
+        this.timers = [];
+        this.load(scenario);
+    }
+
+    /**
+     * Replace the served data with a scenario's data
+     * @param {Object} scenario - Scenario returned by loadScenario
+     */
+    load(scenario) {
+        this.stopScenario();
+        this.scenario = scenario;
+        this.data = {
+            consoles: [],
+            games: {},
+            users: {},
+            progress: {},
+            leaderboards: {},
+            ...structuredClone(scenario.data)
+        };
+    }
+
+    /**
+     * Undo every change made since the scenario was loaded
+     */
+    reset() {
+        this.load(this.scenario);
+    }
+
+    /**
+     * Apply the scenario's events after their `after` delay (in seconds)
+     */
+    playScenario() {
+        this.stopScenario();
+        console.log(`Playing offline scenario "${this.scenario.name}" (${this.scenario.events.length} events)`);
+
+        for (const event of this.scenario.events) {
+            const timer = setTimeout(() => {
+                try {
+                    this.applyEvent(event);
+                } catch (error) {
+                    console.error('Error applying offline scenario event:', error);
+                }
+            }, (event.after || 0) * 1000);
+
+            // Don't keep the process alive just for pending events
+            timer.unref();
+            this.timers.push(timer);
+        }
+    }
+
+    /**
+     * Cancel events that have not been applied yet
+     */
+    stopScenario() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    /**
+     * Apply every scenario event immediately, in order
+     */
+    applyAllEvents() {
+        for (const event of this.scenario.events) {
+            this.applyEvent(event);
+        }
+    }
+
+    /**
+     * Apply a single scenario event
+     * @param {Object} event - Event from the scenario file
+     */
+    applyEvent(event) {
+        switch (event.type) {
+            case 'earnAchievement': {
+                const ids = event.achievementIds || [event.achievementId];
+                for (const id of ids) {
+                    this.earnAchievement(event.user, event.gameId, id, event.date);
+                }
+                break;
+            }
+            case 'leaderboardEntry':
+                this.submitLeaderboardEntry(event.leaderboardId, event.user, event.score, event.formattedScore, event.date);
+                break;
+            default:
+                throw new Error(`Unknown offline scenario event type: ${event.type}`);
+        }
+
+        if (event.description) {
+            console.log(`[offline scenario] ${event.description}`);
+        }
+    }
+
+    /**
+     * Mark an achievement as earned by a user
+     * @param {string} username - RetroAchievements username
+     * @param {number|string} gameId - Game ID
+     * @param {number|string} achievementId - Achievement ID
+     * @param {string} [date] - Date earned in API format, defaults to now
+     */
+    earnAchievement(username, gameId, achievementId, date = formatDate(new Date())) {
+        const game = this.data.games[gameId];
+        if (!game || !game.achievements?.[achievementId]) {
+            throw new Error(`Achievement ${achievementId} of game ${gameId} is not in the offline fixtures`);
+        }
+
+        const user = this.findUsername(username) || username;
+        this.data.progress[user] = this.data.progress[user] || {};
+        this.data.progress[user][gameId] = this.data.progress[user][gameId] || {};
+        this.data.progress[user][gameId][achievementId] = date;
+    }
+
+    /**
+     * Submit a leaderboard entry, keeping only the user's best entry
+     * @param {number|string} leaderboardId - Leaderboard ID
+     * @param {string} username - RetroAchievements username
+     * @param {number} score - Raw score (e.g. milliseconds for time trials)
+     * @param {string} formattedScore - Score as shown on the site (e.g. "1:02.345")
+     * @param {string} [date] - Date submitted in API format, defaults to now
+     */
+    submitLeaderboardEntry(leaderboardId, username, score, formattedScore, date = formatDate(new Date())) {
+        const leaderboard = this.data.leaderboards[leaderboardId];
+        if (!leaderboard) {
+            throw new Error(`Leaderboard ${leaderboardId} is not in the offline fixtures`);
+        }
+
+        const lowerIsBetter = leaderboard.lowerIsBetter !== false;
+        const existing = leaderboard.entries.find(entry => entry.user.toLowerCase() === username.toLowerCase());
+        if (existing) {
+            const isBetter = lowerIsBetter ? score < existing.score : score > existing.score;
+            if (isBetter) {
+                Object.assign(existing, { score, formattedScore, date });
+            }
+        } else {
+            leaderboard.entries.push({ user: username, score, formattedScore, date });
+        }
+    }
+
+    /**
+     * Find the fixture spelling of a username (RA usernames are case-insensitive)
+     * @param {string} username - Username to look up
+     * @returns {string|null} Username as stored in the fixtures
+     */
+    findUsername(username) {
+        const lower = String(username).toLowerCase();
+        return Object.keys(this.data.users).find(name => name.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Get the achievements a user earned in a game
+     * @param {string} username - RetroAchievements username
+     * @param {number|string} gameId - Game ID
+     * @returns {Object} Date earned by achievement ID
+     */
+    getEarned(username, gameId) {
+        const user = this.findUsername(username) || username;
+        return this.data.progress[user]?.[gameId] || {};
+    }
+
+    getConsoleName(consoleId) {
+        return this.data.consoles.find(platform => platform.id === consoleId)?.name || '';
+    }
+
+    buildGame(gameId) {
+        const game = this.data.games[gameId];
+        const consoleName = this.getConsoleName(game.consoleId);
+
+        return {
+            id: parseInt(gameId, 10),
+            title: game.title,
+            gameTitle: game.title,
+            consoleId: game.consoleId,
+            consoleName,
+            console: consoleName,
+            forumTopicId: game.forumTopicId || null,
+            flags: 0,
+            gameIcon: game.imageIcon,
+            imageIcon: game.imageIcon,
+            imageTitle: game.imageTitle || game.imageIcon,
+            imageIngame: game.imageIngame || game.imageIcon,
+            imageBoxArt: game.imageBoxArt || game.imageIcon,
+            publisher: game.publisher || '',
+            developer: game.developer || '',
+            genre: game.genre || '',
+            released: game.released || ''
+        };
+    }
+
+    buildAchievements(gameId) {
+        const achievements = this.data.games[gameId].achievements || {};
+        const earners = Object.values(this.data.progress).map(games => games[gameId] || {});
+
+        return Object.fromEntries(Object.entries(achievements).map(([id, achievement], index) => {
+            const numAwarded = earners.filter(earned => earned[id]).length;
+            return [id, {
+                id: parseInt(id, 10),
+                numAwarded,
+                numAwardedHardcore: numAwarded,
+                title: achievement.title,
+                description: achievement.description || '',
+                points: achievement.points || 0,
+                trueRatio: achievement.trueRatio || achievement.points || 0,
+                author: achievement.author || 'Fixture',
+                dateModified: achievement.dateModified || '2020-01-01 00:00:00',
+                dateCreated: achievement.dateCreated || '2020-01-01 00:00:00',
+                badgeName: achievement.badgeName || id,
+                displayOrder: index,
+                memAddr: '',
+                flags: achievement.flags || 3,
+                type: achievement.type || null
+            }];
+        }));
+    }
+
+    buildGameExtended(gameId) {
+        const players = Object.values(this.data.progress)
+            .filter(games => Object.keys(games[gameId] || {}).length > 0).length;
+        const achievements = this.buildAchievements(gameId);
+
+        return {
+            ...this.buildGame(gameId),
+            isFinal: false,
+            richPresencePatch: '',
+            guideUrl: null,
+            updated: '2020-01-01 00:00:00',
+            numAchievements: Object.keys(achievements).length,
+            numDistinctPlayers: players,
+            numDistinctPlayersCasual: players,
+            numDistinctPlayersHardcore: players,
+            claims: [],
+            achievements
+        };
+    }
+
+    async getGame({ gameId }) {
+        // Like the API, unknown games return an empty object rather than a 404
+        return this.data.games[gameId] ? this.buildGame(gameId) : {};
+    }
+
+    async getGameExtended({ gameId }) {
+        return this.data.games[gameId] ? this.buildGameExtended(gameId) : {};
+    }
+
+    async getGameInfoAndUserProgress({ gameId, userName }) {
+        if (!this.data.games[gameId]) return {};
+
+        const game = this.buildGameExtended(gameId);
+        const earned = this.getEarned(userName, gameId);
+
+        for (const [id, achievement] of Object.entries(game.achievements)) {
+            if (earned[id]) {
+                achievement.dateEarned = earned[id];
+                achievement.dateEarnedHardcore = earned[id];
+            }
+        }
+
+        const numAwarded = Object.keys(earned).length;
+        const completion = game.numAchievements > 0
+            ? `${(numAwarded / game.numAchievements * 100).toFixed(2)}%`
+            : '0.00%';
+
+        return {
+            ...game,
+            numAwardedToUser: numAwarded,
+            numAwardedToUserHardcore: numAwarded,
+            userCompletion: completion,
+            userCompletionHardcore: completion
+        };
+    }
+
+    async getAchievementCount({ gameId }) {
+        const achievements = this.data.games[gameId]?.achievements || {};
+        return {
+            gameId: parseInt(gameId, 10),
+            achievementIds: Object.keys(achievements).map(id => parseInt(id, 10))
+        };
+    }
+
+    async getUserRecentAchievements({ username, recentMinutes = 60 }) {
+        const user = this.findUsername(username);
+        if (!user) throw notFound();
+
+        const since = formatDate(new Date(Date.now() - recentMinutes * 60 * 1000));
+        const recent = [];
+
+        for (const [gameId, earned] of Object.entries(this.data.progress[user] || {})) {
+            const game = this.buildGame(gameId);
+            const achievements = this.buildAchievements(gameId);
+
+            for (const [id, date] of Object.entries(earned)) {
+                if (date < since) continue;
+                const achievement = achievements[id];
+                recent.push({
+                    date,
+                    hardcoreMode: true,
+                    achievementId: achievement.id,
+                    title: achievement.title,
+                    description: achievement.description,
+                    badgeName: achievement.badgeName,
+                    points: achievement.points,
+                    trueRatio: achievement.trueRatio,
+                    type: achievement.type,
+                    author: achievement.author,
+                    gameTitle: game.title,
+                    gameIcon: game.imageIcon,
+                    gameId: game.id,
+                    consoleName: game.consoleName,
+                    badgeUrl: `/Badge/${achievement.badgeName}.png`,
+                    gameUrl: `/game/${game.id}`
+                });
+            }
+        }
+
+        // Newest first, like the API
+        return recent.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * Get a user's total points from the fixture progress
+     * @param {string} user - Username as stored in the fixtures
+     * @returns {number} Sum of the points of every earned achievement
+     */
+    getTotalPoints(user) {
+        let total = 0;
+        for (const [gameId, earned] of Object.entries(this.data.progress[user] || {})) {
+            const achievements = this.data.games[gameId]?.achievements || {};
+            for (const id of Object.keys(earned)) {
+                total += achievements[id]?.points || 0;
+            }
+        }
+        return total;
+    }
+
+    async getUserProfile({ userName }) {
+        const user = this.findUsername(userName);
+        if (!user) throw notFound();
+
+        const fixture = this.data.users[user];
+        const points = this.getTotalPoints(user);
+        const gameIds = Object.keys(this.data.progress[user] || {});
+
+        return {
+            user,
+            userPic: fixture.userPic || `/UserPic/${user}.png`,
+            memberSince: fixture.memberSince || '2020-01-01 00:00:00',
+            richPresenceMsg: fixture.richPresenceMsg || '',
+            lastGameId: gameIds.length > 0 ? parseInt(gameIds[gameIds.length - 1], 10) : null,
+            contribCount: 0,
+            contribYield: 0,
+            totalPoints: points,
+            totalSoftcorePoints: 0,
+            totalTruePoints: points,
+            permissions: 1,
+            untracked: false,
+            id: Object.keys(this.data.users).indexOf(user) + 1,
+            userWallActive: true,
+            motto: fixture.motto || ''
+        };
+    }
+
+    async getUserSummary({ userName }) {
+        const profile = await this.getUserProfile({ userName });
+        const users = Object.keys(this.data.users);
+        const rank = users
+            .map(user => this.getTotalPoints(user))
+            .filter(points => points > profile.totalPoints).length + 1;
+
+        const recentlyPlayed = Object.keys(this.data.progress[profile.user] || {}).map(gameId => {
+            const game = this.buildGame(gameId);
+            const earned = Object.values(this.getEarned(profile.user, gameId)).sort();
+            return {
+                gameId: game.id,
+                consoleId: game.consoleId,
+                consoleName: game.consoleName,
+                title: game.title,
+                imageIcon: game.imageIcon,
+                lastPlayed: earned[earned.length - 1] || null
+            };
+        });
+
+        return {
+            ...profile,
+            lastActivity: { id: 0, timestamp: null, lastupdate: null, activitytype: null, user: profile.user, data: null, data2: null },
+            rank,
+            totalRanked: users.length,
+            recentlyPlayedCount: recentlyPlayed.length,
+            recentlyPlayed,
+            recentAchievements: {},
+            awarded: {},
+            status: 'Offline'
+        };
+    }
+
+    async getUserAwards({ userName }) {
+        const user = this.findUsername(userName);
+        if (!user) throw notFound();
+
+        // Every fully completed game counts as a mastery
+        const visibleUserAwards = [];
+        for (const [gameId, earned] of Object.entries(this.data.progress[user] || {})) {
+            const total = Object.keys(this.data.games[gameId]?.achievements || {}).length;
+            if (total === 0 || Object.keys(earned).length < total) continue;
+
+            const game = this.buildGame(gameId);
+            visibleUserAwards.push({
+                awardedAt: Object.values(earned).sort().pop(),
+                awardType: 'Mastery/Completion',
+                awardData: game.id,
+                awardDataExtra: 1,
+                displayOrder: 0,
+                title: game.title,
+                consoleName: game.consoleName,
+                flags: null,
+                imageIcon: game.imageIcon
+            });
+        }
+
+        return {
+            totalAwardsCount: visibleUserAwards.length,
+            hiddenAwardsCount: 0,
+            masteryAwardsCount: visibleUserAwards.length,
+            completionAwardsCount: 0,
+            beatenHardcoreAwardsCount: 0,
+            beatenSoftcoreAwardsCount: 0,
+            eventAwardsCount: 0,
+            siteAwardsCount: 0,
+            visibleUserAwards
+        };
+    }
+
+    async getUserCompletedGames({ username }) {
+        const user = this.findUsername(username);
+        if (!user) throw notFound();
+
+        return Object.entries(this.data.progress[user] || {}).map(([gameId, earned]) => {
+            const game = this.buildGame(gameId);
+            const maxPossible = Object.keys(this.data.games[gameId]?.achievements || {}).length;
+            const numAwarded = Object.keys(earned).length;
+            return {
+                gameId: game.id,
+                title: game.title,
+                imageIcon: game.imageIcon,
+                consoleId: game.consoleId,
+                consoleName: game.consoleName,
+                maxPossible,
+                numAwarded,
+                pctWon: maxPossible > 0 ? numAwarded / maxPossible : 0,
+                hardcoreMode: true
+            };
+        });
+    }
+
+    async getGameRankAndScore({ gameId }) {
+        const achievements = this.data.games[gameId]?.achievements || {};
+
+        return Object.keys(this.data.progress)
+            .map(user => {
+                const earned = this.getEarned(user, gameId);
+                return {
+                    user,
+                    totalScore: Object.keys(earned).reduce((sum, id) => sum + (achievements[id]?.points || 0), 0),
+                    lastAward: Object.values(earned).sort().pop() || null
+                };
+            })
+            .filter(entry => entry.lastAward)
+            .sort((a, b) => b.totalScore - a.totalScore)
+            .map((entry, index) => ({ ...entry, userRank: index + 1 }));
+    }
+
+    async getGameList({ consoleId }) {
+        return Object.entries(this.data.games)
+            .filter(([, game]) => game.consoleId === consoleId)
+            .map(([gameId, game]) => {
+                const achievements = Object.values(game.achievements || {});
+                return {
+                    title: game.title,
+                    id: parseInt(gameId, 10),
+                    consoleId: game.consoleId,
+                    consoleName: this.getConsoleName(game.consoleId),
+                    imageIcon: game.imageIcon,
+                    numAchievements: achievements.length,
+                    numLeaderboards: Object.values(this.data.leaderboards)
+                        .filter(leaderboard => String(leaderboard.gameId) === gameId).length,
+                    points: achievements.reduce((sum, achievement) => sum + (achievement.points || 0), 0),
+                    dateModified: '2020-01-01 00:00:00',
+                    forumTopicId: game.forumTopicId || null,
+                    hashes: []
+                };
+            });
+    }
+
+    async getConsoleIds() {
+        return this.data.consoles.map(platform => ({
+            id: platform.id,
+            name: platform.name,
+            iconUrl: platform.iconUrl || '',
+            active: true,
+            isGameSystem: true
+        }));
+    }
+
+    async getLeaderboardEntries({ leaderboardId, offset = 0, count = 100 }) {
+        const leaderboard = this.data.leaderboards[leaderboardId];
+        if (!leaderboard) throw notFound();
+
+        const direction = leaderboard.lowerIsBetter !== false ? 1 : -1;
+        const ranked = [...leaderboard.entries].sort((a, b) => (a.score - b.score) * direction);
+
+        return {
+            Count: count,
+            Total: ranked.length,
+            Results: ranked.slice(offset, offset + count).map((entry, index) => ({
+                Rank: offset + index + 1,
+                User: entry.user,
+                Score: entry.score,
+                FormattedScore: entry.formattedScore || String(entry.score),
+                DateSubmitted: entry.date
+            }))
+        };
+    }
+}
+
+export default OfflineRetroAdapter;
@@ -0,0 +1,137 @@
+import { readFileSync } from 'fs';
+import { join, dirname, basename, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import calendarService from '../calendarService.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SCENARIO_DIR = join(__dirname, 'scenarios');
+
+// Relative dates: "now", "now-90m", "thisMonth:31 23:30", "lastMonth:15"
+const NOW_PATTERN = /^now(?:([+-])(\d+)([mhd]))?$/;
+const MONTH_PATTERN = /^(thisMonth|lastMonth|nextMonth):(\d{1,2})(?: (\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MONTH_OFFSETS = { lastMonth: -1, thisMonth: 0, nextMonth: 1 };
+
+/**
+ * Format a date the way the RetroAchievements API does ("2025-01-31 23:59:00", in UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted UTC date
+ */
+export const formatDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Resolve a fixture date relative to when the scenario is loaded.
+ * Month-relative dates are wall clock times in the community timezone and
+ * days past the end of the month are clamped, so "thisMonth:31" is always
+ * the last day of the month.
+ * @param {string} value - Absolute API date or relative date
+ * @param {Date} now - Reference time
+ * @returns {string} Date in API format
+ */
+export const resolveDate = (value, now = new Date()) => {
+    const nowMatch = NOW_PATTERN.exec(value);
+    if (nowMatch) {
+        const [, sign, amount, unit] = nowMatch;
+        const offset = sign ? (sign === '-' ? -1 : 1) * parseInt(amount, 10) * UNIT_MS[unit] : 0;
+        return formatDate(new Date(now.getTime() + offset));
+    }
+
+    const monthMatch = MONTH_PATTERN.exec(value);
+    if (monthMatch) {
+        const [, month, day, hours = '12', minutes = '00', seconds = '00'] = monthMatch;
+        const { year, month: currentMonth } = calendarService.getParts(now);
+        const monthIndex = currentMonth + MONTH_OFFSETS[month];
+        const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+        return formatDate(calendarService.fromParts(year, monthIndex, Math.min(parseInt(day, 10), lastDay),
+            parseInt(hours, 10), parseInt(minutes, 10), parseInt(seconds, 10)));
+    }
+
+    return value;
+};
+
+/**
+ * Check whether a string is a relative fixture date
+ * @param {string} value - String to check
+ * @returns {boolean} True if resolveDate would change it
+ */
+const isRelativeDate = (value) => NOW_PATTERN.test(value) || MONTH_PATTERN.test(value);
+
+/**
+ * Resolve every relative date in fixture data
+ * @param {any} value - Fixture data
+ * @param {Date} now - Reference time
+ * @returns {any} Copy of the data with absolute dates
+ */
+const resolveDates = (value, now) => {
+    if (typeof value === 'string') {
+        return isRelativeDate(value) ? resolveDate(value, now) : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveDates(item, now));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveDates(item, now)]));
+    }
+    return value;
+};
+
+/**
+ * Merge scenario data over the data of the scenario it extends.
+ * Objects are merged key by key, arrays and values are replaced.
+ * @param {Object} base - Data of the extended scenario
+ * @param {Object} override - Data of this scenario
+ * @returns {Object} Merged data
+ */
+const mergeData = (base, override) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const baseIsObject = base[key] && typeof base[key] === 'object' && !Array.isArray(base[key]);
+        merged[key] = isObject && baseIsObject ? mergeData(base[key], value) : value;
+    }
+    return merged;
+};
+
+/**
+ * Get the file of a scenario
+ * @param {string} nameOrPath - Name of a bundled scenario or path to a JSON file
+ * @returns {string} Absolute path
+ */
+export const resolveScenarioPath = (nameOrPath) => {
+    if (nameOrPath.endsWith('.json')) {
+        return resolve(nameOrPath);
+    }
+    return join(SCENARIO_DIR, `${nameOrPath}.json`);
+};
+
+/**
+ * Load a scenario for the offline RetroAchievements adapter.
+ * A scenario file has optional `extends` (another scenario to build on),
+ * `data` (consoles, games, users, progress and leaderboards) and `events`
+ * (changes applied while the bot runs, `after` seconds from startup).
+ * @param {string} nameOrPath - Name of a bundled scenario or path to a JSON file
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object} Scenario with name, description, data and events
+ */
+export const loadScenario = (nameOrPath, now = new Date()) => {
+    const path = resolveScenarioPath(nameOrPath);
+
+    let file;
+    try {
+        file = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load offline scenario ${nameOrPath} (${path}): ${error.message}`);
+    }
+
+    // Only the data is inherited, every scenario has its own events
+    const baseData = file.extends ? loadScenario(file.extends, now).data : {};
+
+    return {
+        name: file.name || basename(path, '.json'),
+        description: file.description || '',
+        data: mergeData(baseData, resolveDates(file.data || {}, now)),
+        events: resolveDates(file.events || [], now)
+    };
+};
+
+export default loadScenario;
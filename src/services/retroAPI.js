@@ -1,39 +1,90 @@
-import { buildAuthorization, getGame, getGameExtended, getUserProfile, getUserRecentAchievements, 
-    getUserSummary, getGameInfoAndUserProgress, getGameRankAndScore, getUserCompletedGames,
-    getUserAwards, getGameList, getConsoleIds, getAchievementCount } from '@retroachievements/api';
+import { AsyncLocalStorage } from 'async_hooks';
 import { config } from '../config/config.js';
+import apiCacheService from './apiCacheService.js';
+import { LiveRetroAdapter } from './retroAPIAdapter.js';
+import { OfflineRetroAdapter } from './offline/offlineRetroAdapter.js';
+import { loadScenario } from './offline/scenarioLoader.js';
+import { classifyError, RetroAPINotFoundError, RetroAPIRateLimitError } from './retroAPIErrors.js';
+
+// Request lanes, from most to least urgent
+export const RequestPriority = {
+    INTERACTIVE: 'interactive', // Slash commands a user is waiting on
+    FEED: 'feed',               // Achievement feed and announcements
+    BULK: 'bulk'                // Periodic stats sweeps and other background jobs
+};
 
 /**
- * Simple rate limiter to prevent exceeding API rate limits
+ * Rate limiter with priority lanes to prevent exceeding API rate limits.
+ * Lanes are served by smooth weighted round-robin: higher priority lanes get
+ * most of the requests, but a busy interactive lane can't starve the others.
  */
 class RateLimiter {
-    constructor(rateLimitSeconds = 3) {
+    constructor(rateLimitSeconds = 3, weights = { interactive: 6, feed: 3, bulk: 1 }) {
         this.rateLimitSeconds = rateLimitSeconds;
-        this.queue = [];
         this.processing = false;
+        this.lanes = new Map();
+        for (const [name, weight] of Object.entries(weights)) {
+            this.lanes.set(name, {
+                weight,
+                credit: 0,
+                queue: [],
+                processed: 0,
+                totalWaitMs: 0,
+                maxDepth: 0
+            });
+        }
     }
 
     /**
      * Add a function to the rate limiter queue
      * @param {Function} fn - Function to execute
+     * @param {string} priority - Lane to queue the function in (see RequestPriority)
      * @returns {Promise<any>} Result of the function
      */
-    async add(fn) {
+    async add(fn, priority = RequestPriority.FEED) {
+        const lane = this.lanes.get(priority) || this.lanes.get(RequestPriority.FEED);
+
         return new Promise((resolve, reject) => {
-            this.queue.push({ fn, resolve, reject });
+            lane.queue.push({ fn, resolve, reject, queuedAt: Date.now() });
+            lane.maxDepth = Math.max(lane.maxDepth, lane.queue.length);
             this.process();
         });
     }
 
+    /**
+     * Pick the lane to serve next
+     * @returns {Object|null} Lane or null if all queues are empty
+     */
+    nextLane() {
+        const waiting = [...this.lanes.values()].filter(lane => lane.queue.length > 0);
+        if (waiting.length === 0) return null;
+
+        const totalWeight = waiting.reduce((sum, lane) => sum + lane.weight, 0);
+        let selected = null;
+        for (const lane of waiting) {
+            lane.credit += lane.weight;
+            if (!selected || lane.credit > selected.credit) {
+                selected = lane;
+            }
+        }
+        selected.credit -= totalWeight;
+        return selected;
+    }
+
     /**
      * Process the queue
      */
     async process() {
-        if (this.processing || this.queue.length === 0) return;
+        if (this.processing) return;
+
+        const lane = this.nextLane();
+        if (!lane) return;
         
         this.processing = true;
         
-        const { fn, resolve, reject } = this.queue.shift();
+        const { fn, resolve, reject, queuedAt } = lane.queue.shift();
+        lane.processed++;
+        lane.totalWaitMs += Date.now() - queuedAt;
         
         try {
             const result = await fn();
@@ -41,25 +92,112 @@ class RateLimiter {
         } catch (error) {
             reject(error);
         } finally {
-            this.processing = false;
-            
             // Wait for the rate limit before processing the next item
             setTimeout(() => {
+                this.processing = false;
                 this.process();
             }, 1000 * this.rateLimitSeconds);
         }
     }
+
+    /**
+     * Get queue metrics for every lane
+     * @returns {Array<Object>} Current depth, processed count, average wait and peak depth per lane
+     */
+    getMetrics() {
+        return [...this.lanes.entries()].map(([name, lane]) => ({
+            priority: name,
+            depth: lane.queue.length,
+            processed: lane.processed,
+            averageWaitMs: lane.processed > 0 ? Math.round(lane.totalWaitMs / lane.processed) : 0,
+            maxDepth: lane.maxDepth
+        }));
+    }
 }
 
 class RetroAchievementsService {
     constructor() {
-        this.authorization = buildAuthorization({
-            userName: process.env.RA_USERNAME,
-            webApiKey: config.retroAchievements.apiKey
-        });
-        
-        // Create a rate limiter with 1 request per second
-        this.rateLimiter = new RateLimiter(1);
+        // Talk to retroachievements.org unless the bot runs against fixture data
+        const { offline } = config.retroAchievements;
+        this.setAdapter(offline.enabled
+            ? new OfflineRetroAdapter(loadScenario(offline.scenario))
+            : new LiveRetroAdapter());
+
+        // Tracks the request priority of the code currently running
+        this.priorityContext = new AsyncLocalStorage();
+    }
+
+    /**
+     * Replace the adapter making the requests (see retroAPIAdapter.js)
+     * @param {Object} adapter - LiveRetroAdapter, OfflineRetroAdapter or a test double
+     */
+    setAdapter(adapter) {
+        this.adapter = adapter;
+
+        // Create a rate limiter matching the adapter (1 request per second for the live API)
+        this.rateLimiter = new RateLimiter(adapter.rateLimitSeconds ?? 1, config.retroAchievements.priorityWeights);
+    }
+
+    /**
+     * Return a cached response or fetch it, bypassing the cache for adapters
+     * that must not be cached (fixture data would mix with live responses)
+     * @param {string} method - retroAPI method name
+     * @param {string|number} id - Argument identifying the response, undefined for none
+     * @param {Function} fetcher - Function fetching the response
+     * @returns {Promise<any>} Cached or freshly fetched response
+     */
+    cached(method, id, fetcher) {
+        if (this.adapter.cacheable === false) {
+            return fetcher();
+        }
+        return apiCacheService.wrap(method, id, fetcher);
+    }
+
+    /**
+     * Run a function with every API call it makes queued in the given lane
+     * @param {string} priority - Lane to use (see RequestPriority)
+     * @param {Function} fn - Function to run
+     * @returns {Promise<any>} Result of the function
+     */
+    withPriority(priority, fn) {
+        return this.priorityContext.run(priority, fn);
+    }
+
+    /**
+     * Make a rate limited API call with a timeout, retrying transient failures
+     * with exponential backoff
+     * @param {Function} fn - Function making the API request, given an AbortSignal
+     * that aborts the request once the configured timeout has passed
+     * @returns {Promise<any>} Result of the request
+     * @throws {RetroAPIError} Classified error once retries are exhausted (other errors are rethrown as they are)
+     */
+    async call(fn) {
+        const { maxRetries, retryBaseDelay } = config.retroAchievements;
+        const priority = this.priorityContext.getStore() || RequestPriority.FEED;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                // Abort timed out requests so they don't keep running underneath a retry
+                return await this.rateLimiter.add(
+                    () => fn(AbortSignal.timeout(config.retroAchievements.requestTimeout)),
+                    priority
+                );
+            } catch (rawError) {
+                const error = classifyError(rawError);
+
+                if (!error.retryable || attempt >= maxRetries) {
+                    throw error;
+                }
+
+                // Honour Retry-After for 429 responses, otherwise back off exponentially
+                const delay = error instanceof RetroAPIRateLimitError && error.retryAfter
+                    ? error.retryAfter * 1000
+                    : retryBaseDelay * Math.pow(2, attempt);
+
+                console.warn(`RetroAchievements request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
     }
 
     /**
@@ -71,11 +209,11 @@ class RetroAchievementsService {
     async getUserGameProgress(username, gameId) {
         try {
             // Use the rate limiter to make the API call
-            const progress = await this.rateLimiter.add(() => 
-                getGameInfoAndUserProgress(this.authorization, {
+            const progress = await this.call(signal => 
+                this.adapter.getGameInfoAndUserProgress({
                     gameId: gameId,
                     userName: username
-                })
+                }, signal)
             );
 
             return progress;
@@ -92,12 +230,20 @@ class RetroAchievementsService {
      */
     async getGameInfoExtended(gameId) {
         try {
-            // Use the rate limiter to make the API call
-            const game = await this.rateLimiter.add(() => 
-                getGameExtended(this.authorization, {
-                    gameId: parseInt(gameId)
-                })
-            );
+            // Use the cache, falling back to a rate limited API call
+            const game = await this.cached('getGameInfoExtended', parseInt(gameId), async () => {
+                const result = await this.call(signal => 
+                    this.adapter.getGameExtended({
+                        gameId: parseInt(gameId)
+                    }, signal)
+                );
+
+                // Unknown games come back as an empty object rather than a 404
+                if (!result || !result.title) {
+                    throw new RetroAPINotFoundError(`Game ${gameId} not found`);
+                }
+                return result;
+            });
 
             return game;
         } catch (error) {
@@ -113,14 +259,15 @@ class RetroAchievementsService {
      */
     async getGameAchievementCount(gameId) {
         try {
-            // Use the rate limiter to make the API call
-            const game = await this.rateLimiter.add(() => 
-                getAchievementCount(this.authorization, {
-                    gameId: parseInt(gameId)
-                })
-            );
-
-            return game.achievementIds.length;
+            // Use the cache, falling back to a rate limited API call
+            return await this.cached('getGameAchievementCount', parseInt(gameId), async () => {
+                const game = await this.call(signal => 
+                    this.adapter.getAchievementCount({
+                        gameId: parseInt(gameId)
+                    }, signal)
+                );
+                return game.achievementIds.length;
+            });
         } catch (error) {
             console.error(`Error fetching achievements for game ${gameId}:`, error);
             throw error;
@@ -136,11 +283,11 @@ class RetroAchievementsService {
     async getUserRecentAchievements(username, count = 50) {
         try {
             // Use the rate limiter to make the API call
-            const achievements = await this.rateLimiter.add(() => 
-                getUserRecentAchievements(this.authorization, {
+            const achievements = await this.call(signal => 
+                this.adapter.getUserRecentAchievements({
                     username,
                     count
-                })
+                }, signal)
             );
 
             return achievements;
@@ -157,12 +304,20 @@ class RetroAchievementsService {
      */
     async getGameInfo(gameId) {
         try {
-            // Use the rate limiter to make the API call
-            const game = await this.rateLimiter.add(() => 
-                getGame(this.authorization, {
-                    gameId: parseInt(gameId)
-                })
-            );
+            // Use the cache, falling back to a rate limited API call
+            const game = await this.cached('getGameInfo', parseInt(gameId), async () => {
+                const result = await this.call(signal => 
+                    this.adapter.getGame({
+                        gameId: parseInt(gameId)
+                    }, signal)
+                );
+
+                // Unknown games come back as an empty object rather than a 404
+                if (!result || !result.title) {
+                    throw new RetroAPINotFoundError(`Game ${gameId} not found`);
+                }
+                return result;
+            });
 
             return game;
         } catch (error) {
@@ -179,16 +334,16 @@ class RetroAchievementsService {
     async getUserInfo(username) {
         try {
             // Use the rate limiter for each API call
-            const summary = await this.rateLimiter.add(() => 
-                getUserSummary(this.authorization, { userName: username })
+            const summary = await this.call(signal => 
+                this.adapter.getUserSummary({ userName: username }, signal)
             );
             
-            const profile = await this.rateLimiter.add(() => 
-                getUserProfile(this.authorization, { userName: username })
+            const profile = await this.call(signal => 
+                this.adapter.getUserProfile({ userName: username }, signal)
             );
             
-            const awards = await this.rateLimiter.add(() => 
-                getUserAwards(this.authorization, { userName: username })
+            const awards = await this.call(signal => 
+                this.adapter.getUserAwards({ userName: username }, signal)
             );
 
             return {
@@ -211,11 +366,11 @@ class RetroAchievementsService {
     async getGameRankAndScore(gameId) {
         try {
             // Use the rate limiter to make the API call
-            const rankings = await this.rateLimiter.add(() => 
-                getGameRankAndScore(this.authorization, {
+            const rankings = await this.call(signal => 
+                this.adapter.getGameRankAndScore({
                     gameId: parseInt(gameId),
                     type: 'high-scores'
-                })
+                }, signal)
             );
 
             return rankings;
@@ -228,15 +383,17 @@ class RetroAchievementsService {
     /**
      * Get list of games for a console
      * @param {number} consoleId - RetroAchievements console ID
+     * @param {boolean} withAchievementsOnly - Leave out games without achievements
      * @returns {Promise<Array>} List of games
      */
-    async getConsoleGames(consoleId) {
+    async getConsoleGames(consoleId, withAchievementsOnly = false) {
         try {
             // Use the rate limiter to make the API call
-            const games = await this.rateLimiter.add(() => 
-                getGameList(this.authorization, {
-                    consoleId: parseInt(consoleId)
-                })
+            const games = await this.call(signal => 
+                this.adapter.getGameList({
+                    consoleId: parseInt(consoleId),
+                    shouldOnlyRetrieveGamesWithAchievements: withAchievementsOnly || undefined
+                }, signal)
             );
 
             return games;
@@ -252,9 +409,11 @@ class RetroAchievementsService {
      */
     async getConsoles() {
         try {
-            // Use the rate limiter to make the API call
-            const consoles = await this.rateLimiter.add(() => 
-                getConsoleIds(this.authorization)
+            // Use the cache, falling back to a rate limited API call
+            const consoles = await this.cached('getConsoles', undefined, () =>
+                this.call(signal => 
+                    this.adapter.getConsoleIds(signal)
+                )
             );
             return consoles;
         } catch (error) {
@@ -271,10 +430,10 @@ class RetroAchievementsService {
     async getUserCompletedGames(username) {
         try {
             // Use the rate limiter to make the API call
-            const completed = await this.rateLimiter.add(() => 
-                getUserCompletedGames(this.authorization, {
+            const completed = await this.call(signal => 
+                this.adapter.getUserCompletedGames({
                     username
-                })
+                }, signal)
             );
 
             return completed;
@@ -288,17 +447,22 @@ class RetroAchievementsService {
      * Validate that a user exists
      * @param {string} username - RetroAchievements username
      * @returns {Promise<boolean>} Whether the user exists
+     * @throws {RetroAPIError} If RetroAchievements could not be reached
      */
     async validateUser(username) {
         try {
             // Use the rate limiter to make the API call
-            await this.rateLimiter.add(() => 
-                getUserProfile(this.authorization, { userName: username })
+            const profile = await this.call(signal => 
+                this.adapter.getUserProfile({ userName: username }, signal)
             );
-            return true;
+            return Boolean(profile && profile.user);
         } catch (error) {
-            console.log(error);
-            return false;
+            // Only a missing user means the username is invalid, anything else is rethrown
+            if (error instanceof RetroAPINotFoundError) {
+                return false;
+            }
+            console.error(`Error validating user ${username}:`, error);
+            throw error;
         }
     }
 
@@ -312,8 +476,8 @@ class RetroAchievementsService {
     async getLeaderboardEntries(leaderboardId, offset = 0, count = 100) {
         try {
             // Use the rate limiter to make the API call
-            const entries = await this.rateLimiter.add(() => 
-                this.apiRequest(`API_GetLeaderboardEntries.php?i=${leaderboardId}&o=${offset}&c=${count}`)
+            const entries = await this.call(signal => 
+                this.adapter.getLeaderboardEntries({ leaderboardId, offset, count }, signal)
             );
 
             // Process and standardize the entries
@@ -368,29 +532,6 @@ class RetroAchievementsService {
             })
             .filter(entry => !isNaN(entry.ApiRank) && entry.User.length > 0);
     }
-
-    /**
-     * Make a direct API request to the RetroAchievements API
-     * @param {string} endpoint - API endpoint
-     * @returns {Promise<Object>} API response
-     */
-    async apiRequest(endpoint) {
-        const baseUrl = 'https://retroachievements.org/API/';
-        const url = `${baseUrl}${endpoint}&z=${this.authorization.userName}&y=${this.authorization.webApiKey}`;
-        
-        try {
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`API request failed with status ${response.status}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error(`API request failed: ${error.message}`);
-            throw error;
-        }
-    }
 }
 
 // Create and export a singleton instance
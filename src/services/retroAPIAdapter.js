@@ -0,0 +1,131 @@
+import { buildAuthorization, getGame, getGameExtended, getUserProfile, getUserRecentAchievements,
+    getUserSummary, getGameInfoAndUserProgress, getGameRankAndScore, getUserCompletedGames,
+    getUserAwards, getGameList, getConsoleIds, getAchievementCount } from '@retroachievements/api';
+import { config } from '../config/config.js';
+
+/**
+ * Reject a @retroachievements/api request once the signal aborts. The library
+ * doesn't take a signal, so its fetch can't be cancelled, only apiRequest's can.
+ * @param {Promise<any>} request - Pending library request
+ * @param {AbortSignal} [signal] - Signal ending the request
+ * @returns {Promise<any>} Result of the request
+ */
+function untilAborted(request, signal) {
+    if (!signal) return request;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        request.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Adapter making the actual requests to retroachievements.org.
+ * RetroAchievementsService calls every endpoint through an adapter so the
+ * offline adapter (src/services/offline) can stand in for development and tests.
+ * Methods take the same options as the @retroachievements/api functions, followed
+ * by an optional AbortSignal ending the request.
+ */
+export class LiveRetroAdapter {
+    constructor() {
+        this.authorization = buildAuthorization({
+            userName: process.env.RA_USERNAME,
+            webApiKey: config.retroAchievements.apiKey
+        });
+
+        // Seconds between requests to stay under the RetroAchievements rate limit
+        this.rateLimitSeconds = 1;
+
+        // Responses may be stored in the API cache
+        this.cacheable = true;
+    }
+
+    getGame(options, signal) {
+        return untilAborted(getGame(this.authorization, options), signal);
+    }
+
+    getGameExtended(options, signal) {
+        return untilAborted(getGameExtended(this.authorization, options), signal);
+    }
+
+    getGameInfoAndUserProgress(options, signal) {
+        return untilAborted(getGameInfoAndUserProgress(this.authorization, options), signal);
+    }
+
+    getAchievementCount(options, signal) {
+        return untilAborted(getAchievementCount(this.authorization, options), signal);
+    }
+
+    getUserRecentAchievements(options, signal) {
+        return untilAborted(getUserRecentAchievements(this.authorization, options), signal);
+    }
+
+    getUserSummary(options, signal) {
+        return untilAborted(getUserSummary(this.authorization, options), signal);
+    }
+
+    getUserProfile(options, signal) {
+        return untilAborted(getUserProfile(this.authorization, options), signal);
+    }
+
+    getUserAwards(options, signal) {
+        return untilAborted(getUserAwards(this.authorization, options), signal);
+    }
+
+    getUserCompletedGames(options, signal) {
+        return untilAborted(getUserCompletedGames(this.authorization, options), signal);
+    }
+
+    getGameRankAndScore(options, signal) {
+        return untilAborted(getGameRankAndScore(this.authorization, options), signal);
+    }
+
+    getGameList(options, signal) {
+        return untilAborted(getGameList(this.authorization, options), signal);
+    }
+
+    getConsoleIds(signal) {
+        return untilAborted(getConsoleIds(this.authorization), signal);
+    }
+
+    /**
+     * Get the raw entries of a leaderboard (not wrapped by @retroachievements/api)
+     * @param {Object} options - leaderboardId, offset and count
+     * @param {AbortSignal} [signal] - Signal aborting the request
+     * @returns {Promise<Object>} API response
+     */
+    getLeaderboardEntries({ leaderboardId, offset, count }, signal) {
+        return this.apiRequest(`API_GetLeaderboardEntries.php?i=${leaderboardId}&o=${offset}&c=${count}`, signal);
+    }
+
+    /**
+     * Make a direct API request to the RetroAchievements API
+     * @param {string} endpoint - API endpoint
+     * @param {AbortSignal} [signal] - Signal aborting the request, defaults to the configured timeout
+     * @returns {Promise<Object>} API response
+     */
+    async apiRequest(endpoint, signal = AbortSignal.timeout(config.retroAchievements.requestTimeout)) {
+        const baseUrl = 'https://retroachievements.org/API/';
+        const url = `${baseUrl}${endpoint}&z=${this.authorization.userName}&y=${this.authorization.webApiKey}`;
+
+        try {
+            const response = await fetch(url, { signal });
+
+            if (!response.ok) {
+                const error = new Error(`API request failed with status ${response.status}`);
+                error.status = response.status;
+                error.retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+                throw error;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error(`API request failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+export default LiveRetroAdapter;
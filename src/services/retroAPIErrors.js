@@ -0,0 +1,126 @@
+/**
+ * Errors thrown by the RetroAchievements service.
+ * Every failed API call is classified into one of these so callers can tell
+ * a missing game apart from an outage.
+ */
+export class RetroAPIError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'RetroAPIError';
+        this.status = status;
+    }
+
+    // Whether the request may succeed if it is repeated
+    get retryable() {
+        return false;
+    }
+}
+
+// The requested user, game or leaderboard does not exist
+export class RetroAPINotFoundError extends RetroAPIError {
+    constructor(message = 'Resource not found', status = 404) {
+        super(message, status);
+        this.name = 'RetroAPINotFoundError';
+    }
+}
+
+// The API key was rejected
+export class RetroAPIUnauthorizedError extends RetroAPIError {
+    constructor(message = 'RetroAchievements API credentials were rejected', status = 401) {
+        super(message, status);
+        this.name = 'RetroAPIUnauthorizedError';
+    }
+}
+
+// RetroAchievements asked us to slow down (HTTP 429)
+export class RetroAPIRateLimitError extends RetroAPIError {
+    constructor(message = 'RetroAchievements rate limit exceeded', retryAfter = null) {
+        super(message, 429);
+        this.name = 'RetroAPIRateLimitError';
+        // Seconds to wait before retrying, if the server told us
+        this.retryAfter = retryAfter;
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+// Network failures, timeouts and server errors
+export class RetroAPITransientError extends RetroAPIError {
+    constructor(message = 'RetroAchievements is temporarily unavailable', status = null) {
+        super(message, status);
+        this.name = 'RetroAPITransientError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+// Socket and DNS failures Node reports in error.code, on fetch errors in error.cause.code
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Check whether an error means the request never completed
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for timeouts and network failures
+ */
+function isNetworkError(error) {
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') return true;
+    if (NETWORK_ERROR_CODES.includes(error?.code) || NETWORK_ERROR_CODES.includes(error?.cause?.code)) return true;
+
+    // Node's fetch rejects with TypeError("fetch failed") for any network failure
+    return error?.message === 'fetch failed';
+}
+
+/**
+ * Convert an error thrown while calling the API into a RetroAPIError. Errors
+ * that are neither HTTP errors nor network failures (bugs such as a TypeError)
+ * are returned unchanged so they are not retried.
+ * @param {Error} error - Error thrown by fetch or @retroachievements/api
+ * @returns {Error} Classified error, or the original error
+ */
+export function classifyError(error) {
+    if (error instanceof RetroAPIError) return error;
+
+    // @retroachievements/api throws "HTTP Error: Status 404 Not Found"
+    const match = /Status (\d{3})/.exec(error?.message || '');
+    const status = error?.status || (match ? parseInt(match[1], 10) : null);
+
+    if (status === 404) return new RetroAPINotFoundError(error.message, status);
+    if (status === 401 || status === 403) return new RetroAPIUnauthorizedError(error.message, status);
+    if (status === 429) return new RetroAPIRateLimitError(error.message, error.retryAfter || null);
+    if (status >= 500) return new RetroAPITransientError(error.message, status);
+    if (status) return new RetroAPIError(error.message, status);
+
+    // No HTTP status: the request never completed (timeout, DNS, connection reset)
+    if (isNetworkError(error)) return new RetroAPITransientError(error.message || 'Request failed');
+
+    return error;
+}
+
+/**
+ * Get a message to show to Discord users for a failed API call
+ * @param {Error} error - Error thrown by the RetroAchievements service
+ * @param {string} notFoundMessage - Message to use when the resource does not exist
+ * @returns {string|null} User-facing message, or null if the error is not an API error
+ */
+export function getUserErrorMessage(error, notFoundMessage = 'RetroAchievements could not find what you asked for.') {
+    if (error instanceof RetroAPINotFoundError) {
+        return notFoundMessage;
+    }
+    if (error instanceof RetroAPIUnauthorizedError) {
+        return 'The bot\'s RetroAchievements API key was rejected. Please let an admin know.';
+    }
+    if (error instanceof RetroAPIRateLimitError) {
+        return 'RetroAchievements is rate limiting the bot right now. Please try again in a few minutes.';
+    }
+    if (error instanceof RetroAPITransientError) {
+        return 'RetroAchievements is not responding right now. Please try again later.';
+    }
+    if (error instanceof RetroAPIError) {
+        return `RetroAchievements returned an error${error.status ? ` (HTTP ${error.status})` : ''}. Please try again later.`;
+    }
+    return null;
+}
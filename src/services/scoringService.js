@@ -0,0 +1,209 @@
+import { AwardType } from '../config/config.js';
+import calendarService from './calendarService.js';
+
+// Points awarded for each award level. Higher levels include the points of
+// the levels below them (Mastery = 3 + 3 + 1, Beaten = 3 + 1).
+const AWARD_POINTS = {
+    [AwardType.NONE]: 0,
+    [AwardType.PARTICIPATION]: 1,
+    [AwardType.BEATEN]: 4,
+    [AwardType.MASTERY]: 7
+};
+
+// Keys used by the embeds (emoji and color lookups)
+const AWARD_KEYS = {
+    [AwardType.NONE]: null,
+    [AwardType.PARTICIPATION]: 'PARTICIPATION',
+    [AwardType.BEATEN]: 'BEATEN',
+    [AwardType.MASTERY]: 'MASTERY'
+};
+
+/**
+ * Single source of truth for monthly and shadow challenge scoring.
+ * Every command and service that needs an award level must go through here
+ * so the feed, leaderboard, profile and stored stats always agree.
+ */
+class ScoringService {
+    /**
+     * Get the time window a challenge runs in
+     * @param {Object} challenge - Challenge document
+     * @returns {{start: Date, end: Date}} Inclusive start and exclusive end of the challenge month in the community timezone
+     */
+    getChallengeWindow(challenge) {
+        return calendarService.getMonthWindow(challenge.date);
+    }
+
+    /**
+     * Parse the dateEarned string returned by the RetroAchievements API.
+     * RetroAchievements reports dates in UTC without a timezone suffix.
+     * @param {string} dateEarned - Date string (e.g. "2025-01-31 23:59:00")
+     * @returns {Date|null} Parsed date or null if the achievement is not earned
+     */
+    parseEarnedDate(dateEarned) {
+        if (!dateEarned) return null;
+        const date = new Date(`${dateEarned.replace(' ', 'T')}Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Get the challenge definition for either the monthly or the shadow game
+     * @param {Object} challenge - Challenge document
+     * @param {boolean} isShadow - Whether to read the shadow challenge fields
+     * @returns {Object} Game id, progression/win achievement ids and total
+     */
+    getGameDefinition(challenge, isShadow = false) {
+        if (isShadow) {
+            return {
+                gameId: challenge.shadow_challange_gameid,
+                progression: challenge.shadow_challange_progression_achievements || [],
+                win: challenge.shadow_challange_win_achievements || [],
+                total: challenge.shadow_challange_game_total
+            };
+        }
+
+        return {
+            gameId: challenge.monthly_challange_gameid,
+            progression: challenge.monthly_challange_progression_achievements || [],
+            win: challenge.monthly_challange_win_achievements || [],
+            total: challenge.monthly_challange_game_total
+        };
+    }
+
+    /**
+     * Score a user's progress in a challenge game
+     * @param {Object} challenge - Challenge document
+     * @param {Object} progress - Response of retroAPI.getUserGameProgress
+     * @param {boolean} isShadow - Whether this is the shadow game of the challenge
+     * @returns {Object} Award level, points, counts, time of the last achievement earned
+     *   during the challenge month and the reasons for the award
+     */
+    scoreProgress(challenge, progress, isShadow = false) {
+        const { progression, win, total } = this.getGameDefinition(challenge, isShadow);
+        const { start, end } = this.getChallengeWindow(challenge);
+        const achievements = progress?.achievements || {};
+
+        // Split earned achievements into all-time and within the challenge month
+        const earned = [];
+        const earnedInWindow = [];
+        let lastEarnedAt = null;
+        for (const [id, data] of Object.entries(achievements)) {
+            const earnedDate = this.parseEarnedDate(data?.dateEarned);
+            if (!earnedDate) continue;
+
+            earned.push(id);
+            if (earnedDate >= start && earnedDate < end) {
+                earnedInWindow.push(id);
+                if (!lastEarnedAt || earnedDate > lastEarnedAt) {
+                    lastEarnedAt = earnedDate;
+                }
+            }
+        }
+
+        const hasAllProgression = progression.every(id => earned.includes(id));
+        const hasWinCondition = win.length === 0 || win.some(id => earned.includes(id));
+        const requirementEarnedInWindow = [...progression, ...win].some(id => earnedInWindow.includes(id));
+        const hasAllAchievements = total > 0 && earned.length >= total;
+        const allEarnedInWindow = earned.length > 0 && earned.length === earnedInWindow.length;
+
+        const reasons = [];
+        let award = AwardType.NONE;
+
+        if (hasAllAchievements && allEarnedInWindow) {
+            award = AwardType.MASTERY;
+            reasons.push(`All ${total} achievements earned during the challenge month`);
+        } else if (hasAllProgression && hasWinCondition && requirementEarnedInWindow) {
+            award = AwardType.BEATEN;
+            reasons.push(`All ${progression.length} progression achievements earned`);
+            reasons.push(win.length > 0 ? 'At least one win condition earned' : 'No win condition required');
+            if (hasAllAchievements) {
+                reasons.push('Mastery not counted: some achievements were earned before the challenge month');
+            }
+        } else if (earnedInWindow.length > 0) {
+            award = AwardType.PARTICIPATION;
+            reasons.push(`${earnedInWindow.length} achievement${earnedInWindow.length !== 1 ? 's' : ''} earned during the challenge month`);
+            if (hasAllProgression && hasWinCondition) {
+                reasons.push('Beaten not counted: no progression or win achievement was earned during the challenge month');
+            } else if (!hasAllProgression) {
+                const missing = progression.filter(id => !earned.includes(id)).length;
+                reasons.push(`Beaten requires ${missing} more progression achievement${missing !== 1 ? 's' : ''}`);
+            } else {
+                reasons.push('Beaten requires a win condition achievement');
+            }
+        } else {
+            reasons.push('No achievements earned during the challenge month');
+        }
+
+        return {
+            award,
+            awardKey: AWARD_KEYS[award],
+            points: AWARD_POINTS[award],
+            reasons,
+            total,
+            earned: earned.length,
+            earnedThisMonth: earnedInWindow.length,
+            lastEarnedAt,
+            hasAllProgression,
+            hasWinCondition
+        };
+    }
+
+    /**
+     * Build the progress snapshot stored in User.monthlyChallenges/shadowChallenges
+     * @param {Object} score - Result of scoreProgress
+     * @returns {Object} Snapshot to store for the challenge month
+     */
+    toSnapshot(score) {
+        return {
+            progress: score.award,
+            achieved: score.earned,
+            earnedThisMonth: score.earnedThisMonth,
+            lastEarnedAt: score.lastEarnedAt,
+            updatedAt: new Date()
+        };
+    }
+
+    /**
+     * Normalize a stored award value to an AwardType.
+     * Older versions of /profile stored points (7/4/1) instead of the award level.
+     * @param {number} value - Value stored in User.monthlyChallenges/shadowChallenges
+     * @returns {number} AwardType value
+     */
+    normalizeAward(value) {
+        if (value === AWARD_POINTS[AwardType.MASTERY]) return AwardType.MASTERY;
+        if (value === AWARD_POINTS[AwardType.BEATEN]) return AwardType.BEATEN;
+        if (value >= AwardType.NONE && value <= AwardType.MASTERY) return value;
+        return AwardType.NONE;
+    }
+
+    /**
+     * Get the points for a stored award value
+     * @param {number} value - AwardType value (legacy point values are accepted)
+     * @returns {number} Points for the award
+     */
+    getPointsForAward(value) {
+        return AWARD_POINTS[this.normalizeAward(value)];
+    }
+
+    /**
+     * Describe the points of an award for the point legends of the embeds
+     * @param {number} value - AwardType value
+     * @returns {string} Points text, e.g. "4 points"
+     */
+    formatAwardPoints(value) {
+        const points = this.getPointsForAward(value);
+        return `${points} point${points !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Get the embed key ('MASTERY', 'BEATEN', 'PARTICIPATION') for an award
+     * @param {number} value - AwardType value
+     * @returns {string|null} Award key or null for no award
+     */
+    getAwardKey(value) {
+        return AWARD_KEYS[this.normalizeAward(value)];
+    }
+}
+
+// Create singleton instance
+const scoringService = new ScoringService();
+export default scoringService;
@@ -0,0 +1,842 @@
+import { randomInt } from 'node:crypto';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } from 'discord.js';
+import { User } from '../models/User.js';
+import { Poll } from '../models/Poll.js';
+import { Challenge } from '../models/Challenge.js';
+import retroAPI from './retroAPI.js';
+import calendarService from './calendarService.js';
+import { createRandom } from './ballotService.js';
+import { config } from '../config/config.js';
+
+// Vote buttons are identified as poll_vote_<pollId>_<gameId>
+const VOTE_BUTTON_PREFIX = 'poll_vote_';
+// Ranked mode: the button on the poll is poll_rank_<pollId>, the menu for
+// choice number N is poll_rank_<pollId>_<N>
+const RANK_PREFIX = 'poll_rank_';
+const BUTTONS_PER_ROW = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How each tie rule is described in announcements
+export const TIE_RULES = {
+    earliest_nomination: 'the earliest nomination',
+    most_nominations: 'the most nominations',
+    random: 'a random draw'
+};
+
+/**
+ * Runs the vote for next month's challenge: posts the ballot with one button
+ * per game, records the votes of registered members and picks the winner when
+ * the poll closes.
+ */
+class VotingService {
+    constructor() {
+        this.client = null;
+    }
+
+    setClient(client) {
+        this.client = client;
+    }
+
+    /**
+     * Post a new poll
+     * @param {Object} channel - Channel to post the poll in
+     * @param {Array<string>} gameIds - Games on the ballot
+     * @param {Object} options - draw: how the ballot was drawn (ballotService.buildBallot),
+     *                           mode: 'approval' or 'ranked'
+     * @returns {Promise<Object>} Poll document
+     */
+    async createPoll(channel, gameIds, { draw = null, mode = config.voting.mode } = {}) {
+        const games = [];
+        for (const gameId of gameIds) {
+            const game = await retroAPI.getGameInfoExtended(gameId);
+            games.push({
+                gameId: String(gameId),
+                title: game.title,
+                consoleName: game.consoleName || '',
+                imageIcon: game.imageIcon || '',
+                achievementCount: Object.keys(game.achievements || {}).length
+            });
+        }
+
+        const opensAt = new Date();
+        const poll = new Poll({
+            games,
+            draw,
+            mode,
+            tieRule: config.voting.tieRule,
+            channelId: channel.id,
+            opensAt,
+            closesAt: new Date(opensAt.getTime() + config.voting.durationDays * DAY_MS)
+        });
+
+        const message = await channel.send(this.buildPollMessage(poll));
+        poll.messageId = message.id;
+        await poll.save();
+
+        console.log(`Voting poll ${poll._id} created with ${games.length} games (${mode})`);
+        return poll;
+    }
+
+    /**
+     * Get the poll members can currently vote in
+     * @returns {Promise<Object|null>} Open poll
+     */
+    async getCurrentPoll() {
+        return Poll.findCurrent();
+    }
+
+    /**
+     * Move the end of an open poll
+     * @param {Object} poll - Open poll
+     * @param {number} days - Days to add
+     * @returns {Promise<Object>} Updated poll
+     */
+    async extendPoll(poll, days) {
+        poll.closesAt = new Date(poll.closesAt.getTime() + days * DAY_MS);
+        await poll.save();
+        await this.refreshPollMessage(poll);
+
+        console.log(`Voting poll ${poll._id} extended to ${poll.closesAt.toISOString()}`);
+        return poll;
+    }
+
+    /**
+     * Stop a poll without picking a winner
+     * @param {Object} poll - Open poll
+     * @returns {Promise<Object>} Cancelled poll
+     */
+    async cancelPoll(poll) {
+        poll.status = 'cancelled';
+        poll.closedAt = new Date();
+        await poll.save();
+        await this.refreshPollMessage(poll);
+
+        console.log(`Voting poll ${poll._id} cancelled`);
+        return poll;
+    }
+
+    /**
+     * Post the ballot again, for example after the message was deleted.
+     * Votes are kept and the previous message is removed if it still exists.
+     * @param {Object} poll - Open poll
+     * @param {Object} channel - Channel to post in
+     * @returns {Promise<Object>} Updated poll
+     */
+    async repostPoll(poll, channel) {
+        const previousMessage = await this.fetchPollMessage(poll);
+
+        const message = await channel.send(this.buildPollMessage(poll));
+        poll.channelId = channel.id;
+        poll.messageId = message.id;
+        await poll.save();
+
+        if (previousMessage) {
+            try {
+                await previousMessage.delete();
+            } catch (error) {
+                console.error(`Error deleting previous message of poll ${poll._id}:`, error);
+            }
+        }
+
+        return poll;
+    }
+
+    /**
+     * Check whether a button belongs to a poll
+     * @param {string} customId - Button custom ID
+     * @returns {boolean} True for vote buttons
+     */
+    isVoteButton(customId) {
+        return customId.startsWith(VOTE_BUTTON_PREFIX);
+    }
+
+    /**
+     * Add or take back a vote when a member clicks a ballot button
+     * @param {Object} interaction - Button interaction
+     */
+    async handleVoteButton(interaction) {
+        const [pollId, gameId] = interaction.customId.slice(VOTE_BUTTON_PREFIX.length).split('_');
+        const discordId = interaction.user.id;
+
+        const user = await User.findByDiscordId(discordId);
+        if (!user) {
+            return interaction.reply({
+                content: 'You are not registered. Please ask an admin to register you first.',
+                ephemeral: true
+            });
+        }
+
+        const poll = await Poll.findById(pollId);
+        if (!poll || poll.status !== 'open' || poll.closesAt <= new Date()) {
+            return interaction.reply({ content: 'Voting for this poll has closed.', ephemeral: true });
+        }
+
+        const maxVotes = this.getMaxVotes(poll);
+        const game = poll.games.find(ballotGame => ballotGame.gameId === gameId);
+        if (!game) {
+            return interaction.reply({ content: 'That game is not on this ballot.', ephemeral: true });
+        }
+
+        let content;
+        if (poll.getVotesOf(discordId).includes(gameId)) {
+            await Poll.updateOne({ _id: poll._id }, { $pull: { votes: { discordId, gameId } } });
+            content = `Your vote for **${game.title}** has been removed.`;
+        } else {
+            // Checked and written in one update so two quick clicks can't exceed the limit
+            const result = await Poll.updateOne(
+                {
+                    _id: poll._id,
+                    status: 'open',
+                    votes: { $not: { $elemMatch: { discordId, gameId } } },
+                    $expr: {
+                        $lt: [
+                            { $size: { $filter: { input: '$votes', cond: { $eq: ['$$this.discordId', discordId] } } } },
+                            maxVotes
+                        ]
+                    }
+                },
+                { $push: { votes: { discordId, raUsername: user.raUsername, gameId, votedAt: new Date() } } }
+            );
+
+            if (result.modifiedCount === 0) {
+                return interaction.reply({
+                    content: `You can vote for up to ${maxVotes} game${maxVotes !== 1 ? 's' : ''}. ` +
+                        'Click one of your votes again to take it back first.',
+                    ephemeral: true
+                });
+            }
+            content = `Your vote for **${game.title}** has been recorded!`;
+        }
+
+        const updatedPoll = await Poll.findById(poll._id);
+        const myVotes = updatedPoll.getVotesOf(discordId)
+            .map(votedId => updatedPoll.games.find(ballotGame => ballotGame.gameId === votedId)?.title);
+
+        await interaction.reply({
+            content: `${content}\n` +
+                (myVotes.length > 0 ? `Your votes: ${myVotes.join(', ')}` : 'You have not voted for any game.') +
+                ` (${maxVotes - myVotes.length} left)`,
+            ephemeral: true
+        });
+
+        // Refresh the voter count on the poll
+        try {
+            await interaction.message.edit(this.buildPollMessage(updatedPoll));
+        } catch (error) {
+            console.error('Error updating poll message:', error);
+        }
+    }
+
+    /**
+     * Check whether a button or select menu belongs to a ranked poll
+     * @param {string} customId - Component custom ID
+     * @returns {boolean} True for ranking components
+     */
+    isRankComponent(customId) {
+        return customId.startsWith(RANK_PREFIX);
+    }
+
+    /**
+     * Let a member rank the games of a ranked poll, one choice at a time.
+     * The button on the poll opens a private menu for the first choice, every
+     * choice is saved right away and replaced by a menu for the next one.
+     * @param {Object} interaction - Button or select menu interaction
+     */
+    async handleRankComponent(interaction) {
+        const [pollId, position] = interaction.customId.slice(RANK_PREFIX.length).split('_');
+        const discordId = interaction.user.id;
+
+        const user = await User.findByDiscordId(discordId);
+        if (!user) {
+            return interaction.reply({
+                content: 'You are not registered. Please ask an admin to register you first.',
+                ephemeral: true
+            });
+        }
+
+        const poll = await Poll.findById(pollId);
+        if (!poll || poll.status !== 'open' || poll.closesAt <= new Date()) {
+            return interaction.reply({ content: 'Voting for this poll has closed.', ephemeral: true });
+        }
+
+        // The button on the poll starts a new ranking
+        if (!position) {
+            return interaction.reply({ ...this.buildRankMenu(poll, [], poll.getRankingOf(discordId)), ephemeral: true });
+        }
+
+        // Choices after the one being made are dropped, so an old menu can't duplicate a game
+        const gameId = interaction.values[0];
+        const ranking = poll.getRankingOf(discordId).slice(0, parseInt(position) - 1)
+            .filter(rankedId => rankedId !== gameId);
+        ranking.push(gameId);
+
+        const result = await Poll.updateOne(
+            { _id: poll._id, status: 'open', 'rankings.discordId': discordId },
+            { $set: { 'rankings.$.gameIds': ranking, 'rankings.$.rankedAt': new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            await Poll.updateOne(
+                { _id: poll._id, status: 'open', 'rankings.discordId': { $ne: discordId } },
+                { $push: { rankings: { discordId, raUsername: user.raUsername, gameIds: ranking, rankedAt: new Date() } } }
+            );
+        }
+
+        await interaction.update(this.buildRankMenu(poll, ranking));
+
+        // Refresh the voter count on the poll
+        await this.refreshPollMessage(await Poll.findById(poll._id));
+    }
+
+    /**
+     * Build the private ranking message: the ranking so far and a menu for the next choice
+     * @param {Object} poll - Ranked poll
+     * @param {Array<string>} ranking - Game IDs ranked so far
+     * @param {Array<string>} saved - Ranking saved earlier, shown when starting over
+     * @returns {Object} Message payload
+     */
+    buildRankMenu(poll, ranking, saved = []) {
+        const title = (gameId) => poll.games.find(game => game.gameId === gameId)?.title || `Game ${gameId}`;
+        const formatRanking = (gameIds) => gameIds.map((gameId, index) => `${index + 1}. ${title(gameId)}`).join('\n');
+        const unranked = poll.games.filter(game => !ranking.includes(game.gameId));
+
+        let content;
+        if (ranking.length === 0) {
+            content = 'Pick your favourite game first. You can rank as many games as you like, ' +
+                'each choice is saved right away.';
+            if (saved.length > 0) {
+                content += `\n\nYour current ranking (choosing a first game replaces it):\n${formatRanking(saved)}`;
+            }
+        } else {
+            content = `**Your ranking has been saved:**\n${formatRanking(ranking)}`;
+            content += unranked.length > 0
+                ? '\n\nPick your next choice, or dismiss this message if you are done.'
+                : '\n\nYou ranked every game!';
+        }
+
+        const components = [];
+        if (unranked.length > 0) {
+            const position = ranking.length + 1;
+            components.push(new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`${RANK_PREFIX}${poll._id}_${position}`)
+                    .setPlaceholder(`Choice #${position}`)
+                    .addOptions(unranked.map(game => ({
+                        label: game.title.slice(0, 100),
+                        description: game.consoleName ? game.consoleName.slice(0, 100) : undefined,
+                        value: game.gameId
+                    })))
+            ));
+        }
+
+        return { content, components };
+    }
+
+    /**
+     * Close every open poll whose voting period has ended
+     * @returns {Promise<Array>} Closed polls
+     */
+    async closeExpiredPolls() {
+        const polls = await Poll.findExpired();
+        const closed = [];
+
+        for (const poll of polls) {
+            try {
+                const closedPoll = await this.closePoll(poll);
+                if (closedPoll) closed.push(closedPoll);
+            } catch (error) {
+                console.error(`Error closing poll ${poll._id}:`, error);
+            }
+        }
+
+        return closed;
+    }
+
+    /**
+     * Count the votes, store the results and announce the winner. If the top games
+     * tie, a runoff between them is opened instead; a runoff that ties again is
+     * decided by its tie rule.
+     * @param {Object} poll - Poll document
+     * @returns {Promise<Object|null>} Closed poll, null if it is already being closed
+     */
+    async closePoll(poll) {
+        // Claim the poll first, the cron and /polladmin close can both try to close it
+        const claim = await Poll.updateOne({ _id: poll._id, status: 'open' }, { $set: { status: 'closing' } });
+        if (claim.modifiedCount === 0) {
+            console.log(`Voting poll ${poll._id} is already being closed`);
+            return null;
+        }
+
+        let results = poll.tally();
+        let standings = results;
+        if (poll.mode === 'ranked') {
+            // Results are the first choices, the winner comes from the last instant-runoff round
+            poll.rounds = poll.countRankedChoice();
+            results = poll.rounds[0]?.counts || [];
+            standings = poll.rounds[poll.rounds.length - 1]?.counts || [];
+        }
+
+        const topVotes = standings[0]?.votes || 0;
+        const tied = standings.filter(result => result.votes === topVotes);
+
+        let winner = null;
+        let needsRunoff = false;
+        if (topVotes > 0 && tied.length === 1) {
+            winner = tied[0];
+        } else if (poll.runoffOf) {
+            // A runoff always ends with a winner, even if nobody voted
+            poll.tieBreak = this.breakTie(poll, tied);
+            winner = tied.find(result => result.gameId === poll.tieBreak.gameId);
+        } else if (topVotes > 0) {
+            needsRunoff = true;
+        }
+
+        poll.status = 'closed';
+        poll.results = results;
+        poll.winnerGameId = winner ? winner.gameId : null;
+        poll.closedAt = new Date();
+        await poll.save();
+
+        console.log(`Voting poll ${poll._id} closed, winner: ${winner ? winner.title : needsRunoff ? 'tie' : 'none'}`);
+
+        if (needsRunoff) {
+            const runoff = await this.createRunoff(poll, tied);
+            if (runoff) {
+                await this.refreshPollMessage(poll);
+                await this.announceRunoff(poll, runoff, tied);
+                return poll;
+            }
+
+            // Without a runoff the tie rule decides right away
+            poll.tieBreak = this.breakTie(poll, tied);
+            winner = tied.find(result => result.gameId === poll.tieBreak.gameId);
+            poll.winnerGameId = winner.gameId;
+            await poll.save();
+        }
+
+        // Show the results on the ballot and disable its buttons
+        await this.refreshPollMessage(poll);
+
+        const draft = winner && config.voting.draftChallenge
+            ? await this.draftChallenge(poll, winner.gameId)
+            : null;
+
+        await this.announceResults(poll, draft);
+        return poll;
+    }
+
+    /**
+     * Open a runoff between the tied games of a poll, in the same channel
+     * @param {Object} poll - Closed poll
+     * @param {Array} tied - Tied results
+     * @returns {Promise<Object|null>} Runoff poll, null if it could not be posted
+     */
+    async createRunoff(poll, tied) {
+        const channel = await this.fetchPollChannel(poll);
+        if (!channel) {
+            console.error(`Cannot open a runoff for poll ${poll._id}, its channel was not found`);
+            return null;
+        }
+
+        const tiedIds = tied.map(result => result.gameId);
+        const opensAt = new Date();
+        const runoff = new Poll({
+            games: poll.games.filter(game => tiedIds.includes(game.gameId)),
+            draw: poll.draw,
+            tieRule: poll.tieRule,
+            runoffOf: poll._id,
+            channelId: channel.id,
+            opensAt,
+            closesAt: new Date(opensAt.getTime() + config.voting.runoffDurationDays * DAY_MS)
+        });
+
+        const message = await channel.send(this.buildPollMessage(runoff));
+        runoff.messageId = message.id;
+        await runoff.save();
+
+        poll.runoffPollId = runoff._id;
+        await poll.save();
+
+        console.log(`Runoff poll ${runoff._id} opened for ${tied.length} tied games of poll ${poll._id}`);
+        return runoff;
+    }
+
+    /**
+     * Decide a tie with the poll's tie rule, using the nominations recorded with the ballot draw.
+     * Tied games that the rule can't separate are decided by ballot order.
+     * @param {Object} poll - Poll document
+     * @param {Array} tied - Tied results in ballot order
+     * @returns {{rule: string, seed: number|null, gameIds: Array<string>, gameId: string}} Tie break record
+     */
+    breakTie(poll, tied) {
+        const rule = poll.tieRule || config.voting.tieRule;
+        const gameIds = tied.map(result => result.gameId);
+        const candidates = new Map((poll.draw?.candidates || []).map(candidate => [candidate.gameId, candidate]));
+        const nominations = (gameId) => candidates.get(gameId)?.nominations || 0;
+        const firstNominated = (gameId) => candidates.get(gameId)?.firstNominatedAt?.getTime() ?? Infinity;
+
+        let gameId;
+        let seed = null;
+        switch (rule) {
+            case 'random': {
+                seed = randomInt(2 ** 32);
+                gameId = gameIds[Math.floor(createRandom(seed)() * gameIds.length)];
+                break;
+            }
+            case 'most_nominations':
+                gameId = gameIds.reduce((best, id) => nominations(id) > nominations(best) ? id : best);
+                break;
+            default:
+                gameId = gameIds.reduce((best, id) => firstNominated(id) < firstNominated(best) ? id : best);
+        }
+
+        console.log(`Tie between ${gameIds.join(', ')} decided by ${rule}${seed !== null ? ` (seed ${seed})` : ''}: ${gameId}`);
+        return { rule, seed, gameIds, gameId };
+    }
+
+    /**
+     * Get the number of games a member can vote for, runoffs allow a single vote
+     * @param {Object} poll - Poll document
+     * @returns {number} Votes per member
+     */
+    getMaxVotes(poll) {
+        return poll.runoffOf ? 1 : config.voting.maxVotesPerUser;
+    }
+
+    /**
+     * Create next month's challenge from the winning game, using the
+     * progression and win condition achievements set on RetroAchievements
+     * @param {Object} poll - Closed poll
+     * @param {string} gameId - Winning game
+     * @returns {Promise<Object|null>} Drafted challenge, null if none was created
+     */
+    async draftChallenge(poll, gameId) {
+        try {
+            // The poll picks the challenge for the month after it opened, a runoff the same one as its poll
+            const originalPoll = poll.runoffOf ? await Poll.findById(poll.runoffOf) : poll;
+            const monthStart = calendarService.getMonthStart((originalPoll || poll).opensAt, 1);
+            const existing = await Challenge.findOne({
+                date: {
+                    $gte: monthStart,
+                    $lt: calendarService.getMonthStart(monthStart, 1)
+                }
+            });
+            if (existing) {
+                console.log(`Not drafting a challenge, one already exists for ${calendarService.formatDateKey(monthStart)}`);
+                return null;
+            }
+
+            const game = await retroAPI.getGameInfoExtended(gameId);
+            const achievements = Object.values(game.achievements || {});
+            const progression = achievements.filter(achievement => achievement.type === 'progression')
+                .map(achievement => String(achievement.id));
+            const win = achievements.filter(achievement => achievement.type === 'win_condition')
+                .map(achievement => String(achievement.id));
+
+            if (progression.length === 0) {
+                console.log(`Not drafting a challenge, ${game.title} has no progression achievements`);
+                return null;
+            }
+
+            const challenge = new Challenge({
+                date: monthStart,
+                monthly_challange_gameid: gameId,
+                monthly_challange_progression_achievements: progression,
+                monthly_challange_win_achievements: win,
+                monthly_challange_game_total: achievements.length,
+                shadow_challange_revealed: false
+            });
+            await challenge.save();
+
+            console.log(`Drafted the ${calendarService.formatDateKey(monthStart)} challenge for ${game.title}`);
+            return challenge;
+        } catch (error) {
+            console.error('Error drafting challenge from poll winner:', error);
+            return null;
+        }
+    }
+
+    async announceResults(poll, draft) {
+        try {
+            // Get the announcement channel
+            const announcementChannel = await this.getAnnouncementChannel();
+            if (!announcementChannel) {
+                console.error('Announcement channel not found');
+                return;
+            }
+
+            // In ranked mode the winner's votes are those of the last round
+            const finalCounts = poll.mode === 'ranked' ? poll.rounds[poll.rounds.length - 1]?.counts || [] : poll.results;
+            const winner = finalCounts.find(result => result.gameId === poll.winnerGameId);
+
+            let description;
+            if (!winner) {
+                description = 'No votes were cast, so there is no winner this time.';
+            } else {
+                description = `**${winner.title}** won the ${poll.runoffOf ? 'runoff' : 'vote'} for next month's challenge with ` +
+                    `${winner.votes} vote${winner.votes !== 1 ? 's' : ''}` +
+                    (poll.rounds.length > 1 ? ` in round ${poll.rounds.length}!` : '!');
+                if (poll.tieBreak) {
+                    description += `\n\n*${this.formatTieBreak(poll)}*`;
+                }
+            }
+
+            const voterCount = poll.getVoterCount();
+            const embed = new EmbedBuilder()
+                .setTitle('🗳️ The Votes Are In!')
+                .setDescription(description)
+                .setColor('#FF69B4')
+                .addFields(this.buildResultFields(poll))
+                .setFooter({ text: `${voterCount} member${voterCount !== 1 ? 's' : ''} voted` })
+                .setTimestamp();
+
+            if (winner) {
+                embed.setURL(`https://retroachievements.org/game/${winner.gameId}`);
+                const game = poll.games.find(ballotGame => ballotGame.gameId === winner.gameId);
+                if (game?.imageIcon) {
+                    embed.setThumbnail(`https://retroachievements.org${game.imageIcon}`);
+                }
+            }
+
+            if (draft) {
+                const monthName = calendarService.formatDate(draft.date, { month: 'long', year: 'numeric' });
+                embed.addFields({
+                    name: 'Next Challenge',
+                    value: `The ${monthName} challenge has been drafted with ` +
+                        `${draft.monthly_challange_progression_achievements.length} progression and ` +
+                        `${draft.monthly_challange_win_achievements.length} win achievements. ` +
+                        'Admins can adjust it with /createchallenge.'
+                });
+            }
+
+            await announcementChannel.send({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error announcing poll results:', error);
+        }
+    }
+
+    async announceRunoff(poll, runoff, tied) {
+        try {
+            // Get the announcement channel
+            const announcementChannel = await this.getAnnouncementChannel();
+            if (!announcementChannel) {
+                console.error('Announcement channel not found');
+                return;
+            }
+
+            const tiedTitles = tied.map(result => `**${result.title}**`);
+            const votes = tied[0].votes;
+
+            const embed = new EmbedBuilder()
+                .setTitle('🗳️ It\'s a Tie!')
+                .setDescription(`${tiedTitles.join(', ')} tied with ${votes} vote${votes !== 1 ? 's' : ''} each.\n\n` +
+                    `A runoff between them is open in <#${runoff.channelId}> until ` +
+                    `<t:${Math.floor(runoff.closesAt.getTime() / 1000)}:f>. Everyone gets one vote! ` +
+                    `If the runoff ties too, it is decided by ${TIE_RULES[runoff.tieRule]}.`)
+                .setColor('#FF69B4')
+                .addFields(this.buildResultFields(poll))
+                .setTimestamp();
+
+            await announcementChannel.send({ embeds: [embed] });
+
+        } catch (error) {
+            console.error('Error announcing runoff:', error);
+        }
+    }
+
+    /**
+     * Build the result fields of an announcement: the vote counts, and for
+     * ranked polls every instant-runoff round
+     * @param {Object} poll - Closed poll
+     * @returns {Array<Object>} Embed fields
+     */
+    buildResultFields(poll) {
+        if (poll.mode !== 'ranked') {
+            return [{ name: 'Results', value: this.formatResults(poll.results) }];
+        }
+
+        const fields = [{ name: 'First Choices', value: this.formatResults(poll.results) }];
+        const title = (gameId) => poll.games.find(game => game.gameId === gameId)?.title || `Game ${gameId}`;
+
+        // Each round on its own line, split over several fields if needed
+        const lines = poll.rounds.map((round, index) => {
+            const counts = round.counts.map(count => `${count.title} ${count.votes}`).join(', ');
+            const eliminated = round.eliminatedGameIds.length > 0
+                ? ` - eliminated: ${round.eliminatedGameIds.map(title).join(', ')}`
+                : '';
+            return `**Round ${index + 1}:** ${counts}${eliminated}`;
+        });
+
+        let chunk = '';
+        for (const line of lines) {
+            if (chunk.length + line.length + 1 > 1024) {
+                fields.push({ name: fields.length === 1 ? 'Rounds' : 'Rounds (continued)', value: chunk });
+                chunk = '';
+            }
+            chunk += (chunk ? '\n' : '') + line;
+        }
+        if (chunk) {
+            fields.push({ name: fields.length === 1 ? 'Rounds' : 'Rounds (continued)', value: chunk });
+        }
+
+        return fields;
+    }
+
+    /**
+     * Describe how a tie was decided
+     * @param {Object} poll - Poll with a tieBreak
+     * @returns {string} Description
+     */
+    formatTieBreak(poll) {
+        const { rule, seed, gameIds, gameId } = poll.tieBreak;
+        const title = (id) => poll.games.find(game => game.gameId === id)?.title || `Game ${id}`;
+
+        return `${gameIds.map(title).join(', ')} tied. ${title(gameId)} won by ${TIE_RULES[rule]}` +
+            (seed !== null && seed !== undefined ? ` (seed ${seed})` : '') + '.';
+    }
+
+    /**
+     * Build the ballot message: the games and a vote button for each of them,
+     * or the results once the poll has closed
+     * @param {Object} poll - Poll document
+     * @returns {Object} Message payload
+     */
+    buildPollMessage(poll) {
+        const isOpen = poll.status === 'open';
+        const voterCount = poll.getVoterCount();
+
+        const ballot = poll.games.map((game, index) =>
+            `**${index + 1}. [${game.title}](https://retroachievements.org/game/${game.gameId})**\n` +
+            `└ ${game.consoleName ? `${game.consoleName} • ` : ''}${game.achievementCount} achievements`
+        ).join('\n\n');
+
+        const embed = new EmbedBuilder()
+            .setColor('#FF69B4')
+            .setFooter({ text: `${voterCount} member${voterCount !== 1 ? 's' : ''} voted` });
+
+        if (isOpen && poll.runoffOf) {
+            embed.setTitle('🎮 Runoff for Next Month\'s Challenge!')
+                .setDescription('These games tied in the vote. Click a button below to vote for one of them! ' +
+                    'Click it again to take your vote back.\n\n' +
+                    `${ballot}\n\n` +
+                    `Voting ends <t:${Math.floor(poll.closesAt.getTime() / 1000)}:R>`);
+        } else if (isOpen && poll.mode === 'ranked') {
+            embed.setTitle('🎮 Rank the Games for Next Month\'s Challenge!')
+                .setDescription('Click **Rank the games** below and pick the games in order, favourite first. ' +
+                    'If your favourite is eliminated, your vote moves to your next choice.\n\n' +
+                    `${ballot}\n\n` +
+                    `Voting ends <t:${Math.floor(poll.closesAt.getTime() / 1000)}:R>`);
+        } else if (isOpen) {
+            embed.setTitle('🎮 Vote for Next Month\'s Challenge!')
+                .setDescription(`Click the buttons below to vote for up to ${config.voting.maxVotesPerUser} games! ` +
+                    'Click a game again to take your vote back.\n\n' +
+                    `${ballot}\n\n` +
+                    `Voting ends <t:${Math.floor(poll.closesAt.getTime() / 1000)}:R>`);
+        } else if (poll.status === 'cancelled') {
+            embed.setTitle('🎮 Poll Cancelled')
+                .setDescription(`${ballot}\n\nThis poll was cancelled, no winner will be picked.`);
+        } else {
+            const winner = poll.games.find(game => game.gameId === poll.winnerGameId);
+            embed.setTitle('🎮 Voting Closed')
+                .setDescription(`${ballot}\n\n**${poll.mode === 'ranked' ? 'First Choices' : 'Results'}**\n` +
+                    this.formatResults(poll.results) +
+                    (poll.mode === 'ranked' && winner
+                        ? `\n\n**${winner.title}** won after ${poll.rounds.length} round${poll.rounds.length !== 1 ? 's' : ''} of counting.`
+                        : '') +
+                    (poll.runoffPollId ? '\n\nThe top games tied, a runoff between them has been opened.' : '') +
+                    (poll.tieBreak ? `\n\n${this.formatTieBreak(poll)}` : ''));
+        }
+
+        if (poll.mode === 'ranked') {
+            const rankButton = new ButtonBuilder()
+                .setCustomId(`${RANK_PREFIX}${poll._id}`)
+                .setLabel('Rank the games')
+                .setStyle(ButtonStyle.Primary)
+                .setDisabled(!isOpen);
+            return { embeds: [embed], components: [new ActionRowBuilder().addComponents(rankButton)] };
+        }
+
+        const rows = [];
+        for (let i = 0; i < poll.games.length; i += BUTTONS_PER_ROW) {
+            rows.push(new ActionRowBuilder().addComponents(
+                poll.games.slice(i, i + BUTTONS_PER_ROW).map((game, offset) =>
+                    new ButtonBuilder()
+                        .setCustomId(`${VOTE_BUTTON_PREFIX}${poll._id}_${game.gameId}`)
+                        .setLabel(`${i + offset + 1}. ${game.title}`.slice(0, 80))
+                        .setStyle(game.gameId === poll.winnerGameId ? ButtonStyle.Success : ButtonStyle.Primary)
+                        .setDisabled(!isOpen)
+                )
+            ));
+        }
+
+        return { embeds: [embed], components: rows };
+    }
+
+    formatResults(results) {
+        if (results.length === 0) return 'No games were on the ballot.';
+        return results.map((result, index) =>
+            `${index + 1}. **${result.title}** - ${result.votes} vote${result.votes !== 1 ? 's' : ''}`
+        ).join('\n');
+    }
+
+    async refreshPollMessage(poll) {
+        const message = await this.fetchPollMessage(poll);
+        if (!message) return;
+
+        try {
+            await message.edit(this.buildPollMessage(poll));
+        } catch (error) {
+            console.error(`Error updating message of poll ${poll._id}:`, error);
+        }
+    }
+
+    async fetchPollMessage(poll) {
+        if (!poll.messageId) return null;
+
+        const channel = await this.fetchPollChannel(poll);
+        if (!channel) return null;
+
+        try {
+            return await channel.messages.fetch(poll.messageId);
+        } catch (error) {
+            console.error(`Error fetching message of poll ${poll._id}:`, error);
+            return null;
+        }
+    }
+
+    async fetchPollChannel(poll) {
+        if (!this.client || !poll.channelId) return null;
+
+        try {
+            const guild = await this.client.guilds.fetch(config.discord.guildId);
+            return await guild.channels.fetch(poll.channelId);
+        } catch (error) {
+            console.error(`Error fetching channel of poll ${poll._id}:`, error);
+            return null;
+        }
+    }
+
+    async getAnnouncementChannel() {
+        if (!this.client) return null;
+
+        try {
+            // Get the guild
+            const guild = await this.client.guilds.fetch(config.discord.guildId);
+            if (!guild) {
+                console.error('Guild not found');
+                return null;
+            }
+
+            // Get the channel
+            const channel = await guild.channels.fetch(config.discord.announcementChannelId);
+            return channel;
+        } catch (error) {
+            console.error('Error getting announcement channel:', error);
+            return null;
+        }
+    }
+}
+
+// Create singleton instance
+const votingService = new VotingService();
+export default votingService;
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+import './testEnv.js';
+import chalk from 'chalk';
+import { Command } from 'commander';
+import { config } from '../config/config.js';
+import { User, Challenge } from '../models/index.js';
+import retroAPI from '../services/retroAPI.js';
+import achievementFeedService from '../services/achievementFeedService.js';
+import statsUpdateService from '../services/statsUpdateService.js';
+import monthlyTasksService from '../services/monthlyTasksService.js';
+import calendarService from '../services/calendarService.js';
+import { loadScenario } from '../services/offline/scenarioLoader.js';
+import { connectTestDb, disconnectTestDb, setupTestDb, TEST_USERS } from './setupTestDb.js';
+import { runUnitTests } from './runTests.js';
+import { createMockInteraction, createMockClient, createMockChannel, createMockUser } from './mocks/discord.js';
+import { renderInteraction, renderMessage } from './renderEmbed.js';
+
+const program = new Command();
+
+program
+    .name('cli')
+    .description('Test the bot without Discord: run the unit tests, or render commands against a seeded test ' +
+        'database and the offline RetroAchievements fixtures')
+    .option('--keep-data', 'Use the test database as it is instead of seeding it again')
+    .option('--admin', 'Run commands as an admin')
+    .option('--all', 'Print every reply instead of only the final one')
+    .option('--verbose', 'Show the log output of commands and services');
+
+/**
+ * Run a function with console.log silenced unless --verbose is set
+ * @param {Function} fn - Function to run
+ * @returns {Promise<any>} Result of the function
+ */
+const quietly = async (fn) => {
+    if (program.opts().verbose) return fn();
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+};
+
+/**
+ * Connect to the test database, seed it, run a function and disconnect
+ * @param {Function} fn - Function to run against the database
+ */
+const withTestDb = async (fn) => {
+    try {
+        await connectTestDb();
+    } catch (error) {
+        console.error(chalk.red(`Could not connect to the test database at ${config.mongodb.uri}: ${error.message}`));
+        console.error('Start MongoDB (./start_mongodb.sh) or set MONGODB_TEST_URI.');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        if (!program.opts().keepData) {
+            await quietly(() => setupTestDb());
+        }
+        await fn();
+    } catch (error) {
+        console.error(chalk.red('Error:'), error);
+        process.exitCode = 1;
+    } finally {
+        await disconnectTestDb();
+    }
+};
+
+/**
+ * Execute a slash command with a mock interaction and print its replies
+ * @param {string} path - Command module path relative to src/commands
+ * @param {Object} options - Command options and subcommand
+ */
+const renderCommand = async (path, { options = {}, subcommand = null } = {}) => {
+    const { default: command } = await import(`../commands/${path}`);
+    const { raUsername, discordId } = TEST_USERS[0];
+    const interaction = createMockInteraction({
+        commandName: command.data.name,
+        options,
+        subcommand,
+        user: createMockUser(discordId, raUsername),
+        isAdmin: Boolean(program.opts().admin)
+    });
+
+    await quietly(() => command.execute(interaction));
+    renderInteraction(interaction, program.opts().all);
+};
+
+/**
+ * Get the current month's challenge from the test database
+ * @returns {Promise<Object>} Challenge document
+ */
+const getCurrentChallenge = () => {
+    const { start, end } = calendarService.getMonthWindow();
+    return Challenge.findOne({
+        date: {
+            $gte: start,
+            $lt: end
+        }
+    });
+};
+
+program
+    .command('unit', { isDefault: true })
+    .description('Run the unit tests (no database needed)')
+    .argument('[filters...]', 'Only run test files whose name contains one of these')
+    .action(async (filters) => {
+        process.exitCode = await runUnitTests(filters);
+    });
+
+program
+    .command('setup')
+    .description('Seed the test database')
+    .action(() => withTestDb(async () => {
+        console.log(chalk.green(`Test database ready at ${config.mongodb.uri}`));
+    }));
+
+program
+    .command('profile')
+    .description('Render /profile')
+    .argument('[username]', 'RetroAchievements username', TEST_USERS[0].raUsername)
+    .action((username) => withTestDb(() => renderCommand('user/profile.js', { options: { username } })));
+
+program
+    .command('leaderboard')
+    .description('Render /leaderboard (monthly) or /yearlyboard (yearly)')
+    .argument('[type]', 'monthly or yearly', 'monthly')
+    .action((type) => withTestDb(() => type === 'yearly'
+        ? renderCommand('user/yearlyLeaderboard.js')
+        : renderCommand('user/leaderboard.js')));
+
+program
+    .command('arcade')
+    .description('Render /arcade board, or /arcade list without a board ID')
+    .argument('[boardId]', 'Arcade board ID')
+    .action((boardId) => withTestDb(() => boardId
+        ? renderCommand('user/arcade.js', { subcommand: 'board', options: { id: boardId } })
+        : renderCommand('user/arcade.js', { subcommand: 'list' })));
+
+program
+    .command('nominations')
+    .description('Render /nominations list')
+    .action(() => withTestDb(() => renderCommand('user/nominations.js', { subcommand: 'list' })));
+
+program
+    .command('stats')
+    .description('Render /nominations stats, for one member with a username')
+    .argument('[username]', 'RetroAchievements username')
+    .action((username) => withTestDb(() => renderCommand('user/nominations.js', {
+        subcommand: 'stats',
+        options: username ? { username } : {}
+    })));
+
+program
+    .command('history')
+    .description('Close last month\'s test challenge, render the recap and /challenge history')
+    .argument('[month]', 'Challenge month (1-12), defaults to last month')
+    .argument('[year]', 'Challenge year')
+    .action((month, year) => withTestDb(async () => {
+        const channel = createMockChannel('announcements');
+        monthlyTasksService.setClient(createMockClient({ channel }));
+
+        await quietly(() => monthlyTasksService.closeMonth());
+        channel.messages.forEach((message) => renderMessage(message.payload, '#announcements month close recap'));
+
+        const lastMonth = calendarService.getParts(calendarService.getMonthStart(new Date(), -1));
+        await renderCommand('user/challenge.js', {
+            subcommand: 'history',
+            options: {
+                month: month ? parseInt(month) : lastMonth.month + 1,
+                year: year ? parseInt(year) : lastMonth.year
+            }
+        });
+    }));
+
+program
+    .command('achievements')
+    .description('Render the achievement feed announcements for a user')
+    .argument('[username]', 'RetroAchievements username', TEST_USERS[0].raUsername)
+    .action((username) => withTestDb(async () => {
+        const user = await User.findOne({ raUsername: { $regex: new RegExp(`^${username}$`, 'i') } });
+        if (!user) {
+            console.error(chalk.red(`${username} is not registered in the test database`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const challenge = await getCurrentChallenge();
+        const channel = createMockChannel('achievement-feed');
+        achievementFeedService.setClient(createMockClient({ channel }));
+
+        await quietly(() => achievementFeedService.checkUserProgress(user, challenge, channel));
+
+        if (channel.messages.length === 0) {
+            console.log(chalk.yellow(`No new announcements for ${user.raUsername}`));
+        }
+        channel.messages.forEach((message, index) => renderMessage(message.payload, `#achievement-feed message ${index + 1}`));
+    }));
+
+program
+    .command('scenario')
+    .description('Play an offline scenario, showing what the feed announces after each event')
+    .argument('[name]', 'Scenario name or path to a scenario file', 'win-on-the-31st')
+    .action((name) => withTestDb(async () => {
+        const scenario = loadScenario(name);
+        retroAPI.adapter.load(scenario);
+        console.log(chalk.bold(`Scenario: ${scenario.name}`));
+        if (scenario.description) console.log(scenario.description);
+        console.log();
+
+        const challenge = await getCurrentChallenge();
+        const channel = createMockChannel('achievement-feed');
+        achievementFeedService.setClient(createMockClient({ channel }));
+
+        // Announce everything earned before the scenario starts without printing it
+        await quietly(() => achievementFeedService.checkForNewAchievements());
+        console.log(chalk.dim(`${channel.messages.length} announcements before the first event\n`));
+
+        for (const [index, event] of scenario.events.entries()) {
+            const announced = channel.messages.length;
+
+            retroAPI.adapter.applyEvent(event);
+            console.log(chalk.cyan.bold(`Event ${index + 1}: ${event.description || event.type}`));
+
+            await quietly(async () => {
+                await achievementFeedService.checkForNewAchievements();
+                for (const user of await User.find({})) {
+                    await statsUpdateService.updateUserStats(user, challenge);
+                }
+            });
+
+            const newMessages = channel.messages.slice(announced);
+            if (newMessages.length === 0) {
+                console.log(chalk.yellow('Nothing announced\n'));
+            }
+            newMessages.forEach(message => renderMessage(message.payload));
+        }
+
+        await renderCommand('user/leaderboard.js');
+    }));
+
+await program.parseAsync(process.argv);
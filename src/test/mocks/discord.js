@@ -0,0 +1,244 @@
+/**
+ * Minimal stand-ins for the discord.js objects used by the commands and
+ * services, recording everything the bot sends so it can be rendered or
+ * asserted on.
+ */
+
+// Role ID given to mock admins, must match ADMIN_ROLE_ID in testEnv.js
+export const ADMIN_ROLE_ID = 'test-admin-role';
+
+/**
+ * Create a mock Discord user
+ * @param {string} id - Discord user ID
+ * @param {string} username - Discord username
+ * @returns {Object} Mock user
+ */
+export const createMockUser = (id, username = `user${id}`) => {
+    const user = {
+        id,
+        username,
+        tag: username,
+        bot: false,
+        // Direct messages sent to the user
+        messages: [],
+        async send(payload) {
+            const message = createMockMessage(typeof payload === 'string' ? { content: payload } : payload, null);
+            user.messages.push(message);
+            return message;
+        },
+        displayAvatarURL: () => `https://cdn.discordapp.com/embed/avatars/${Number(id) % 5 || 0}.png`,
+        toString: () => `<@${id}>`
+    };
+    return user;
+};
+
+/**
+ * Create a mock text channel
+ * @param {string} id - Channel ID
+ * @param {string} name - Channel name
+ * @returns {Object} Mock channel with the sent messages in `messages`
+ */
+export const createMockChannel = (id = 'test-channel', name = 'test-channel') => {
+    const threads = new Map();
+    const channel = {
+        id,
+        name,
+        messages: [],
+        archived: false,
+        locked: false,
+        async send(payload) {
+            const message = createMockMessage(typeof payload === 'string' ? { content: payload } : payload, channel);
+            channel.messages.push(message);
+            return message;
+        },
+        // Threads opened in the channel, each one a mock channel itself
+        threads: {
+            cache: threads,
+            async create({ name: threadName }) {
+                const thread = createMockChannel(`${id}-thread-${threads.size + 1}`, threadName);
+                threads.set(thread.id, thread);
+                return thread;
+            },
+            async fetch(threadId) {
+                if (!threads.has(threadId)) throw new Error('Unknown Channel');
+                return threads.get(threadId);
+            }
+        },
+        async setArchived(archived = true) {
+            channel.archived = archived;
+            return channel;
+        },
+        async setLocked(locked = true) {
+            channel.locked = locked;
+            return channel;
+        },
+        toString: () => `<#${id}>`
+    };
+    return channel;
+};
+
+/**
+ * Create a mock message
+ * @param {Object} payload - Message content, embeds and components
+ * @param {Object} channel - Channel the message was sent in
+ * @returns {Object} Mock message
+ */
+export const createMockMessage = (payload, channel) => {
+    const message = {
+        id: `message-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+        channel,
+        payload,
+        reactions: [],
+        async react(emoji) {
+            message.reactions.push(emoji);
+        },
+        async edit(newPayload) {
+            message.payload = { ...message.payload, ...newPayload };
+            return message;
+        }
+    };
+    return message;
+};
+
+/**
+ * Create a mock client whose guild contains every channel and member asked for
+ * @param {Object} options - Channel returned for every channel ID, and known users
+ * @returns {Object} Mock client
+ */
+export const createMockClient = ({ channel = createMockChannel(), users = [] } = {}) => {
+    const knownUsers = new Map(users.map(user => [user.id, user]));
+    const fetchUser = async (id) => knownUsers.get(id) || createMockUser(id);
+
+    const guild = {
+        id: 'test-guild',
+        channels: { fetch: async () => channel },
+        members: {
+            fetch: async (id) => ({ id, user: await fetchUser(id) }),
+            prune: async () => 0
+        }
+    };
+
+    return {
+        user: createMockUser('0', 'SelectStartBot'),
+        channel,
+        users: { fetch: fetchUser },
+        guilds: { fetch: async () => guild }
+    };
+};
+
+/**
+ * Create a mock chat input command interaction
+ * @param {Object} options - Command options, subcommand, invoking user and whether they are an admin
+ * @returns {Object} Mock interaction with every reply in `responses`
+ */
+export const createMockInteraction = ({
+    commandName = 'test',
+    options = {},
+    subcommand = null,
+    user = createMockUser('100000000000000001', 'TestUser'),
+    isAdmin = false,
+    client = createMockClient()
+} = {}) => {
+    const get = (name) => options[name] ?? null;
+
+    const interaction = {
+        commandName,
+        client,
+        user,
+        member: {
+            user,
+            roles: { cache: { has: (roleId) => isAdmin && roleId === ADMIN_ROLE_ID } }
+        },
+        deferred: false,
+        replied: false,
+        ephemeral: false,
+        responses: [],
+        options: {
+            getString: get,
+            getInteger: get,
+            getNumber: get,
+            getBoolean: get,
+            getUser: get,
+            getChannel: get,
+            getSubcommand: () => subcommand
+        },
+        async deferReply(payload = {}) {
+            interaction.deferred = true;
+            interaction.ephemeral = Boolean(payload.ephemeral);
+        },
+        async reply(payload) {
+            interaction.replied = true;
+            return record('reply', payload);
+        },
+        async editReply(payload) {
+            return record('editReply', payload);
+        },
+        async followUp(payload) {
+            return record('followUp', payload);
+        }
+    };
+
+    const record = (type, payload) => {
+        const normalized = typeof payload === 'string' ? { content: payload } : payload;
+        interaction.responses.push({ type, ...normalized });
+        return createMockMessage(normalized, null);
+    };
+
+    return interaction;
+};
+
+/**
+ * Create a mock button interaction
+ * @param {Object} options - Button custom ID, clicking user and the message the button is on
+ * @returns {Object} Mock interaction with every reply in `responses`
+ */
+export const createMockButtonInteraction = ({
+    customId,
+    user = createMockUser('100000000000000001', 'TestUser'),
+    message = createMockMessage({}, null),
+    client = createMockClient()
+} = {}) => {
+    const interaction = {
+        customId,
+        client,
+        user,
+        message,
+        replied: false,
+        responses: [],
+        isButton: () => true,
+        isStringSelectMenu: () => false,
+        isChatInputCommand: () => false,
+        async reply(payload) {
+            interaction.replied = true;
+            const normalized = typeof payload === 'string' ? { content: payload } : payload;
+            interaction.responses.push({ type: 'reply', ...normalized });
+        },
+        async update(payload) {
+            interaction.replied = true;
+            const normalized = typeof payload === 'string' ? { content: payload } : payload;
+            interaction.responses.push({ type: 'update', ...normalized });
+        }
+    };
+    return interaction;
+};
+
+/**
+ * Create a mock string select menu interaction
+ * @param {Object} options - Menu custom ID, selected values, choosing user and the message the menu is on
+ * @returns {Object} Mock interaction with every reply in `responses`
+ */
+export const createMockSelectMenuInteraction = ({ values = [], ...options } = {}) => {
+    const interaction = createMockButtonInteraction(options);
+    interaction.values = values;
+    interaction.isButton = () => false;
+    interaction.isStringSelectMenu = () => true;
+    return interaction;
+};
+
+/**
+ * Get the last reply of an interaction (the one a user ends up seeing)
+ * @param {Object} interaction - Mock interaction
+ * @returns {Object|null} Last response
+ */
+export const getLastResponse = (interaction) =>
+    interaction.responses[interaction.responses.length - 1] || null;
@@ -0,0 +1,86 @@
+import chalk from 'chalk';
+
+/**
+ * Convert an EmbedBuilder or embed data to plain embed data
+ * @param {Object} embed - EmbedBuilder or API embed
+ * @returns {Object} Embed data
+ */
+const toData = (embed) => (typeof embed.toJSON === 'function' ? embed.toJSON() : embed.data || embed);
+
+/**
+ * Print an embed to the terminal roughly the way Discord lays it out
+ * @param {Object} embed - EmbedBuilder or API embed
+ */
+export const renderEmbed = (embed) => {
+    const data = toData(embed);
+    const color = data.color !== undefined ? `#${data.color.toString(16).padStart(6, '0')}` : '#4f545c';
+    const bar = chalk.hex(color)('┃');
+    const print = (text = '') => {
+        for (const line of String(text).split('\n')) {
+            console.log(`${bar} ${line}`);
+        }
+    };
+
+    if (data.author?.name) print(chalk.dim(data.author.name));
+    if (data.title) print(chalk.bold(data.title));
+    if (data.url) print(chalk.blue.underline(data.url));
+    if (data.description) print(data.description);
+
+    for (const field of data.fields || []) {
+        print();
+        print(chalk.bold(field.name) + (field.inline ? chalk.dim(' (inline)') : ''));
+        print(field.value);
+    }
+
+    if (data.thumbnail?.url) print(chalk.dim(`[thumbnail] ${data.thumbnail.url}`));
+    if (data.image?.url) print(chalk.dim(`[image] ${data.image.url}`));
+
+    const footer = [data.footer?.text, data.timestamp && new Date(data.timestamp).toLocaleString()].filter(Boolean);
+    if (footer.length > 0) {
+        print();
+        print(chalk.dim(footer.join(' • ')));
+    }
+    console.log();
+};
+
+/**
+ * Print a message or interaction reply: its content, embeds and components
+ * @param {Object} payload - Message payload
+ * @param {string} [label] - Heading shown above the message
+ */
+export const renderMessage = (payload, label) => {
+    if (label) console.log(chalk.cyan(`── ${label} ──`));
+    if (payload.ephemeral) console.log(chalk.dim('(only visible to the user)'));
+    if (payload.content) console.log(payload.content + '\n');
+
+    for (const embed of payload.embeds || []) {
+        renderEmbed(embed);
+    }
+
+    for (const row of payload.components || []) {
+        const components = toData(row).components || [];
+        const labels = components.map(component => {
+            const data = toData(component);
+            return data.label ? `[${data.label}]` : `[${data.placeholder || data.custom_id}]`;
+        });
+        console.log(chalk.magenta(labels.join(' ')));
+    }
+};
+
+/**
+ * Print the replies of a mock interaction
+ * @param {Object} interaction - Mock interaction
+ * @param {boolean} all - Print every reply instead of only the final one
+ */
+export const renderInteraction = (interaction, all = false) => {
+    const responses = all ? interaction.responses : interaction.responses.slice(-1);
+    if (responses.length === 0) {
+        console.log(chalk.yellow('The command did not reply.'));
+        return;
+    }
+    for (const response of responses) {
+        renderMessage({ ...response, ephemeral: response.ephemeral || interaction.ephemeral }, `/${interaction.commandName} ${response.type}`);
+    }
+};
+
+export default renderEmbed;
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+import { spawn } from 'child_process';
+import { readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const UNIT_DIR = join(__dirname, 'unit');
+
+/**
+ * Run the unit tests in src/test/unit with the Node.js test runner.
+ * They need neither MongoDB nor RetroAchievements.
+ * @param {Array<string>} filters - Only run test files whose name contains one of these
+ * @returns {Promise<number>} Exit code of the test runner
+ */
+export const runUnitTests = (filters = []) => {
+    const files = readdirSync(UNIT_DIR)
+        .filter(file => file.endsWith('.test.js'))
+        .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+        .map(file => join(UNIT_DIR, file));
+
+    if (files.length === 0) {
+        console.error(`No unit tests match ${filters.join(', ')}`);
+        return Promise.resolve(1);
+    }
+
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+        child.on('close', code => resolve(code ?? 1));
+    });
+};
+
+// Run the tests when called directly (npm run tester)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    process.exitCode = await runUnitTests(process.argv.slice(2));
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+import './testEnv.js';
+import mongoose from 'mongoose';
+import chalk from 'chalk';
+import { table } from 'table';
+import { fileURLToPath } from 'url';
+import { config } from '../config/config.js';
+import { User, Challenge, ChallengeArchive, ApiCache } from '../models/index.js';
+import { ArcadeBoard } from '../models/ArcadeBoard.js';
+import statsUpdateService from '../services/statsUpdateService.js';
+import calendarService from '../services/calendarService.js';
+
+// Registered members, matching the users of the offline fixtures (SpeedDemon is not registered)
+export const TEST_USERS = [
+    { raUsername: 'TestUser', discordId: '100000000000000001' },
+    { raUsername: 'RacingFan', discordId: '100000000000000002' },
+    { raUsername: 'ShadowHunter', discordId: '100000000000000003' }
+];
+
+/**
+ * Connect to the test database
+ * @returns {Promise<mongoose.Connection>} Open connection
+ */
+export const connectTestDb = async () => {
+    await mongoose.connect(config.mongodb.uri, { serverSelectionTimeoutMS: 5000 });
+    return mongoose.connection;
+};
+
+/**
+ * Close the test database connection
+ */
+export const disconnectTestDb = async () => {
+    await mongoose.disconnect();
+};
+
+/**
+ * Get the first day of a month relative to the current one
+ * @param {number} offset - Months from now (-1 is last month)
+ * @returns {Date} First day of the month
+ */
+const monthStart = (offset = 0) => calendarService.getMonthStart(new Date(), offset);
+
+/**
+ * Wipe the test database and seed it with data matching the offline fixtures:
+ * the current month's challenge (Chrono Trigger with Sonic as the revealed
+ * shadow game), two earlier challenges with stored results, nominations,
+ * a community award and arcade/racing boards on leaderboard 1234.
+ * @returns {Promise<Object>} Seeded users, challenges and boards
+ */
+export const setupTestDb = async () => {
+    await Promise.all([
+        User.deleteMany({}),
+        Challenge.deleteMany({}),
+        ArcadeBoard.deleteMany({}),
+        ChallengeArchive.deleteMany({}),
+        ApiCache.deleteMany({})
+    ]);
+
+    const challenges = await Challenge.insertMany([
+        {
+            date: monthStart(-2),
+            monthly_challange_gameid: '10003',
+            monthly_challange_game_total: 2,
+            monthly_challange_progression_achievements: ['9000'],
+            monthly_challange_win_achievements: ['9001'],
+            shadow_challange_revealed: false
+        },
+        {
+            date: monthStart(-1),
+            monthly_challange_gameid: '228',
+            monthly_challange_game_total: 3,
+            monthly_challange_progression_achievements: ['4100'],
+            monthly_challange_win_achievements: ['4101'],
+            shadow_challange_revealed: false
+        },
+        {
+            date: monthStart(0),
+            monthly_challange_gameid: '319',
+            monthly_challange_game_total: 8,
+            monthly_challange_progression_achievements: ['2080', '2081', '2082', '2083'],
+            monthly_challange_win_achievements: ['2084'],
+            shadow_challange_gameid: '1',
+            shadow_challange_game_total: 5,
+            shadow_challange_progression_achievements: ['100', '101', '102'],
+            shadow_challange_win_achievements: ['103'],
+            shadow_challange_revealed: true
+        }
+    ]);
+
+    // Results of the earlier challenges as the stats update service would have stored them
+    const pastResults = {
+        TestUser: [3, 2],
+        RacingFan: [2, 1],
+        ShadowHunter: [0, 3]
+    };
+
+    const users = [];
+    for (const testUser of TEST_USERS) {
+        const user = new User(testUser);
+
+        pastResults[testUser.raUsername].forEach((progress, index) => {
+            if (progress > 0) {
+                user.monthlyChallenges.set(User.formatDateKey(challenges[index].date), {
+                    progress,
+                    updatedAt: new Date()
+                });
+            }
+        });
+
+        users.push(user);
+    }
+
+    const [testUser, racingFan, shadowHunter] = users;
+
+    testUser.nominations.push({ gameId: '228' });
+    racingFan.nominations.push({ gameId: '228' }, { gameId: '10003' });
+    shadowHunter.nominations.push({ gameId: '1' });
+
+    racingFan.communityAwards.push({
+        title: 'Speedrun of the Month',
+        points: 1,
+        awardedBy: 'TestAdmin'
+    });
+
+    await Promise.all(users.map(user => user.save()));
+
+    // Progress snapshots for the current month, scored from the offline fixtures
+    for (const user of users) {
+        await statsUpdateService.updateUserStats(user, challenges[2]);
+    }
+
+    const monthKey = calendarService.formatDateKey(monthStart(0)).slice(0, 7);
+    const boards = await ArcadeBoard.insertMany([
+        {
+            boardId: '1234',
+            boardType: 'arcade',
+            leaderboardId: 1234,
+            gameId: 10003,
+            gameTitle: 'Super Mario Kart',
+            consoleName: 'SNES/Super Famicom',
+            description: 'Mario Circuit 1 - Time Trial'
+        },
+        {
+            boardId: `racing-${monthKey}`,
+            boardType: 'racing',
+            leaderboardId: 1234,
+            gameId: 10003,
+            gameTitle: 'Super Mario Kart',
+            consoleName: 'SNES/Super Famicom',
+            description: 'Mario Circuit 1 - Time Trial',
+            startDate: monthStart(0),
+            endDate: new Date(monthStart(1).getTime() - 1),
+            monthKey,
+            isRacing: true
+        }
+    ]);
+
+    return { users, challenges, boards };
+};
+
+// Seed the database when run directly (npm run test:setup)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    try {
+        await connectTestDb();
+        const { users, challenges, boards } = await setupTestDb();
+
+        console.log(chalk.green(`\nSeeded ${config.mongodb.uri}\n`));
+        console.log(table([
+            ['Collection', 'Documents'],
+            ['users', users.map(user => user.raUsername).join(', ')],
+            ['challenges', challenges.map(challenge => User.formatDateKey(challenge.date)).join(', ')],
+            ['arcadeboards', boards.map(board => board.boardId).join(', ')]
+        ]));
+    } catch (error) {
+        console.error(chalk.red(`Error setting up the test database: ${error.message}`));
+        process.exitCode = 1;
+    } finally {
+        await disconnectTestDb();
+    }
+}
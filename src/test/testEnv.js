@@ -0,0 +1,18 @@
+/**
+ * Environment for the test CLI and unit tests. Import this before anything
+ * that loads src/config/config.js so the tests never reach retroachievements.org
+ * or the bot's real database (dotenv does not override these).
+ */
+
+// Serve RetroAchievements data from the offline fixtures
+process.env.RA_OFFLINE = 'true';
+process.env.RA_SCENARIO = process.env.RA_SCENARIO || 'default';
+
+// Use a separate database, it is wiped by setupTestDb
+process.env.MONGODB_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/select-start-test';
+
+// Run the challenge calendar in UTC whatever the host's timezone is
+process.env.COMMUNITY_TIMEZONE = 'UTC';
+
+// Treat the mock admin role as the admin role
+process.env.ADMIN_ROLE_ID = 'test-admin-role';
@@ -0,0 +1,88 @@
+import '../testEnv.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import arcadeService from '../../services/arcadeService.js';
+import retroAPI from '../../services/retroAPI.js';
+
+/**
+ * Build standardized leaderboard entries (see retroAPI.processLeaderboardEntries)
+ * @param {Array<Array>} rows - [username, formatted time] pairs, best first
+ * @returns {Array} Leaderboard entries
+ */
+const entries = (rows) => rows.map(([user, time], index) => ({
+    ApiRank: index + 1,
+    User: user,
+    TrackTime: time,
+    DateSubmitted: null
+}));
+
+const registered = (...usernames) => new Map(usernames.map(name => [name.toLowerCase(), { raUsername: name }]));
+
+describe('arcadeService.getTopFinishers (racing awards)', () => {
+    it('awards 3/2/1 points to the top 3 registered users', () => {
+        const board = entries([
+            ['SpeedDemon', '1:00.120'],
+            ['RacingFan', '1:02.345'],
+            ['Stranger', '1:03.000'],
+            ['TestUser', '1:04.810'],
+            ['ShadowHunter', '1:05.000'],
+            ['Latecomer', '1:06.000']
+        ]);
+
+        const finishers = arcadeService.getTopFinishers(board, registered('RacingFan', 'TestUser', 'ShadowHunter', 'Latecomer'));
+
+        assert.deepEqual(
+            finishers.map(({ entry, rank, points }) => [entry.User, rank, points]),
+            [['RacingFan', 1, 3], ['TestUser', 2, 2], ['ShadowHunter', 3, 1]]
+        );
+        assert.equal(finishers[0].user.raUsername, 'RacingFan');
+    });
+
+    it('matches usernames case-insensitively', () => {
+        const finishers = arcadeService.getTopFinishers(entries([['racingfan ', '1:02.345']]), registered('RacingFan'));
+
+        assert.equal(finishers.length, 1);
+        assert.equal(finishers[0].user.raUsername, 'RacingFan');
+    });
+
+    it('awards fewer places when fewer registered users took part', () => {
+        const finishers = arcadeService.getTopFinishers(entries([['Stranger', '0:59.000'], ['TestUser', '1:04.810']]), registered('TestUser'));
+
+        assert.deepEqual(finishers.map(({ rank, points }) => [rank, points]), [[1, 3]]);
+    });
+
+    it('awards nothing without registered users', () => {
+        assert.deepEqual(arcadeService.getTopFinishers(entries([['Stranger', '0:59.000']]), registered('TestUser')), []);
+    });
+});
+
+describe('arcadeService.rankTiebreakerEntries', () => {
+    it('keeps only the tied users', () => {
+        const ranked = arcadeService.rankTiebreakerEntries(
+            entries([['SpeedDemon', '1:00.000'], ['TestUser', '1:01.000'], ['RacingFan', '1:02.000']]),
+            ['racingfan', 'TestUser']
+        );
+
+        assert.deepEqual(ranked.map(entry => entry.User), ['TestUser', 'RacingFan']);
+    });
+
+    it('ranks by leaderboard position rather than by the formatted time text', () => {
+        const board = entries([['TestUser', '9:58.00'], ['RacingFan', '10:02.00']]).reverse();
+
+        const ranked = arcadeService.rankTiebreakerEntries(board, ['TestUser', 'RacingFan']);
+
+        assert.deepEqual(ranked.map(entry => entry.User), ['TestUser', 'RacingFan']);
+    });
+});
+
+describe('retroAPI.getLeaderboardEntries with the offline fixtures', () => {
+    it('returns standardized entries ranked by the leaderboard', async () => {
+        const board = await retroAPI.getLeaderboardEntries(1234);
+
+        assert.deepEqual(board.map(entry => [entry.ApiRank, entry.User, entry.TrackTime]), [
+            [1, 'SpeedDemon', '1:00.120'],
+            [2, 'RacingFan', '1:02.345'],
+            [3, 'TestUser', '1:04.810']
+        ]);
+    });
+});
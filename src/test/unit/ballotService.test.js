@@ -0,0 +1,82 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../../models/User.js';
+import { Challenge } from '../../models/Challenge.js';
+import { NominationCycle } from '../../models/NominationCycle.js';
+import ballotService from '../../services/ballotService.js';
+
+/**
+ * Build a user with nominations for this month
+ * @param {string} discordId - Discord ID
+ * @param {Array<string>} gameIds - Nominated games
+ * @returns {Object} User document
+ */
+const nominator = (discordId, gameIds) => {
+    const user = new User({ raUsername: `User${discordId}`, discordId });
+    user.nominations.push(...gameIds.map(gameId => ({ gameId })));
+    return user;
+};
+
+const candidates = ballotService.countNominations(
+    ['1', '2', '2', '3', '3', '3', '4', '5', '6'].map(gameId => ({ gameId }))
+);
+
+describe('ballotService', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('counts nominations, most nominated first', () => {
+        assert.deepEqual(candidates.slice(0, 3).map(({ gameId, nominations }) => ({ gameId, nominations })), [
+            { gameId: '3', nominations: 3 },
+            { gameId: '2', nominations: 2 },
+            { gameId: '1', nominations: 1 }
+        ]);
+    });
+
+    it('repeats the same draw from the same seed', () => {
+        const settings = { size: 4, strategy: 'weighted', seed: 12345 };
+
+        const first = ballotService.drawBallot(candidates, settings);
+
+        assert.equal(first.length, 4);
+        assert.equal(new Set(first).size, 4);
+        assert.deepEqual(ballotService.drawBallot(candidates, settings), first);
+    });
+
+    it('always puts the guaranteed games on the ballot first', () => {
+        for (const seed of [1, 2, 3]) {
+            const ballot = ballotService.drawBallot(candidates, { size: 3, strategy: 'uniform', guaranteedTop: 2, seed });
+            assert.deepEqual(ballot.slice(0, 2), ['3', '2']);
+        }
+    });
+
+    it('favours games with more nominations', () => {
+        const picks = { '3': 0, '6': 0 };
+        for (let seed = 0; seed < 400; seed++) {
+            const [gameId] = ballotService.drawBallot(candidates, { size: 1, strategy: 'weighted', seed });
+            if (gameId in picks) picks[gameId]++;
+        }
+
+        assert.ok(picks['3'] > picks['6'] * 2, `expected game 3 to be drawn far more often: ${JSON.stringify(picks)}`);
+    });
+
+    it('leaves out recent challenge games and records the draw', async () => {
+        mock.method(NominationCycle, 'findOneAndUpdate', async (filter, update) => new NominationCycle(update.$setOnInsert));
+        mock.method(User, 'find', async () => [nominator('1', ['319', '228']), nominator('2', ['228', '1'])]);
+        mock.method(Challenge, 'find', async () => [
+            new Challenge({ date: new Date(), monthly_challange_gameid: '319', shadow_challange_gameid: '1' }),
+            new Challenge({ date: new Date(), monthly_challange_gameid: '10003' })
+        ]);
+
+        const draw = await ballotService.buildBallot({ excludeRecentMonths: 6, seed: 42 });
+
+        assert.deepEqual(draw.gameIds, ['228']);
+        // 10003 was a recent challenge but nobody nominated it
+        assert.deepEqual(draw.excludedGameIds, ['1', '319']);
+        assert.deepEqual(draw.candidates.map(({ gameId, nominations }) => [gameId, nominations]), [['228', 2]]);
+        assert.equal(draw.seed, 42);
+        assert.equal(draw.strategy, 'weighted');
+    });
+});
@@ -0,0 +1,81 @@
+import '../testEnv.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../config/config.js';
+import calendarService from '../../services/calendarService.js';
+import scoringService from '../../services/scoringService.js';
+import { User } from '../../models/User.js';
+
+const defaultTimezone = config.challenges.timezone;
+
+const inTimezone = (timezone) => {
+    config.challenges.timezone = timezone;
+};
+
+describe('calendarService', () => {
+    afterEach(() => {
+        inTimezone(defaultTimezone);
+    });
+
+    it('starts months at midnight in the community timezone', () => {
+        inTimezone('America/New_York');
+
+        const { start, end } = calendarService.getMonthWindow(new Date('2025-03-15T12:00:00Z'));
+
+        assert.equal(start.toISOString(), '2025-03-01T05:00:00.000Z');
+        // Daylight saving time started during March
+        assert.equal(end.toISOString(), '2025-04-01T04:00:00.000Z');
+    });
+
+    it('puts moments near midnight UTC in the community month', () => {
+        inTimezone('Asia/Tokyo');
+        const moment = new Date('2025-03-31T20:00:00Z');
+
+        assert.equal(calendarService.getMonthStart(moment).toISOString(), '2025-03-31T15:00:00.000Z');
+        assert.equal(calendarService.isSameMonth(moment, new Date('2025-04-10T00:00:00Z')), true);
+
+        inTimezone('America/Los_Angeles');
+        assert.equal(calendarService.getMonthStart(moment).toISOString(), '2025-03-01T08:00:00.000Z');
+    });
+
+    it('keys a challenge by its community calendar date', () => {
+        inTimezone('Europe/Berlin');
+        const challengeDate = calendarService.fromParts(2025, 0, 1);
+
+        // The UTC date of this moment is still 2024-12-31
+        assert.equal(challengeDate.toISOString(), '2024-12-31T23:00:00.000Z');
+        assert.equal(User.formatDateKey(challengeDate), '2025-01-01');
+    });
+
+    it('describes the active window', () => {
+        inTimezone('Europe/London');
+
+        assert.equal(
+            calendarService.formatWindow(calendarService.getMonthWindow(new Date('2025-01-15T12:00:00Z'))),
+            '2025-01-01 00:00 to 2025-01-31 23:59 (Europe/London)'
+        );
+    });
+
+    it('counts achievements earned before midnight in the community timezone', () => {
+        inTimezone('America/New_York');
+        const challenge = {
+            date: calendarService.fromParts(2025, 0, 1),
+            monthly_challange_gameid: '319',
+            monthly_challange_progression_achievements: ['1'],
+            monthly_challange_win_achievements: [],
+            monthly_challange_game_total: 2
+        };
+        const progress = {
+            achievements: {
+                // 23:30 on January 31st in New York, already February 1st in UTC
+                1: { id: '1', dateEarned: '2025-02-01 04:30:00' },
+                // 00:30 on February 1st in New York
+                2: { id: '2', dateEarned: '2025-02-01 05:30:00' }
+            }
+        };
+
+        const score = scoringService.scoreProgress(challenge, progress);
+
+        assert.equal(score.earnedThisMonth, 1);
+    });
+});
@@ -0,0 +1,85 @@
+import '../testEnv.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AwardType } from '../../config/config.js';
+import { User } from '../../models/User.js';
+import challengeArchiveService from '../../services/challengeArchiveService.js';
+
+const MONTH_KEY = '2025-01-01';
+
+/**
+ * Build a user with stored progress for the January 2025 challenge
+ * @param {string} raUsername - RetroAchievements username
+ * @param {Object} monthly - Monthly challenge snapshot
+ * @param {Object} shadow - Shadow challenge snapshot
+ * @returns {Object} User document
+ */
+const userWith = (raUsername, monthly, shadow) => {
+    const user = new User({ raUsername, discordId: raUsername });
+    if (monthly) user.monthlyChallenges.set(MONTH_KEY, monthly);
+    if (shadow) user.shadowChallenges.set(MONTH_KEY, shadow);
+    return user;
+};
+
+describe('challengeArchiveService.buildStandings', () => {
+    it('ranks users by total points and skips users without progress', () => {
+        const standings = challengeArchiveService.buildStandings([
+            userWith('TestUser', { progress: AwardType.BEATEN, earnedThisMonth: 5 }),
+            userWith('RacingFan', { progress: AwardType.MASTERY, earnedThisMonth: 8 }),
+            userWith('Lurker', { progress: AwardType.NONE }),
+            userWith('Newcomer')
+        ], MONTH_KEY, false);
+
+        assert.deepEqual(
+            standings.map(({ raUsername, rank, points }) => [raUsername, rank, points]),
+            [['RacingFan', 1, 7], ['TestUser', 2, 4]]
+        );
+    });
+
+    it('breaks point ties by achievements earned during the month and shares exact ties', () => {
+        const standings = challengeArchiveService.buildStandings([
+            userWith('Bravo', { progress: AwardType.PARTICIPATION, earnedThisMonth: 2 }),
+            userWith('Alpha', { progress: AwardType.PARTICIPATION, earnedThisMonth: 2 }),
+            userWith('Charlie', { progress: AwardType.PARTICIPATION, earnedThisMonth: 3 })
+        ], MONTH_KEY, false);
+
+        assert.deepEqual(
+            standings.map(({ raUsername, rank }) => [raUsername, rank]),
+            [['Charlie', 1], ['Alpha', 2], ['Bravo', 2]]
+        );
+    });
+
+    it('adds shadow points only when the shadow game counts', () => {
+        const users = [userWith('ShadowHunter', null, { progress: AwardType.BEATEN, earnedThisMonth: 4 })];
+
+        assert.deepEqual(challengeArchiveService.buildStandings(users, MONTH_KEY, false), []);
+
+        const [standing] = challengeArchiveService.buildStandings(users, MONTH_KEY, true);
+        assert.equal(standing.award, AwardType.NONE);
+        assert.equal(standing.shadowPoints, 4);
+        assert.equal(standing.totalPoints, 4);
+    });
+
+    it('reads legacy point values as awards', () => {
+        const [standing] = challengeArchiveService.buildStandings([
+            userWith('OldTimer', { progress: 7 })
+        ], MONTH_KEY, false);
+
+        assert.equal(standing.award, AwardType.MASTERY);
+        assert.equal(standing.points, 7);
+    });
+});
+
+describe('challengeArchiveService.countAwards', () => {
+    it('counts each award level', () => {
+        const standings = [
+            { award: AwardType.MASTERY, shadowAward: AwardType.NONE },
+            { award: AwardType.BEATEN, shadowAward: AwardType.BEATEN },
+            { award: AwardType.BEATEN, shadowAward: AwardType.NONE },
+            { award: AwardType.NONE, shadowAward: AwardType.PARTICIPATION }
+        ];
+
+        assert.deepEqual(challengeArchiveService.countAwards(standings, 'award'), { mastery: 1, beaten: 2, participation: 0 });
+        assert.deepEqual(challengeArchiveService.countAwards(standings, 'shadowAward'), { mastery: 0, beaten: 1, participation: 1 });
+    });
+});
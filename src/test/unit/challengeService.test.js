@@ -0,0 +1,79 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Challenge } from '../../models/Challenge.js';
+import calendarService from '../../services/calendarService.js';
+import challengeCommand from '../../commands/user/challenge.js';
+import { createMockInteraction, getLastResponse } from '../mocks/discord.js';
+
+const monthStart = (offset) => calendarService.getMonthStart(new Date(), offset);
+
+/**
+ * Build a challenge for a month
+ * @param {number} offset - Months from now
+ * @param {string} gameId - Monthly game
+ * @param {Object} fields - Other challenge fields
+ * @returns {Object} Challenge document
+ */
+const challengeIn = (offset, gameId, fields = {}) => new Challenge({
+    date: monthStart(offset),
+    monthly_challange_gameid: gameId,
+    monthly_challange_progression_achievements: ['1', '2'],
+    monthly_challange_win_achievements: ['3'],
+    monthly_challange_game_total: 8,
+    shadow_challange_revealed: false,
+    ...fields
+});
+
+describe('/challenge schedule', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lists the running and queued challenges and the months still missing one', async () => {
+        mock.method(Challenge, 'findOne', async () => challengeIn(0, '319', { shadow_challange_gameid: '1' }));
+        const find = mock.method(Challenge, 'find', () => ({
+            sort: async () => [challengeIn(2, '228')]
+        }));
+
+        const interaction = createMockInteraction({ commandName: 'challenge', subcommand: 'schedule', isAdmin: true });
+        await challengeCommand.execute(interaction);
+
+        assert.equal(interaction.ephemeral, true);
+        assert.deepEqual(find.mock.calls[0].arguments[0], { date: { $gte: monthStart(1) } });
+
+        const { fields } = getLastResponse(interaction).embeds[0].data;
+        const label = (offset) => calendarService.formatDate(monthStart(offset), { month: 'long', year: 'numeric' });
+        assert.equal(fields[0].name, `${label(0).toUpperCase()} (NOW RUNNING)`);
+        assert.match(fields[0].value, /"Chrono Trigger"/);
+        assert.match(fields[0].value, /\*\*SHADOW:\*\* "Sonic the Hedgehog" \(hidden\)/);
+        assert.equal(fields[1].name, label(2).toUpperCase());
+        assert.match(fields[1].value, /"Super Metroid"\n\*\*RULES:\*\* 2 progression, 1 win, 8 total achievements/);
+        assert.equal(fields[2].value, `No challenge for ${label(1)} yet. Use /createchallenge to add one.`);
+    });
+
+    it('caps the schedule and the missing months for challenges far ahead', async () => {
+        mock.method(Challenge, 'findOne', async () => null);
+        const queued = [...Array.from({ length: 13 }, (_, i) => challengeIn(i + 2, '228')), challengeIn(240, '319')];
+        mock.method(Challenge, 'find', () => ({ sort: async () => queued }));
+
+        const interaction = createMockInteraction({ commandName: 'challenge', subcommand: 'schedule', isAdmin: true });
+        await challengeCommand.execute(interaction);
+
+        const { fields } = getLastResponse(interaction).embeds[0].data;
+        const label = (offset) => calendarService.formatDate(monthStart(offset), { month: 'long', year: 'numeric' });
+        assert.equal(fields.length, 14);
+        assert.equal(fields[11].name, label(13).toUpperCase());
+        assert.equal(fields[12].value, `…and 2 more challenges scheduled until ${label(240)}.`);
+        // The months after the next 12 aren't checked
+        assert.equal(fields[13].value, `No challenge for ${label(1)} yet. Use /createchallenge to add one.`);
+    });
+
+    it('is only available to admins', async () => {
+        const interaction = createMockInteraction({ commandName: 'challenge', subcommand: 'schedule' });
+        await challengeCommand.execute(interaction);
+
+        assert.equal(getLastResponse(interaction).content, 'You do not have permission to use this command.');
+        assert.equal(getLastResponse(interaction).ephemeral, true);
+    });
+});
@@ -0,0 +1,79 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../../models/User.js';
+import { Challenge } from '../../models/Challenge.js';
+import retroAPI from '../../services/retroAPI.js';
+import achievementFeedService from '../../services/achievementFeedService.js';
+import challengeValidationService from '../../services/challengeValidationService.js';
+import { createMockChannel } from '../mocks/discord.js';
+
+describe('challengeValidationService', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('parses ID lists without blanks or repeats', () => {
+        assert.deepEqual(challengeValidationService.parseIds(' 2080, ,2081,2080 '), ['2080', '2081']);
+        assert.deepEqual(challengeValidationService.parseIds(null), []);
+    });
+
+    it('accepts the achievements of the game', async () => {
+        const gameInfo = await retroAPI.getGameInfoExtended('319');
+
+        assert.deepEqual(challengeValidationService.validate(gameInfo, ['2080', '2081', '2082', '2083'], ['2084']), {
+            errors: [],
+            warnings: []
+        });
+    });
+
+    it('rejects unknown IDs, IDs in both lists and a missing progression list', async () => {
+        const gameInfo = await retroAPI.getGameInfoExtended('319');
+
+        assert.deepEqual(challengeValidationService.validate(gameInfo, [], ['2084', '7', '8']).errors, [
+            'Please provide at least one progression achievement ID.',
+            'Chrono Trigger has no achievements with ID 7, 8.'
+        ]);
+        assert.deepEqual(challengeValidationService.validate(gameInfo, ['2080', '2084'], ['2084']).errors, [
+            'Achievement 2084 can\'t be both progression and win achievements.'
+        ]);
+    });
+
+    it('warns about missable and unofficial achievements', async () => {
+        const gameInfo = await retroAPI.getGameInfoExtended('319');
+        gameInfo.achievements['2086'] = { ...gameInfo.achievements['2086'], flags: 5 };
+
+        const { errors, warnings } = challengeValidationService.validate(gameInfo, ['2080'], ['2085', '2086']);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(warnings, [
+            'Missable: Race Log (2085). Members who miss it may have to restart the game.',
+            'Unofficial: Rainbow Shell (2086). Unofficial achievements can change or be removed.'
+        ]);
+    });
+
+    it('lets the feed skip achievement IDs the game does not have', async () => {
+        const user = new User({ raUsername: 'TestUser', discordId: '1' });
+        mock.method(user, 'save', async () => user);
+        mock.method(retroAPI, 'getUserGameProgress', async () => ({
+            numAwardedToUser: 1,
+            achievements: { '2080': { id: 2080, title: 'The Millennial Fair', dateEarned: '2025-03-02 10:00:00' } }
+        }));
+        const announce = mock.method(achievementFeedService, 'announceIndividualAchievement', async () => {});
+        mock.method(achievementFeedService, 'announceAchievement', async () => {});
+        const challenge = new Challenge({
+            date: new Date('2025-03-01T00:00:00Z'),
+            monthly_challange_gameid: '319',
+            monthly_challange_progression_achievements: ['99', '2080'],
+            monthly_challange_win_achievements: [],
+            monthly_challange_game_total: 8
+        });
+
+        await achievementFeedService.processGameChallenge(
+            user, createMockChannel(), challenge, '319', ['99', '2080'], [], 8, false
+        );
+
+        assert.equal(announce.mock.callCount(), 1);
+        assert.ok(user.announcedAchievements.includes('319:2080'));
+    });
+});
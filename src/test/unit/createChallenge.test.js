@@ -0,0 +1,247 @@
+import '../testEnv.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Challenge } from '../../models/Challenge.js';
+import retroAPI from '../../services/retroAPI.js';
+import createChallengeCommand from '../../commands/admin/createChallenge.js';
+import {
+    createMockButtonInteraction,
+    createMockInteraction,
+    createMockSelectMenuInteraction,
+    createMockUser,
+    getLastResponse
+} from '../mocks/discord.js';
+
+/**
+ * Start the achievement picker for a game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} Interaction of the command
+ */
+const startWizard = async (gameId = '319') => {
+    const interaction = createMockInteraction({
+        commandName: 'createchallenge',
+        isAdmin: true,
+        options: { gameid: gameId, month: 3, year: 2025 }
+    });
+    await createChallengeCommand.execute(interaction);
+    return interaction;
+};
+
+// Custom IDs of the components on a message payload, by label or placeholder
+const componentIds = (payload) => Object.fromEntries(payload.components
+    .flatMap(row => row.components)
+    .map(component => [component.data.label || component.data.placeholder, component.data.custom_id]));
+
+const click = async (payload, label) => {
+    const interaction = createMockButtonInteraction({ customId: componentIds(payload)[label] });
+    await createChallengeCommand.handleComponent(interaction);
+    return getLastResponse(interaction);
+};
+
+describe('/createchallenge', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = [];
+        mock.method(Challenge, 'findOne', async () => null);
+        mock.method(Challenge.prototype, 'save', async function() {
+            saved.push(this);
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('still creates the challenge straight away from achievement IDs', async () => {
+        const interaction = createMockInteraction({
+            commandName: 'createchallenge',
+            isAdmin: true,
+            options: { gameid: '319', month: 3, year: 2025, progression_achievements: '2080, 2081', win_achievements: '2084' }
+        });
+        await createChallengeCommand.execute(interaction);
+
+        assert.equal(interaction.ephemeral, false);
+        assert.match(getLastResponse(interaction).content, /^Monthly challenge created for Chrono Trigger \(3\/2025\)/);
+        assert.deepEqual([...saved[0].monthly_challange_progression_achievements], ['2080', '2081']);
+        assert.deepEqual([...saved[0].monthly_challange_win_achievements], ['2084']);
+    });
+
+    it('rejects achievement IDs the game does not have', async () => {
+        const interaction = createMockInteraction({
+            commandName: 'createchallenge',
+            isAdmin: true,
+            options: { gameid: '319', month: 3, year: 2025, progression_achievements: '2080, 99', win_achievements: '2080' }
+        });
+        await createChallengeCommand.execute(interaction);
+
+        assert.equal(getLastResponse(interaction).content, 'The challenge was not created:\n' +
+            '• Chrono Trigger has no achievement with ID 99.\n' +
+            '• Achievement 2080 can\'t be both progression and win achievements.');
+        assert.equal(saved.length, 0);
+    });
+
+    it('warns about missable achievements', async () => {
+        const interaction = createMockInteraction({
+            commandName: 'createchallenge',
+            isAdmin: true,
+            options: { gameid: '319', month: 3, year: 2025, progression_achievements: '2080, 2085' }
+        });
+        await createChallengeCommand.execute(interaction);
+
+        assert.match(getLastResponse(interaction).content, /\n⚠️ Missable: Race Log \(2085\)\./);
+        assert.equal(saved.length, 1);
+    });
+
+    it('asks before replacing the challenge of a month and keeps its shadow game', async () => {
+        const announcedAt = new Date(Date.UTC(2025, 2, 1));
+        const existing = new Challenge({
+            monthly_challange_gameid: '228',
+            shadow_challange_gameid: '1',
+            shadow_challange_progression_achievements: ['9'],
+            shadow_challange_revealed: true,
+            announcedAt
+        });
+        Challenge.findOne.mock.mockImplementation(async () => existing);
+
+        const interaction = createMockInteraction({
+            commandName: 'createchallenge',
+            isAdmin: true,
+            options: { gameid: '319', month: 3, year: 2025, progression_achievements: '2080, 2081', win_achievements: '2084' }
+        });
+        await createChallengeCommand.execute(interaction);
+
+        const preview = getLastResponse(interaction);
+        assert.equal(interaction.ephemeral, true);
+        assert.equal(preview.content, 'This month already has a challenge. Check the preview and confirm to replace it.');
+        assert.equal(preview.embeds[0].data.fields.at(-1).value,
+            'The challenge for this month (Super Metroid) will be replaced. Its shadow game (Sonic the Hedgehog) is kept.');
+        assert.equal(saved.length, 0);
+
+        const done = await click(preview, 'Replace Challenge');
+        assert.match(done.content, /^Monthly challenge replaced for Chrono Trigger \(3\/2025\)\n\(No longer 228\)/);
+        assert.equal(saved[0], existing);
+        assert.equal(saved[0].monthly_challange_gameid, '319');
+        assert.deepEqual([...saved[0].monthly_challange_progression_achievements], ['2080', '2081']);
+        assert.deepEqual([...saved[0].monthly_challange_win_achievements], ['2084']);
+        assert.equal(saved[0].shadow_challange_gameid, '1');
+        assert.deepEqual([...saved[0].shadow_challange_progression_achievements], ['9']);
+        assert.equal(saved[0].shadow_challange_revealed, true);
+        assert.equal(saved[0].announcedAt, announcedAt);
+    });
+
+    it('picks achievements step by step, suggesting them by type', async () => {
+        const interaction = await startWizard();
+        const step1 = getLastResponse(interaction);
+        assert.equal(interaction.ephemeral, true);
+        assert.equal(step1.embeds[0].data.title, 'Step 1/3: Progression Achievements');
+
+        const menu = step1.components[0].components[0].toJSON();
+        const { achievements } = await retroAPI.getGameInfoExtended('319');
+        const progressionIds = Object.values(achievements).filter(a => a.type === 'progression').map(a => String(a.id));
+        assert.deepEqual(menu.options.filter(option => option.default).map(option => option.value).sort(), progressionIds.sort());
+
+        // Drop one progression pick
+        const select = createMockSelectMenuInteraction({
+            customId: menu.custom_id,
+            values: progressionIds.slice(1)
+        });
+        await createChallengeCommand.handleComponent(select);
+        assert.equal(getLastResponse(select).embeds[0].data.fields[0].name, `Picked (${progressionIds.length - 1})`);
+
+        // The win step leaves out the progression picks
+        const step2 = await click(getLastResponse(select), 'Next: Win Achievements');
+        assert.equal(step2.embeds[0].data.title, 'Step 2/3: Win Achievements');
+        const winOptions = step2.components[0].components[0].toJSON().options.map(option => option.value);
+        assert.ok(winOptions.includes(progressionIds[0]));
+        assert.ok(!winOptions.includes(progressionIds[1]));
+
+        const preview = await click(step2, 'Next: Preview');
+        assert.match(preview.embeds[0].data.title, /^Step 3\/3: March 2025 Challenge Preview$/);
+        assert.match(preview.embeds[0].data.fields[1].value, new RegExp(`all ${progressionIds.length - 1} progression`));
+
+        const done = await click(preview, 'Create Challenge');
+        assert.match(done.content, /^Monthly challenge created for Chrono Trigger \(3\/2025\)/);
+        assert.deepEqual(done.components, []);
+        assert.deepEqual([...saved[0].monthly_challange_progression_achievements].sort(), progressionIds.slice(1).sort());
+        assert.equal(saved[0].monthly_challange_game_total, Object.keys(achievements).length);
+
+        // The setup is gone once the challenge is created
+        const again = await click(preview, 'Create Challenge');
+        assert.equal(again.content, 'This challenge setup has expired. Run /createchallenge again.');
+        assert.equal(saved.length, 1);
+    });
+
+    it('starts the picker with the win achievements given without progression achievements', async () => {
+        const interaction = createMockInteraction({
+            commandName: 'createchallenge',
+            isAdmin: true,
+            options: { gameid: '319', month: 3, year: 2025, win_achievements: '2086' }
+        });
+        await createChallengeCommand.execute(interaction);
+
+        const step1 = getLastResponse(interaction);
+        assert.equal(step1.embeds[0].data.title, 'Step 1/3: Progression Achievements');
+
+        const step2 = await click(step1, 'Next: Win Achievements');
+        const menu = step2.components[0].components[0].toJSON();
+        assert.deepEqual(menu.options.filter(option => option.default).map(option => option.value), ['2086']);
+    });
+
+    it('keeps picks on other pages when a page of a long list changes', async () => {
+        const achievements = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [i + 1, {
+            id: i + 1,
+            title: `Achievement ${i + 1}`,
+            description: '',
+            points: 5,
+            displayOrder: i,
+            type: i === 0 || i === 27 ? 'progression' : null
+        }]));
+        mock.method(retroAPI, 'getGameInfoExtended', async () => ({ title: 'Long Game', achievements }));
+
+        const interaction = await startWizard('999');
+        const page1 = getLastResponse(interaction);
+        assert.equal(page1.components[0].components[0].toJSON().options.length, 25);
+        assert.equal(page1.embeds[0].data.footer.text, 'Page 1/2 | 30 achievements');
+
+        const page2 = await click(page1, 'Next Page ▶');
+        const menu = page2.components[0].components[0].toJSON();
+        assert.deepEqual(menu.options.map(option => option.value), ['26', '27', '28', '29', '30']);
+
+        const select = createMockSelectMenuInteraction({ customId: menu.custom_id, values: ['30'] });
+        await createChallengeCommand.handleComponent(select);
+
+        assert.equal(getLastResponse(select).embeds[0].data.fields[0].value, '• Achievement 1\n• Achievement 30');
+    });
+
+    it('warns before replacing a challenge and needs a progression achievement', async () => {
+        Challenge.findOne.mock.mockImplementation(async () => new Challenge({ monthly_challange_gameid: '228' }));
+
+        const interaction = await startWizard();
+        const menu = getLastResponse(interaction).components[0].components[0].toJSON();
+        const select = createMockSelectMenuInteraction({ customId: menu.custom_id, values: [] });
+        await createChallengeCommand.handleComponent(select);
+
+        const step2 = await click(getLastResponse(select), 'Next: Win Achievements');
+        const preview = await click(step2, 'Next: Preview');
+        const fields = preview.embeds[0].data.fields;
+
+        assert.equal(fields[fields.length - 1].name, '⚠️ Replaces Existing Challenge');
+        const confirm = preview.components[0].components.find(button => button.data.label === 'Replace Challenge');
+        assert.equal(confirm.data.disabled, true);
+    });
+
+    it('only lets the admin who started the setup use it', async () => {
+        const interaction = await startWizard();
+
+        const other = createMockButtonInteraction({
+            customId: componentIds(getLastResponse(interaction)).Cancel,
+            user: createMockUser('200000000000000002', 'Other')
+        });
+        await createChallengeCommand.handleComponent(other);
+
+        assert.equal(getLastResponse(other).ephemeral, true);
+        assert.equal(getLastResponse(other).content, 'Only the admin who started this challenge setup can use it.');
+    });
+});
@@ -0,0 +1,129 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../../models/Game.js';
+import retroAPI from '../../services/retroAPI.js';
+import gameCatalogService from '../../services/gameCatalogService.js';
+
+/**
+ * Build a catalogue entry
+ * @param {string} gameId - Game ID
+ * @param {string} title - Game title
+ * @param {string} consoleName - Console name
+ * @returns {Object} Game document
+ */
+const catalogGame = (gameId, title, consoleName = 'SNES/Super Famicom') =>
+    new Game({ gameId, title, searchTitle: Game.normalizeTitle(title), consoleName });
+
+/**
+ * Stub Game.find with a query over the given games, applying the searchTitle
+ * $regex and $not filters and the limit
+ * @param {Array<Object>} games - Games in the catalogue
+ * @returns {Object} The mocked function
+ */
+const mockFind = (games) => mock.method(Game, 'find', ({ searchTitle: { $regex, $not } }) => ({
+    limit: async (count) => games
+        .filter(game => new RegExp($regex).test(game.searchTitle) && !$not?.test(game.searchTitle))
+        .slice(0, count)
+}));
+
+describe('gameCatalogService', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('lists titles starting with the query first', async () => {
+        const find = mockFind([
+            catalogGame('500', 'Super Mario World'),
+            catalogGame('501', 'New Super Mario Bros.', 'Nintendo DS'),
+            catalogGame('10003', 'Super Mario Kart')
+        ]);
+
+        const choices = await gameCatalogService.getAutocompleteChoices('  Super MARIO ');
+
+        assert.deepEqual(choices, [
+            { name: 'Super Mario Kart (SNES/Super Famicom)', value: '10003' },
+            { name: 'Super Mario World (SNES/Super Famicom)', value: '500' },
+            { name: 'New Super Mario Bros. (Nintendo DS)', value: '501' }
+        ]);
+        assert.deepEqual(find.mock.calls.map(call => call.arguments[0]), [
+            { searchTitle: { $regex: /^super mario/ } },
+            { searchTitle: { $regex: 'super mario', $not: /^super mario/ } }
+        ]);
+    });
+
+    it('finds titles starting with the query behind many others containing it', async () => {
+        const others = Array.from({ length: 300 }, (_, index) => catalogGame(String(index + 1), `New Super Mario ${index + 1}`));
+        const find = mockFind([...others, catalogGame('10003', 'Super Mario Kart')]);
+
+        const games = await gameCatalogService.search('super mario');
+
+        assert.equal(games.length, 25);
+        assert.equal(games[0].gameId, '10003');
+        assert.deepEqual(games.slice(1, 3).map(game => game.title), ['New Super Mario 1', 'New Super Mario 2']);
+        assert.equal(find.mock.callCount(), 2);
+    });
+
+    it('skips the substring query when enough titles start with the query', async () => {
+        const find = mockFind([
+            catalogGame('10003', 'Super Mario Kart'),
+            catalogGame('500', 'Super Mario World'),
+            catalogGame('501', 'New Super Mario Bros.', 'Nintendo DS')
+        ]);
+
+        const games = await gameCatalogService.search('super mario', 2);
+
+        assert.deepEqual(games.map(game => game.gameId), ['10003', '500']);
+        assert.equal(find.mock.callCount(), 1);
+    });
+
+    it('matches a typed game ID exactly', async () => {
+        mock.method(Game, 'findOne', async (filter) =>
+            filter.gameId === '319' ? catalogGame('319', 'Chrono Trigger') : null
+        );
+        const find = mockFind([]);
+
+        const games = await gameCatalogService.search('319');
+
+        assert.deepEqual(games.map(game => game.gameId), ['319']);
+        assert.equal(find.mock.callCount(), 0);
+    });
+
+    it('resolves typed titles to the best matching game ID', async () => {
+        mockFind([catalogGame('228', 'Super Metroid')]);
+
+        assert.equal(await gameCatalogService.resolveGameId('228'), '228');
+        assert.equal(await gameCatalogService.resolveGameId('metroid'), '228');
+
+        mockFind([]);
+        assert.equal(await gameCatalogService.resolveGameId('Unknown Game'), null);
+    });
+
+    it('loads every console and keeps stored games when a console fails', async () => {
+        mock.method(retroAPI, 'getConsoles', async () => [
+            { id: 3, name: 'SNES/Super Famicom', isGameSystem: true },
+            { id: 5, name: 'Game Boy Advance', isGameSystem: true },
+            { id: 100, name: 'Hubs', isGameSystem: false }
+        ]);
+        mock.method(retroAPI, 'getConsoleGames', async (consoleId) => {
+            if (consoleId === 5) throw new Error('Service unavailable');
+            return [
+                { id: 319, title: 'Chrono Trigger', consoleId: 3, consoleName: 'SNES/Super Famicom', numAchievements: 8 },
+                { id: 999, title: 'Empty Set', consoleId: 3, consoleName: 'SNES/Super Famicom', numAchievements: 0 }
+            ];
+        });
+        const bulkWrite = mock.method(Game, 'bulkWrite', async () => ({}));
+        const deleteMany = mock.method(Game, 'deleteMany', async () => ({}));
+        mock.method(console, 'error', () => {});
+        mock.method(console, 'log', () => {});
+
+        const total = await gameCatalogService.refresh();
+
+        assert.equal(total, 1);
+        assert.deepEqual(retroAPI.getConsoleGames.mock.calls.map(call => call.arguments[0]), [3, 5]);
+        const [upsert] = bulkWrite.mock.calls[0].arguments[0];
+        assert.deepEqual(upsert.updateOne.filter, { gameId: '319' });
+        assert.equal(upsert.updateOne.update.$set.searchTitle, 'chrono trigger');
+        assert.equal(deleteMany.mock.callCount(), 0);
+    });
+});
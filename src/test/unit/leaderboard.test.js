@@ -0,0 +1,36 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../../models/User.js';
+import { Challenge } from '../../models/Challenge.js';
+import retroAPI, { RequestPriority } from '../../services/retroAPI.js';
+import statsUpdateService from '../../services/statsUpdateService.js';
+import leaderboardCommand from '../../commands/user/leaderboard.js';
+import { createMockInteraction } from '../mocks/discord.js';
+
+describe('/leaderboard', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('refreshes everyone\'s progress in the bulk lane for live:true', async () => {
+        mock.method(Challenge, 'findOne', async () => new Challenge({
+            date: new Date(),
+            monthly_challange_gameid: '319',
+            monthly_challange_game_total: 8
+        }));
+        mock.method(User, 'find', async () => [
+            new User({ raUsername: 'TestUser', discordId: '1' }),
+            new User({ raUsername: 'RacingFan', discordId: '2' })
+        ]);
+        const lanes = [];
+        mock.method(statsUpdateService, 'updateUserStats', async () => {
+            lanes.push(retroAPI.priorityContext.getStore());
+        });
+
+        const interaction = createMockInteraction({ commandName: 'leaderboard', options: { live: true }, isAdmin: true });
+        await leaderboardCommand.execute(interaction);
+
+        assert.deepEqual(lanes, [RequestPriority.BULK, RequestPriority.BULK]);
+    });
+});
@@ -0,0 +1,284 @@
+import '../testEnv.js';
+import mongoose from 'mongoose';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../config/config.js';
+import { Challenge } from '../../models/Challenge.js';
+import { ChallengeArchive } from '../../models/ChallengeArchive.js';
+import challengeArchiveService from '../../services/challengeArchiveService.js';
+import monthlyTasksService from '../../services/monthlyTasksService.js';
+import { User } from '../../models/User.js';
+import { Game } from '../../models/Game.js';
+import { NominationCycle } from '../../models/NominationCycle.js';
+import { NominationArchive } from '../../models/NominationArchive.js';
+import { NominationThread } from '../../models/NominationThread.js';
+import nominationCycleService from '../../services/nominationCycleService.js';
+import votingService from '../../services/votingService.js';
+import { createMockChannel, createMockClient } from '../mocks/discord.js';
+
+const JANUARY = new Date(Date.UTC(2025, 0, 1));
+
+describe('monthlyTasksService.closeMonth', () => {
+    let channel;
+    let archive;
+
+    beforeEach(() => {
+        channel = createMockChannel('announcements');
+        monthlyTasksService.setClient(createMockClient({ channel }));
+
+        archive = new ChallengeArchive({
+            date: JANUARY,
+            monthlyGame: { gameId: '319', title: 'Chrono Trigger', consoleName: 'SNES/Super Famicom', totalAchievements: 8 },
+            standings: [
+                { raUsername: 'RacingFan', rank: 1, totalPoints: 7 },
+                { raUsername: 'TestUser', rank: 2, totalPoints: 4 }
+            ],
+            awardCounts: { monthly: { mastery: 1, beaten: 1 } },
+            participants: 2
+        });
+        mock.method(archive, 'save', async () => archive);
+
+        mock.method(challengeArchiveService, 'archivePendingChallenges', async () => []);
+        mock.method(challengeArchiveService, 'archiveChallenge', async () => archive);
+        mock.method(Challenge, 'findOne', async () => ({ date: JANUARY }));
+        mock.method(ChallengeArchive, 'findOne', async () => null);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    const at = (date) => mock.timers.enable({ apis: ['Date'], now: date });
+
+    it('waits for the grace window after midnight', async () => {
+        at(new Date(Date.UTC(2025, 1, 1, 0, config.challenges.finalizationGraceMinutes - 1)));
+
+        assert.equal(await monthlyTasksService.closeMonth(), null);
+        assert.equal(challengeArchiveService.archiveChallenge.mock.callCount(), 0);
+    });
+
+    it('recalculates the month that ended, freezes it and posts a recap', async () => {
+        at(new Date(Date.UTC(2025, 1, 1, 0, config.challenges.finalizationGraceMinutes)));
+
+        const closed = await monthlyTasksService.closeMonth();
+
+        assert.equal(closed, archive);
+        assert.deepEqual(challengeArchiveService.archiveChallenge.mock.calls[0].arguments[1], { refresh: true });
+        assert.ok(archive.closedAt instanceof Date);
+        assert.equal(archive.save.mock.callCount(), 1);
+
+        const [recap] = channel.messages[0].payload.embeds.map(embed => embed.toJSON());
+        assert.match(recap.title, /January 2025 Challenge Results/);
+        assert.match(recap.fields[0].value, /🥇 \*\*RacingFan\*\* - 7 points/);
+        assert.match(recap.fields[0].value, /🥈 \*\*TestUser\*\* - 4 points/);
+    });
+
+    it('does not close a month twice', async () => {
+        at(new Date(Date.UTC(2025, 1, 3)));
+        ChallengeArchive.findOne.mock.mockImplementation(async () => ({ closedAt: new Date(Date.UTC(2025, 1, 1, 0, 30)) }));
+
+        assert.equal(await monthlyTasksService.closeMonth(), null);
+        assert.equal(challengeArchiveService.archiveChallenge.mock.callCount(), 0);
+        assert.equal(channel.messages.length, 0);
+    });
+});
+
+describe('monthlyTasksService.runNominationCycle', () => {
+    const FEBRUARY = new Date(Date.UTC(2025, 1, 1));
+    const MARCH = new Date(Date.UTC(2025, 2, 1));
+    const POLL_ID = new mongoose.Types.ObjectId();
+
+    let cycles;
+    let users;
+
+    beforeEach(() => {
+        monthlyTasksService.setClient(createMockClient({ channel: createMockChannel('voting') }));
+
+        // TestUser nominated in January for February, RacingFan already for March
+        const january = new User({ raUsername: 'TestUser', discordId: '1' });
+        january.nominations.push(
+            { gameId: '319', nominatedAt: new Date(Date.UTC(2025, 0, 5)) },
+            { gameId: '228', nominatedAt: new Date(Date.UTC(2025, 0, 6)) }
+        );
+        const february = new User({ raUsername: 'RacingFan', discordId: '2' });
+        february.nominations.push({ gameId: '1', nominatedAt: new Date(Date.UTC(2025, 1, 1, 0, 2)) });
+        users = [january, february];
+        users.forEach(user => mock.method(user, 'save', async () => user));
+        mock.method(User, 'find', async () => users);
+
+        // Cycles kept in memory, created from the schedule on first use
+        cycles = [];
+        mock.method(NominationCycle, 'findOneAndUpdate', async (filter, update) => {
+            // Poll claim: only a cycle still taking nominations matches
+            if (filter._id) {
+                const claimed = cycles.find(entry => entry._id.equals(filter._id) && entry.status === filter.status);
+                if (claimed) Object.assign(claimed, update.$set);
+                return claimed || null;
+            }
+
+            let cycle = cycles.find(entry => entry.targetMonth.getTime() === filter.targetMonth.getTime());
+            if (!cycle) {
+                cycle = nominationCycleService.buildCycle(filter.targetMonth);
+                mock.method(cycle, 'save', async () => cycle);
+                cycles.push(cycle);
+            }
+            return cycle;
+        });
+        mock.method(nominationCycleService, 'getFinishedCycles', async (now) =>
+            cycles.filter(cycle => cycle.status !== 'done' && cycle.targetMonth <= now)
+        );
+
+        mock.method(Game, 'find', async () => []);
+        mock.method(NominationArchive, 'bulkWrite', async () => ({}));
+        mock.method(NominationThread, 'find', async () => []);
+        mock.method(votingService, 'getCurrentPoll', async () => null);
+        mock.method(votingService, 'createPoll', async (channel, gameIds) => ({ _id: POLL_ID, gameIds }));
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('schedules the cycle in the month before the challenge', (t) => {
+        const closeDay = config.nominations.closeDay;
+        t.after(() => {
+            config.nominations.closeDay = closeDay;
+        });
+
+        config.nominations.closeDay = 0;
+        const cycle = nominationCycleService.buildCycle(MARCH);
+        assert.deepEqual(cycle.opensAt, FEBRUARY);
+        assert.deepEqual(cycle.pollAt, new Date(Date.UTC(2025, 1, config.nominations.pollDay)));
+        assert.deepEqual(cycle.closesAt, cycle.pollAt);
+
+        config.nominations.closeDay = 10;
+        assert.deepEqual(nominationCycleService.buildCycle(MARCH).closesAt, new Date(Date.UTC(2025, 1, 10)));
+
+        // Nominations can't stay open once the poll is up
+        config.nominations.closeDay = 31;
+        assert.deepEqual(nominationCycleService.buildCycle(MARCH).closesAt, cycle.pollAt);
+    });
+
+    it('posts the poll on the poll day from the cycle\'s nominations', async () => {
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 0, config.nominations.pollDay - 1)));
+        assert.equal(votingService.createPoll.mock.callCount(), 0);
+
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 0, config.nominations.pollDay, 0, 10)));
+
+        assert.deepEqual([...votingService.createPoll.mock.calls[0].arguments[1]].sort(), ['228', '319']);
+        assert.equal(cycles[0].status, 'voting');
+        assert.equal(cycles[0].pollId, POLL_ID);
+        assert.equal(cycles[0].isOpen(new Date(Date.UTC(2025, 0, 25))), false);
+    });
+
+    it('posts one poll when runs overlap', async () => {
+        const now = new Date(Date.UTC(2025, 0, config.nominations.pollDay, 0, 10));
+
+        await Promise.all([
+            monthlyTasksService.runNominationCycle(now),
+            monthlyTasksService.runNominationCycle(now)
+        ]);
+
+        assert.equal(votingService.createPoll.mock.callCount(), 1);
+    });
+
+    it('posts one poll when two callers claim the same cycle', async () => {
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 0, 5)));
+
+        await Promise.all([
+            monthlyTasksService.createVotingPoll(cycles[0]),
+            monthlyTasksService.createVotingPoll(cycles[0])
+        ]);
+
+        assert.equal(votingService.createPoll.mock.callCount(), 1);
+        assert.equal(cycles[0].pollId, POLL_ID);
+    });
+
+    it('reopens the cycle when its poll can\'t be posted', async () => {
+        votingService.createPoll.mock.mockImplementation(async () => {
+            throw new Error('Missing Permissions');
+        });
+        mock.method(console, 'error', () => {});
+
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 0, config.nominations.pollDay, 0, 10)));
+
+        assert.equal(cycles[0].status, 'nominating');
+        assert.equal(cycles[0].pollId, null);
+    });
+
+    it('clears last month\'s nominations on the 1st without touching the new cycle', async () => {
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 0, 25)));
+        await monthlyTasksService.runNominationCycle(new Date(Date.UTC(2025, 1, 1, 0, 10)));
+
+        const [february, march] = cycles;
+        assert.equal(february.status, 'done');
+        assert.deepEqual(users[0].nominations.map(nom => nom.gameId), []);
+        assert.deepEqual(users[1].nominations.map(nom => nom.gameId), ['1']);
+        assert.equal(NominationArchive.bulkWrite.mock.calls[0].arguments[0].length, 2);
+
+        assert.deepEqual(march.targetMonth, MARCH);
+        assert.equal(march.status, 'nominating');
+        assert.equal(march.isOpen(new Date(Date.UTC(2025, 1, 1, 0, 10))), true);
+        assert.equal(votingService.createPoll.mock.callCount(), 1);
+    });
+});
+
+describe('monthlyTasksService.announceNewChallenge', () => {
+    const MARCH = new Date(Date.UTC(2025, 2, 1));
+    let channel;
+    let challenge;
+
+    beforeEach(() => {
+        channel = createMockChannel('announcements');
+        monthlyTasksService.setClient(createMockClient({ channel }));
+
+        challenge = new Challenge({
+            date: MARCH,
+            monthly_challange_gameid: '319',
+            monthly_challange_progression_achievements: ['2080', '2081'],
+            monthly_challange_win_achievements: ['2084'],
+            monthly_challange_game_total: 8,
+            shadow_challange_revealed: false
+        });
+        mock.method(challenge, 'save', async () => challenge);
+        mock.method(Challenge, 'findOne', async () => challenge);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('posts the rules of the new challenge once on the 1st', async () => {
+        assert.equal(await monthlyTasksService.announceNewChallenge(new Date(Date.UTC(2025, 2, 1, 0, 5))), true);
+
+        const { content, embeds } = channel.messages[0].payload;
+        assert.match(content, /The March 2025 challenge is \*\*Chrono Trigger\*\*/);
+        const rules = embeds[0].toJSON();
+        assert.equal(rules.title, 'March Challenge Rules');
+        assert.match(rules.fields[1].value, /all 2 progression achievements and at least one of the 1 win achievements/);
+        assert.match(rules.fields[2].value, /Participation:\*\* 1 point .*\n.*Game Beaten:\*\* 4 points .*\n.*Mastery:\*\* 7 points/);
+        assert.ok(challenge.announcedAt instanceof Date);
+
+        assert.equal(await monthlyTasksService.announceNewChallenge(new Date(Date.UTC(2025, 2, 1, 0, 10))), false);
+        assert.equal(channel.messages.length, 1);
+    });
+
+    it('announces the challenge once when called again before the first call is done', async () => {
+        const now = new Date(Date.UTC(2025, 2, 1, 0, 5));
+
+        const results = await Promise.all([
+            monthlyTasksService.announceNewChallenge(now),
+            monthlyTasksService.announceNewChallenge(now)
+        ]);
+
+        assert.deepEqual(results, [true, false]);
+        assert.equal(channel.messages.length, 1);
+    });
+
+    it('does not announce a challenge that started days ago', async () => {
+        assert.equal(await monthlyTasksService.announceNewChallenge(new Date(Date.UTC(2025, 2, 3))), false);
+        assert.equal(channel.messages.length, 0);
+    });
+});
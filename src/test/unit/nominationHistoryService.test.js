@@ -0,0 +1,154 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../../models/User.js';
+import { Game } from '../../models/Game.js';
+import { Poll } from '../../models/Poll.js';
+import { Challenge } from '../../models/Challenge.js';
+import { NominationArchive } from '../../models/NominationArchive.js';
+import calendarService from '../../services/calendarService.js';
+import nominationHistoryService from '../../services/nominationHistoryService.js';
+import nominationsCommand from '../../commands/user/nominations.js';
+import { createMockInteraction, getLastResponse } from '../mocks/discord.js';
+
+const monthStart = (offset) => calendarService.getMonthStart(new Date(), offset);
+const midMonth = (offset) => new Date(monthStart(offset).getTime() + 10 * 24 * 60 * 60 * 1000);
+
+/**
+ * Build an archived nomination
+ * @param {number} offset - Months from now
+ * @param {string} raUsername - Nominator
+ * @param {string} gameId - Game ID
+ * @param {string} title - Game title
+ * @returns {Object} NominationArchive document
+ */
+const archived = (offset, raUsername, gameId, title) => new NominationArchive({
+    month: monthStart(offset),
+    discordId: `id-${raUsername}`,
+    raUsername,
+    gameId,
+    title
+});
+
+/**
+ * Build a closed poll opened in a month
+ * @param {number} offset - Months from now
+ * @param {Array<string>} gameIds - Ballot
+ * @param {Object} fields - Other poll fields
+ * @returns {Object} Poll document
+ */
+const closedPoll = (offset, gameIds, fields = {}) => new Poll({
+    games: gameIds.map(gameId => ({ gameId, title: `Game ${gameId}` })),
+    status: 'closed',
+    opensAt: midMonth(offset),
+    closesAt: midMonth(offset),
+    ...fields
+});
+
+describe('nominationHistoryService', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    // Three months ago Chrono Trigger won, two months ago a runoff picked Super Metroid
+    // over Chrono Trigger, last month Sonic missed the ballot and Super Mario Kart lost
+    const mockHistory = () => {
+        mock.method(NominationArchive, 'find', async () => [
+            archived(-3, 'TestUser', '319', 'Chrono Trigger'),
+            archived(-3, 'RacingFan', '10003', 'Super Mario Kart'),
+            archived(-2, 'TestUser', '319', 'Chrono Trigger'),
+            archived(-2, 'RacingFan', '228', 'Super Metroid'),
+            archived(-1, 'RacingFan', '10003', 'Super Mario Kart'),
+            archived(-1, 'ShadowHunter', '10003', 'Super Mario Kart'),
+            archived(-1, 'ShadowHunter', '1', 'Sonic the Hedgehog')
+        ]);
+
+        const tied = closedPoll(-2, ['319', '228']);
+        mock.method(Poll, 'find', async () => [
+            closedPoll(-3, ['319', '10003'], { winnerGameId: '319' }),
+            tied,
+            closedPoll(-2, ['319', '228'], { runoffOf: tied._id, winnerGameId: '228', opensAt: monthStart(-1) }),
+            closedPoll(-1, ['10003', '500'], { winnerGameId: '500' })
+        ]);
+        mock.method(Challenge, 'find', async () => [
+            new Challenge({ date: monthStart(-2), monthly_challange_gameid: '319' })
+        ]);
+    };
+
+    it('archives the nominations of a month with catalogue titles', async () => {
+        const user = new User({ raUsername: 'TestUser', discordId: '1' });
+        user.nominations.push(
+            { gameId: '319', nominatedAt: midMonth(-1), pitch: 'Classic' },
+            { gameId: '228', nominatedAt: midMonth(0) }
+        );
+        mock.method(Game, 'find', async () => [
+            new Game({ gameId: '319', title: 'Chrono Trigger', searchTitle: 'chrono trigger', consoleName: 'SNES/Super Famicom' })
+        ]);
+        const bulkWrite = mock.method(NominationArchive, 'bulkWrite', async () => ({}));
+
+        const count = await nominationHistoryService.archiveNominations([user], midMonth(-1));
+
+        assert.equal(count, 1);
+        const [{ updateOne }] = bulkWrite.mock.calls[0].arguments[0];
+        assert.deepEqual(updateOne.filter, { month: monthStart(-1), discordId: '1', gameId: '319' });
+        assert.equal(updateOne.update.$set.title, 'Chrono Trigger');
+        assert.equal(updateOne.update.$set.pitch, 'Classic');
+        assert.equal(updateOne.upsert, true);
+    });
+
+    it('lists the most nominated games that were never chosen', async () => {
+        mockHistory();
+
+        const games = await nominationHistoryService.getNeverChosenGames();
+
+        assert.deepEqual(games.map(({ gameId, nominations, months, ballots }) => [gameId, nominations, months, ballots]), [
+            ['10003', 3, 2, 2],
+            ['1', 1, 1, 0]
+        ]);
+    });
+
+    it('counts how often each member\'s nominations made the ballot or won', async () => {
+        mockHistory();
+
+        const members = await nominationHistoryService.getNominatorStats();
+
+        assert.deepEqual(members.map(({ raUsername, nominations, ballots, wins }) => [raUsername, nominations, ballots, wins]), [
+            ['RacingFan', 3, 3, 1],
+            ['TestUser', 2, 2, 1],
+            ['ShadowHunter', 2, 1, 0]
+        ]);
+    });
+
+    it('shows a member\'s history in /nominations stats', async () => {
+        mockHistory();
+        NominationArchive.find.mock.mockImplementation(async () => [
+            archived(-3, 'RacingFan', '10003', 'Super Mario Kart'),
+            archived(-2, 'RacingFan', '228', 'Super Metroid'),
+            archived(-1, 'RacingFan', '10003', 'Super Mario Kart')
+        ]);
+
+        const interaction = createMockInteraction({ commandName: 'nominations', subcommand: 'stats', options: { username: 'racingfan' } });
+        await nominationsCommand.execute(interaction);
+
+        const embed = getLastResponse(interaction).embeds[0].data;
+        assert.equal(embed.title, '📊 Nomination History: RacingFan');
+        assert.equal(embed.description, '3 nominations, 3 made the ballot (100%), 1 won');
+        assert.deepEqual(embed.fields[0].value.split('\n').map(line => line.split(' - ')[1]), [
+            'Super Mario Kart 🗳️',
+            'Super Metroid 🏆',
+            'Super Mario Kart 🗳️'
+        ]);
+        assert.match(NominationArchive.find.mock.calls[0].arguments[0].raUsername.$regex.source, /^\^racingfan\$$/);
+    });
+
+    it('explains that there are no statistics before the first archive', async () => {
+        mock.method(NominationArchive, 'find', async () => []);
+        mock.method(Poll, 'find', async () => []);
+        mock.method(Challenge, 'find', async () => []);
+
+        const interaction = createMockInteraction({ commandName: 'nominations', subcommand: 'stats' });
+        await nominationsCommand.execute(interaction);
+
+        assert.match(getLastResponse(interaction).content, /^No nominations have been archived yet/);
+    });
+});
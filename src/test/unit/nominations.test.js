@@ -0,0 +1,506 @@
+import '../testEnv.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { User } from '../../models/User.js';
+import calendarService from '../../services/calendarService.js';
+import { Challenge } from '../../models/Challenge.js';
+import { config } from '../../config/config.js';
+import nominationRulesService from '../../services/nominationRulesService.js';
+import { NominationCycle } from '../../models/NominationCycle.js';
+import nominateCommand from '../../commands/user/nominate.js';
+import removeNominationCommand from '../../commands/admin/removeNomination.js';
+import nominationsCommand from '../../commands/user/nominations.js';
+import { NominationThread } from '../../models/NominationThread.js';
+import { Game } from '../../models/Game.js';
+import nominationThreadService from '../../services/nominationThreadService.js';
+import {
+    createMockButtonInteraction,
+    createMockChannel,
+    createMockClient,
+    createMockInteraction,
+    createMockUser,
+    getLastResponse
+} from '../mocks/discord.js';
+
+const lastMonth = () => new Date(calendarService.getMonthStart(new Date(), -1).getTime() + 14 * 24 * 60 * 60 * 1000);
+
+// Nomination cycle from the configured schedule, kept open all month so tests don't depend on today's date
+const mockOpenCycle = () => mock.method(NominationCycle, 'findOneAndUpdate', async (filter, update) =>
+    new NominationCycle({ ...update.$setOnInsert, closesAt: update.$setOnInsert.targetMonth })
+);
+
+describe('User nominations', () => {
+    it('only returns nominations made this month', () => {
+        const user = new User({ raUsername: 'TestUser', discordId: '1' });
+        user.nominations.push({ gameId: '319', nominatedAt: lastMonth() }, { gameId: '228' });
+
+        assert.deepEqual(user.getCurrentNominations().map(nom => nom.gameId), ['228']);
+    });
+
+    it('clears only the nominations made this month', () => {
+        const user = new User({ raUsername: 'TestUser', discordId: '1' });
+        user.nominations.push({ gameId: '319', nominatedAt: lastMonth() }, { gameId: '228' }, { gameId: '1' });
+
+        user.clearCurrentNominations();
+
+        assert.deepEqual(user.nominations.map(nom => nom.gameId), ['319']);
+    });
+});
+
+describe('/nominate', () => {
+    let user;
+
+    beforeEach(() => {
+        user = new User({ raUsername: 'TestUser', discordId: '100000000000000001' });
+        mock.method(user, 'save', async () => user);
+        mock.method(User, 'findOne', async () => user);
+        mockOpenCycle();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const nominate = async (gameid) => {
+        const interaction = createMockInteraction({ commandName: 'nominate', subcommand: 'add', options: { gameid } });
+        await nominateCommand.execute(interaction);
+        return getLastResponse(interaction).content;
+    };
+
+    it('adds a nomination for an existing game', async () => {
+        const reply = await nominate('319');
+
+        assert.match(reply, /Successfully nominated Chrono Trigger/);
+        assert.match(reply, /1 nominations remaining/);
+        assert.deepEqual(user.nominations.map(nom => nom.gameId), ['319']);
+        assert.equal(user.save.mock.callCount(), 1);
+    });
+
+    it('rejects a game that does not exist', async () => {
+        const reply = await nominate('999999');
+
+        assert.equal(reply, 'Game not found. Please check the game ID.');
+        assert.equal(user.nominations.length, 0);
+    });
+
+    it('rejects nominating the same game twice in a month', async () => {
+        await nominate('319');
+        const reply = await nominate('319');
+
+        assert.equal(reply, 'You have already nominated this game this month.');
+        assert.equal(user.nominations.length, 1);
+    });
+
+    it('allows two nominations per month', async () => {
+        await nominate('319');
+        await nominate('228');
+        const reply = await nominate('1');
+
+        assert.match(reply, /already nominated 2 games this month/);
+        assert.deepEqual(user.nominations.map(nom => nom.gameId), ['319', '228']);
+    });
+
+    it('does not count last month\'s nominations', async () => {
+        user.nominations.push({ gameId: '10003', nominatedAt: lastMonth() }, { gameId: '1', nominatedAt: lastMonth() });
+
+        const reply = await nominate('319');
+
+        assert.match(reply, /Successfully nominated/);
+    });
+
+    it('withdraws a nomination to free the slot', async () => {
+        await nominate('319');
+        await nominate('228');
+
+        const interaction = createMockInteraction({ commandName: 'nominate', subcommand: 'withdraw', options: { gameid: '319' } });
+        await nominateCommand.execute(interaction);
+
+        assert.match(getLastResponse(interaction).content, /withdrawn\. You have 1 nomination remaining/);
+        assert.match(await nominate('1'), /Successfully nominated Sonic the Hedgehog/);
+        assert.deepEqual(user.nominations.map(nom => nom.gameId), ['228', '1']);
+    });
+
+    it('replaces a nomination with another game', async () => {
+        user.nominations.push({ gameId: '999999' });
+
+        const interaction = createMockInteraction({
+            commandName: 'nominate',
+            subcommand: 'replace',
+            options: { old: '999999', new: '228' }
+        });
+        await nominateCommand.execute(interaction);
+
+        assert.equal(getLastResponse(interaction).content, 'Your nomination of game 999999 has been replaced with Super Metroid.');
+        assert.deepEqual(user.nominations.map(nom => nom.gameId), ['228']);
+    });
+
+    it('refuses changes once the nomination window has closed', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: new Date(Date.UTC(2025, 0, 16)) });
+        const closeDay = config.nominations.closeDay;
+        config.nominations.closeDay = 15;
+        t.after(() => {
+            config.nominations.closeDay = closeDay;
+        });
+        NominationCycle.findOneAndUpdate.mock.mockImplementation(async (filter, update) =>
+            new NominationCycle(update.$setOnInsert)
+        );
+
+        const reply = await nominate('319');
+
+        assert.match(reply, /^Nominations closed on Jan 15, 2025/);
+        assert.equal(user.nominations.length, 0);
+    });
+
+    it('refuses changes once the poll of the cycle has opened', async () => {
+        NominationCycle.findOneAndUpdate.mock.mockImplementation(async (filter, update) =>
+            new NominationCycle({ ...update.$setOnInsert, closesAt: update.$setOnInsert.targetMonth, status: 'voting' })
+        );
+
+        const reply = await nominate('319');
+
+        assert.match(reply, /^Nominations closed on/);
+        assert.equal(user.nominations.length, 0);
+    });
+
+    it('lets admins remove a nomination and tells the nominator why', async () => {
+        await nominate('319');
+        const nominator = createMockUser('100000000000000001', 'TestUser');
+
+        const interaction = createMockInteraction({
+            commandName: 'removenomination',
+            options: { username: 'TestUser', gameid: '319', reason: 'Already played in 2023' },
+            isAdmin: true,
+            client: createMockClient({ users: [nominator] })
+        });
+        await removeNominationCommand.execute(interaction);
+
+        assert.match(getLastResponse(interaction).content, /Removed TestUser's nomination of game 319\. They have been sent the reason\./);
+        assert.equal(user.nominations.length, 0);
+        assert.match(nominator.messages[0].payload.content, /Reason: Already played in 2023/);
+    });
+
+    it('requires the user to be registered', async () => {
+        User.findOne.mock.mockImplementation(async () => null);
+
+        const reply = await nominate('319');
+
+        assert.match(reply, /You are not registered/);
+    });
+});
+
+describe('nomination pitches and threads', () => {
+    let user;
+    let channel;
+    let threads;
+
+    beforeEach(() => {
+        user = new User({ raUsername: 'TestUser', discordId: '100000000000000001' });
+        mock.method(user, 'save', async () => user);
+        mock.method(User, 'findOne', async () => user);
+        mockOpenCycle();
+
+        // Thread records kept in memory instead of MongoDB
+        threads = [];
+        mock.method(NominationThread, 'findOne', async (filter) =>
+            threads.find(record => record.gameId === filter.gameId && record.month.getTime() === filter.month.getTime()) || null
+        );
+        mock.method(NominationThread, 'create', async (fields) => {
+            const record = new NominationThread(fields);
+            mock.method(record, 'save', async () => record);
+            threads.push(record);
+            return record;
+        });
+        mock.method(NominationThread, 'find', async () => threads);
+
+        channel = createMockChannel('voting-channel', 'voting');
+        nominationThreadService.setClient(createMockClient({ channel }));
+    });
+
+    afterEach(() => {
+        nominationThreadService.setClient(null);
+        mock.restoreAll();
+    });
+
+    const nominate = async (gameid, pitch) => {
+        const interaction = createMockInteraction({ commandName: 'nominate', subcommand: 'add', options: { gameid, pitch } });
+        await nominateCommand.execute(interaction);
+        return getLastResponse(interaction).content;
+    };
+
+    it('opens one thread per game and posts each pitch in it', async () => {
+        const reply = await nominate('319', 'Best soundtrack on the SNES');
+
+        assert.match(reply, /Discuss it in <#voting-channel-thread-1>/);
+        assert.equal(user.nominations[0].pitch, 'Best soundtrack on the SNES');
+
+        const thread = channel.threads.cache.get('voting-channel-thread-1');
+        assert.equal(thread.name, 'Chrono Trigger (SNES/Super Famicom)');
+        assert.equal(thread.messages[0].payload.embeds[0].data.title, 'Chrono Trigger');
+        assert.match(thread.messages[1].payload.content, /\*\*TestUser\*\* nominated Chrono Trigger:\n> Best soundtrack on the SNES/);
+
+        // A second nomination of the game goes to the same thread
+        user.nominations = [];
+        await nominate('319');
+
+        assert.equal(channel.threads.cache.size, 1);
+        assert.equal(thread.messages.length, 3);
+        assert.equal(threads.length, 1);
+    });
+
+    it('still nominates when the thread cannot be opened', async () => {
+        channel.threads.create = async () => {
+            throw new Error('Missing Permissions');
+        };
+        mock.method(console, 'error', () => {});
+
+        const reply = await nominate('319', 'Worth it');
+
+        assert.match(reply, /^Successfully nominated Chrono Trigger/);
+        assert.doesNotMatch(reply, /Discuss it/);
+        assert.equal(user.nominations.length, 1);
+    });
+
+    it('shows pitches and threads in /nominations', async () => {
+        await nominate('319', 'Best soundtrack on the SNES');
+        const other = new User({ raUsername: 'RacingFan', discordId: '2' });
+        other.nominations.push({ gameId: '319' }, { gameId: '228', pitch: 'Short and sweet' });
+        mock.method(User, 'find', async () => [user, other]);
+        mock.method(Game, 'find', async () => []);
+
+        const interaction = createMockInteraction({ commandName: 'nominations', subcommand: 'list' });
+        await nominationsCommand.execute(interaction);
+
+        const [chrono, metroid] = getLastResponse(interaction).embeds[0].data.fields;
+        assert.equal(chrono.name, 'Chrono Trigger (2 nominations)');
+        assert.match(chrono.value, /> Best soundtrack on the SNES — TestUser\n/);
+        assert.match(chrono.value, /Discussion: <#voting-channel-thread-1>/);
+        assert.match(metroid.value, /> Short and sweet — RacingFan/);
+        assert.doesNotMatch(metroid.value, /Discussion/);
+    });
+
+    it('closes a game\'s thread once its last nomination is withdrawn', async () => {
+        // RacingFan nominated Chrono Trigger as well
+        let otherNominators = 1;
+        mock.method(User, 'countDocuments', async () => otherNominators);
+        await nominate('319');
+        const thread = channel.threads.cache.get('voting-channel-thread-1');
+
+        const withdraw = async () => {
+            const interaction = createMockInteraction({ commandName: 'nominate', subcommand: 'withdraw', options: { gameid: '319' } });
+            await nominateCommand.execute(interaction);
+        };
+        await withdraw();
+
+        assert.equal(thread.messages.at(-1).payload.content, '↩️ **TestUser** withdrew their nomination.');
+        assert.equal(thread.archived, false);
+
+        otherNominators = 0;
+        await nominate('319');
+        await withdraw();
+
+        assert.match(thread.messages.at(-1).payload.content, /No nominations of this game are left, so this thread is closed\.$/);
+        assert.equal(thread.locked, true);
+        assert.equal(thread.archived, true);
+
+        // Nominating the game again reopens its thread
+        await nominate('319');
+
+        assert.equal(channel.threads.cache.size, 1);
+        assert.equal(thread.locked, false);
+        assert.equal(thread.archived, false);
+        assert.match(thread.messages.at(-1).payload.content, /\*\*TestUser\*\* nominated Chrono Trigger/);
+    });
+
+    it('closes the thread of a replaced or removed nomination', async () => {
+        mock.method(User, 'countDocuments', async () => 0);
+        await nominate('319');
+        await nominate('228');
+        const chronoThread = channel.threads.cache.get('voting-channel-thread-1');
+        const metroidThread = channel.threads.cache.get('voting-channel-thread-2');
+
+        const replace = createMockInteraction({ commandName: 'nominate', subcommand: 'replace', options: { old: '319', new: '1' } });
+        await nominateCommand.execute(replace);
+
+        assert.match(chronoThread.messages.at(-1).payload.content,
+            /^↩️ \*\*TestUser\*\* replaced their nomination with Sonic the Hedgehog\.\n/);
+        assert.equal(chronoThread.archived, true);
+
+        const remove = createMockInteraction({
+            commandName: 'removenomination',
+            options: { username: 'TestUser', gameid: '228', reason: 'Already played in 2023' },
+            isAdmin: true,
+            client: createMockClient({ users: [createMockUser('100000000000000001', 'TestUser')] })
+        });
+        await removeNominationCommand.execute(remove);
+
+        const note = metroidThread.messages.at(-1).payload.content;
+        assert.match(note, /^↩️ \*\*TestUser\*\*'s nomination was removed by an admin\.\n/);
+        assert.doesNotMatch(note, /Already played/);
+        assert.equal(metroidThread.locked, true);
+        assert.equal(metroidThread.archived, true);
+    });
+
+    it('archives the threads of earlier months', async () => {
+        await nominate('319');
+        threads[0].month = calendarService.getMonthStart(new Date(), -1);
+        mock.method(console, 'log', () => {});
+
+        const archived = await nominationThreadService.archiveOldThreads();
+
+        assert.equal(archived, 1);
+        assert.equal(threads[0].archived, true);
+        assert.equal(channel.threads.cache.get('voting-channel-thread-1').archived, true);
+    });
+});
+
+describe('/nominations', () => {
+    // Twelve catalogued games on two consoles, game N nominated N times
+    const catalogue = Array.from({ length: 12 }, (_, i) => new Game({
+        gameId: String(i + 1),
+        title: `Game ${String(i + 1).padStart(2, '0')}`,
+        searchTitle: `game ${String(i + 1).padStart(2, '0')}`,
+        consoleId: i % 2 === 0 ? 3 : 7,
+        consoleName: i % 2 === 0 ? 'SNES/Super Famicom' : 'NES/Famicom',
+        numAchievements: 10 + i
+    }));
+
+    beforeEach(() => {
+        const users = Array.from({ length: 12 }, (_, i) => {
+            const user = new User({ raUsername: `Member${i + 1}`, discordId: String(i + 1) });
+            user.nominations.push(...catalogue.slice(i).map(game => ({ gameId: game.gameId })));
+            return user;
+        });
+        mock.method(User, 'find', async () => users);
+        mock.method(Game, 'find', async () => catalogue);
+        mock.method(NominationThread, 'find', async () => []);
+        mockOpenCycle();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const list = async (options = {}) => {
+        const interaction = createMockInteraction({ commandName: 'nominations', subcommand: 'list', options });
+        await nominationsCommand.execute(interaction);
+        return getLastResponse(interaction);
+    };
+
+    const fieldNames = (response) => response.embeds[0].data.fields.map(field => field.name);
+
+    it('shows the most nominated games first, one page at a time', async () => {
+        const response = await list();
+
+        assert.deepEqual(fieldNames(response).slice(0, 2), ['Game 12 (12 nominations)', 'Game 11 (11 nominations)']);
+        assert.equal(response.embeds[0].data.fields.length, 5);
+        assert.match(response.embeds[0].data.footer.text, /^Page 1\/3 \| Total nominations: 78 \| Unique games: 12$/);
+        assert.match(response.embeds[0].data.fields[0].value, /^Achievements: 21\n/);
+
+        const [previous, next] = response.components[0].components;
+        assert.equal(previous.data.disabled, true);
+        assert.equal(next.data.disabled, false);
+    });
+
+    it('turns the page with the buttons and keeps the view', async () => {
+        const first = await list({ sort: 'title', console: 'snes' });
+        const next = first.components[0].components[1];
+
+        const interaction = createMockButtonInteraction({ customId: next.data.custom_id });
+        await nominationsCommand.handleComponent(interaction);
+
+        const page = getLastResponse(interaction);
+        assert.equal(page.type, 'update');
+        assert.deepEqual(fieldNames(page), ['Game 11 (11 nominations)']);
+        assert.match(page.embeds[0].data.description, /Filtered by console: snes/);
+        assert.match(page.embeds[0].data.footer.text, /^Page 2\/2/);
+        assert.equal(page.components[0].components[1].data.disabled, true);
+    });
+
+    it('filters by nominator and nomination count', async () => {
+        const byMember = await list({ nominator: 'member11', sort: 'title' });
+        assert.deepEqual(fieldNames(byMember), ['Game 11 (11 nominations)', 'Game 12 (12 nominations)']);
+        assert.equal(byMember.components.length, 0);
+
+        const popular = await list({ min_nominations: 10, console: '7' });
+        assert.deepEqual(fieldNames(popular), ['Game 12 (12 nominations)', 'Game 10 (10 nominations)']);
+
+        const none = await list({ console: 'Game Boy' });
+        assert.equal(none.content, 'No nominated games match these filters.');
+    });
+
+    it('looks up games missing from the catalogue', async () => {
+        Game.find.mock.mockImplementation(async () => []);
+        const user = new User({ raUsername: 'TestUser', discordId: '1' });
+        user.nominations.push({ gameId: '319' });
+        User.find.mock.mockImplementation(async () => [user]);
+
+        const response = await list();
+
+        assert.deepEqual(fieldNames(response), ['Chrono Trigger (1 nomination)']);
+        assert.match(response.embeds[0].data.fields[0].value, /^Achievements: 8\n/);
+    });
+});
+
+describe('nomination rules', () => {
+    const defaultRules = { ...config.nominations.rules };
+
+    let user;
+
+    beforeEach(() => {
+        user = new User({ raUsername: 'TestUser', discordId: '100000000000000001' });
+        mock.method(user, 'save', async () => user);
+        mock.method(User, 'findOne', async () => user);
+        mockOpenCycle();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        config.nominations.rules = { ...defaultRules };
+    });
+
+    const nominate = async (gameid) => {
+        const interaction = createMockInteraction({ commandName: 'nominate', subcommand: 'add', options: { gameid } });
+        await nominateCommand.execute(interaction);
+        return getLastResponse(interaction).content;
+    };
+
+    const check = (gameId, consoleId, consoleName, rules) =>
+        nominationRulesService.checkGame(gameId, { consoleId, consoleName }, { ...defaultRules, ...rules });
+
+    it('checks the achievement count', async () => {
+        // Super Metroid has 3 achievements in the offline fixtures
+        assert.deepEqual(await check('228', 3, 'SNES/Super Famicom', { minAchievements: 2, maxAchievements: 3 }), []);
+
+        const failures = await check('228', 3, 'SNES/Super Famicom', { minAchievements: 5 });
+        assert.deepEqual(failures, [{ rule: 'minAchievements', reason: 'It has 3 achievements, nominated games need at least 5.' }]);
+    });
+
+    it('checks the console by name or ID', async () => {
+        assert.deepEqual(await check('1', 1, 'Genesis/Mega Drive', { allowedConsoles: ['3', 'genesis/mega drive'] }), []);
+
+        const [allowed] = await check('1', 1, 'Genesis/Mega Drive', { allowedConsoles: ['SNES/Super Famicom'] });
+        assert.equal(allowed.rule, 'allowedConsoles');
+
+        const [blocked] = await check('1', 1, 'Genesis/Mega Drive', { blockedConsoles: ['1'] });
+        assert.equal(blocked.reason, 'Genesis/Mega Drive games can\'t be nominated.');
+    });
+
+    it('rejects recent challenge games', async () => {
+        mock.method(Challenge, 'find', async () => [new Challenge({ date: new Date(), monthly_challange_gameid: '228' })]);
+
+        const [failure] = await check('228', 3, 'SNES/Super Famicom', { excludeRecentMonths: 6 });
+
+        assert.equal(failure.reason, 'It was a challenge game in the last 6 months.');
+    });
+
+    it('shows every rule a game fails', async () => {
+        config.nominations.rules = { ...defaultRules, minAchievements: 10, blockedConsoles: ['SNES/Super Famicom'] };
+
+        const reply = await nominate('319');
+
+        assert.equal(reply, 'Chrono Trigger can\'t be nominated:\n' +
+            '• It has 8 achievements, nominated games need at least 10.\n' +
+            '• SNES/Super Famicom games can\'t be nominated.');
+        assert.equal(user.nominations.length, 0);
+    });
+});
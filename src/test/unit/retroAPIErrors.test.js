@@ -0,0 +1,71 @@
+import '../testEnv.js';
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../config/config.js';
+import retroAPI from '../../services/retroAPI.js';
+import {
+    classifyError,
+    RetroAPINotFoundError,
+    RetroAPIRateLimitError,
+    RetroAPITransientError
+} from '../../services/retroAPIErrors.js';
+
+describe('classifyError', () => {
+    it('classifies HTTP errors by status', () => {
+        assert.ok(classifyError(new Error('HTTP Error: Status 404 Not Found')) instanceof RetroAPINotFoundError);
+        assert.ok(classifyError(Object.assign(new Error('Too many requests'), { status: 429 })) instanceof RetroAPIRateLimitError);
+        assert.equal(classifyError(new Error('HTTP Error: Status 503 Service Unavailable')).retryable, true);
+    });
+
+    it('retries timeouts and network failures', () => {
+        const failures = [
+            Object.assign(new Error('This operation was aborted'), { name: 'AbortError' }),
+            Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }),
+            new TypeError('fetch failed', { cause: Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }) })
+        ];
+
+        for (const failure of failures) {
+            assert.ok(classifyError(failure) instanceof RetroAPITransientError, failure.message);
+        }
+    });
+
+    it('returns other errors unchanged so they are not retried', () => {
+        const bug = new TypeError('Cannot read properties of undefined (reading \'title\')');
+
+        assert.equal(classifyError(bug), bug);
+    });
+});
+
+describe('retroAPI.call', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('aborts a timed out request before retrying it', async () => {
+        const settings = { ...config.retroAchievements };
+        Object.assign(config.retroAchievements, { requestTimeout: 20, maxRetries: 1, retryBaseDelay: 1 });
+
+        const signals = [];
+        const abortedBeforeRetry = [];
+        mock.method(retroAPI.adapter, 'getGameInfoAndUserProgress', (options, signal) => {
+            abortedBeforeRetry.push(signals.map(earlier => earlier.aborted));
+            signals.push(signal);
+            // Never answers, only the signal ends the request
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+            });
+        });
+
+        // AbortSignal.timeout doesn't keep the process alive on its own
+        const keepAlive = setInterval(() => {}, 1000);
+        try {
+            await assert.rejects(retroAPI.getUserGameProgress('TestUser', '319'), RetroAPITransientError);
+        } finally {
+            clearInterval(keepAlive);
+            Object.assign(config.retroAchievements, settings);
+        }
+
+        assert.equal(signals.length, 2);
+        assert.deepEqual(abortedBeforeRetry, [[], [true]]);
+    });
+});
@@ -0,0 +1,135 @@
+import '../testEnv.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AwardType } from '../../config/config.js';
+import scoringService from '../../services/scoringService.js';
+
+// January 2025 challenge (community timezone is UTC in tests): 4 progression achievements, 2 win conditions, 8 in total
+const challenge = {
+    date: new Date(Date.UTC(2025, 0, 1)),
+    monthly_challange_gameid: '319',
+    monthly_challange_progression_achievements: ['1', '2', '3', '4'],
+    monthly_challange_win_achievements: ['5', '6'],
+    monthly_challange_game_total: 8,
+    shadow_challange_gameid: '1',
+    shadow_challange_progression_achievements: ['100'],
+    shadow_challange_win_achievements: [],
+    shadow_challange_game_total: 2
+};
+
+const IN_MONTH = '2025-01-15 20:00:00';
+const BEFORE_MONTH = '2024-12-20 20:00:00';
+const AFTER_MONTH = '2025-02-01 00:00:01';
+
+/**
+ * Build a getUserGameProgress response
+ * @param {Object} earned - Date earned by achievement ID
+ * @param {Array<string>} ids - Every achievement ID of the game
+ * @returns {Object} Progress response
+ */
+const progressFor = (earned, ids = ['1', '2', '3', '4', '5', '6', '7', '8']) => ({
+    achievements: Object.fromEntries(ids.map(id => [id, { id, dateEarned: earned[id] }]))
+});
+
+const earnAll = (ids, date) => Object.fromEntries(ids.map(id => [id, date]));
+
+describe('scoringService.scoreProgress', () => {
+    it('awards mastery when every achievement is earned during the month', () => {
+        const score = scoringService.scoreProgress(challenge, progressFor(earnAll(['1', '2', '3', '4', '5', '6', '7', '8'], IN_MONTH)));
+
+        assert.equal(score.award, AwardType.MASTERY);
+        assert.equal(score.awardKey, 'MASTERY');
+        assert.equal(score.points, 7);
+        assert.equal(score.earnedThisMonth, 8);
+    });
+
+    it('downgrades mastery to beaten when an achievement was earned before the month', () => {
+        const earned = { ...earnAll(['2', '3', '4', '5', '6', '7', '8'], IN_MONTH), 1: BEFORE_MONTH };
+        const score = scoringService.scoreProgress(challenge, progressFor(earned));
+
+        assert.equal(score.award, AwardType.BEATEN);
+        assert.equal(score.points, 4);
+        assert.ok(score.reasons.some(reason => reason.startsWith('Mastery not counted')));
+    });
+
+    it('awards beaten with all progression and one win condition', () => {
+        const score = scoringService.scoreProgress(challenge, progressFor(earnAll(['1', '2', '3', '4', '6'], IN_MONTH)));
+
+        assert.equal(score.award, AwardType.BEATEN);
+        assert.equal(score.hasAllProgression, true);
+        assert.equal(score.hasWinCondition, true);
+    });
+
+    it('counts progression earned before the month towards beaten', () => {
+        const earned = { ...earnAll(['1', '2', '3', '4'], BEFORE_MONTH), 5: IN_MONTH };
+        const score = scoringService.scoreProgress(challenge, progressFor(earned));
+
+        assert.equal(score.award, AwardType.BEATEN);
+    });
+
+    it('requires a progression or win achievement during the month for beaten', () => {
+        const earned = { ...earnAll(['1', '2', '3', '4', '5'], BEFORE_MONTH), 7: IN_MONTH };
+        const score = scoringService.scoreProgress(challenge, progressFor(earned));
+
+        assert.equal(score.award, AwardType.PARTICIPATION);
+        assert.equal(score.points, 1);
+        assert.ok(score.reasons.some(reason => reason.startsWith('Beaten not counted')));
+    });
+
+    it('awards participation without a win condition', () => {
+        const score = scoringService.scoreProgress(challenge, progressFor(earnAll(['1', '2', '3', '4'], IN_MONTH)));
+
+        assert.equal(score.award, AwardType.PARTICIPATION);
+        assert.equal(score.hasWinCondition, false);
+        assert.ok(score.reasons.includes('Beaten requires a win condition achievement'));
+    });
+
+    it('awards nothing for achievements earned outside the month', () => {
+        const earned = { 1: BEFORE_MONTH, 2: AFTER_MONTH };
+        const score = scoringService.scoreProgress(challenge, progressFor(earned));
+
+        assert.equal(score.award, AwardType.NONE);
+        assert.equal(score.awardKey, null);
+        assert.equal(score.points, 0);
+        assert.equal(score.earned, 2);
+        assert.equal(score.earnedThisMonth, 0);
+    });
+
+    it('tracks the last achievement earned during the month', () => {
+        const earned = { 1: '2025-01-03 10:00:00', 2: '2025-01-31 23:59:00', 3: AFTER_MONTH };
+        const score = scoringService.scoreProgress(challenge, progressFor(earned));
+
+        assert.deepEqual(score.lastEarnedAt, new Date(Date.UTC(2025, 0, 31, 23, 59, 0)));
+    });
+
+    it('scores the shadow game, where no win condition is required', () => {
+        const score = scoringService.scoreProgress(challenge, progressFor({ 100: IN_MONTH }, ['100', '101']), true);
+
+        assert.equal(score.award, AwardType.BEATEN);
+        assert.ok(score.reasons.includes('No win condition required'));
+    });
+
+    it('handles missing progress', () => {
+        const score = scoringService.scoreProgress(challenge, null);
+
+        assert.equal(score.award, AwardType.NONE);
+        assert.equal(score.earned, 0);
+    });
+});
+
+describe('scoringService award values', () => {
+    it('normalizes legacy point values stored by older versions of /profile', () => {
+        assert.equal(scoringService.normalizeAward(7), AwardType.MASTERY);
+        assert.equal(scoringService.normalizeAward(4), AwardType.BEATEN);
+        assert.equal(scoringService.normalizeAward(1), AwardType.PARTICIPATION);
+        assert.equal(scoringService.normalizeAward(undefined), AwardType.NONE);
+    });
+
+    it('maps awards to points and embed keys', () => {
+        assert.equal(scoringService.getPointsForAward(AwardType.MASTERY), 7);
+        assert.equal(scoringService.getPointsForAward(AwardType.BEATEN), 4);
+        assert.equal(scoringService.getPointsForAward(7), 7);
+        assert.equal(scoringService.getAwardKey(AwardType.PARTICIPATION), 'PARTICIPATION');
+        assert.equal(scoringService.getAwardKey(AwardType.NONE), null);
+    });
+});
@@ -0,0 +1,458 @@
+import '../testEnv.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../../config/config.js';
+import { Poll } from '../../models/Poll.js';
+import { User } from '../../models/User.js';
+import { Challenge } from '../../models/Challenge.js';
+import votingService from '../../services/votingService.js';
+import pollAdminCommand from '../../commands/admin/pollAdmin.js';
+import {
+    createMockButtonInteraction,
+    createMockSelectMenuInteraction,
+    createMockChannel,
+    createMockClient,
+    createMockInteraction,
+    getLastResponse
+} from '../mocks/discord.js';
+
+const OPENED = new Date(Date.UTC(2025, 0, 1, 0, 1));
+
+/**
+ * Build a poll with Chrono Trigger, Super Metroid and Sonic on the ballot
+ * @param {Array<Array<string>>} votes - [discordId, gameId] pairs
+ * @returns {Object} Poll document
+ */
+const pollWith = (votes = []) => new Poll({
+    games: [
+        { gameId: '319', title: 'Chrono Trigger' },
+        { gameId: '228', title: 'Super Metroid' },
+        { gameId: '1', title: 'Sonic the Hedgehog' }
+    ],
+    opensAt: OPENED,
+    closesAt: new Date(OPENED.getTime() + 7 * 24 * 60 * 60 * 1000),
+    votes: votes.map(([discordId, gameId]) => ({ discordId, gameId }))
+});
+
+describe('Poll', () => {
+    it('tallies the votes, keeping ballot order for equal counts', () => {
+        const poll = pollWith([['a', '1'], ['b', '228'], ['b', '1'], ['c', '228']]);
+
+        assert.deepEqual(poll.tally().map(({ gameId, votes }) => [gameId, votes]), [['228', 2], ['1', 2], ['319', 0]]);
+        assert.equal(poll.getVoterCount(), 3);
+        assert.deepEqual(poll.getVotesOf('b'), ['228', '1']);
+    });
+});
+
+describe('votingService', () => {
+    let channel;
+
+    beforeEach(() => {
+        channel = createMockChannel('announcements');
+        votingService.setClient(createMockClient({ channel }));
+        mock.method(votingService, 'fetchPollMessage', async () => null);
+        mock.method(Poll, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        config.voting.draftChallenge = false;
+    });
+
+    it('adds a button for every ballot game and disables them once closed', () => {
+        const poll = pollWith();
+
+        const [open] = votingService.buildPollMessage(poll).components.map(row => row.toJSON());
+        assert.deepEqual(open.components.map(button => button.custom_id), [
+            `poll_vote_${poll._id}_319`, `poll_vote_${poll._id}_228`, `poll_vote_${poll._id}_1`
+        ]);
+        assert.ok(open.components.every(button => !button.disabled));
+
+        poll.status = 'closed';
+        const [closed] = votingService.buildPollMessage(poll).components.map(row => row.toJSON());
+        assert.ok(closed.components.every(button => button.disabled));
+    });
+
+    it('announces the winner with the tally when the poll closes', async () => {
+        const poll = pollWith([['a', '228'], ['b', '228'], ['b', '319']]);
+        mock.method(poll, 'save', async () => poll);
+
+        await votingService.closePoll(poll);
+
+        assert.equal(poll.status, 'closed');
+        assert.equal(poll.winnerGameId, '228');
+
+        const announcement = channel.messages[0].payload.embeds[0].toJSON();
+        assert.match(announcement.description, /\*\*Super Metroid\*\* won the vote .* with 2 votes/);
+        assert.equal(announcement.fields[0].value,
+            '1. **Super Metroid** - 2 votes\n2. **Chrono Trigger** - 1 vote\n3. **Sonic the Hedgehog** - 0 votes');
+    });
+
+    it('closes a poll once when the cron and /polladmin close race', async () => {
+        const poll = pollWith([['a', '228']]);
+        mock.method(poll, 'save', async () => poll);
+        let status = 'open';
+        Poll.updateOne.mock.mockImplementation(async (filter, update) => {
+            const matched = filter.status === status;
+            if (matched) status = update.$set.status;
+            return { matchedCount: Number(matched), modifiedCount: Number(matched) };
+        });
+        mock.method(Poll, 'findExpired', async () => [poll]);
+
+        const interaction = createMockInteraction({ commandName: 'polladmin', subcommand: 'close', isAdmin: true });
+        const [closed] = await Promise.all([
+            votingService.closeExpiredPolls(),
+            pollAdminCommand.closePoll(interaction, poll)
+        ]);
+
+        // The admin claimed it first, the cron leaves it alone
+        assert.equal(getLastResponse(interaction).content, 'Voting closed. **Super Metroid** won with 1 vote.');
+        assert.deepEqual(closed, []);
+        assert.equal(channel.messages.length, 1);
+        assert.equal(await votingService.closePoll(poll), null);
+    });
+
+    it('has no winner without votes', async () => {
+        const poll = pollWith();
+        mock.method(poll, 'save', async () => poll);
+
+        await votingService.closePoll(poll);
+
+        assert.equal(poll.winnerGameId, null);
+        assert.match(channel.messages[0].payload.embeds[0].toJSON().description, /No votes were cast/);
+    });
+
+    it('drafts next month\'s challenge from the winner when enabled', async () => {
+        config.voting.draftChallenge = true;
+        const poll = pollWith([['a', '319']]);
+        mock.method(poll, 'save', async () => poll);
+        mock.method(Challenge, 'findOne', async () => null);
+        const saved = [];
+        mock.method(Challenge.prototype, 'save', async function() {
+            saved.push(this);
+            return this;
+        });
+
+        await votingService.closePoll(poll);
+
+        assert.equal(saved.length, 1);
+        assert.deepEqual(saved[0].date, new Date(Date.UTC(2025, 1, 1)));
+        assert.equal(saved[0].monthly_challange_gameid, '319');
+        assert.deepEqual([...saved[0].monthly_challange_progression_achievements], ['2080', '2081', '2082', '2083']);
+        assert.deepEqual([...saved[0].monthly_challange_win_achievements], ['2084']);
+        assert.match(channel.messages[0].payload.embeds[0].toJSON().fields[1].value, /February 2025 challenge has been drafted/);
+    });
+
+    it('moves the closing time when a poll is extended', async () => {
+        const poll = pollWith();
+        const closesAt = poll.closesAt.getTime();
+        mock.method(poll, 'save', async () => poll);
+
+        await votingService.extendPoll(poll, 2);
+
+        assert.equal(poll.closesAt.getTime() - closesAt, 2 * 24 * 60 * 60 * 1000);
+        assert.equal(poll.status, 'open');
+    });
+
+    it('cancels a poll without announcing a winner', async () => {
+        const poll = pollWith([['a', '228']]);
+        mock.method(poll, 'save', async () => poll);
+
+        await votingService.cancelPoll(poll);
+
+        assert.equal(poll.status, 'cancelled');
+        assert.equal(poll.winnerGameId, null);
+        assert.equal(channel.messages.length, 0);
+
+        const message = votingService.buildPollMessage(poll);
+        assert.equal(message.embeds[0].toJSON().title, '🎮 Poll Cancelled');
+        assert.ok(message.components[0].toJSON().components.every(button => button.disabled));
+    });
+
+    it('reposts the ballot and keeps the votes', async () => {
+        const poll = pollWith([['a', '228']]);
+        mock.method(poll, 'save', async () => poll);
+        const previous = { delete: mock.fn(async () => {}) };
+        votingService.fetchPollMessage.mock.mockImplementation(async () => previous);
+        const votingChannel = createMockChannel('voting');
+
+        await votingService.repostPoll(poll, votingChannel);
+
+        assert.equal(poll.channelId, votingChannel.id);
+        assert.equal(poll.messageId, votingChannel.messages[0].id);
+        assert.equal(poll.votes.length, 1);
+        assert.equal(previous.delete.mock.callCount(), 1);
+    });
+
+    describe('ties', () => {
+        beforeEach(() => {
+            mock.method(Poll.prototype, 'save', async function() {
+                return this;
+            });
+        });
+
+        it('opens a runoff between the tied games', async () => {
+            const poll = pollWith([['a', '228'], ['b', '1'], ['c', '319'], ['c', '228'], ['d', '1']]);
+            poll.channelId = channel.id;
+
+            await votingService.closePoll(poll);
+
+            assert.equal(poll.status, 'closed');
+            assert.equal(poll.winnerGameId, null);
+            assert.ok(poll.runoffPollId);
+
+            const runoffMessage = channel.messages[0].payload;
+            assert.equal(runoffMessage.embeds[0].toJSON().title, '🎮 Runoff for Next Month\'s Challenge!');
+            assert.deepEqual(runoffMessage.components[0].toJSON().components.map(button => button.label),
+                ['1. Super Metroid', '2. Sonic the Hedgehog']);
+            assert.match(channel.messages[1].payload.embeds[0].toJSON().description,
+                /\*\*Super Metroid\*\*, \*\*Sonic the Hedgehog\*\* tied with 2 votes each/);
+        });
+
+        it('tells the admin a runoff was opened when /polladmin close ends in a tie', async () => {
+            const poll = pollWith([['a', '228'], ['b', '1']]);
+            poll.channelId = channel.id;
+            const runoffs = [];
+            Poll.prototype.save.mock.mockImplementation(async function() {
+                if (this.runoffOf) runoffs.push(this);
+                return this;
+            });
+            mock.method(Poll, 'findById', async (id) => runoffs.find(runoff => runoff._id.equals(id)));
+
+            const interaction = createMockInteraction({ commandName: 'polladmin', subcommand: 'close', isAdmin: true });
+            await pollAdminCommand.closePoll(interaction, poll);
+
+            assert.equal(getLastResponse(interaction).content,
+                'Voting closed with a tie. A runoff between **Super Metroid**, **Sonic the Hedgehog** has been opened, ' +
+                `it ends <t:${Math.floor(runoffs[0].closesAt.getTime() / 1000)}:f>.`);
+        });
+
+        it('decides a tied runoff by the earliest nomination', async () => {
+            const runoff = pollWith([['a', '228'], ['b', '1']]);
+            runoff.runoffOf = pollWith()._id;
+            runoff.tieRule = 'earliest_nomination';
+            runoff.draw = {
+                strategy: 'weighted',
+                seed: 1,
+                candidates: [
+                    { gameId: '228', nominations: 3, firstNominatedAt: new Date(Date.UTC(2024, 11, 20)) },
+                    { gameId: '1', nominations: 1, firstNominatedAt: new Date(Date.UTC(2024, 11, 3)) }
+                ]
+            };
+
+            await votingService.closePoll(runoff);
+
+            assert.equal(runoff.winnerGameId, '1');
+            assert.deepEqual(runoff.tieBreak.gameIds, ['228', '1']);
+            assert.match(channel.messages[0].payload.embeds[0].toJSON().description,
+                /won the runoff .*\n\n\*Super Metroid, Sonic the Hedgehog tied\. Sonic the Hedgehog won by the earliest nomination\.\*/);
+
+            runoff.tieRule = 'most_nominations';
+            assert.equal(votingService.breakTie(runoff, runoff.tally().slice(0, 2)).gameId, '228');
+        });
+
+        it('publishes the seed of a random tie break', async () => {
+            const runoff = pollWith();
+            runoff.runoffOf = pollWith()._id;
+            runoff.tieRule = 'random';
+
+            await votingService.closePoll(runoff);
+
+            assert.ok(['319', '228', '1'].includes(runoff.winnerGameId));
+            assert.equal(typeof runoff.tieBreak.seed, 'number');
+            assert.match(channel.messages[0].payload.embeds[0].toJSON().description, new RegExp(`seed ${runoff.tieBreak.seed}`));
+        });
+
+        it('allows one vote per member in a runoff', () => {
+            const runoff = pollWith();
+            runoff.runoffOf = pollWith()._id;
+
+            assert.equal(votingService.getMaxVotes(runoff), 1);
+            assert.equal(votingService.getMaxVotes(pollWith()), 2);
+        });
+    });
+
+    describe('vote buttons', () => {
+        let poll;
+
+        beforeEach(() => {
+            poll = pollWith([['100000000000000001', '319'], ['100000000000000001', '228']]);
+            poll.closesAt = new Date(Date.now() + 60 * 60 * 1000);
+            mock.method(Poll, 'findById', async () => poll);
+            mock.method(Poll, 'updateOne', async () => ({ modifiedCount: 0 }));
+            mock.method(User, 'findByDiscordId', async (discordId) => new User({ raUsername: 'TestUser', discordId }));
+        });
+
+        const click = async (gameId) => {
+            const interaction = createMockButtonInteraction({ customId: `poll_vote_${poll._id}_${gameId}` });
+            await votingService.handleVoteButton(interaction);
+            return getLastResponse(interaction);
+        };
+
+        it('only accepts votes from registered members', async () => {
+            User.findByDiscordId.mock.mockImplementation(async () => null);
+
+            const reply = await click('1');
+
+            assert.match(reply.content, /You are not registered/);
+            assert.equal(reply.ephemeral, true);
+        });
+
+        it('refuses a third vote', async () => {
+            const reply = await click('1');
+
+            assert.match(reply.content, /You can vote for up to 2 games/);
+        });
+
+        it('takes a vote back when the same game is clicked again', async () => {
+            const reply = await click('319');
+
+            assert.deepEqual(Poll.updateOne.mock.calls[0].arguments[1], {
+                $pull: { votes: { discordId: '100000000000000001', gameId: '319' } }
+            });
+            assert.match(reply.content, /vote for \*\*Chrono Trigger\*\* has been removed/);
+        });
+
+        it('rejects votes after the poll has closed', async () => {
+            poll.closesAt = new Date(Date.now() - 1000);
+
+            const reply = await click('1');
+
+            assert.equal(reply.content, 'Voting for this poll has closed.');
+            assert.equal(Poll.updateOne.mock.callCount(), 0);
+        });
+    });
+});
+
+describe('ranked-choice polls', () => {
+    /**
+     * Build a ranked poll with Chrono Trigger, Super Metroid and Sonic on the ballot
+     * @param {Array<Array<string>>} rankings - Ranked game IDs of each member
+     * @returns {Object} Poll document
+     */
+    const rankedPollWith = (rankings = []) => {
+        const poll = pollWith();
+        poll.mode = 'ranked';
+        poll.rankings = rankings.map((gameIds, index) => ({ discordId: String(index), gameIds }));
+        return poll;
+    };
+
+    let channel;
+
+    beforeEach(() => {
+        channel = createMockChannel('announcements');
+        votingService.setClient(createMockClient({ channel }));
+        mock.method(votingService, 'fetchPollMessage', async () => null);
+        mock.method(Poll, 'updateOne', async () => ({ matchedCount: 1, modifiedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('moves the votes of eliminated games to the next choice', () => {
+        const poll = rankedPollWith([
+            ['319'], ['319'], ['319'],
+            ['228', '319'], ['228'],
+            ['1', '319']
+        ]);
+
+        const rounds = poll.countRankedChoice();
+
+        assert.equal(rounds.length, 2);
+        assert.deepEqual(rounds[0].counts.map(({ gameId, votes }) => [gameId, votes]), [['319', 3], ['228', 2], ['1', 1]]);
+        assert.deepEqual(rounds[0].eliminatedGameIds, ['1']);
+        assert.deepEqual(rounds[1].counts.map(({ gameId, votes }) => [gameId, votes]), [['319', 4], ['228', 2]]);
+    });
+
+    it('eliminates one game at a time when several tie for the fewest votes', () => {
+        // Eliminating Super Metroid and Sonic together would let Chrono Trigger win with 4 of 10 votes
+        const poll = rankedPollWith([
+            ['319'], ['319'], ['319'], ['319'],
+            ['228', '1'], ['228', '1'], ['228', '1'],
+            ['1', '228'], ['1', '228'], ['1', '228']
+        ]);
+        poll.draw = { strategy: 'weighted', seed: 7 };
+
+        const rounds = poll.countRankedChoice();
+
+        assert.equal(rounds.length, 2);
+        assert.equal(rounds[0].eliminatedGameIds.length, 1);
+        const [winner, runnerUp] = rounds[1].counts;
+        assert.ok(['228', '1'].includes(winner.gameId));
+        assert.deepEqual([winner.votes, runnerUp.gameId, runnerUp.votes], [6, '319', 4]);
+
+        // The same seed always eliminates the same game
+        assert.deepEqual(poll.countRankedChoice()[0].eliminatedGameIds, rounds[0].eliminatedGameIds);
+    });
+
+    it('eliminates the game with fewer first choices when games tie in a later round', () => {
+        const poll = rankedPollWith([
+            ['319'], ['319'], ['319'], ['319'], ['319'],
+            ['228'], ['228'], ['228'], ['228'],
+            ['1', '228'], ['1', '228'], ['1', '228'],
+            ['10003', '1', '228']
+        ]);
+        poll.games.push({ gameId: '10003', title: 'Super Mario Kart' });
+
+        const rounds = poll.countRankedChoice();
+
+        assert.deepEqual(rounds.map(round => round.eliminatedGameIds), [['10003'], ['1'], []]);
+        assert.deepEqual(rounds[1].counts.map(({ gameId, votes }) => [gameId, votes]), [['319', 5], ['228', 4], ['1', 4]]);
+        assert.deepEqual(rounds[2].counts.map(({ gameId, votes }) => [gameId, votes]), [['228', 8], ['319', 5]]);
+    });
+
+    it('announces the winner with every round', async () => {
+        const poll = rankedPollWith([
+            ['319'], ['319'],
+            ['228', '1'], ['228'],
+            ['1', '228']
+        ]);
+        mock.method(poll, 'save', async () => poll);
+
+        await votingService.closePoll(poll);
+
+        assert.equal(poll.winnerGameId, '228');
+        const announcement = channel.messages[0].payload.embeds[0].toJSON();
+        assert.match(announcement.description, /\*\*Super Metroid\*\* won the vote .* with 3 votes in round 2!/);
+        assert.deepEqual(announcement.fields.map(field => field.name), ['First Choices', 'Rounds']);
+        assert.equal(announcement.fields[1].value,
+            '**Round 1:** Chrono Trigger 2, Super Metroid 2, Sonic the Hedgehog 1 - eliminated: Sonic the Hedgehog\n' +
+            '**Round 2:** Super Metroid 3, Chrono Trigger 2');
+    });
+
+    it('gives /polladmin close the winner\'s votes from the last round', async () => {
+        const poll = rankedPollWith([
+            ['319'], ['319'],
+            ['228', '1'], ['228'],
+            ['1', '228']
+        ]);
+        mock.method(poll, 'save', async () => poll);
+
+        const interaction = createMockInteraction({ commandName: 'polladmin', subcommand: 'close', isAdmin: true });
+        await pollAdminCommand.closePoll(interaction, poll);
+
+        assert.equal(getLastResponse(interaction).content, 'Voting closed. **Super Metroid** won with 3 votes after 2 rounds.');
+    });
+
+    it('saves each choice and offers the remaining games', async () => {
+        const poll = rankedPollWith([]);
+        poll.closesAt = new Date(Date.now() + 60 * 60 * 1000);
+        mock.method(Poll, 'findById', async () => poll);
+        mock.method(Poll, 'updateOne', async () => ({ matchedCount: 0 }));
+        mock.method(User, 'findByDiscordId', async (discordId) => new User({ raUsername: 'TestUser', discordId }));
+
+        const interaction = createMockSelectMenuInteraction({ customId: `poll_rank_${poll._id}_1`, values: ['228'] });
+        await votingService.handleRankComponent(interaction);
+
+        const [, push] = Poll.updateOne.mock.calls.map(call => call.arguments[1]);
+        assert.deepEqual(push.$push.rankings.gameIds, ['228']);
+
+        const update = getLastResponse(interaction);
+        assert.equal(update.type, 'update');
+        assert.match(update.content, /1\. Super Metroid/);
+        const [menu] = update.components[0].toJSON().components;
+        assert.equal(menu.custom_id, `poll_rank_${poll._id}_2`);
+        assert.deepEqual(menu.options.map(option => option.value), ['319', '1']);
+    });
+});